@@ -24,7 +24,9 @@ module.exports = async (req, res) => {
         console.log('⏰ Cron job triggered via API');
 
         // Pass the supabase client to the scheduler
+        await scheduler.processOverdueTasks(supabase);
         await scheduler.processPendingChasers(supabase);
+        await scheduler.processRecurringTasks(supabase);
 
         res.status(200).json({ success: true, message: 'Chaser processing triggered' });
     } catch (error) {
@@ -0,0 +1,123 @@
+/**
+ * API Keys
+ * Personal keys for scripts and integrations. A key acts as the user who
+ * created it, limited to its scopes; only a SHA-256 hash of it is stored.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'ck_';
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'nudges:send', 'settings:read', 'settings:write'];
+
+// Scope a key needs per route (relative to /api); the first matching rule wins
+// and a null method matches any. Everything else is task data: GET needs
+// tasks:read, other methods tasks:write. Key management itself (scope false)
+// needs a session, so a key can't mint or revoke keys.
+const SCOPE_RULES = [
+    { method: null, pattern: /^\/keys(\/|$)/, scope: false },
+    { method: 'GET', pattern: /^\/auth\/me$/, scope: null },
+    { method: 'POST', pattern: /^\/nudges$/, scope: 'nudges:send' },
+    { method: 'POST', pattern: /^\/templates\/preview$/, scope: 'settings:read' },
+    { method: 'GET', pattern: /^\/(workspace|templates)(\/|$)/, scope: 'settings:read' },
+    { method: 'GET', pattern: /^\/(assignees|escalation-policies)(\/|$)/, scope: 'tasks:read' },
+    { method: null, pattern: /^\/(workspace|assignees|escalation-policies|templates)(\/|$)/, scope: 'settings:write' }
+];
+
+// Skip last_used_at writes for keys used within this window
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a new key. The plain key is only ever returned here.
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+/**
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return `Unknown scopes: ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Scope a key needs for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api
+ * @returns {string|null|false} Scope name, null when any key may, false when no key may
+ */
+function requiredScope(method, path) {
+    const rule = SCOPE_RULES.find(r => (r.method === null || r.method === method) && r.pattern.test(path));
+    if (rule) return rule.scope;
+    return method === 'GET' || method === 'HEAD' ? 'tasks:read' : 'tasks:write';
+}
+
+/**
+ * Whether a key with these scopes may make a request. The user's role is
+ * checked separately by the route, as for sessions.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api
+ */
+function isAllowedForKey(method, path, scopes) {
+    const scope = requiredScope(method, path);
+    if (scope === false) return false;
+    return scope === null || scopes.includes(scope);
+}
+
+/**
+ * Look up an active key and the user it belongs to
+ * @returns {Promise<{ apiKey: object, user: object }|null>}
+ */
+async function authenticateApiKey(client, key) {
+    const { data: apiKey, error } = await client
+        .from('api_keys')
+        .select('id, user_id, workspace_id, scopes, last_used_at, users ( id, email, name, workspace_id, role )')
+        .eq('key_hash', hashApiKey(key))
+        .is('revoked_at', null)
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error looking up API key:', error);
+        return null;
+    }
+    if (!apiKey?.users || apiKey.users.workspace_id !== apiKey.workspace_id) {
+        return null;
+    }
+
+    // Record usage without holding up the request
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > TOUCH_INTERVAL_MS) {
+        client
+            .from('api_keys')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', apiKey.id)
+            .then(({ error: touchError }) => {
+                if (touchError) console.log('Error updating API key last_used_at:', touchError);
+            });
+    }
+
+    return { apiKey, user: apiKey.users };
+}
+
+module.exports = {
+    API_KEY_PREFIX,
+    API_KEY_SCOPES,
+    generateApiKey,
+    validateScopes,
+    requiredScope,
+    isAllowedForKey,
+    authenticateApiKey
+};
@@ -0,0 +1,159 @@
+/**
+ * Authentication
+ * Password hashing, JWT issuing and the middleware that guards /api routes
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { permissionsFor } = require('./permissions');
+const { API_KEY_PREFIX, requiredScope, isAllowedForKey, authenticateApiKey } = require('./apiKeys');
+
+const scrypt = promisify(crypto.scrypt);
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Routes under /api that don't need a session (webhooks verify their own
+// signatures, calendar feeds and task action links carry a secret token in the URL)
+const PUBLIC_PATHS = ['/health', '/auth/login', '/auth/register'];
+const PUBLIC_PREFIXES = ['/webhooks/', '/calendar/', '/actions/'];
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hashHex] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Issue a session token for a user row
+ */
+function signToken(user) {
+    return jwt.sign(
+        { sub: user.id, email: user.email, name: user.name || null, workspace_id: user.workspace_id },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+/**
+ * User fields that are safe to return to the client
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name || null,
+        workspace_id: user.workspace_id,
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        created_at: user.created_at,
+        last_login_at: user.last_login_at || null
+    };
+}
+
+function isPublicPath(path) {
+    return PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+/**
+ * Express middleware (mounted on /api) that requires a valid Bearer token
+ * and sets req.user = { id, email, name, workspace_id, role }. The role is
+ * read from the users table on each request so role changes apply at once.
+ * The token may also be an API key (ck_...), which sets req.apiKey and is
+ * limited to the routes its scopes cover.
+ * @param {object} options - { client, log }
+ */
+function createAuthMiddleware({ client, log = console.log } = {}) {
+    async function authenticate(req, res, next) {
+        if (req.method === 'OPTIONS' || isPublicPath(req.path)) {
+            return next();
+        }
+
+        const header = req.get('authorization') || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (token.startsWith(API_KEY_PREFIX)) {
+            const session = await authenticateApiKey(client, token);
+            if (!session) {
+                return res.status(401).json({ error: 'Invalid or revoked API key' });
+            }
+            if (!isAllowedForKey(req.method, req.path, session.apiKey.scopes || [])) {
+                const scope = requiredScope(req.method, req.path);
+                return res.status(403).json({
+                    error: scope ? `API key needs the ${scope} scope for this endpoint` : 'This endpoint needs a signed-in session'
+                });
+            }
+            req.user = session.user;
+            req.apiKey = { id: session.apiKey.id, scopes: session.apiKey.scopes };
+            return next();
+        }
+
+        if (!JWT_SECRET) {
+            log('Rejected request: JWT_SECRET is not configured');
+            return res.status(401).json({ error: 'Authentication is not configured' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired session' });
+        }
+
+        // Every query is scoped to the workspace, so a token without one is unusable
+        if (!payload.workspace_id) {
+            return res.status(401).json({ error: 'Invalid or expired session' });
+        }
+
+        const { data: user, error } = await client
+            .from('users')
+            .select('id, email, name, workspace_id, role')
+            .eq('id', payload.sub)
+            .maybeSingle();
+
+        if (error) {
+            log('Error loading user for session:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        if (!user || user.workspace_id !== payload.workspace_id) {
+            return res.status(401).json({ error: 'Account no longer exists' });
+        }
+
+        req.user = user;
+        next();
+    }
+
+    // Express 4 doesn't catch rejected promises, so hand errors to the error handler
+    return function requireAuth(req, res, next) {
+        authenticate(req, res, next).catch(next);
+    };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    publicUser,
+    createAuthMiddleware
+};
@@ -0,0 +1,84 @@
+/**
+ * Calendar Feeds
+ * Secret per-assignee iCalendar URLs listing the assignee's open tasks, so any
+ * calendar client can subscribe. The feed is built from the tasks table on
+ * every request, so new, rescheduled and completed tasks show up on the
+ * client's next refresh. Only a SHA-256 hash of each feed token is stored.
+ */
+
+const crypto = require('crypto');
+const { buildIcsCalendar } = require('./exporters');
+
+// Suggested re-fetch interval for subscribed calendar clients
+const FEED_REFRESH_MINUTES = 30;
+
+function hashFeedToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * New feed token. The plain token is only ever returned here.
+ * @returns {{ token: string, hash: string }}
+ */
+function generateFeedToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, hash: hashFeedToken(token) };
+}
+
+function feedUrl(token) {
+    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+    return `${backendUrl}/api/calendar/${token}.ics`;
+}
+
+/**
+ * Assignee row for API responses: the token hash is swapped for a flag
+ */
+function publicAssignee(assignee) {
+    const { calendar_feed_token_hash: tokenHash, ...rest } = assignee;
+    return { ...rest, calendar_feed_enabled: Boolean(tokenHash) };
+}
+
+/**
+ * Build the feed for a token
+ * @returns {Promise<string|null>} ICS text, or null when the token is unknown
+ */
+async function buildAssigneeFeed(client, token) {
+    const { data: assignee, error } = await client
+        .from('assignees')
+        .select('workspace_id, email, name')
+        .eq('calendar_feed_token_hash', hashFeedToken(token))
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error looking up calendar feed:', error);
+        return null;
+    }
+    if (!assignee) return null;
+
+    const { data: tasks, error: tasksError } = await client
+        .from('tasks')
+        .select('*')
+        .eq('workspace_id', assignee.workspace_id)
+        .eq('assignee_email', assignee.email)
+        .in('status', ['pending', 'overdue'])
+        .order('due_date', { ascending: true });
+
+    if (tasksError) {
+        console.log('Error loading calendar feed tasks:', tasksError);
+        return null;
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return buildIcsCalendar(tasks || [], {
+        name: `Tasks for ${assignee.name || assignee.email}`,
+        taskLink: task => `${frontendUrl}/tasks/${task.id}`,
+        refreshMinutes: FEED_REFRESH_MINUTES
+    });
+}
+
+module.exports = {
+    generateFeedToken,
+    feedUrl,
+    publicAssignee,
+    buildAssigneeFeed
+};
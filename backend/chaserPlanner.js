@@ -0,0 +1,480 @@
+/**
+ * Chaser Planner
+ * Resolves a task's escalation policy, builds its chaser schedule and
+ * re-plans it when the task's due date changes
+ */
+
+const { loadWorkingHours, shiftToWorkingHours } = require('./workingHours');
+
+// Message tone per tier, from the gentlest to the most insistent copy;
+// 'overdue' is the post-deadline follow-up copy
+const TONE_LEVELS = {
+    friendly: 1,
+    reminder: 2,
+    urgent: 3,
+    critical: 4,
+    overdue: 5
+};
+
+// Escalation tier number used for post-deadline follow-ups
+const OVERDUE_TIER = 5;
+
+const CHANNELS = ['email', 'slack', 'sms', 'call'];
+
+// Longest a task's chasers can be snoozed, counted from when the snooze starts
+const MAX_SNOOZE_HOURS = Number(process.env.MAX_SNOOZE_HOURS || 168);
+
+// Built-in 4-tier escalation, used when no policy is stored for the task's priority
+// Tier 1: 24 hours before, Tier 2: 12 hours before, Tier 3: 4 hours before, Tier 4: 1 hour before
+const DEFAULT_POLICY = {
+    id: null,
+    name: 'Built-in default',
+    tiers: [
+        { tier: 1, name: '24h reminder', minutes_before_due: 24 * 60, channels: CHANNELS, tone: 'friendly' },
+        { tier: 2, name: '12h reminder', minutes_before_due: 12 * 60, channels: CHANNELS, tone: 'reminder' },
+        { tier: 3, name: '4h urgent', minutes_before_due: 4 * 60, channels: CHANNELS, tone: 'urgent' },
+        { tier: 4, name: '1h critical', minutes_before_due: 60, channels: CHANNELS, tone: 'critical' }
+    ],
+    // Follow-ups after the deadline passes
+    overdue_followups: {
+        first_after_minutes: 60,
+        interval_minutes: 24 * 60,
+        max_followups: 3,
+        channels: ['email', 'slack']
+    }
+};
+
+/**
+ * Map a tone name to its copy level (1-4)
+ */
+function toneLevel(tone) {
+    return TONE_LEVELS[tone] || null;
+}
+
+/**
+ * Validate the tiers of an escalation policy
+ * @param {Array} tiers - [{ tier, name, minutes_before_due, channels, tone }]
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEscalationTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return 'tiers must be a non-empty array';
+    }
+
+    const seenTiers = new Set();
+    for (const tier of tiers) {
+        if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+            return 'Each tier must be an object';
+        }
+        // Tier numbers above the last pre-deadline tier would be taken for overdue follow-ups
+        if (!Number.isInteger(tier.tier) || tier.tier < 1 || tier.tier >= OVERDUE_TIER) {
+            return `Each tier needs a "tier" number from 1 to ${OVERDUE_TIER - 1}`;
+        }
+        if (seenTiers.has(tier.tier)) {
+            return `Duplicate tier number: ${tier.tier}`;
+        }
+        seenTiers.add(tier.tier);
+
+        if (!Number.isFinite(tier.minutes_before_due) || tier.minutes_before_due < 0) {
+            return `Tier ${tier.tier}: minutes_before_due must be a non-negative number`;
+        }
+        if (!Array.isArray(tier.channels) || tier.channels.length === 0) {
+            return `Tier ${tier.tier}: channels must be a non-empty array`;
+        }
+        const unknownChannel = tier.channels.find(channel => !CHANNELS.includes(channel));
+        if (unknownChannel) {
+            return `Tier ${tier.tier}: unknown channel "${unknownChannel}" (allowed: ${CHANNELS.join(', ')})`;
+        }
+        if (!toneLevel(tier.tone)) {
+            return `Tier ${tier.tier}: unknown tone "${tier.tone}" (allowed: ${Object.keys(TONE_LEVELS).join(', ')})`;
+        }
+        if (tier.override_quiet_hours !== undefined && typeof tier.override_quiet_hours !== 'boolean') {
+            return `Tier ${tier.tier}: override_quiet_hours must be a boolean`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the overdue follow-up settings of an escalation policy
+ * @param {object|null} followups - { first_after_minutes, interval_minutes, max_followups, channels }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOverdueFollowups(followups) {
+    if (followups === null) return null;
+    if (typeof followups !== 'object' || Array.isArray(followups)) {
+        return 'overdue_followups must be an object or null';
+    }
+
+    if (!Number.isFinite(followups.interval_minutes) || followups.interval_minutes <= 0) {
+        return 'overdue_followups.interval_minutes must be a positive number';
+    }
+    if (followups.first_after_minutes !== undefined &&
+        (!Number.isFinite(followups.first_after_minutes) || followups.first_after_minutes < 0)) {
+        return 'overdue_followups.first_after_minutes must be a non-negative number';
+    }
+    if (!Number.isInteger(followups.max_followups) || followups.max_followups < 0 || followups.max_followups > 20) {
+        return 'overdue_followups.max_followups must be an integer between 0 and 20';
+    }
+    if (!Array.isArray(followups.channels) || followups.channels.length === 0) {
+        return 'overdue_followups.channels must be a non-empty array';
+    }
+    const unknownChannel = followups.channels.find(channel => !CHANNELS.includes(channel));
+    if (unknownChannel) {
+        return `overdue_followups: unknown channel "${unknownChannel}" (allowed: ${CHANNELS.join(', ')})`;
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the escalation policy for a task: the task's own override, else the
+ * default policy for its priority, else the built-in schedule
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row (priority, escalation_policy_id)
+ * @returns {Promise<object>} Policy { id, name, tiers }
+ */
+async function resolveEscalationPolicy(client, task) {
+    // The task's workspace policies, plus the shared built-in ones (workspace_id null)
+    let query = client
+        .from('escalation_policies')
+        .select('*')
+        .or(`workspace_id.eq.${task.workspace_id},workspace_id.is.null`);
+
+    if (task.escalation_policy_id) {
+        query = query.eq('id', task.escalation_policy_id);
+    } else {
+        query = query.eq('default_for_priority', task.priority || 'medium');
+    }
+
+    // A workspace default for the priority wins over the shared one
+    const { data: policies, error } = await query;
+    const policy = (policies || []).find(p => p.workspace_id) || (policies || [])[0];
+
+    if (error || !policy) {
+        if (error) {
+            console.log('Error resolving escalation policy, using built-in default:', error);
+        }
+        return DEFAULT_POLICY;
+    }
+
+    return policy;
+}
+
+/**
+ * Build chaser_queue rows for a task's escalation schedule
+ * @param {object} task - Task row (id, title, assignee_email, due_date)
+ * @param {object} policy - Escalation policy (defaults to the built-in schedule)
+ * @param {Date} now - Reference time; only future chasers are scheduled
+ * @param {object} workingHours - Assignee schedule from workingHours.toSchedule(); chasers
+ * in quiet hours move to the nearest allowed time unless the tier overrides quiet hours
+ * @returns {Array<object>} Rows ready to insert into chaser_queue
+ */
+function buildEscalationChasers(task, policy = DEFAULT_POLICY, now = new Date(), workingHours = null) {
+    const dueDateTime = new Date(task.due_date);
+    const scheduledChasers = [];
+
+    // Earliest reminder first
+    const tiers = [...policy.tiers].sort((a, b) => b.minutes_before_due - a.minutes_before_due);
+
+    for (const tierConfig of tiers) {
+        const plannedTime = new Date(dueDateTime.getTime() - tierConfig.minutes_before_due * 60 * 1000);
+        const chaserTime = tierConfig.override_quiet_hours
+            ? plannedTime
+            : shiftToWorkingHours(plannedTime, workingHours, { notBefore: now, notAfter: dueDateTime });
+
+        // Only schedule if the chaser time is in the future
+        if (chaserTime > now) {
+            // Two tiers shifted onto the same slot: keep only the more urgent one
+            const sameSlot = scheduledChasers.findIndex(c => c.scheduled_at === chaserTime.toISOString());
+            if (sameSlot !== -1) {
+                scheduledChasers.splice(sameSlot, 1);
+            }
+
+            scheduledChasers.push({
+                task_id: task.id,
+                workspace_id: task.workspace_id,
+                scheduled_at: chaserTime.toISOString(),
+                original_scheduled_at: chaserTime.getTime() !== plannedTime.getTime() ? plannedTime.toISOString() : null,
+                override_quiet_hours: !!tierConfig.override_quiet_hours,
+                recipient_email: task.assignee_email,
+                message_subject: `Tier ${tierConfig.tier}: ${task.title} - ${tierConfig.name || `${tierConfig.tone} reminder`}`,
+                message_body: `Escalation tier ${tierConfig.tier} reminder`,
+                status: 'pending',
+                escalation_tier: tierConfig.tier,
+                escalation_policy_id: policy.id,
+                channels: tierConfig.channels,
+                tone: tierConfig.tone
+            });
+        }
+    }
+
+    scheduledChasers.sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+
+    // If no future chasers (task due very soon), schedule the most urgent tier for now + 1 minute
+    if (scheduledChasers.length === 0 && dueDateTime > now) {
+        const finalTier = tiers[tiers.length - 1];
+        scheduledChasers.push({
+            task_id: task.id,
+            workspace_id: task.workspace_id,
+            scheduled_at: new Date(now.getTime() + 60 * 1000).toISOString(),
+            recipient_email: task.assignee_email,
+            message_subject: `URGENT: ${task.title} - Due very soon!`,
+            message_body: `Immediate reminder - task due very soon`,
+            status: 'pending',
+            escalation_tier: finalTier.tier,
+            escalation_policy_id: policy.id,
+            channels: finalTier.channels,
+            tone: finalTier.tone,
+            override_quiet_hours: !!finalTier.override_quiet_hours
+        });
+    }
+
+    return [...scheduledChasers, ...buildOverdueChasers(task, policy, now, workingHours)];
+}
+
+/**
+ * Build the post-deadline follow-ups for a task: the first one
+ * first_after_minutes after the due date, then every interval_minutes,
+ * up to max_followups
+ * @returns {Array<object>} Rows ready to insert into chaser_queue
+ */
+function buildOverdueChasers(task, policy = DEFAULT_POLICY, now = new Date(), workingHours = null) {
+    const followups = policy.overdue_followups === undefined
+        ? DEFAULT_POLICY.overdue_followups
+        : policy.overdue_followups;
+    if (!followups || !followups.max_followups) return [];
+
+    const dueDateTime = new Date(task.due_date);
+    const firstAfter = followups.first_after_minutes ?? followups.interval_minutes;
+    const overdueChasers = [];
+
+    for (let n = 1; n <= followups.max_followups; n++) {
+        const plannedTime = new Date(dueDateTime.getTime() +
+            (firstAfter + (n - 1) * followups.interval_minutes) * 60 * 1000);
+        const chaserTime = shiftToWorkingHours(plannedTime, workingHours, { notBefore: now });
+
+        // Follow-ups already behind us (e.g. re-planned while overdue) are skipped
+        if (chaserTime <= now) continue;
+
+        overdueChasers.push({
+            task_id: task.id,
+            workspace_id: task.workspace_id,
+            scheduled_at: chaserTime.toISOString(),
+            original_scheduled_at: chaserTime.getTime() !== plannedTime.getTime() ? plannedTime.toISOString() : null,
+            override_quiet_hours: false,
+            recipient_email: task.assignee_email,
+            message_subject: `Overdue ${n}/${followups.max_followups}: ${task.title}`,
+            message_body: `Overdue follow-up ${n} of ${followups.max_followups}`,
+            status: 'pending',
+            escalation_tier: OVERDUE_TIER,
+            overdue_followup: n,
+            escalation_policy_id: policy.id,
+            channels: followups.channels,
+            tone: 'overdue'
+        });
+    }
+
+    return overdueChasers;
+}
+
+/**
+ * Resolve the policy and assignee working hours for a task and build its chasers
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row
+ * @returns {Promise<object>} { policy, chasers }
+ */
+async function planChasers(client, task) {
+    const [policy, workingHours] = await Promise.all([
+        resolveEscalationPolicy(client, task),
+        loadWorkingHours(client, task.assignee_email, task.workspace_id)
+    ]);
+
+    return {
+        policy,
+        chasers: buildEscalationChasers(task, policy, new Date(), workingHours)
+    };
+}
+
+/**
+ * Cancel a task's unsent chasers, recording why: pending ones, skipped ones
+ * (so an old schedule's chaser can't be restored next to a new plan) and
+ * claimed ones whose lease expired (their worker died mid-send)
+ * @param {object} client - Supabase client
+ * @param {string} taskId - Task ID
+ * @param {string} reason - Recorded in chaser_queue.cancel_reason
+ * @returns {Promise<object>} { error }
+ */
+async function cancelPendingChasers(client, taskId, reason) {
+    const { error } = await client
+        .from('chaser_queue')
+        .update({
+            status: 'cancelled',
+            cancel_reason: reason,
+            lease_owner: null,
+            lease_expires_at: null
+        })
+        .eq('task_id', taskId)
+        .or(`status.in.(pending,skipped),and(status.eq.processing,lease_expires_at.lt.${new Date().toISOString()})`);
+
+    return { error };
+}
+
+/**
+ * Cancel stale unsent chasers and regenerate the escalation schedule
+ * after a task's due date or escalation policy changed
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row with the new due_date
+ * @param {string} reason - Why the schedule is being re-planned
+ * @returns {Promise<object>} { chasers, error }
+ */
+async function replanChasers(client, task, reason) {
+    const { error: cancelError } = await cancelPendingChasers(client, task.id, reason);
+    if (cancelError) {
+        return { chasers: [], error: cancelError };
+    }
+
+    // Completed tasks keep no schedule
+    if (task.status === 'completed') {
+        return { chasers: [], error: null };
+    }
+
+    const { chasers: plannedChasers } = await planChasers(client, task);
+
+    const { data: chasers, error: insertError } = await client
+        .from('chaser_queue')
+        .insert(plannedChasers)
+        .select();
+
+    if (insertError) {
+        return { chasers: [], error: insertError };
+    }
+
+    // A snoozed task keeps holding its new chasers until the snooze ends
+    if (task.snoozed_until && new Date(task.snoozed_until) > new Date()) {
+        const { error: snoozeError } = await snoozeChasers(client, task, new Date(task.snoozed_until));
+        if (snoozeError) {
+            return { chasers, error: snoozeError };
+        }
+    }
+
+    return { chasers, error: null };
+}
+
+/**
+ * Hold a task's chasers until a time. Pending chasers due before then are
+ * folded into one, sent when the snooze ends: the latest of them, since it
+ * carries the tier the task has reached. The others are skipped. Chasers due
+ * after the snooze are left alone.
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row
+ * @param {Date} until - When the snooze ends
+ * @returns {Promise<object>} { moved, skipped, error }
+ */
+async function snoozeChasers(client, task, until) {
+    const { data: chasers, error } = await client
+        .from('chaser_queue')
+        .select('id, scheduled_at, snoozed_from')
+        .eq('workspace_id', task.workspace_id)
+        .eq('task_id', task.id)
+        .eq('status', 'pending')
+        .lt('scheduled_at', until.toISOString())
+        .order('scheduled_at', { ascending: true });
+
+    if (error) return { moved: 0, skipped: 0, error };
+    if (chasers.length === 0) return { moved: 0, skipped: 0, error: null };
+
+    const latest = chasers[chasers.length - 1];
+    const earlier = chasers.slice(0, -1).map(chaser => chaser.id);
+
+    if (earlier.length > 0) {
+        const { error: skipError } = await client
+            .from('chaser_queue')
+            .update({ status: 'skipped', cancel_reason: 'snoozed' })
+            .in('id', earlier)
+            .eq('status', 'pending');
+
+        if (skipError) return { moved: 0, skipped: 0, error: skipError };
+    }
+
+    const { error: moveError } = await client
+        .from('chaser_queue')
+        .update({
+            scheduled_at: until.toISOString(),
+            snoozed_from: latest.snoozed_from || latest.scheduled_at,
+            next_attempt_at: null
+        })
+        .eq('id', latest.id)
+        .eq('status', 'pending');
+
+    return { moved: moveError ? 0 : 1, skipped: earlier.length, error: moveError || null };
+}
+
+/**
+ * Skip one pending chaser, or put a skipped one back in the schedule
+ * (only while its send time is still ahead). Re-planning cancels skipped
+ * chasers, so only chasers of the current plan can be restored.
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row
+ * @param {string} chaserId - chaser_queue ID
+ * @param {boolean} skip - true to skip, false to restore
+ * @returns {Promise<object>} { chaser, error } - chaser is null when it was not in a state to change
+ */
+async function setChaserSkipped(client, task, chaserId, skip) {
+    let query = client
+        .from('chaser_queue')
+        .update(skip ? { status: 'skipped', cancel_reason: 'skipped' } : { status: 'pending', cancel_reason: null })
+        .eq('workspace_id', task.workspace_id)
+        .eq('task_id', task.id)
+        .eq('id', chaserId)
+        .eq('status', skip ? 'pending' : 'skipped');
+
+    if (!skip) {
+        query = query.gt('scheduled_at', new Date().toISOString());
+    }
+
+    const { data: chaser, error } = await query.select().maybeSingle();
+    return { chaser: chaser || null, error };
+}
+
+/**
+ * Record a change to a task's chaser schedule (snoozed, skipped, resumed)
+ * in its chaser history, under the address of whoever made it
+ */
+async function recordScheduleChange(client, task, { status, subject, recipientEmail, queueId = null }) {
+    const { error } = await client
+        .from('chaser_logs')
+        .insert({
+            workspace_id: task.workspace_id,
+            task_id: task.id,
+            queue_id: queueId,
+            status,
+            recipient_email: recipientEmail,
+            message_subject: subject,
+            sent_at: new Date().toISOString()
+        });
+
+    if (error) {
+        console.log('Error recording chaser schedule change:', error);
+    }
+}
+
+module.exports = {
+    TONE_LEVELS,
+    OVERDUE_TIER,
+    CHANNELS,
+    MAX_SNOOZE_HOURS,
+    DEFAULT_POLICY,
+    toneLevel,
+    validateEscalationTiers,
+    validateOverdueFollowups,
+    resolveEscalationPolicy,
+    buildEscalationChasers,
+    planChasers,
+    cancelPendingChasers,
+    replanChasers,
+    snoozeChasers,
+    setChaserSkipped,
+    recordScheduleChange
+};
@@ -0,0 +1,237 @@
+/**
+ * Chaser Delivery Records
+ * Shared bookkeeping for sent/failed chasers, used by the Boltic callbacks
+ * and by transports that deliver synchronously (SMTP, Slack, HTTP)
+ */
+
+// Retry policy for chasers the transport failed to accept
+const MAX_ATTEMPTS = Number(process.env.CHASER_MAX_ATTEMPTS || 5);
+const RETRY_BASE_SECONDS = Number(process.env.CHASER_RETRY_BASE_SECONDS || 60);
+const RETRY_MAX_SECONDS = Number(process.env.CHASER_RETRY_MAX_SECONDS || 3600);
+
+/**
+ * Exponential backoff delay after a given number of failed attempts
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+    const seconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_SECONDS);
+    return seconds * 1000;
+}
+
+/**
+ * Mark a queue entry as sent, log it and bump the task counters. The
+ * record_chaser_sent function does all three in one transaction and ignores
+ * chasers (or Boltic executions) that were already recorded.
+ * @param {object} client - Supabase client
+ * @param {object} queueEntry - chaser_queue row
+ * @param {object} options - { sentAt, executionId }
+ * @returns {Promise<object>} { recorded, error } - recorded is false for duplicates
+ */
+async function recordChaserSent(client, queueEntry, { sentAt, executionId } = {}) {
+    const sentTimestamp = sentAt ? new Date(sentAt).toISOString() : new Date().toISOString();
+
+    const { data: recorded, error } = await client.rpc('record_chaser_sent', {
+        p_queue_id: queueEntry.id,
+        p_sent_at: sentTimestamp,
+        p_execution_id: executionId || null
+    });
+
+    if (error) {
+        console.log('Error recording sent chaser:', error);
+        return { recorded: false, error };
+    }
+
+    return { recorded: recorded === true, error: null };
+}
+
+/**
+ * Mark a queue entry as failed and log the error
+ * @param {object} client - Supabase client
+ * @param {object} queueEntry - chaser_queue row
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<object>} { recorded, error } - recorded is false for duplicates
+ */
+async function recordChaserFailed(client, queueEntry, errorMessage) {
+    // Update chaser_queue, unless a callback already settled it
+    const { data: updatedEntries, error: updateQueueError } = await client
+        .from('chaser_queue')
+        .update({
+            status: 'failed',
+            last_attempt_at: new Date().toISOString(),
+            next_attempt_at: null,
+            last_error: errorMessage || 'Unknown error',
+            lease_owner: null,
+            lease_expires_at: null
+        })
+        .eq('id', queueEntry.id)
+        .not('status', 'in', '(sent,failed)')
+        .select('id');
+
+    if (updateQueueError) {
+        console.log('Error updating queue entry:', updateQueueError);
+        return { recorded: false, error: updateQueueError };
+    }
+
+    if (!updatedEntries || updatedEntries.length === 0) {
+        return { recorded: false, error: null };
+    }
+
+    // Insert into chaser_logs
+    const { error: logError } = await client
+        .from('chaser_logs')
+        .insert({
+            workspace_id: queueEntry.workspace_id,
+            task_id: queueEntry.task_id,
+            queue_id: queueEntry.id,
+            sent_at: new Date().toISOString(),
+            status: 'failed',
+            recipient_email: queueEntry.recipient_email,
+            message_subject: queueEntry.message_subject,
+            message_body: `${queueEntry.message_body}\n\n[ERROR: ${errorMessage || 'Unknown error'}]`
+        });
+
+    if (logError) {
+        console.log('Error creating chaser log:', logError);
+    }
+
+    return { recorded: true, error: null };
+}
+
+/**
+ * Record a failed send attempt: back off and retry, or dead-letter the chaser
+ * once MAX_ATTEMPTS is reached. Only applies while the caller still holds the
+ * chaser's lease, so a run whose lease expired can't undo another run's work
+ * @param {object} client - Supabase client
+ * @param {object} queueEntry - chaser_queue row (attempt_count before this attempt)
+ * @param {string} errorMessage - Failure reason
+ * @param {object} options - { retryTransports } - adapters the retry goes through
+ * (defaults to the ones this attempt used)
+ * @returns {Promise<object>} { attempts, deadLettered, nextAttemptAt, error } -
+ * nextAttemptAt is null when nothing was updated (dead-lettered, lease lost or error)
+ */
+async function recordChaserAttemptFailed(client, queueEntry, errorMessage, { retryTransports = queueEntry.retry_transports } = {}) {
+    const attempts = (queueEntry.attempt_count || 0) + 1;
+    const lastAttemptAt = new Date();
+
+    if (attempts >= MAX_ATTEMPTS) {
+        const { data: deadLettered, error: updateQueueError } = await client
+            .from('chaser_queue')
+            .update({
+                status: 'dead_letter',
+                attempt_count: attempts,
+                last_attempt_at: lastAttemptAt.toISOString(),
+                next_attempt_at: null,
+                last_error: errorMessage || 'Unknown error',
+                retry_transports: retryTransports || null,
+                lease_owner: null,
+                lease_expires_at: null
+            })
+            .eq('id', queueEntry.id)
+            .eq('status', 'processing')
+            .eq('lease_owner', queueEntry.lease_owner)
+            .select('id');
+
+        if (updateQueueError) {
+            console.log('Error dead-lettering queue entry:', updateQueueError);
+            return { attempts, deadLettered: false, nextAttemptAt: null, error: updateQueueError };
+        }
+
+        if (!deadLettered || deadLettered.length === 0) {
+            // The lease expired and another run (or a callback) took over the chaser
+            return { attempts, deadLettered: false, nextAttemptAt: null, error: null };
+        }
+
+        const { error: logError } = await client
+            .from('chaser_logs')
+            .insert({
+                workspace_id: queueEntry.workspace_id,
+                task_id: queueEntry.task_id,
+                queue_id: queueEntry.id,
+                sent_at: lastAttemptAt.toISOString(),
+                status: 'dead_letter',
+                recipient_email: queueEntry.recipient_email,
+                message_subject: queueEntry.message_subject,
+                message_body: `${queueEntry.message_body}\n\n[ERROR after ${attempts} attempts: ${errorMessage || 'Unknown error'}]`
+            });
+
+        if (logError) {
+            console.log('Error creating chaser log:', logError);
+        }
+
+        return { attempts, deadLettered: true, nextAttemptAt: null, error: null };
+    }
+
+    // Release back to pending, but hold it back until the backoff has elapsed
+    const nextAttemptAt = new Date(lastAttemptAt.getTime() + getRetryDelayMs(attempts));
+
+    const { data: released, error: updateQueueError } = await client
+        .from('chaser_queue')
+        .update({
+            status: 'pending',
+            lease_owner: null,
+            lease_expires_at: null,
+            attempt_count: attempts,
+            last_attempt_at: lastAttemptAt.toISOString(),
+            next_attempt_at: nextAttemptAt.toISOString(),
+            last_error: errorMessage || 'Unknown error',
+            retry_transports: retryTransports || null
+        })
+        .eq('id', queueEntry.id)
+        .eq('status', 'processing')
+        .eq('lease_owner', queueEntry.lease_owner)
+        .select('id');
+
+    if (updateQueueError) {
+        console.log('Error updating queue entry:', updateQueueError);
+        return { attempts, deadLettered: false, nextAttemptAt: null, error: updateQueueError };
+    }
+
+    if (!released || released.length === 0) {
+        return { attempts, deadLettered: false, nextAttemptAt: null, error: null };
+    }
+
+    return { attempts, deadLettered: false, nextAttemptAt, error: null };
+}
+
+/**
+ * Hand a claimed chaser back without counting an attempt, for reasons that are
+ * not the transport's fault (e.g. the workspace has no integration set up yet).
+ * It is picked up again after the first retry delay. Like
+ * recordChaserAttemptFailed, only applies while the caller holds the lease.
+ * @param {object} client - Supabase client
+ * @param {object} queueEntry - chaser_queue row
+ * @param {string} reason - Why it was not sent, kept in last_error
+ * @returns {Promise<object>} { nextAttemptAt }
+ */
+async function releaseChaser(client, queueEntry, reason) {
+    const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(1));
+
+    const { error } = await client
+        .from('chaser_queue')
+        .update({
+            status: 'pending',
+            lease_owner: null,
+            lease_expires_at: null,
+            next_attempt_at: nextAttemptAt.toISOString(),
+            last_error: reason
+        })
+        .eq('id', queueEntry.id)
+        .eq('status', 'processing')
+        .eq('lease_owner', queueEntry.lease_owner);
+
+    if (error) {
+        console.log('Error releasing queue entry:', error);
+    }
+
+    return { nextAttemptAt };
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    getRetryDelayMs,
+    recordChaserSent,
+    recordChaserFailed,
+    recordChaserAttemptFailed,
+    releaseChaser
+};
@@ -1,54 +1,43 @@
 /**
  * Email Template Generator
- * Generates HTML email content for chasers and nudges
+ * Generates chaser and nudge emails as HTML with a matching plain-text part;
+ * the subject and message come from the tier's email template (see
+ * messageTemplates.js). Task and assignee text is escaped in the HTML part.
+ * When signed action links are given (see taskActions.js) both parts offer
+ * them under the task link.
  */
 
-function generateEmailHtml(task, tier, timeRemainingText, frontendUrl) {
-    const priority = (task.priority || 'medium').charAt(0).toUpperCase() + (task.priority || 'medium').slice(1);
-    const dueDate = task.due_date ? new Date(task.due_date).toLocaleString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit'
-    }) : 'No due date';
+const { escapeHtml, renderText, buildTemplateVariables, renderMessage } = require('./messageTemplates');
+const { DEFAULT_LOCALE, uiStrings, formatDueDate } = require('./localization');
+
+/**
+ * Build a chaser or nudge email
+ * @param {object} task - Task row
+ * @param {number} tier - 0 = manual nudge, 1-4 = tone level, 5 = overdue
+ * @param {string} timeRemainingText - e.g. "3 hours"
+ * @param {string} frontendUrl - Dashboard base URL for the task link
+ * @param {object} templates - Workspace overrides from loadMessageTemplates()
+ * @param {object} recipient - { locale, timeZone } from loadRecipientLocale()
+ * @param {object} actionLinks - { done, snooze, extend } from buildActionLinks(), or null
+ * @returns {object} { subject, html, text }
+ */
+function generateEmailHtml(task, tier, timeRemainingText, frontendUrl, templates = {}, recipient = {}, actionLinks = null) {
+    const { locale = DEFAULT_LOCALE } = recipient;
+    const strings = uiStrings(locale);
+    const dueDate = formatDueDate(task.due_date, recipient);
     const taskLink = `${frontendUrl}/tasks/${task.id}`;
 
-    // Tier definitions
-    const tierConfig = {
-        0: { // Manual Nudge
-            subject: `👉 Nudge: ${task.title}`,
-            intro: `Hi ${task.assignee_name || 'there'},`,
-            message: "This is a friendly nudge about your task:"
-        },
-        1: { // Upcoming
-            subject: `Upcoming: ${task.title} - Due in ${timeRemainingText}`,
-            intro: `Hi ${task.assignee_name || 'there'},`,
-            message: "This is a friendly reminder about your upcoming task:"
-        },
-        2: { // Reminder
-            subject: `Reminder: ${task.title} - Due in ${timeRemainingText}`,
-            intro: `Hi ${task.assignee_name || 'there'},`,
-            message: `This is a reminder that your task is due in <strong>${timeRemainingText}</strong>. Please update your progress.`
-        },
-        3: { // Urgent
-            subject: `⚠️ URGENT: ${task.title} - Only ${timeRemainingText} remaining!`,
-            intro: `Hi ${task.assignee_name || 'there'},`,
-            message: `This is an urgent reminder. Your task is due in <strong>${timeRemainingText}</strong>. Please prioritize this.`
-        },
-        4: { // Critical
-            subject: `🚨 CRITICAL: ${task.title} - Immediate Action Required!`,
-            intro: `Hi ${task.assignee_name || 'there'},`,
-            message: `<strong>Critical Alert!</strong> Your task is due in <strong>${timeRemainingText}</strong>. Immediate action is required to avoid being overdue.`
-        }
+    const variables = buildTemplateVariables(task, { timeRemainingText, dueDate, frontendUrl, locale });
+    const { subject, body, text: messageText } = renderMessage(templates, tier, 'email', variables, locale);
+    const config = {
+        subject,
+        intro: renderText(strings.greeting, variables, escapeHtml),
+        message: body
     };
 
-    const config = tierConfig[tier] || tierConfig[0];
-
     const html = `
 <!DOCTYPE html>
-<html>
+<html lang="${locale}">
 <head>
 <style>
   body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; }
@@ -62,13 +51,15 @@ function generateEmailHtml(task, tier, timeRemainingText, frontendUrl) {
   .value { color: #111827; font-weight: 500; }
   .btn { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: #ffffff !important; text-decoration: none; border-radius: 6px; font-weight: 600; text-align: center; transition: background-color 0.2s; }
   .btn:hover { background-color: #4338ca; }
+  .actions { margin-top: 16px; text-align: center; font-size: 14px; }
+  .actions a { display: inline-block; margin: 4px 6px; padding: 8px 16px; border: 1px solid #4F46E5; border-radius: 6px; color: #4F46E5; text-decoration: none; font-weight: 600; }
   .footer { margin-top: 40px; font-size: 13px; color: #6b7280; border-top: 1px solid #e5e7eb; padding-top: 20px; text-align: center; }
 </style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <h2>${config.subject}</h2>
+      <h2>${escapeHtml(config.subject)}</h2>
     </div>
     
     <p>${config.intro}</p>
@@ -76,32 +67,62 @@ function generateEmailHtml(task, tier, timeRemainingText, frontendUrl) {
     
     <div class="task-details">
       <div class="detail-row">
-        <span class="label">Task:</span>
-        <span class="value">${task.title}</span>
+        <span class="label">${strings.task}</span>
+        <span class="value">${escapeHtml(variables.task_title)}</span>
       </div>
       <div class="detail-row">
-        <span class="label">Priority:</span>
-        <span class="value">${priority}</span>
+        <span class="label">${strings.priority}</span>
+        <span class="value">${escapeHtml(variables.priority)}</span>
       </div>
       <div class="detail-row">
-        <span class="label">Due Date:</span>
-        <span class="value">${dueDate}</span>
+        <span class="label">${strings.due_date}</span>
+        <span class="value">${escapeHtml(dueDate)}</span>
       </div>
     </div>
     
     <div style="text-align: center;">
-        <a href="${taskLink}" class="btn">View Task</a>
+        <a href="${escapeHtml(taskLink)}" class="btn">${strings.view_task}</a>
     </div>
+    ${actionLinks ? `
+    <div class="actions">
+        <a href="${escapeHtml(actionLinks.done)}">✅ ${strings.actions.done}</a>
+        <a href="${escapeHtml(actionLinks.snooze)}">⏰ ${strings.actions.snooze}</a>
+        <a href="${escapeHtml(actionLinks.extend)}">📅 ${strings.actions.extend}</a>
+    </div>` : ''}
     
     <div class="footer">
-      <p>Automated notification sent by Chaser Agent System</p>
+      <p>${strings.footer}</p>
     </div>
   </div>
 </body>
 </html>
     `;
 
-    return { subject: config.subject, html };
+    const text = [
+        renderText(strings.greeting, variables, value => value),
+        '',
+        messageText,
+        '',
+        `${strings.task} ${variables.task_title}`,
+        `${strings.priority} ${variables.priority}`,
+        `${strings.due_date} ${dueDate}`,
+        '',
+        `${strings.view_task}:`,
+        taskLink,
+        ...(actionLinks
+            ? [
+                '',
+                `${strings.actions.done}: ${actionLinks.done}`,
+                `${strings.actions.snooze}: ${actionLinks.snooze}`,
+                `${strings.actions.extend}: ${actionLinks.extend}`
+            ]
+            : []),
+        '',
+        '--',
+        strings.footer
+    ].join('\n');
+
+    return { subject: config.subject, html, text };
 }
 
 module.exports = { generateEmailHtml };
@@ -0,0 +1,210 @@
+/**
+ * Escalation Contacts
+ * Manager escalation chain: contacts who are copied on, or separately told
+ * about, chasers once a task reaches a given tier or goes overdue
+ */
+
+const { escapeHtml } = require('./messageTemplates');
+
+// How a contact hears about the task: copied on the assignee's email, or a separate notice
+const ESCALATION_MODES = ['cc', 'notify'];
+const MAX_CHAIN_LENGTH = 5;
+
+/**
+ * Validate an escalation chain. Contacts are listed in chain order (level 1 first):
+ * [{ "email": "lead@example.com", "name": "Team lead", "from_tier": 4, "mode": "cc" },
+ *  { "email": "head@example.com", "from_tier": 5, "from_followup": 2, "mode": "notify" }]
+ * from_tier 5 is the overdue phase; from_followup delays a contact to the Nth overdue follow-up.
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEscalationContacts(contacts) {
+    if (contacts === null || contacts === undefined) return null;
+
+    if (!Array.isArray(contacts)) {
+        return 'escalation_contacts must be an array or null';
+    }
+    if (contacts.length > MAX_CHAIN_LENGTH) {
+        return `escalation_contacts supports at most ${MAX_CHAIN_LENGTH} levels`;
+    }
+
+    for (const [index, contact] of contacts.entries()) {
+        const label = `escalation_contacts[${index}]`;
+
+        if (!contact || typeof contact !== 'object') {
+            return `${label} must be an object`;
+        }
+        if (!contact.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+            return `${label}.email must be a valid email`;
+        }
+        if (!Number.isInteger(contact.from_tier) || contact.from_tier < 1 || contact.from_tier > 5) {
+            return `${label}.from_tier must be an integer between 1 and 5 (5 = overdue)`;
+        }
+        if (contact.from_followup !== undefined && contact.from_followup !== null) {
+            if (contact.from_tier !== 5) {
+                return `${label}.from_followup only applies with from_tier 5`;
+            }
+            if (!Number.isInteger(contact.from_followup) || contact.from_followup < 1) {
+                return `${label}.from_followup must be a positive integer`;
+            }
+        }
+        if (contact.mode !== undefined && !ESCALATION_MODES.includes(contact.mode)) {
+            return `${label}.mode must be one of: ${ESCALATION_MODES.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalize a validated chain for storage
+ */
+function normalizeEscalationContacts(contacts) {
+    if (!Array.isArray(contacts) || contacts.length === 0) return null;
+
+    return contacts.map(contact => ({
+        email: contact.email.trim().toLowerCase(),
+        name: contact.name?.trim() || null,
+        from_tier: contact.from_tier,
+        from_followup: contact.from_followup || null,
+        mode: contact.mode || 'notify'
+    }));
+}
+
+/**
+ * The chain that applies to a task: its own, else its assignee's
+ * @param {object} client - Supabase client
+ * @param {object} task - Task row (with workspace_id, escalation_contacts)
+ * @param {object} cache - Optional per-run cache of assignee chains
+ */
+async function resolveEscalationContacts(client, task, cache = null) {
+    if (Array.isArray(task?.escalation_contacts) && task.escalation_contacts.length > 0) {
+        return task.escalation_contacts;
+    }
+    if (!task?.assignee_email) return [];
+
+    const email = task.assignee_email.toLowerCase();
+    const cacheKey = `${task.workspace_id}:${email}`;
+    if (cache && cacheKey in cache) return cache[cacheKey];
+
+    const { data: assignee, error } = await client
+        .from('assignees')
+        .select('escalation_contacts')
+        .eq('workspace_id', task.workspace_id)
+        .eq('email', email)
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error loading assignee escalation contacts:', error);
+    }
+
+    const contacts = Array.isArray(assignee?.escalation_contacts) ? assignee.escalation_contacts : [];
+    if (cache) cache[cacheKey] = contacts;
+    return contacts;
+}
+
+/**
+ * Contacts whose level has been reached by a chaser, with their 1-based level
+ */
+function contactsForChaser(contacts, chaser, assigneeEmail = null) {
+    const tier = chaser.escalation_tier || 0;
+    const followup = chaser.overdue_followup || 0;
+    const assignee = assigneeEmail?.toLowerCase();
+
+    return (contacts || [])
+        .map((contact, index) => ({ ...contact, mode: contact.mode || 'notify', level: index + 1 }))
+        .filter(contact => tier >= contact.from_tier &&
+            (!contact.from_followup || followup >= contact.from_followup) &&
+            contact.email.toLowerCase() !== assignee);
+}
+
+/**
+ * Separate notice telling an escalation contact that a task is being ignored
+ * @returns {object} { subject, html, text }
+ */
+function buildEscalationNotice(task, contact, { timeRemainingText, overdue, dueDate, taskLink }) {
+    const assignee = task?.assignee_name || task?.assignee_email || 'The assignee';
+    const name = contact.name || 'there';
+    const title = task?.title || 'Task';
+    const priority = task?.priority || 'medium';
+    const state = overdue ? `${timeRemainingText} overdue` : `due in ${timeRemainingText}`;
+
+    const subject = overdue
+        ? `Escalation: "${title}" is overdue`
+        : `Escalation: "${title}" is due soon`;
+
+    const html = `
+<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1F2937;">
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>You are receiving this as escalation level ${contact.level} for a task assigned to ${escapeHtml(assignee)}. It is <strong>${escapeHtml(state)}</strong> and has not been completed yet.</p>
+    <p><strong>Task:</strong> ${escapeHtml(title)}<br><strong>Priority:</strong> ${escapeHtml(priority)}<br><strong>Due:</strong> ${escapeHtml(dueDate)}</p>
+    <p><a href="${escapeHtml(taskLink)}" style="color: #4F46E5;">View task</a></p>
+</div>`;
+
+    const text = [
+        `Hi ${name},`,
+        '',
+        `You are receiving this as escalation level ${contact.level} for a task assigned to ${assignee}. It is ${state} and has not been completed yet.`,
+        '',
+        `Task: ${title}`,
+        `Priority: ${priority}`,
+        `Due: ${dueDate}`,
+        '',
+        `View task: ${taskLink}`
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+/**
+ * Addresses already sent a separate escalation notice for a task. 'notify'
+ * contacts get one notice per task, not one per chaser tier
+ * @returns {Promise<Set<string>>} lowercased emails
+ */
+async function loadNotifiedContacts(client, chaser) {
+    const { data, error } = await client
+        .from('chaser_logs')
+        .select('recipient_email')
+        .eq('workspace_id', chaser.workspace_id)
+        .eq('task_id', chaser.task_id)
+        .eq('status', 'escalated')
+        .eq('escalation_mode', 'notify');
+
+    if (error) throw error;
+    return new Set((data || []).map(row => (row.recipient_email || '').toLowerCase()));
+}
+
+/**
+ * Record escalations in chaser_logs under the contact's own address
+ */
+async function recordEscalations(client, chaser, entries) {
+    if (entries.length === 0) return;
+
+    const { error } = await client
+        .from('chaser_logs')
+        .insert(entries.map(({ contact, subject }) => ({
+            workspace_id: chaser.workspace_id,
+            task_id: chaser.task_id,
+            queue_id: chaser.id,
+            status: 'escalated',
+            recipient_email: contact.email,
+            message_subject: subject,
+            escalation_level: contact.level,
+            escalation_mode: contact.mode,
+            sent_at: new Date().toISOString()
+        })));
+
+    if (error) {
+        console.log('Error recording escalations:', error);
+    }
+}
+
+module.exports = {
+    ESCALATION_MODES,
+    validateEscalationContacts,
+    normalizeEscalationContacts,
+    resolveEscalationContacts,
+    contactsForChaser,
+    buildEscalationNotice,
+    loadNotifiedContacts,
+    recordEscalations
+};
@@ -0,0 +1,153 @@
+/**
+ * Exporters
+ * CSV and iCalendar (ICS) serialization for task and chaser log exports
+ */
+
+const TASK_CSV_COLUMNS = [
+    'id', 'title', 'status', 'priority', 'assignee_name', 'assignee_email', 'due_date',
+    'total_chasers_sent', 'last_chaser_sent_at', 'recurrence_rule', 'slack_channel',
+    'created_at', 'updated_at'
+];
+
+const CHASER_LOG_CSV_COLUMNS = [
+    'sent_at', 'task_id', 'task_title', 'status', 'recipient_email', 'message_subject',
+    'escalation_level', 'escalation_mode', 'boltic_execution_id', 'created_at'
+];
+
+// Event length for a task's due date in calendar exports
+const ICS_EVENT_MINUTES = 15;
+
+// Supabase caps rows per response, so exports are read a page at a time
+const EXPORT_PAGE_SIZE = 1000;
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Read every row of a query, up to MAX_EXPORT_ROWS
+ * @param {Function} buildQuery - Returns a fresh, ordered Supabase query
+ * @returns {Promise<object>} { rows, error }
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    while (rows.length < MAX_EXPORT_ROWS) {
+        const { data, error } = await buildQuery().range(rows.length, rows.length + EXPORT_PAGE_SIZE - 1);
+        if (error) return { rows: null, error };
+
+        rows.push(...data);
+        if (data.length < EXPORT_PAGE_SIZE) break;
+    }
+    return { rows: rows.slice(0, MAX_EXPORT_ROWS), error: null };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating user-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV with a header row
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns - Keys to export, in order
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function icsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Grows with every edit so subscribed calendars replace the old event
+function icsSequence(task) {
+    return Math.max(0, Math.floor((new Date(task.updated_at) - new Date(task.created_at)) / 1000));
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar file with one event at each task's due date
+ * @param {Array<object>} tasks - Task rows
+ * @param {object} options - { name: calendar name, taskLink: task => URL,
+ *                            refreshMinutes: how often subscribers should re-fetch }
+ */
+function buildIcsCalendar(tasks, { name = 'Chaser Agent Tasks', taskLink = null, refreshMinutes = null } = {}) {
+    const now = icsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Chaser Agent//Tasks//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+        ...(refreshMinutes
+            ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`]
+            : [])
+    ];
+
+    for (const task of tasks) {
+        const due = new Date(task.due_date);
+        const link = taskLink ? taskLink(task) : null;
+        const description = [
+            `Priority: ${task.priority || 'medium'}`,
+            `Assignee: ${task.assignee_name || task.assignee_email}`,
+            `Status: ${task.status}`,
+            link ? `Link: ${link}` : null
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${task.id}@chaser-agent`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${icsDate(due)}`,
+            `DTEND:${icsDate(due.getTime() + ICS_EVENT_MINUTES * 60 * 1000)}`,
+            `SUMMARY:${icsText(`${task.status === 'completed' ? '✅ ' : ''}Due: ${task.title}`)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            ...(link ? [`URL:${link}`] : []),
+            ...(task.updated_at ? [`LAST-MODIFIED:${icsDate(task.updated_at)}`] : []),
+            ...(task.updated_at && task.created_at ? [`SEQUENCE:${icsSequence(task)}`] : []),
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    MAX_EXPORT_ROWS,
+    TASK_CSV_COLUMNS,
+    CHASER_LOG_CSV_COLUMNS,
+    fetchAllRows,
+    toCsv,
+    buildIcsCalendar
+};
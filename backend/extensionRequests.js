@@ -0,0 +1,237 @@
+/**
+ * Extension Requests
+ * An assignee proposes a later due date with a reason; the task's owner
+ * approves or rejects it. Approving moves the deadline (see the
+ * rescheduleTask helper in server.js), so the calendar event and the chaser
+ * schedule follow. A task has at most one pending request.
+ */
+
+const { escapeHtml } = require('./messageTemplates');
+
+const MAX_REASON_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 1000;
+
+// Postgres unique_violation: the partial unique index allows one pending request per task
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validate a proposed due date and reason for a task
+ * @returns {object} { error, proposedDueDate }
+ */
+function validateExtensionRequest(task, { proposed_due_date: proposed, reason }) {
+    const proposedDueDate = new Date(proposed);
+
+    if (!proposed || isNaN(proposedDueDate.getTime())) {
+        return { error: 'proposed_due_date must be a valid date', proposedDueDate: null };
+    }
+    if (proposedDueDate <= new Date(task.due_date) || proposedDueDate <= new Date()) {
+        return { error: 'proposed_due_date must be later than the current due date and in the future', proposedDueDate: null };
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return { error: 'reason is required', proposedDueDate: null };
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        return { error: `reason must be at most ${MAX_REASON_LENGTH} characters`, proposedDueDate: null };
+    }
+    return { error: null, proposedDueDate };
+}
+
+/**
+ * Store a pending request
+ * @returns {Promise<object>} { request, error, duplicate } - duplicate is true
+ *   when the task already has a pending request
+ */
+async function createExtensionRequest(client, task, { requesterEmail, proposedDueDate, reason }) {
+    const { data: request, error } = await client
+        .from('extension_requests')
+        .insert({
+            workspace_id: task.workspace_id,
+            task_id: task.id,
+            requested_by_email: requesterEmail.toLowerCase(),
+            current_due_date: task.due_date,
+            proposed_due_date: proposedDueDate.toISOString(),
+            reason: reason.trim()
+        })
+        .select()
+        .single();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+        return { request: null, error: null, duplicate: true };
+    }
+    return { request: request || null, error, duplicate: false };
+}
+
+/**
+ * Record an owner's decision on a pending request
+ * @returns {Promise<object>} { request, error } - request is null when it was no longer pending
+ */
+async function decideExtensionRequest(client, request, { approved, decidedBy, note }) {
+    const { data, error } = await client
+        .from('extension_requests')
+        .update({
+            status: approved ? 'approved' : 'rejected',
+            decided_by: decidedBy,
+            decision_note: note?.trim() || null,
+            decided_at: new Date().toISOString()
+        })
+        .eq('workspace_id', request.workspace_id)
+        .eq('id', request.id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    return { request: data || null, error };
+}
+
+/**
+ * Put an approved request back to pending when its new due date could not be
+ * applied, so an owner can decide on it again
+ */
+async function reopenExtensionRequest(client, request) {
+    const { error } = await client
+        .from('extension_requests')
+        .update({
+            status: 'pending',
+            decided_by: null,
+            decision_note: null,
+            decided_at: null
+        })
+        .eq('workspace_id', request.workspace_id)
+        .eq('id', request.id)
+        .eq('status', 'approved');
+
+    return { error };
+}
+
+/**
+ * A task's requests, newest first
+ */
+async function loadExtensionRequests(client, workspaceId, taskId) {
+    const { data, error } = await client
+        .from('extension_requests')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        console.log('Error loading extension requests:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Who decides on requests: the task's creator, or the workspace admins when
+ * the creator is gone
+ * @returns {Promise<Array<object>>} Users as { email, name }
+ */
+async function loadTaskOwners(client, task) {
+    if (task.created_by) {
+        const { data: creator, error } = await client
+            .from('users')
+            .select('email, name')
+            .eq('workspace_id', task.workspace_id)
+            .eq('id', task.created_by)
+            .maybeSingle();
+
+        if (error) {
+            console.log('Error loading task creator:', error);
+        }
+        if (creator) return [creator];
+    }
+
+    const { data: admins, error: adminsError } = await client
+        .from('users')
+        .select('email, name')
+        .eq('workspace_id', task.workspace_id)
+        .eq('role', 'admin');
+
+    if (adminsError) {
+        console.log('Error loading workspace admins:', adminsError);
+        return [];
+    }
+    return admins || [];
+}
+
+/**
+ * Notice asking a task owner to decide on a request
+ * @param {object} dates - { currentDueDate, proposedDueDate } formatted for the owner
+ * @returns {object} { subject, html, text }
+ */
+function buildExtensionRequestNotice(task, owner, request, { currentDueDate, proposedDueDate, taskLink }) {
+    const name = owner.name || 'there';
+    const title = task?.title || 'Task';
+    const requester = request.requested_by_email;
+    const subject = `More time requested: "${title}"`;
+
+    const html = `
+<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1F2937;">
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(requester)} has asked for more time on a task you own. Open the task to approve or reject the request; if you approve it, the deadline, calendar event and chasers move to the new date.</p>
+    <p><strong>Task:</strong> ${escapeHtml(title)}<br><strong>Due:</strong> ${escapeHtml(currentDueDate)}<br><strong>Proposed:</strong> ${escapeHtml(proposedDueDate)}</p>
+    <p><strong>Reason:</strong> ${escapeHtml(request.reason)}</p>
+    <p><a href="${escapeHtml(taskLink)}" style="color: #4F46E5;">Review request</a></p>
+</div>`;
+
+    const text = [
+        `Hi ${name},`,
+        '',
+        `${requester} has asked for more time on a task you own. Open the task to approve or reject the request; if you approve it, the deadline, calendar event and chasers move to the new date.`,
+        '',
+        `Task: ${title}`,
+        `Due: ${currentDueDate}`,
+        `Proposed: ${proposedDueDate}`,
+        '',
+        `Reason: ${request.reason}`,
+        '',
+        `Review request: ${taskLink}`
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+/**
+ * Notice telling the requester what was decided
+ * @param {string} dueDate - The due date now in effect, formatted for the requester
+ * @returns {object} { subject, html, text }
+ */
+function buildExtensionDecisionNotice(task, request, { dueDate, taskLink }) {
+    const approved = request.status === 'approved';
+    const title = task?.title || 'Task';
+    const subject = approved ? `More time approved: "${title}"` : `More time declined: "${title}"`;
+    const outcome = approved
+        ? `Your request for more time was approved. The task is now due ${dueDate}.`
+        : `Your request for more time was declined. The task is still due ${dueDate}.`;
+
+    const html = `
+<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1F2937;">
+    <p>${escapeHtml(outcome)}</p>
+    <p><strong>Task:</strong> ${escapeHtml(title)}</p>
+    ${request.decision_note ? `<p><strong>Note:</strong> ${escapeHtml(request.decision_note)}</p>` : ''}
+    <p><a href="${escapeHtml(taskLink)}" style="color: #4F46E5;">View task</a></p>
+</div>`;
+
+    const text = [
+        outcome,
+        '',
+        `Task: ${title}`,
+        ...(request.decision_note ? [`Note: ${request.decision_note}`] : []),
+        '',
+        `View task: ${taskLink}`
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+module.exports = {
+    MAX_NOTE_LENGTH,
+    validateExtensionRequest,
+    createExtensionRequest,
+    decideExtensionRequest,
+    reopenExtensionRequest,
+    loadExtensionRequests,
+    loadTaskOwners,
+    buildExtensionRequestNotice,
+    buildExtensionDecisionNotice
+};
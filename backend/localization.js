@@ -0,0 +1,111 @@
+/**
+ * Localization
+ * Recipient locale and time zone for chaser copy: dates are shown in the
+ * recipient's own time zone and language, durations and priorities in their
+ * language. Recipients without assignee settings get English in the server's
+ * time zone, as before.
+ */
+
+const { BUILT_IN_TEMPLATES, UI_STRINGS } = require('./messageCatalogs');
+const { isValidTimeZone } = require('./workingHours');
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(BUILT_IN_TEMPLATES);
+
+// Intl locale used to format dates and numbers for each catalog locale
+const INTL_LOCALES = {
+    en: 'en-US',
+    es: 'es-ES',
+    fr: 'fr-FR',
+    de: 'de-DE'
+};
+
+function isSupportedLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale);
+}
+
+function uiStrings(locale) {
+    return UI_STRINGS[locale] || UI_STRINGS[DEFAULT_LOCALE];
+}
+
+/**
+ * Long due date, e.g. "Monday, November 2, 2026 at 5:00 PM GMT+1"
+ * @param {string|Date} date
+ * @param {object} recipient - { locale, timeZone } (timeZone null: server time zone)
+ */
+function formatDueDate(date, { locale = DEFAULT_LOCALE, timeZone = null } = {}) {
+    if (!date) return uiStrings(locale).no_due_date;
+
+    return new Date(date).toLocaleString(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        // Name the zone whenever it is the recipient's rather than the server's
+        ...(timeZone ? { timeZone, timeZoneName: 'short' } : {})
+    });
+}
+
+/**
+ * Hours as "45 minutes" / "3 hours" in the locale's language
+ */
+function formatDuration(hours, locale = DEFAULT_LOCALE) {
+    const [value, unit] = hours < 1 ? [Math.round(hours * 60), 'minute'] : [Math.round(hours), 'hour'];
+    return new Intl.NumberFormat(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], {
+        style: 'unit',
+        unit,
+        unitDisplay: 'long'
+    }).format(value);
+}
+
+function formatPriority(priority, locale = DEFAULT_LOCALE) {
+    const key = priority || 'medium';
+    return uiStrings(locale).priorities[key] || key;
+}
+
+/**
+ * Locale and time zone for a recipient, from their assignee settings
+ * @param {object} cache - Optional per-run cache keyed by workspace and email
+ * @returns {Promise<object>} { locale, timeZone }
+ */
+async function loadRecipientLocale(client, email, workspaceId, cache = null) {
+    const fallback = { locale: DEFAULT_LOCALE, timeZone: null };
+    if (!email) return fallback;
+
+    const cacheKey = `${workspaceId}:${email.toLowerCase()}`;
+    if (cache && cacheKey in cache) return cache[cacheKey];
+
+    const { data: assignee, error } = await client
+        .from('assignees')
+        .select('locale, time_zone')
+        .eq('workspace_id', workspaceId)
+        .eq('email', email.toLowerCase())
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error loading assignee locale:', error);
+    }
+
+    const recipient = assignee
+        ? {
+            locale: isSupportedLocale(assignee.locale) ? assignee.locale : DEFAULT_LOCALE,
+            timeZone: isValidTimeZone(assignee.time_zone) ? assignee.time_zone : null
+        }
+        : fallback;
+
+    if (cache) cache[cacheKey] = recipient;
+    return recipient;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    isSupportedLocale,
+    uiStrings,
+    formatDueDate,
+    formatDuration,
+    formatPriority,
+    loadRecipientLocale
+};
@@ -0,0 +1,374 @@
+/**
+ * Message Catalogs
+ * Built-in chaser copy for each supported locale: a template per tier and
+ * channel (see messageTemplates.js), plus the fixed strings of the email layout.
+ * Email template bodies are HTML (the paragraph under the greeting); Slack
+ * bodies are mrkdwn; SMS and call bodies are plain text.
+ */
+
+function slackDetails({ task, priority, due }) {
+    return `📋 *${task}* {{task_title}}\n⚡ *${priority}* {{priority}}\n📅 *${due}* {{due_date}}`;
+}
+
+const EN_DETAILS = slackDetails({ task: 'Task:', priority: 'Priority:', due: 'Due:' });
+const ES_DETAILS = slackDetails({ task: 'Tarea:', priority: 'Prioridad:', due: 'Vence:' });
+const FR_DETAILS = slackDetails({ task: 'Tâche :', priority: 'Priorité :', due: 'Échéance :' });
+const DE_DETAILS = slackDetails({ task: 'Aufgabe:', priority: 'Priorität:', due: 'Fällig:' });
+
+const BUILT_IN_TEMPLATES = {
+    en: {
+        0: {
+            email: {
+                subject: '👉 Nudge: {{task_title}}',
+                body: 'This is a friendly nudge about your task:'
+            },
+            slack: { body: '👋 *Nudge*\n\nJust checking in on this task:\n\n📋 *Task:* {{task_title}}\n📅 *Due:* {{due_date}}\n\nPlease provide a progress report.\n\n<{{task_link}}|🔗 View Task>' },
+            sms: { body: '👉 Nudge: {{task_title}} - Please check on this.' },
+            call: { body: 'Hello. This is a manual nudge for your task {{task_title}}.' }
+        },
+        1: {
+            email: {
+                subject: 'Upcoming: {{task_title}} - Due in {{time_remaining}}',
+                body: 'This is a friendly reminder about your upcoming task:'
+            },
+            slack: { body: `📋 *Upcoming Task*\n\nHey {{assignee_name}}! 👋\n\nFriendly reminder about your task:\n\n${EN_DETAILS}\n\n<{{task_link}}|🔗 View Task>` },
+            sms: { body: '📋 Reminder: {{task_title}} due in {{time_remaining}}.' },
+            call: { body: 'Hello {{assignee_name}}. This is a friendly reminder about your task: {{task_title}}. It is due in {{time_remaining}}.' }
+        },
+        2: {
+            email: {
+                subject: 'Reminder: {{task_title}} - Due in {{time_remaining}}',
+                body: 'This is a reminder that your task is due in <strong>{{time_remaining}}</strong>. Please update your progress.'
+            },
+            slack: { body: `🔔 *Task Reminder*\n\nHey {{assignee_name}}! 👋\n\n*{{time_remaining}} remaining* for your task:\n\n${EN_DETAILS}\n\n<{{task_link}}|🔗 View Task>` },
+            sms: { body: '📋 Reminder: {{task_title}} due in {{time_remaining}}. Please plan accordingly.' },
+            call: { body: 'Hello {{assignee_name}}. Reminder: Your task {{task_title}} is due in {{time_remaining}}. Please plan accordingly.' }
+        },
+        3: {
+            email: {
+                subject: '⚠️ URGENT: {{task_title}} - Only {{time_remaining}} remaining!',
+                body: 'This is an urgent reminder. Your task is due in <strong>{{time_remaining}}</strong>. Please prioritize this.'
+            },
+            slack: { body: `⚠️ *URGENT - Action Required*\n\n@{{assignee_name}}\n\n*Only {{time_remaining}} remaining!* Please attend to this task:\n\n${EN_DETAILS}\n\n<{{task_link}}|🔗 View Task NOW>` },
+            sms: { body: '⚠️ URGENT: {{task_title}} - Only {{time_remaining}} remaining! Please attend to it.' },
+            call: { body: 'Hello {{assignee_name}}. Urgent reminder: Only {{time_remaining}} remaining for your task: {{task_title}}. Please attend to it as soon as possible.' }
+        },
+        4: {
+            email: {
+                subject: '🚨 CRITICAL: {{task_title}} - Immediate Action Required!',
+                body: '<strong>Critical Alert!</strong> Your task is due in <strong>{{time_remaining}}</strong>. Immediate action is required to avoid being overdue.'
+            },
+            slack: { body: `🚨 *CRITICAL ALERT*\n\n@{{assignee_name}}\n\n*ONLY {{time_remaining}} REMAINING!*\nThis task will be OVERDUE soon!\n\n${EN_DETAILS}\n\n<{{task_link}}|🔗 TAKE ACTION NOW>` },
+            sms: { body: '🚨 CRITICAL: {{task_title}} - Only {{time_remaining}} left! Will be OVERDUE soon. Take action NOW!' },
+            call: { body: 'ALERT! {{assignee_name}}, this is a critical reminder. Only {{time_remaining}} remaining for your task: {{task_title}}. It will be overdue soon. Please take action immediately.' }
+        },
+        5: {
+            email: {
+                subject: '⏰ OVERDUE: {{task_title}} - {{time_remaining}} past due',
+                body: 'Your task was due <strong>{{time_remaining}} ago</strong> and is now overdue. Please complete it or let us know when it will be done.'
+            },
+            slack: { body: '⏰ *OVERDUE*\n\n@{{assignee_name}}\n\nThis task was due *{{time_remaining}} ago* and is still open:\n\n📋 *Task:* {{task_title}}\n⚡ *Priority:* {{priority}}\n📅 *Was due:* {{due_date}}\n\n<{{task_link}}|🔗 Complete or update the task>' },
+            sms: { body: '⏰ OVERDUE: {{task_title}} was due {{time_remaining}} ago. Please complete it or update the deadline.' },
+            call: { body: 'Hello {{assignee_name}}. Your task {{task_title}} was due {{time_remaining}} ago and is now overdue. Please complete it or update the deadline.' }
+        }
+    },
+    es: {
+        0: {
+            email: {
+                subject: '👉 Recordatorio: {{task_title}}',
+                body: 'Este es un recordatorio amistoso sobre tu tarea:'
+            },
+            slack: { body: '👋 *Recordatorio*\n\nSolo queríamos saber cómo va esta tarea:\n\n📋 *Tarea:* {{task_title}}\n📅 *Vence:* {{due_date}}\n\nPor favor, comparte un informe de progreso.\n\n<{{task_link}}|🔗 Ver tarea>' },
+            sms: { body: '👉 Recordatorio: {{task_title}} - Por favor, revísala.' },
+            call: { body: 'Hola. Este es un recordatorio manual sobre tu tarea {{task_title}}.' }
+        },
+        1: {
+            email: {
+                subject: 'Próximamente: {{task_title}} - Vence en {{time_remaining}}',
+                body: 'Este es un recordatorio amistoso sobre tu próxima tarea:'
+            },
+            slack: { body: `📋 *Próxima tarea*\n\n¡Hola, {{assignee_name}}! 👋\n\nUn recordatorio amistoso sobre tu tarea:\n\n${ES_DETAILS}\n\n<{{task_link}}|🔗 Ver tarea>` },
+            sms: { body: '📋 Recordatorio: {{task_title}} vence en {{time_remaining}}.' },
+            call: { body: 'Hola, {{assignee_name}}. Este es un recordatorio amistoso sobre tu tarea: {{task_title}}. Vence en {{time_remaining}}.' }
+        },
+        2: {
+            email: {
+                subject: 'Recordatorio: {{task_title}} - Vence en {{time_remaining}}',
+                body: 'Te recordamos que tu tarea vence en <strong>{{time_remaining}}</strong>. Por favor, actualiza tu progreso.'
+            },
+            slack: { body: `🔔 *Recordatorio de tarea*\n\n¡Hola, {{assignee_name}}! 👋\n\n*Quedan {{time_remaining}}* para tu tarea:\n\n${ES_DETAILS}\n\n<{{task_link}}|🔗 Ver tarea>` },
+            sms: { body: '📋 Recordatorio: {{task_title}} vence en {{time_remaining}}. Por favor, organízate.' },
+            call: { body: 'Hola, {{assignee_name}}. Recordatorio: tu tarea {{task_title}} vence en {{time_remaining}}. Por favor, organízate.' }
+        },
+        3: {
+            email: {
+                subject: '⚠️ URGENTE: {{task_title}} - ¡Solo quedan {{time_remaining}}!',
+                body: 'Este es un recordatorio urgente. Tu tarea vence en <strong>{{time_remaining}}</strong>. Por favor, dale prioridad.'
+            },
+            slack: { body: `⚠️ *URGENTE - Acción requerida*\n\n@{{assignee_name}}\n\n*¡Solo quedan {{time_remaining}}!* Por favor, atiende esta tarea:\n\n${ES_DETAILS}\n\n<{{task_link}}|🔗 Ver tarea AHORA>` },
+            sms: { body: '⚠️ URGENTE: {{task_title}} - ¡Solo quedan {{time_remaining}}! Por favor, atiéndela.' },
+            call: { body: 'Hola, {{assignee_name}}. Recordatorio urgente: solo quedan {{time_remaining}} para tu tarea: {{task_title}}. Por favor, atiéndela lo antes posible.' }
+        },
+        4: {
+            email: {
+                subject: '🚨 CRÍTICO: {{task_title}} - ¡Se requiere acción inmediata!',
+                body: '<strong>¡Alerta crítica!</strong> Tu tarea vence en <strong>{{time_remaining}}</strong>. Se requiere acción inmediata para que no se venza.'
+            },
+            slack: { body: `🚨 *ALERTA CRÍTICA*\n\n@{{assignee_name}}\n\n*¡SOLO QUEDAN {{time_remaining}}!*\n¡Esta tarea vencerá pronto!\n\n${ES_DETAILS}\n\n<{{task_link}}|🔗 ACTÚA AHORA>` },
+            sms: { body: '🚨 CRÍTICO: {{task_title}} - ¡Solo quedan {{time_remaining}}! Vencerá pronto. ¡Actúa AHORA!' },
+            call: { body: '¡ALERTA! {{assignee_name}}, este es un recordatorio crítico. Solo quedan {{time_remaining}} para tu tarea: {{task_title}}. Vencerá pronto. Por favor, actúa de inmediato.' }
+        },
+        5: {
+            email: {
+                subject: '⏰ VENCIDA: {{task_title}} - {{time_remaining}} de retraso',
+                body: 'Tu tarea venció hace <strong>{{time_remaining}}</strong> y ahora está vencida. Por favor, complétala o avísanos cuándo estará lista.'
+            },
+            slack: { body: '⏰ *VENCIDA*\n\n@{{assignee_name}}\n\nEsta tarea venció hace *{{time_remaining}}* y sigue abierta:\n\n📋 *Tarea:* {{task_title}}\n⚡ *Prioridad:* {{priority}}\n📅 *Vencía:* {{due_date}}\n\n<{{task_link}}|🔗 Completa o actualiza la tarea>' },
+            sms: { body: '⏰ VENCIDA: {{task_title}} venció hace {{time_remaining}}. Por favor, complétala o actualiza la fecha límite.' },
+            call: { body: 'Hola, {{assignee_name}}. Tu tarea {{task_title}} venció hace {{time_remaining}} y ahora está vencida. Por favor, complétala o actualiza la fecha límite.' }
+        }
+    },
+    fr: {
+        0: {
+            email: {
+                subject: '👉 Relance : {{task_title}}',
+                body: 'Voici une petite relance concernant votre tâche :'
+            },
+            slack: { body: "👋 *Relance*\n\nUn petit point sur cette tâche :\n\n📋 *Tâche :* {{task_title}}\n📅 *Échéance :* {{due_date}}\n\nMerci de nous donner un état d'avancement.\n\n<{{task_link}}|🔗 Voir la tâche>" },
+            sms: { body: "👉 Relance : {{task_title}} - Merci d'y jeter un œil." },
+            call: { body: 'Bonjour. Ceci est une relance manuelle pour votre tâche {{task_title}}.' }
+        },
+        1: {
+            email: {
+                subject: 'À venir : {{task_title}} - Échéance dans {{time_remaining}}',
+                body: 'Petit rappel concernant votre tâche à venir :'
+            },
+            slack: { body: `📋 *Tâche à venir*\n\nBonjour {{assignee_name}} ! 👋\n\nPetit rappel concernant votre tâche :\n\n${FR_DETAILS}\n\n<{{task_link}}|🔗 Voir la tâche>` },
+            sms: { body: '📋 Rappel : {{task_title}} arrive à échéance dans {{time_remaining}}.' },
+            call: { body: 'Bonjour {{assignee_name}}. Petit rappel concernant votre tâche : {{task_title}}. Elle arrive à échéance dans {{time_remaining}}.' }
+        },
+        2: {
+            email: {
+                subject: 'Rappel : {{task_title}} - Échéance dans {{time_remaining}}',
+                body: 'Votre tâche arrive à échéance dans <strong>{{time_remaining}}</strong>. Merci de mettre à jour votre avancement.'
+            },
+            slack: { body: `🔔 *Rappel de tâche*\n\nBonjour {{assignee_name}} ! 👋\n\n*Plus que {{time_remaining}}* pour votre tâche :\n\n${FR_DETAILS}\n\n<{{task_link}}|🔗 Voir la tâche>` },
+            sms: { body: '📋 Rappel : {{task_title}} arrive à échéance dans {{time_remaining}}. Merci de vous organiser en conséquence.' },
+            call: { body: 'Bonjour {{assignee_name}}. Rappel : votre tâche {{task_title}} arrive à échéance dans {{time_remaining}}. Merci de vous organiser en conséquence.' }
+        },
+        3: {
+            email: {
+                subject: '⚠️ URGENT : {{task_title}} - Plus que {{time_remaining}} !',
+                body: 'Ceci est un rappel urgent. Votre tâche arrive à échéance dans <strong>{{time_remaining}}</strong>. Merci de la traiter en priorité.'
+            },
+            slack: { body: `⚠️ *URGENT - Action requise*\n\n@{{assignee_name}}\n\n*Plus que {{time_remaining}} !* Merci de traiter cette tâche :\n\n${FR_DETAILS}\n\n<{{task_link}}|🔗 Voir la tâche MAINTENANT>` },
+            sms: { body: "⚠️ URGENT : {{task_title}} - Plus que {{time_remaining}} ! Merci de vous en occuper." },
+            call: { body: 'Bonjour {{assignee_name}}. Rappel urgent : plus que {{time_remaining}} pour votre tâche : {{task_title}}. Merci de vous en occuper dès que possible.' }
+        },
+        4: {
+            email: {
+                subject: '🚨 CRITIQUE : {{task_title}} - Action immédiate requise !',
+                body: '<strong>Alerte critique !</strong> Votre tâche arrive à échéance dans <strong>{{time_remaining}}</strong>. Une action immédiate est nécessaire pour éviter le retard.'
+            },
+            slack: { body: `🚨 *ALERTE CRITIQUE*\n\n@{{assignee_name}}\n\n*PLUS QUE {{time_remaining}} !*\nCette tâche sera bientôt EN RETARD !\n\n${FR_DETAILS}\n\n<{{task_link}}|🔗 AGIR MAINTENANT>` },
+            sms: { body: '🚨 CRITIQUE : {{task_title}} - Plus que {{time_remaining}} ! Bientôt EN RETARD. Agissez MAINTENANT !' },
+            call: { body: "ALERTE ! {{assignee_name}}, ceci est un rappel critique. Plus que {{time_remaining}} pour votre tâche : {{task_title}}. Elle sera bientôt en retard. Merci d'agir immédiatement." }
+        },
+        5: {
+            email: {
+                subject: '⏰ EN RETARD : {{task_title}} - {{time_remaining}} de retard',
+                body: 'Votre tâche était due il y a <strong>{{time_remaining}}</strong> et est maintenant en retard. Merci de la terminer ou de nous indiquer quand elle sera prête.'
+            },
+            slack: { body: '⏰ *EN RETARD*\n\n@{{assignee_name}}\n\nCette tâche était due il y a *{{time_remaining}}* et est toujours ouverte :\n\n📋 *Tâche :* {{task_title}}\n⚡ *Priorité :* {{priority}}\n📅 *Échéance :* {{due_date}}\n\n<{{task_link}}|🔗 Terminer ou mettre à jour la tâche>' },
+            sms: { body: "⏰ EN RETARD : {{task_title}} était due il y a {{time_remaining}}. Merci de la terminer ou de mettre à jour l'échéance." },
+            call: { body: "Bonjour {{assignee_name}}. Votre tâche {{task_title}} était due il y a {{time_remaining}} et est maintenant en retard. Merci de la terminer ou de mettre à jour l'échéance." }
+        }
+    },
+    de: {
+        0: {
+            email: {
+                subject: '👉 Erinnerung: {{task_title}}',
+                body: 'Dies ist eine freundliche Erinnerung an Ihre Aufgabe:'
+            },
+            slack: { body: '👋 *Erinnerung*\n\nKurze Nachfrage zu dieser Aufgabe:\n\n📋 *Aufgabe:* {{task_title}}\n📅 *Fällig:* {{due_date}}\n\nBitte geben Sie einen kurzen Zwischenstand.\n\n<{{task_link}}|🔗 Aufgabe ansehen>' },
+            sms: { body: '👉 Erinnerung: {{task_title}} - Bitte sehen Sie sich das an.' },
+            call: { body: 'Hallo. Dies ist eine manuelle Erinnerung an Ihre Aufgabe {{task_title}}.' }
+        },
+        1: {
+            email: {
+                subject: 'Demnächst: {{task_title}} - Fällig in {{time_remaining}}',
+                body: 'Dies ist eine freundliche Erinnerung an Ihre anstehende Aufgabe:'
+            },
+            slack: { body: `📋 *Anstehende Aufgabe*\n\nHallo {{assignee_name}}! 👋\n\nEine freundliche Erinnerung an Ihre Aufgabe:\n\n${DE_DETAILS}\n\n<{{task_link}}|🔗 Aufgabe ansehen>` },
+            sms: { body: '📋 Erinnerung: {{task_title}} ist in {{time_remaining}} fällig.' },
+            call: { body: 'Hallo {{assignee_name}}. Dies ist eine freundliche Erinnerung an Ihre Aufgabe: {{task_title}}. Sie ist in {{time_remaining}} fällig.' }
+        },
+        2: {
+            email: {
+                subject: 'Erinnerung: {{task_title}} - Fällig in {{time_remaining}}',
+                body: 'Ihre Aufgabe ist in <strong>{{time_remaining}}</strong> fällig. Bitte aktualisieren Sie Ihren Fortschritt.'
+            },
+            slack: { body: `🔔 *Aufgabenerinnerung*\n\nHallo {{assignee_name}}! 👋\n\n*Noch {{time_remaining}}* für Ihre Aufgabe:\n\n${DE_DETAILS}\n\n<{{task_link}}|🔗 Aufgabe ansehen>` },
+            sms: { body: '📋 Erinnerung: {{task_title}} ist in {{time_remaining}} fällig. Bitte planen Sie entsprechend.' },
+            call: { body: 'Hallo {{assignee_name}}. Erinnerung: Ihre Aufgabe {{task_title}} ist in {{time_remaining}} fällig. Bitte planen Sie entsprechend.' }
+        },
+        3: {
+            email: {
+                subject: '⚠️ DRINGEND: {{task_title}} - Nur noch {{time_remaining}}!',
+                body: 'Dies ist eine dringende Erinnerung. Ihre Aufgabe ist in <strong>{{time_remaining}}</strong> fällig. Bitte behandeln Sie sie vorrangig.'
+            },
+            slack: { body: `⚠️ *DRINGEND - Handlungsbedarf*\n\n@{{assignee_name}}\n\n*Nur noch {{time_remaining}}!* Bitte kümmern Sie sich um diese Aufgabe:\n\n${DE_DETAILS}\n\n<{{task_link}}|🔗 Aufgabe JETZT ansehen>` },
+            sms: { body: '⚠️ DRINGEND: {{task_title}} - Nur noch {{time_remaining}}! Bitte kümmern Sie sich darum.' },
+            call: { body: 'Hallo {{assignee_name}}. Dringende Erinnerung: Nur noch {{time_remaining}} für Ihre Aufgabe: {{task_title}}. Bitte kümmern Sie sich so bald wie möglich darum.' }
+        },
+        4: {
+            email: {
+                subject: '🚨 KRITISCH: {{task_title}} - Sofortiges Handeln erforderlich!',
+                body: '<strong>Kritische Warnung!</strong> Ihre Aufgabe ist in <strong>{{time_remaining}}</strong> fällig. Sofortiges Handeln ist erforderlich, damit sie nicht überfällig wird.'
+            },
+            slack: { body: `🚨 *KRITISCHE WARNUNG*\n\n@{{assignee_name}}\n\n*NUR NOCH {{time_remaining}}!*\nDiese Aufgabe ist bald ÜBERFÄLLIG!\n\n${DE_DETAILS}\n\n<{{task_link}}|🔗 JETZT HANDELN>` },
+            sms: { body: '🚨 KRITISCH: {{task_title}} - Nur noch {{time_remaining}}! Bald ÜBERFÄLLIG. Handeln Sie JETZT!' },
+            call: { body: 'ACHTUNG! {{assignee_name}}, dies ist eine kritische Erinnerung. Nur noch {{time_remaining}} für Ihre Aufgabe: {{task_title}}. Sie ist bald überfällig. Bitte handeln Sie sofort.' }
+        },
+        5: {
+            email: {
+                subject: '⏰ ÜBERFÄLLIG: {{task_title}} - seit {{time_remaining}} überfällig',
+                body: 'Ihre Aufgabe war vor <strong>{{time_remaining}}</strong> fällig und ist jetzt überfällig. Bitte schließen Sie sie ab oder teilen Sie uns mit, wann sie erledigt ist.'
+            },
+            slack: { body: '⏰ *ÜBERFÄLLIG*\n\n@{{assignee_name}}\n\nDiese Aufgabe war vor *{{time_remaining}}* fällig und ist noch offen:\n\n📋 *Aufgabe:* {{task_title}}\n⚡ *Priorität:* {{priority}}\n📅 *War fällig:* {{due_date}}\n\n<{{task_link}}|🔗 Aufgabe abschließen oder aktualisieren>' },
+            sms: { body: '⏰ ÜBERFÄLLIG: {{task_title}} war vor {{time_remaining}} fällig. Bitte schließen Sie sie ab oder aktualisieren Sie die Frist.' },
+            call: { body: 'Hallo {{assignee_name}}. Ihre Aufgabe {{task_title}} war vor {{time_remaining}} fällig und ist jetzt überfällig. Bitte schließen Sie sie ab oder aktualisieren Sie die Frist.' }
+        }
+    }
+};
+
+// Fixed strings around the template. fallback_name stands in for a missing
+// assignee name (null or '': use the email address). actions and action_* are the
+// one-click link labels and the pages they open (see taskActions.js).
+const UI_STRINGS = {
+    en: {
+        greeting: 'Hi {{assignee_name}},',
+        task: 'Task:',
+        priority: 'Priority:',
+        due_date: 'Due Date:',
+        view_task: 'View Task',
+        footer: 'Automated notification sent by Chaser Agent System',
+        no_due_date: 'No due date',
+        fallback_name: 'there',
+        priorities: { low: 'Low', medium: 'Medium', high: 'High' },
+        actions: { done: 'Mark done', snooze: 'Snooze 2h', extend: 'Request more time' },
+        action_prompts: {
+            done: 'Mark "{{task_title}}" as done?',
+            snooze: 'Pause reminders for "{{task_title}}" for 2 hours?',
+            extend: 'Propose a new due date for "{{task_title}}". The task owner will approve or reject it.'
+        },
+        action_results: {
+            done: '"{{task_title}}" is marked as done. Thanks!',
+            snooze: 'Reminders for "{{task_title}}" are paused until {{snoozed_until}}.',
+            extend: 'Your request for more time on "{{task_title}}" has been sent to the task owner.'
+        },
+        action_already_done: '"{{task_title}}" is already completed.',
+        action_already_requested: 'A request for more time on "{{task_title}}" is already waiting for the task owner.',
+        action_extension_invalid: 'Please pick a due date later than the current one and give a reason.',
+        extension_due_date: 'New due date',
+        extension_reason: 'Reason',
+        extension_time_zone: 'Time zone: {{time_zone}}',
+        action_link_invalid: 'This link is invalid or has expired. Please open the task in the dashboard instead.',
+        action_failed: 'Something went wrong. Please try again or open the task in the dashboard.'
+    },
+    es: {
+        greeting: 'Hola, {{assignee_name}}:',
+        task: 'Tarea:',
+        priority: 'Prioridad:',
+        due_date: 'Vence:',
+        view_task: 'Ver tarea',
+        footer: 'Notificación automática enviada por Chaser Agent System',
+        no_due_date: 'Sin fecha límite',
+        fallback_name: null,
+        priorities: { low: 'Baja', medium: 'Media', high: 'Alta' },
+        actions: { done: 'Marcar como hecha', snooze: 'Posponer 2 h', extend: 'Pedir más tiempo' },
+        action_prompts: {
+            done: '¿Marcar «{{task_title}}» como hecha?',
+            snooze: '¿Pausar los recordatorios de «{{task_title}}» durante 2 horas?',
+            extend: 'Propón una nueva fecha límite para «{{task_title}}». El responsable la aprobará o la rechazará.'
+        },
+        action_results: {
+            done: '«{{task_title}}» está marcada como hecha. ¡Gracias!',
+            snooze: 'Los recordatorios de «{{task_title}}» están en pausa hasta el {{snoozed_until}}.',
+            extend: 'Tu solicitud de más tiempo para «{{task_title}}» se ha enviado al responsable.'
+        },
+        action_already_done: '«{{task_title}}» ya está completada.',
+        action_already_requested: 'Ya hay una solicitud de más tiempo para «{{task_title}}» pendiente del responsable.',
+        action_extension_invalid: 'Elige una fecha límite posterior a la actual e indica el motivo.',
+        extension_due_date: 'Nueva fecha límite',
+        extension_reason: 'Motivo',
+        extension_time_zone: 'Zona horaria: {{time_zone}}',
+        action_link_invalid: 'Este enlace no es válido o ha caducado. Abre la tarea en el panel.',
+        action_failed: 'Algo ha fallado. Vuelve a intentarlo o abre la tarea en el panel.'
+    },
+    fr: {
+        greeting: 'Bonjour {{assignee_name}},',
+        task: 'Tâche :',
+        priority: 'Priorité :',
+        due_date: 'Échéance :',
+        view_task: 'Voir la tâche',
+        footer: 'Notification automatique envoyée par Chaser Agent System',
+        no_due_date: 'Aucune échéance',
+        fallback_name: null,
+        priorities: { low: 'Basse', medium: 'Moyenne', high: 'Haute' },
+        actions: { done: 'Marquer comme terminée', snooze: 'Reporter de 2 h', extend: 'Demander plus de temps' },
+        action_prompts: {
+            done: 'Marquer « {{task_title}} » comme terminée ?',
+            snooze: 'Suspendre les rappels pour « {{task_title}} » pendant 2 heures ?',
+            extend: 'Proposez une nouvelle échéance pour « {{task_title}} ». Le responsable l’acceptera ou la refusera.'
+        },
+        action_results: {
+            done: '« {{task_title}} » est marquée comme terminée. Merci !',
+            snooze: 'Les rappels pour « {{task_title}} » sont suspendus jusqu’au {{snoozed_until}}.',
+            extend: 'Votre demande de délai pour « {{task_title}} » a été envoyée au responsable.'
+        },
+        action_already_done: '« {{task_title}} » est déjà terminée.',
+        action_already_requested: 'Une demande de délai pour « {{task_title}} » attend déjà la réponse du responsable.',
+        action_extension_invalid: 'Choisissez une échéance postérieure à l’actuelle et indiquez un motif.',
+        extension_due_date: 'Nouvelle échéance',
+        extension_reason: 'Motif',
+        extension_time_zone: 'Fuseau horaire : {{time_zone}}',
+        action_link_invalid: 'Ce lien est invalide ou a expiré. Ouvrez plutôt la tâche dans le tableau de bord.',
+        action_failed: 'Une erreur est survenue. Réessayez ou ouvrez la tâche dans le tableau de bord.'
+    },
+    de: {
+        greeting: 'Hallo {{assignee_name}},',
+        task: 'Aufgabe:',
+        priority: 'Priorität:',
+        due_date: 'Fällig:',
+        view_task: 'Aufgabe ansehen',
+        footer: 'Automatische Benachrichtigung von Chaser Agent System',
+        no_due_date: 'Kein Fälligkeitsdatum',
+        fallback_name: null,
+        priorities: { low: 'Niedrig', medium: 'Mittel', high: 'Hoch' },
+        actions: { done: 'Als erledigt markieren', snooze: '2 Std. pausieren', extend: 'Mehr Zeit anfragen' },
+        action_prompts: {
+            done: '„{{task_title}}“ als erledigt markieren?',
+            snooze: 'Erinnerungen für „{{task_title}}“ 2 Stunden pausieren?',
+            extend: 'Schlage ein neues Fälligkeitsdatum für „{{task_title}}“ vor. Der Verantwortliche nimmt es an oder lehnt es ab.'
+        },
+        action_results: {
+            done: '„{{task_title}}“ ist als erledigt markiert. Danke!',
+            snooze: 'Erinnerungen für „{{task_title}}“ sind bis {{snoozed_until}} pausiert.',
+            extend: 'Deine Anfrage nach mehr Zeit für „{{task_title}}“ wurde an den Verantwortlichen gesendet.'
+        },
+        action_already_done: '„{{task_title}}“ ist bereits erledigt.',
+        action_already_requested: 'Eine Anfrage nach mehr Zeit für „{{task_title}}“ wartet bereits auf den Verantwortlichen.',
+        action_extension_invalid: 'Bitte wähle ein Datum nach dem aktuellen Fälligkeitsdatum und gib einen Grund an.',
+        extension_due_date: 'Neues Fälligkeitsdatum',
+        extension_reason: 'Grund',
+        extension_time_zone: 'Zeitzone: {{time_zone}}',
+        action_link_invalid: 'Dieser Link ist ungültig oder abgelaufen. Bitte öffne die Aufgabe im Dashboard.',
+        action_failed: 'Etwas ist schiefgelaufen. Bitte versuche es erneut oder öffne die Aufgabe im Dashboard.'
+    }
+};
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    UI_STRINGS
+};
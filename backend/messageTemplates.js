@@ -0,0 +1,207 @@
+/**
+ * Message Templates
+ * Chaser copy per tier, channel and locale. Workspaces can override any
+ * template; anything not overridden uses the built-in copy for the locale
+ * (see messageCatalogs.js). Templates reference task details as {{variable}};
+ * only the names in TEMPLATE_VARIABLES are allowed, and values are escaped
+ * for the channel they are rendered into.
+ */
+
+const { BUILT_IN_TEMPLATES } = require('./messageCatalogs');
+const { DEFAULT_LOCALE, uiStrings, formatPriority } = require('./localization');
+
+const TEMPLATE_CHANNELS = ['email', 'slack', 'sms', 'call'];
+
+// 0 = manual nudge, 1-4 = upcoming/reminder/urgent/critical, 5 = overdue
+const TEMPLATE_TIERS = [0, 1, 2, 3, 4, 5];
+
+const TEMPLATE_VARIABLES = {
+    task_title: 'Task title',
+    assignee_name: 'Assignee name',
+    priority: 'Task priority',
+    due_date: 'Due date and time',
+    time_remaining: 'Time until the deadline (after it: how late the task is)',
+    task_link: 'Link to the task in the dashboard'
+};
+
+const MAX_SUBJECT_LENGTH = 255;
+const MAX_BODY_LENGTH = 5000;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Plain-text version of template HTML: line breaks for <br> and block ends,
+ * tags dropped, entities decoded
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Slack mrkdwn control characters (https://api.slack.com/reference/surfaces/formatting#escaping)
+function escapeSlack(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const plainText = value => value;
+
+// How variable values are escaped in each rendered field
+const FIELD_ESCAPES = {
+    email: { subject: plainText, body: escapeHtml },
+    slack: { body: escapeSlack },
+    sms: { body: plainText },
+    call: { body: plainText }
+};
+
+/**
+ * Variables for a task's messages
+ * @param {object} task - Task row
+ * @param {object} context - { timeRemainingText, dueDate (both formatted for the locale), frontendUrl, locale }
+ */
+function buildTemplateVariables(task, { timeRemainingText, dueDate, frontendUrl, locale = DEFAULT_LOCALE }) {
+    // Locales without a fallback_name (null or '': no neutral stand-in) use the email address
+    const fallbackName = uiStrings(locale).fallback_name || task?.assignee_email || '';
+
+    return {
+        task_title: task?.title || 'Task',
+        assignee_name: task?.assignee_name || fallbackName,
+        priority: formatPriority(task?.priority, locale),
+        due_date: dueDate,
+        time_remaining: timeRemainingText,
+        task_link: `${frontendUrl}/tasks/${task?.id}`
+    };
+}
+
+/**
+ * Replace {{variable}} placeholders. Unknown names render as empty text.
+ */
+function renderText(text, variables, escape) {
+    return text.replace(VARIABLE_PATTERN, (match, name) => escape(String(variables[name] ?? '')));
+}
+
+/**
+ * Validate a template for a tier and channel
+ * @param {object} input - { subject, body } (subject is email-only)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplate(tier, channel, input) {
+    if (!TEMPLATE_TIERS.includes(tier)) {
+        return `tier must be one of: ${TEMPLATE_TIERS.join(', ')}`;
+    }
+    if (!TEMPLATE_CHANNELS.includes(channel)) {
+        return `channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`;
+    }
+
+    const fields = channel === 'email' ? ['subject', 'body'] : ['body'];
+    for (const field of fields) {
+        const value = input?.[field];
+        const maxLength = field === 'subject' ? MAX_SUBJECT_LENGTH : MAX_BODY_LENGTH;
+
+        if (typeof value !== 'string' || !value.trim()) {
+            return `${field} is required`;
+        }
+        if (value.length > maxLength) {
+            return `${field} must be at most ${maxLength} characters`;
+        }
+
+        const unknown = [...value.matchAll(VARIABLE_PATTERN)]
+            .map(match => match[1])
+            .filter(name => !(name in TEMPLATE_VARIABLES));
+        if (unknown.length > 0) {
+            return `Unknown variables in ${field}: ${[...new Set(unknown)].join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+function templateKey(tier, channel, locale = DEFAULT_LOCALE) {
+    return `${tier}:${channel}:${locale}`;
+}
+
+/**
+ * Load a workspace's template overrides
+ * @returns {Promise<object>} Overrides keyed by "tier:channel:locale"
+ */
+async function loadMessageTemplates(client, workspaceId) {
+    const { data, error } = await client
+        .from('message_templates')
+        .select('tier, channel, locale, subject, body')
+        .eq('workspace_id', workspaceId);
+
+    if (error) {
+        console.log('Error loading message templates, using built-in copy:', error);
+        return {};
+    }
+
+    const templates = {};
+    for (const row of data || []) {
+        templates[templateKey(row.tier, row.channel, row.locale)] = row;
+    }
+    return templates;
+}
+
+/**
+ * The template in effect for a tier, channel and locale: the workspace
+ * override, or the built-in copy for the locale
+ * @param {object} templates - Overrides from loadMessageTemplates()
+ */
+function resolveTemplate(templates, tier, channel, locale = DEFAULT_LOCALE) {
+    const catalog = BUILT_IN_TEMPLATES[locale] || BUILT_IN_TEMPLATES[DEFAULT_LOCALE];
+    const builtIn = (catalog[tier] || catalog[0])[channel];
+    const override = templates?.[templateKey(tier, channel, locale)];
+    return override
+        ? { subject: override.subject ?? null, body: override.body, is_default: false }
+        : { subject: builtIn.subject ?? null, body: builtIn.body, is_default: true };
+}
+
+/**
+ * Render a tier's message for a channel in a locale
+ * @returns {object} { subject, body, text } - subject is null outside email;
+ *   text is the plain-text email body (null outside email)
+ */
+function renderMessage(templates, tier, channel, variables, locale = DEFAULT_LOCALE) {
+    const template = resolveTemplate(templates, tier, channel, locale);
+    const escapes = FIELD_ESCAPES[channel];
+
+    return {
+        subject: template.subject ? renderText(template.subject, variables, escapes.subject) : null,
+        body: renderText(template.body, variables, escapes.body),
+        // Tags are dropped before the values go in, so user text is never stripped
+        text: channel === 'email' ? renderText(htmlToText(template.body), variables, plainText) : null
+    };
+}
+
+module.exports = {
+    TEMPLATE_CHANNELS,
+    TEMPLATE_TIERS,
+    TEMPLATE_VARIABLES,
+    escapeHtml,
+    htmlToText,
+    renderText,
+    templateKey,
+    buildTemplateVariables,
+    validateTemplate,
+    loadMessageTemplates,
+    resolveTemplate,
+    renderMessage
+};
@@ -0,0 +1,81 @@
+/**
+ * Permissions
+ * Workspace roles and the actions each role may take
+ */
+
+const ROLES = ['admin', 'manager', 'member', 'viewer'];
+
+// Members may also edit the tasks they created; see taskAccess()
+const ROLE_PERMISSIONS = {
+    admin: ['tasks:create', 'tasks:edit_any', 'nudges:send', 'queue:manage', 'settings:manage', 'members:manage'],
+    manager: ['tasks:create', 'tasks:edit_any', 'nudges:send', 'queue:manage'],
+    member: ['tasks:create'],
+    viewer: []
+};
+
+// Fields an assignee without edit access may change on their own task
+const ASSIGNEE_FIELDS = ['status'];
+
+/**
+ * Permissions granted to a role
+ */
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+    return permissionsFor(user?.role).includes(permission);
+}
+
+/**
+ * Express middleware that rejects users whose role lacks a permission
+ */
+function requirePermission(permission) {
+    return function checkPermission(req, res, next) {
+        if (!hasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+/**
+ * What a user may do to a task:
+ * 'edit' - any change (tasks:edit_any, or a creator who can still create tasks)
+ * 'complete' - the assignee marking it completed
+ * null - read only
+ */
+function taskAccess(user, task) {
+    if (hasPermission(user, 'tasks:edit_any')) return 'edit';
+    if (task.created_by && task.created_by === user.id && hasPermission(user, 'tasks:create')) return 'edit';
+    if (task.assignee_email && task.assignee_email === user.email?.toLowerCase()) return 'complete';
+    return null;
+}
+
+/**
+ * Check a PATCH body against the user's access to the task
+ * @returns {string|null} Error message, or null when allowed
+ */
+function checkTaskUpdate(user, task, updates) {
+    const access = taskAccess(user, task);
+    if (access === 'edit') return null;
+    if (!access) return 'You do not have permission to edit this task';
+
+    if (updates.assignee_email !== undefined || updates.assignee_name !== undefined) {
+        return 'Assignees cannot reassign their own tasks';
+    }
+    const otherFields = Object.keys(updates).filter(field => !ASSIGNEE_FIELDS.includes(field));
+    if (otherFields.length > 0 || (updates.status !== undefined && updates.status !== 'completed')) {
+        return 'Assignees can only mark their own tasks as completed';
+    }
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    permissionsFor,
+    hasPermission,
+    requirePermission,
+    taskAccess,
+    checkTaskUpdate
+};
@@ -0,0 +1,269 @@
+/**
+ * Recurring Tasks
+ * Parses RRULE-style recurrence rules and generates the next occurrence of a
+ * task (with its escalation chasers) when the current one is completed or overdue
+ *
+ * Supported rules:
+ *   FREQ=DAILY[;INTERVAL=n]
+ *   FREQ=WEEKLY[;INTERVAL=n][;BYDAY=MO,WE,FR]
+ *   FREQ=MONTHLY[;INTERVAL=n][;BYMONTHDAY=15]   (-1 = last day of the month)
+ * each optionally followed by ;UNTIL=YYYYMMDD. Other parts (COUNT, BYSETPOS...)
+ * are rejected rather than ignored.
+ */
+
+const crypto = require('crypto');
+const { getZonedParts, zonedTimeToUtc, isValidTimeZone } = require('./workingHours');
+const { planChasers } = require('./chaserPlanner');
+
+const DAY_CODES = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL'];
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,TH"
+ * @returns {object} { rule, error } - rule is { freq, interval, byDay, byMonthDay, until }
+ */
+function parseRecurrenceRule(rule) {
+    if (!rule || typeof rule !== 'string') {
+        return { rule: null, error: 'Recurrence rule must be a string' };
+    }
+
+    const fields = {};
+    for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!key || !value) {
+            return { rule: null, error: `Invalid recurrence rule part: ${part}` };
+        }
+        const name = key.trim().toUpperCase();
+        if (!RULE_PARTS.includes(name)) {
+            return { rule: null, error: `Unsupported recurrence rule part: ${name} (supported: ${RULE_PARTS.join(', ')})` };
+        }
+        fields[name] = value.trim().toUpperCase();
+    }
+
+    const parsed = {
+        freq: fields.FREQ,
+        interval: fields.INTERVAL ? Number(fields.INTERVAL) : 1,
+        byDay: null,
+        byMonthDay: null,
+        until: null
+    };
+
+    if (!FREQUENCIES.includes(parsed.freq)) {
+        return { rule: null, error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+        return { rule: null, error: 'INTERVAL must be a positive integer' };
+    }
+
+    if (fields.BYDAY) {
+        if (parsed.freq !== 'WEEKLY') {
+            return { rule: null, error: 'BYDAY is only supported with FREQ=WEEKLY' };
+        }
+        parsed.byDay = fields.BYDAY.split(',').map(code => DAY_CODES[code]);
+        if (parsed.byDay.some(day => !day)) {
+            return { rule: null, error: 'BYDAY must list days as MO,TU,WE,TH,FR,SA,SU' };
+        }
+    }
+
+    if (fields.BYMONTHDAY) {
+        if (parsed.freq !== 'MONTHLY') {
+            return { rule: null, error: 'BYMONTHDAY is only supported with FREQ=MONTHLY' };
+        }
+        parsed.byMonthDay = Number(fields.BYMONTHDAY);
+        if (!Number.isInteger(parsed.byMonthDay) || parsed.byMonthDay === 0 ||
+            parsed.byMonthDay < -1 || parsed.byMonthDay > 31) {
+            return { rule: null, error: 'BYMONTHDAY must be 1-31 or -1 (last day)' };
+        }
+    }
+
+    if (fields.UNTIL) {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(fields.UNTIL);
+        if (!match) {
+            return { rule: null, error: 'UNTIL must be YYYYMMDD' };
+        }
+        // Inclusive: occurrences due any time on the UNTIL day are allowed
+        parsed.until = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59));
+    }
+
+    return { rule: parsed, error: null };
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Calendar day arithmetic on { year, month, day } without time zone effects
+ */
+function addDays(local, days) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay() || 7
+    };
+}
+
+/**
+ * Compute the occurrence after a due date, keeping the same local time of day
+ * @param {Date} dueDate - Current occurrence's due date
+ * @param {object} rule - Parsed rule from parseRecurrenceRule()
+ * @param {string} timeZone - Zone the rule's days are interpreted in
+ * @param {Date} anchor - First occurrence of the series. Monthly rules without
+ *   BYMONTHDAY keep its day of month, so a series started on the 31st comes
+ *   back to the 31st after a shorter month.
+ * @returns {Date|null} Next due date, or null once past UNTIL
+ */
+function nextOccurrence(dueDate, rule, timeZone = 'UTC', anchor = dueDate) {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    const local = getZonedParts(dueDate, zone);
+    const minutesOfDay = local.hour * 60 + local.minute;
+    let next;
+
+    if (rule.freq === 'DAILY') {
+        next = addDays(local, rule.interval);
+    } else if (rule.freq === 'WEEKLY') {
+        const days = rule.byDay || [local.weekday];
+        // Weeks start on Monday; only weeks that are a multiple of INTERVAL away qualify
+        const weekStart = addDays(local, 1 - local.weekday);
+        for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+            const candidate = addDays(local, offset);
+            const weeksAway = Math.floor((Date.UTC(candidate.year, candidate.month - 1, candidate.day) -
+                Date.UTC(weekStart.year, weekStart.month - 1, weekStart.day)) / (7 * 24 * 60 * 60 * 1000));
+            if (days.includes(candidate.weekday) && weeksAway % rule.interval === 0) {
+                next = candidate;
+                break;
+            }
+        }
+    } else {
+        const monthIndex = local.month - 1 + rule.interval;
+        const year = local.year + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        const targetDay = rule.byMonthDay || getZonedParts(anchor, zone).day;
+        const lastDay = daysInMonth(year, month);
+        next = { year, month, day: targetDay === -1 ? lastDay : Math.min(targetDay, lastDay) };
+    }
+
+    const nextDate = zonedTimeToUtc(next, minutesOfDay, zone);
+    if (rule.until && nextDate > rule.until) {
+        return null;
+    }
+    return nextDate;
+}
+
+/**
+ * Create the next occurrence of a recurring task and schedule its chasers.
+ * Safe to call from both the completion path and the scheduler: the task is
+ * claimed via recurrence_spawned_at so only one caller generates the next task.
+ * @param {object} client - Supabase client
+ * @param {object} task - Current occurrence
+ * @returns {Promise<object|null>} The new task, or null if nothing was generated
+ */
+async function spawnNextOccurrence(client, task) {
+    if (!task.recurrence_rule) return null;
+
+    const { rule, error: ruleError } = parseRecurrenceRule(task.recurrence_rule);
+    if (ruleError) {
+        console.log(`Invalid recurrence rule on task ${task.id}: ${ruleError}`);
+        return null;
+    }
+
+    // Claim the task so the next occurrence is generated exactly once
+    const { data: claimed, error: claimError } = await client
+        .from('tasks')
+        .update({ recurrence_spawned_at: new Date().toISOString() })
+        .eq('id', task.id)
+        .is('recurrence_spawned_at', null)
+        .select();
+
+    if (claimError || !claimed || claimed.length === 0) {
+        return null;
+    }
+
+    const { data: assignee } = await client
+        .from('assignees')
+        .select('time_zone')
+        .eq('workspace_id', task.workspace_id)
+        .eq('email', task.assignee_email)
+        .maybeSingle();
+    const timeZone = assignee?.time_zone || 'UTC';
+
+    // Monthly rules count days of the month from the series' first occurrence
+    let anchor = new Date(task.due_date);
+    if (task.series_id && task.series_id !== task.id) {
+        const { data: first } = await client
+            .from('tasks')
+            .select('due_date')
+            .eq('workspace_id', task.workspace_id)
+            .eq('id', task.series_id)
+            .maybeSingle();
+        if (first) anchor = new Date(first.due_date);
+    }
+
+    // Skip occurrences that are already in the past (e.g. a daily task left overdue)
+    const now = new Date();
+    let nextDue = nextOccurrence(new Date(task.due_date), rule, timeZone, anchor);
+    for (let i = 0; nextDue && nextDue <= now && i < 1000; i++) {
+        nextDue = nextOccurrence(nextDue, rule, timeZone, anchor);
+    }
+
+    if (!nextDue) {
+        console.log(`Recurrence for task ${task.id} ended (UNTIL reached)`);
+        return null;
+    }
+
+    const { data: nextTask, error: insertError } = await client
+        .from('tasks')
+        .insert({
+            id: crypto.randomUUID(),
+            workspace_id: task.workspace_id,
+            created_by: task.created_by,
+            title: task.title,
+            assignee_email: task.assignee_email,
+            assignee_name: task.assignee_name,
+            due_date: nextDue.toISOString(),
+            priority: task.priority,
+            status: 'pending',
+            slack_channel: task.slack_channel,
+            phone_number: task.phone_number,
+            enable_call: task.enable_call,
+            escalation_policy_id: task.escalation_policy_id,
+            escalation_contacts: task.escalation_contacts,
+            recurrence_rule: task.recurrence_rule,
+            series_id: task.series_id || task.id,
+            previous_occurrence_id: task.id
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        console.log('Error creating next occurrence:', insertError);
+        // Release the claim so a later run can retry
+        await client
+            .from('tasks')
+            .update({ recurrence_spawned_at: null })
+            .eq('id', task.id);
+        return null;
+    }
+
+    const { chasers } = await planChasers(client, nextTask);
+    const { error: chaserError } = await client
+        .from('chaser_queue')
+        .insert(chasers);
+
+    if (chaserError) {
+        console.log('Error scheduling chasers for next occurrence:', chaserError);
+    }
+
+    console.log(`🔁 Created next occurrence ${nextTask.id} of task ${task.id} due ${nextTask.due_date}`);
+    return nextTask;
+}
+
+module.exports = {
+    parseRecurrenceRule,
+    nextOccurrence,
+    spawnNextOccurrence
+};
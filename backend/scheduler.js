@@ -3,12 +3,46 @@
  * Runs every minute to process pending chaser reminders
  */
 
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
-const axios = require('axios');
 const { generateEmailHtml } = require('./emailTemplate');
+const { loadMessageTemplates, buildTemplateVariables, renderMessage } = require('./messageTemplates');
+const { formatDueDate, formatDuration, loadRecipientLocale } = require('./localization');
+const { loadWorkspace, getWorkspaceTransport, bolticCallbackUrls } = require('./workspaces');
+const { recordChaserSent, recordChaserFailed, recordChaserAttemptFailed, releaseChaser } = require('./deliveries');
+const { CHANNELS, toneLevel } = require('./chaserPlanner');
+const { loadWorkingHours, isWithinWorkingHours, nextWorkingTime } = require('./workingHours');
+const { spawnNextOccurrence } = require('./recurrence');
+const { buildActionLinks, slackActionLine } = require('./taskActions');
+const {
+    resolveEscalationContacts,
+    contactsForChaser,
+    buildEscalationNotice,
+    loadNotifiedContacts,
+    recordEscalations
+} = require('./escalationContacts');
 
 let supabaseClient = null;
 
+// Identifies this process as the lease owner of the chasers it claims
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+// How many chasers one run claims, and how long the claim is held before
+// another run may recover it (e.g. if this process dies mid-send)
+const CLAIM_BATCH_SIZE = 5;
+const LEASE_SECONDS = Number(process.env.CHASER_LEASE_SECONDS || 300);
+
+// How long chasers of a workspace without a configured transport are held
+// (counted from when they were due) before they are marked failed
+const UNCONFIGURED_HOLD_HOURS = Number(process.env.CHASER_UNCONFIGURED_HOLD_HOURS || 24);
+
+// Recording a delivered chaser is retried a few times; if it keeps failing the
+// chaser is kept leased this long (instead of being resent) for someone to check
+const RECORD_ATTEMPTS = 3;
+const RECORD_RETRY_DELAY_MS = 500;
+const UNRECORDED_HOLD_HOURS = 24;
+
 // Helper function for logging
 function log(message, data = null) {
     const timestamp = new Date().toISOString();
@@ -19,6 +53,66 @@ function log(message, data = null) {
     }
 }
 
+// Same as log, at warn level, for problems someone has to act on
+function warn(message, data = null) {
+    const timestamp = new Date().toISOString();
+    if (data) {
+        console.warn(`[${timestamp}] [SCHEDULER] ${message}`, data);
+    } else {
+        console.warn(`[${timestamp}] [SCHEDULER] ${message}`);
+    }
+}
+
+// Log the outcome of recordChaserAttemptFailed
+function logRetry(chaser, retry) {
+    if (retry.deadLettered) {
+        log(`☠️ Chaser ${chaser.id} moved to dead letter after ${retry.attempts} attempts`);
+    } else if (retry.nextAttemptAt) {
+        log(`🔁 Chaser ${chaser.id} will retry after ${retry.nextAttemptAt.toISOString()} (attempt ${retry.attempts})`);
+    } else if (retry.error) {
+        // The lease runs out on its own, so another run retries it then
+        warn(`⚠️ Could not record failed attempt for chaser ${chaser.id}:`, retry.error);
+    } else {
+        log(`⏭️ Lease on chaser ${chaser.id} was lost, leaving it to the run that holds it`);
+    }
+}
+
+/**
+ * Record a synchronously delivered chaser as sent, retrying briefly when the
+ * database call fails. If it still can't be recorded, the lease is extended
+ * and the error kept in last_error, so the chaser isn't resent when the lease
+ * would otherwise expire
+ */
+async function recordDelivered(client, chaser) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= RECORD_ATTEMPTS; attempt++) {
+        const { error } = await recordChaserSent(client, chaser);
+        if (!error) return true;
+
+        lastError = error;
+        warn(`⚠️ Could not record chaser ${chaser.id} as sent (try ${attempt} of ${RECORD_ATTEMPTS}):`, error.message || error);
+        if (attempt < RECORD_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, attempt * RECORD_RETRY_DELAY_MS));
+        }
+    }
+
+    warn(`❌ Chaser ${chaser.id} was delivered but not recorded; holding its lease for ${UNRECORDED_HOLD_HOURS}h`);
+    const { error: holdError } = await client
+        .from('chaser_queue')
+        .update({
+            lease_expires_at: new Date(Date.now() + UNRECORDED_HOLD_HOURS * 60 * 60 * 1000).toISOString(),
+            last_error: `Delivered but not recorded as sent: ${lastError.message || lastError}`
+        })
+        .eq('id', chaser.id)
+        .eq('status', 'processing')
+        .eq('lease_owner', WORKER_ID);
+
+    if (holdError) {
+        warn(`❌ Could not hold chaser ${chaser.id}; it may be resent when its lease expires:`, holdError);
+    }
+    return false;
+}
+
 /**
  * Process pending chasers that are due to be sent
  */
@@ -30,16 +124,27 @@ async function processPendingChasers(supabaseInstance = null) {
         return;
     }
 
-    const bolticWebhookUrl = process.env.BOLTIC_WEBHOOK_URL;
-    if (!bolticWebhookUrl) {
-        log('⚠️ BOLTIC_WEBHOOK_URL not configured - skipping chaser processing');
-        return;
-    }
-
     try {
-        const now = new Date().toISOString();
+        // Atomically lease due chasers (pending, or processing with an expired lease)
+        // so overlapping runs never dispatch the same row twice
+        const { data: claimedChasers, error: claimError } = await client
+            .rpc('claim_pending_chasers', {
+                p_worker_id: WORKER_ID,
+                p_limit: CLAIM_BATCH_SIZE,
+                p_lease_seconds: LEASE_SECONDS
+            });
+
+        if (claimError) {
+            log('❌ Error claiming pending chasers:', claimError);
+            return;
+        }
+
+        if (!claimedChasers || claimedChasers.length === 0) {
+            log('📭 No pending chasers to process');
+            return;
+        }
 
-        // Query pending chasers that are due
+        // Load the claimed chasers with their task details
         const { data: pendingChasers, error } = await client
             .from('chaser_queue')
             .select(`
@@ -55,25 +160,31 @@ async function processPendingChasers(supabaseInstance = null) {
           slack_channel,
           phone_number,
           enable_call,
-          calendar_event_id
+          calendar_event_id,
+          escalation_contacts,
+          snoozed_until,
+          workspace_id
         )
       `)
-            .eq('status', 'pending')
-            .lte('scheduled_at', now)
-            .order('scheduled_at', { ascending: true })
-            .limit(5);
+            .in('id', claimedChasers.map(chaser => chaser.id))
+            .eq('lease_owner', WORKER_ID)
+            .order('scheduled_at', { ascending: true });
 
         if (error) {
-            log('❌ Error fetching pending chasers:', error);
+            // Leases expire on their own, so another run will pick these up
+            log('❌ Error fetching claimed chasers:', error);
             return;
         }
 
-        if (!pendingChasers || pendingChasers.length === 0) {
-            log('📭 No pending chasers to process');
-            return;
-        }
+        log(`📬 Claimed ${pendingChasers.length} chaser(s) to process (worker ${WORKER_ID})`);
 
-        log(`📬 Found ${pendingChasers.length} chaser(s) to process`);
+        // Workspaces, message templates, recipient locales, working hours and
+        // escalation chains, loaded once per run
+        const workspacesById = {};
+        const templatesByWorkspace = {};
+        const localesByEmail = {};
+        const workingHoursByEmail = {};
+        const escalationContactsByEmail = {};
 
         // Process each chaser
         for (const chaser of pendingChasers) {
@@ -82,30 +193,104 @@ async function processPendingChasers(supabaseInstance = null) {
                 log(`⏭️ Skipping chaser for completed task: ${chaser.tasks.title}`);
                 await client
                     .from('chaser_queue')
-                    .update({ status: 'cancelled' })
+                    .update({
+                        status: 'cancelled',
+                        cancel_reason: 'task_completed',
+                        lease_owner: null,
+                        lease_expires_at: null
+                    })
                     .eq('id', chaser.id);
                 continue;
             }
 
-            try {
-                // Prepare payload for Boltic
-                const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-                // Use public URL for Boltic callbacks (ngrok when testing locally)
-                const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
-
-                // Format due date for display
-                const dueDate = chaser.tasks?.due_date
-                    ? new Date(chaser.tasks.due_date).toLocaleString('en-US', {
-                        weekday: 'long',
-                        year: 'numeric',
-                        month: 'long',
-                        day: 'numeric',
-                        hour: 'numeric',
-                        minute: '2-digit'
+            // Hold chasers of a snoozed task (e.g. planned after the snooze started)
+            // until the snooze ends
+            if (chaser.tasks?.snoozed_until && new Date(chaser.tasks.snoozed_until) > new Date()) {
+                log(`⏸️ Holding chaser ${chaser.id} until ${chaser.tasks.snoozed_until} (task snoozed)`);
+                await client
+                    .from('chaser_queue')
+                    .update({
+                        status: 'pending',
+                        scheduled_at: chaser.tasks.snoozed_until,
+                        snoozed_from: chaser.snoozed_from || chaser.scheduled_at,
+                        lease_owner: null,
+                        lease_expires_at: null
                     })
-                    : 'Soon';
+                    .eq('id', chaser.id);
+                continue;
+            }
+
+            // Each workspace sends through its own integration settings
+            if (!(chaser.workspace_id in workspacesById)) {
+                workspacesById[chaser.workspace_id] = await loadWorkspace(client, chaser.workspace_id);
+                templatesByWorkspace[chaser.workspace_id] = await loadMessageTemplates(client, chaser.workspace_id);
+            }
+            const templates = templatesByWorkspace[chaser.workspace_id];
+            const transport = getWorkspaceTransport(workspacesById[chaser.workspace_id]);
+
+            if (!transport.configured) {
+                if (!transport.configurable) {
+                    // The workspace has no way to set up this transport, so holding would never end
+                    warn(`❌ Failing chaser ${chaser.id}: ${transport.unavailableReason}`);
+                    await recordChaserFailed(client, chaser, transport.unavailableReason);
+                    continue;
+                }
 
+                const dueSince = new Date(chaser.original_scheduled_at || chaser.scheduled_at);
+                if (Date.now() - dueSince.getTime() >= UNCONFIGURED_HOLD_HOURS * 60 * 60 * 1000) {
+                    const reason = `${transport.unavailableReason}; held for ${UNCONFIGURED_HOLD_HOURS}h`;
+                    warn(`❌ Failing chaser ${chaser.id}: ${reason}`);
+                    await recordChaserFailed(client, chaser, reason);
+                    continue;
+                }
+
+                // Not a delivery failure: hold the chaser without using up its attempts
+                warn(`⚠️ ${transport.unavailableReason} (workspace ${chaser.workspace_id}), holding chaser ${chaser.id}`);
+                await releaseChaser(client, chaser, transport.unavailableReason);
+                continue;
+            }
+
+            // Defer chasers that reach us in the recipient's quiet hours (e.g. planned
+            // before their working hours changed), unless the tier overrides quiet hours
+            if (!chaser.override_quiet_hours) {
+                const recipientKey = `${chaser.workspace_id}:${chaser.recipient_email}`;
+                if (!(recipientKey in workingHoursByEmail)) {
+                    workingHoursByEmail[recipientKey] = await loadWorkingHours(client, chaser.recipient_email, chaser.workspace_id);
+                }
+                const workingHours = workingHoursByEmail[recipientKey];
+                const sendAt = new Date();
+
+                if (!isWithinWorkingHours(sendAt, workingHours)) {
+                    const deferUntil = nextWorkingTime(sendAt, workingHours);
+                    const dueAt = chaser.tasks?.due_date ? new Date(chaser.tasks.due_date) : null;
+
+                    // Only defer while the next window still opens before the deadline
+                    if (deferUntil > sendAt && (!dueAt || deferUntil <= dueAt)) {
+                        log(`🌙 Deferring chaser ${chaser.id} to ${deferUntil.toISOString()} (recipient quiet hours)`);
+                        await client
+                            .from('chaser_queue')
+                            .update({
+                                status: 'pending',
+                                scheduled_at: deferUntil.toISOString(),
+                                original_scheduled_at: chaser.original_scheduled_at || chaser.scheduled_at,
+                                lease_owner: null,
+                                lease_expires_at: null
+                            })
+                            .eq('id', chaser.id);
+                        continue;
+                    }
+                }
+            }
 
+            try {
+                // Prepare payload for the notification transport
+                const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+                // Messages use the recipient's language and time zone; calendar
+                // details and escalation notices stay in English
+                const recipient = await loadRecipientLocale(client, chaser.recipient_email, chaser.workspace_id, localesByEmail);
+                const dueDate = formatDueDate(chaser.tasks?.due_date);
+                const localDueDate = formatDueDate(chaser.tasks?.due_date, recipient);
 
                 // Calendar event time windows
                 const taskDueDateTime = chaser.tasks?.due_date ? new Date(chaser.tasks.due_date) : new Date();
@@ -114,45 +299,52 @@ async function processPendingChasers(supabaseInstance = null) {
                 const eventCheckStart = new Date(taskDueDateTime.getTime() - 60 * 60 * 1000); // 1 hour before due
                 const eventCheckEnd = new Date(taskDueDateTime.getTime() + 30 * 60 * 1000);   // 30 mins after due
 
-                // Calculate escalation tier based on hours remaining
                 const hoursRemaining = (taskDueDateTime.getTime() - Date.now()) / (1000 * 60 * 60);
-                let escalationTier;
-                if (hoursRemaining <= 1) escalationTier = 4;
-                else if (hoursRemaining <= 4) escalationTier = 3;
-                else if (hoursRemaining <= 12) escalationTier = 2;
-                else escalationTier = 1;
-
-                // Format hours/minutes remaining for messages
-                const timeRemainingText = hoursRemaining < 1
-                    ? `${Math.round(hoursRemaining * 60)} minutes`
-                    : `${Math.round(hoursRemaining)} hours`;
-
-                // Generate HTML email content
-                const { subject, html } = generateEmailHtml(chaser.tasks, escalationTier, timeRemainingText, frontendUrl);
-
-                // Tier-specific Slack messages
-                const slackMessages = {
-                    1: `📋 *Upcoming Task*\n\nHey ${chaser.tasks?.assignee_name || 'there'}! 👋\n\nFriendly reminder about your task:\n\n📋 *Task:* ${chaser.tasks?.title}\n⚡ *Priority:* ${(chaser.tasks?.priority || 'medium').charAt(0).toUpperCase() + (chaser.tasks?.priority || 'medium').slice(1)}\n📅 *Due:* ${dueDate}\n\n<${frontendUrl}/tasks/${chaser.task_id}|🔗 View Task>`,
-                    2: `🔔 *Task Reminder*\n\nHey ${chaser.tasks?.assignee_name || 'there'}! 👋\n\n*${timeRemainingText} remaining* for your task:\n\n📋 *Task:* ${chaser.tasks?.title}\n⚡ *Priority:* ${(chaser.tasks?.priority || 'medium').charAt(0).toUpperCase() + (chaser.tasks?.priority || 'medium').slice(1)}\n📅 *Due:* ${dueDate}\n\n<${frontendUrl}/tasks/${chaser.task_id}|🔗 View Task>`,
-                    3: `⚠️ *URGENT - Action Required*\n\n@${chaser.tasks?.assignee_name || 'there'}\n\n*Only ${timeRemainingText} remaining!* Please attend to this task:\n\n📋 *Task:* ${chaser.tasks?.title}\n⚡ *Priority:* ${(chaser.tasks?.priority || 'medium').charAt(0).toUpperCase() + (chaser.tasks?.priority || 'medium').slice(1)}\n📅 *Due:* ${dueDate}\n\n<${frontendUrl}/tasks/${chaser.task_id}|🔗 View Task NOW>`,
-                    4: `🚨 *CRITICAL ALERT*\n\n@${chaser.tasks?.assignee_name || 'there'}\n\n*ONLY ${timeRemainingText.toUpperCase()} REMAINING!*\nThis task will be OVERDUE soon!\n\n📋 *Task:* ${chaser.tasks?.title}\n⚡ *Priority:* ${(chaser.tasks?.priority || 'medium').charAt(0).toUpperCase() + (chaser.tasks?.priority || 'medium').slice(1)}\n📅 *Due:* ${dueDate}\n\n<${frontendUrl}/tasks/${chaser.task_id}|🔗 TAKE ACTION NOW>`
-                };
 
-                // Tier-specific SMS messages
-                const smsMessages = {
-                    1: `📋 Reminder: ${chaser.tasks?.title} due in ${timeRemainingText}.`,
-                    2: `📋 Reminder: ${chaser.tasks?.title} due in ${timeRemainingText}. Please plan accordingly.`,
-                    3: `⚠️ URGENT: ${chaser.tasks?.title} - Only ${timeRemainingText} remaining! Please attend to it.`,
-                    4: `🚨 CRITICAL: ${chaser.tasks?.title} - Only ${timeRemainingText} left! Will be OVERDUE soon. Take action NOW!`
-                };
-
-                // Tier-specific phone call messages
-                const callMessages = {
-                    1: `Hello ${chaser.tasks?.assignee_name || 'there'}. This is a friendly reminder about your task: ${chaser.tasks?.title}. It is due in ${timeRemainingText}.`,
-                    2: `Hello ${chaser.tasks?.assignee_name || 'there'}. Reminder: Your task ${chaser.tasks?.title} is due in ${timeRemainingText}. Please plan accordingly.`,
-                    3: `Hello ${chaser.tasks?.assignee_name || 'there'}. Urgent reminder: Only ${timeRemainingText} remaining for your task: ${chaser.tasks?.title}. Please attend to it as soon as possible.`,
-                    4: `ALERT! ${chaser.tasks?.assignee_name || 'there'}, this is a critical reminder. Only ${timeRemainingText} remaining for your task: ${chaser.tasks?.title}. It will be overdue soon. Please take action immediately.`
-                };
+                // Tier, tone and channels were fixed by the escalation policy when the
+                // chaser was planned; older rows fall back to the tier implied by hours remaining
+                let escalationTier = chaser.escalation_tier;
+                let copyLevel = toneLevel(chaser.tone);
+                if (!copyLevel) {
+                    if (hoursRemaining <= 1) copyLevel = 4;
+                    else if (hoursRemaining <= 4) copyLevel = 3;
+                    else if (hoursRemaining <= 12) copyLevel = 2;
+                    else copyLevel = 1;
+                    escalationTier = copyLevel;
+                }
+                const channels = Array.isArray(chaser.channels) ? chaser.channels : CHANNELS;
+
+                // Format hours/minutes remaining (or, after the deadline, how late) for messages
+                const hoursFromDue = Math.abs(hoursRemaining);
+                const timeRemainingText = formatDuration(hoursFromDue, recipient.locale);
+
+                // Escalation contacts whose level this chaser has reached. 'cc' contacts are
+                // copied on the email; without an email channel they get a notice instead
+                const contacts = contactsForChaser(
+                    await resolveEscalationContacts(client, chaser.tasks, escalationContactsByEmail),
+                    chaser,
+                    chaser.recipient_email
+                );
+                const ccContacts = channels.includes('email') ? contacts.filter(contact => contact.mode === 'cc') : [];
+                const noticeContacts = contacts.filter(contact => !ccContacts.includes(contact));
+
+                // Signed one-click links (mark done, snooze, request more time) for the email and Slack copy
+                const actionLinks = buildActionLinks(
+                    { id: chaser.task_id, workspace_id: chaser.workspace_id },
+                    { email: chaser.recipient_email, locale: recipient.locale }
+                );
+
+                // Generate HTML email content. Links act as the assignee, so an email
+                // that copies escalation contacts goes without them
+                const { subject, html, text } = generateEmailHtml(chaser.tasks, copyLevel, timeRemainingText, frontendUrl, templates, recipient,
+                    ccContacts.length > 0 ? null : actionLinks);
+
+                // Tier-specific Slack, SMS and phone call messages
+                const variables = buildTemplateVariables(
+                    { ...chaser.tasks, id: chaser.task_id },
+                    { timeRemainingText, dueDate: localDueDate, frontendUrl, locale: recipient.locale }
+                );
+                const renderChannel = channel => renderMessage(templates, copyLevel, channel, variables, recipient.locale).body;
 
                 // Determine action_type: 'create' only if no calendar event exists yet
                 const hasCalendarEvent = chaser.tasks?.calendar_event_id && chaser.tasks.calendar_event_id !== '';
@@ -164,24 +356,27 @@ async function processPendingChasers(supabaseInstance = null) {
                     action_type: actionType, // 'create' creates calendar event, 'notify' skips calendar creation
                     calendar_event_id: chaser.tasks?.calendar_event_id || null,
                     escalation_tier: escalationTier,
+                    tone: chaser.tone || null,
+                    channels: channels,
                     hours_remaining: hoursRemaining,
                     recipient_email: chaser.recipient_email,
                     recipient_name: chaser.tasks?.assignee_name || 'there',
                     recipient_phone: chaser.tasks?.phone_number || null,
-                    enable_call: chaser.tasks?.enable_call || false,
-                    recipient_phone: chaser.tasks?.phone_number || null,
-                    enable_call: chaser.tasks?.enable_call || false,
-                    subject: subject,
-                    body: html,
-                    sms_message: smsMessages[escalationTier],
-                    call_message: callMessages[escalationTier],
-                    slack_message: slackMessages[escalationTier],
+                    cc_emails: ccContacts.map(contact => contact.email),
+                    enable_call: channels.includes('call') && (chaser.tasks?.enable_call || false),
+                    // Channels left out of this tier get no content
+                    subject: channels.includes('email') ? subject : null,
+                    body: channels.includes('email') ? html : null,
+                    text_body: channels.includes('email') ? text : null,
+                    sms_message: channels.includes('sms') ? renderChannel('sms') : null,
+                    call_message: channels.includes('call') ? renderChannel('call') : null,
+                    slack_message: channels.includes('slack') ? renderChannel('slack') + slackActionLine(actionLinks, recipient.locale) : null,
                     slack_channel: chaser.tasks?.slack_channel || null,
                     task_title: chaser.tasks?.title || 'Task',
                     task_priority: chaser.tasks?.priority || 'medium',
-                    task_due_date: dueDate,
+                    task_due_date: localDueDate,
                     task_link: `${frontendUrl}/tasks/${chaser.task_id}`,
-                    callback_url: `${backendUrl}/api/webhooks/boltic/chaser-sent`,
+                    ...bolticCallbackUrls(chaser.workspace_id),
                     // Calendar conflict detection params
                     event_start: eventStart.toISOString(),
                     event_end: eventEnd.toISOString(),
@@ -189,49 +384,81 @@ async function processPendingChasers(supabaseInstance = null) {
                     event_check_end: eventCheckEnd.toISOString(),
                     event_summary: `Task: ${chaser.tasks?.title || 'Task'}`,
                     event_description: `Priority: ${(chaser.tasks?.priority || 'medium').charAt(0).toUpperCase() + (chaser.tasks?.priority || 'medium').slice(1)}\nAssignee: ${chaser.tasks?.assignee_name || 'Unknown'}\n\nDue: ${dueDate}`,
-                    conflict_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-conflict`,
-                    event_created_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-created`,
                     // Current time for calendar busy check
                     current_time_start: new Date().toISOString(),
                     current_time_end: new Date(Date.now() + 60000).toISOString() // NOW + 1 minute
                 };
 
-                log(`🚀 Triggering Boltic webhook for task: ${chaser.tasks?.title}`);
+                log(`🚀 Sending chaser via ${transport.name} for task: ${chaser.tasks?.title}`);
 
-                // Send to Boltic webhook
-                const response = await axios.post(bolticWebhookUrl, payload, {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 10000 // 10 second timeout
-                });
+                // A retry after a partial failure only goes through the adapters that failed
+                const result = await transport.send(payload, { only: chaser.retry_transports });
 
-                log(`✅ Boltic webhook triggered successfully for task: ${chaser.tasks?.title}`);
+                for (const failure of result.failed) {
+                    log(`⚠️ ${failure.transport} failed for chaser ${chaser.id}:`, failure.error);
+                }
+                const failureText = result.failed.map(failure => `${failure.transport}: ${failure.error}`).join('; ');
+
+                if (result.delivered && result.failed.length > 0) {
+                    // The rest delivered; keep the chaser and retry only the failed adapters
+                    const retry = await recordChaserAttemptFailed(client, chaser, failureText, {
+                        retryTransports: result.failed.map(failure => failure.transport)
+                    });
+                    logRetry(chaser, retry);
+                    continue;
+                }
 
-                // Update chaser_queue status to 'triggered'
-                const { error: updateError } = await client
-                    .from('chaser_queue')
-                    .update({
-                        status: 'triggered',
-                        last_attempt_at: new Date().toISOString()
-                    })
-                    .eq('id', chaser.id);
+                if (result.delivered) {
+                    // Transport delivered synchronously - no callback will follow
+                    if (!await recordDelivered(client, chaser)) {
+                        continue;
+                    }
+                    log(`✅ Chaser delivered via ${transport.name} for task: ${chaser.tasks?.title}`);
+                } else {
+                    log(`✅ Chaser triggered via ${transport.name} for task: ${chaser.tasks?.title}`);
+
+                    // Update chaser_queue status to 'triggered' until the callback confirms delivery.
+                    // The callback settles the chaser, so adapters that failed alongside are
+                    // recorded in last_error rather than retried
+                    const { error: updateError } = await client
+                        .from('chaser_queue')
+                        .update({
+                            status: 'triggered',
+                            attempt_count: (chaser.attempt_count || 0) + 1,
+                            last_attempt_at: new Date().toISOString(),
+                            next_attempt_at: null,
+                            last_error: failureText || null,
+                            lease_owner: null,
+                            lease_expires_at: null
+                        })
+                        .eq('id', chaser.id)
+                        .eq('status', 'processing')
+                        .eq('lease_owner', WORKER_ID);
+
+                    if (updateError) {
+                        log('⚠️ Error updating chaser status to triggered:', updateError);
+                    }
+                }
 
-                if (updateError) {
-                    log('⚠️ Error updating chaser status to triggered:', updateError);
+                // The chaser itself is recorded; a failed escalation must not resend it
+                try {
+                    await escalateChaser(client, transport, chaser, ccContacts, noticeContacts, {
+                        subject,
+                        timeRemainingText: formatDuration(hoursFromDue),
+                        overdue: hoursRemaining < 0,
+                        dueDate,
+                        taskLink: payload.task_link
+                    });
+                } catch (escalationError) {
+                    log(`⚠️ Failed to escalate chaser ${chaser.id}:`, escalationError.message);
                 }
 
-            } catch (webhookError) {
-                log(`❌ Failed to trigger Boltic webhook for task: ${chaser.tasks?.title}`,
-                    webhookError.message);
+            } catch (sendError) {
+                log(`❌ Failed to send chaser via ${transport.name} for task: ${chaser.tasks?.title}`,
+                    sendError.message);
 
-                // Update attempt timestamp but keep status as pending for retry
-                await client
-                    .from('chaser_queue')
-                    .update({
-                        last_attempt_at: new Date().toISOString()
-                    })
-                    .eq('id', chaser.id);
+                // Back off and retry, or dead-letter after too many attempts
+                logRetry(chaser, await recordChaserAttemptFailed(client, chaser, sendError.message));
             }
         }
 
@@ -240,6 +467,126 @@ async function processPendingChasers(supabaseInstance = null) {
     }
 }
 
+/**
+ * Notify the escalation contacts reached by a dispatched chaser and record each
+ * escalation in chaser_logs. 'notify' contacts already sent a notice for this
+ * task are skipped. A failed notice is logged and does not fail the chaser.
+ */
+async function escalateChaser(client, transport, chaser, ccContacts, noticeContacts, context) {
+    const escalations = ccContacts.map(contact => ({ contact, subject: context.subject }));
+    const notified = noticeContacts.length > 0 ? await loadNotifiedContacts(client, chaser) : new Set();
+
+    for (const contact of noticeContacts) {
+        if (notified.has(contact.email.toLowerCase())) continue;
+
+        const notice = buildEscalationNotice(chaser.tasks, contact, context);
+
+        try {
+            await transport.send({
+                queue_id: `escalation-${chaser.id}-${contact.level}`,
+                task_id: chaser.task_id,
+                action_type: 'escalate', // notification only, no calendar or delivery callback
+                escalation_tier: chaser.escalation_tier,
+                escalation_level: contact.level,
+                recipient_email: contact.email,
+                recipient_name: contact.name || 'there',
+                recipient_phone: null,
+                enable_call: false,
+                subject: notice.subject,
+                body: notice.html,
+                text_body: notice.text,
+                sms_message: null,
+                call_message: null,
+                slack_message: null,
+                task_title: chaser.tasks?.title || 'Task',
+                task_priority: chaser.tasks?.priority || 'medium',
+                task_due_date: context.dueDate,
+                task_link: context.taskLink
+            });
+            escalations.push({ contact, subject: notice.subject });
+        } catch (error) {
+            log(`⚠️ Failed to notify escalation contact ${contact.email} (level ${contact.level}):`, error.message);
+        }
+    }
+
+    if (escalations.length > 0) {
+        await recordEscalations(client, chaser, escalations);
+        log(`📣 Escalated task ${chaser.tasks?.title} to ${escalations.map(entry => `${entry.contact.email} (L${entry.contact.level} ${entry.contact.mode})`).join(', ')}`);
+    }
+}
+
+/**
+ * Move open tasks whose deadline has passed to the 'overdue' status
+ * (their post-deadline follow-ups are already in chaser_queue)
+ */
+async function processOverdueTasks(supabaseInstance = null) {
+    const client = supabaseInstance || supabaseClient;
+
+    if (!client) {
+        log('⚠️ Supabase client not initialized');
+        return;
+    }
+
+    try {
+        const now = new Date().toISOString();
+        const { data: overdueTasks, error } = await client
+            .from('tasks')
+            .update({ status: 'overdue', updated_at: now })
+            .eq('status', 'pending')
+            .lt('due_date', now)
+            .select('id, title');
+
+        if (error) {
+            log('❌ Error marking overdue tasks:', error);
+            return;
+        }
+
+        for (const task of overdueTasks || []) {
+            log(`⏰ Task is now overdue: ${task.title}`);
+        }
+    } catch (error) {
+        log('❌ Unexpected error processing overdue tasks:', error);
+    }
+}
+
+/**
+ * Generate the next occurrence of recurring tasks whose due date has passed
+ * (completed occurrences are rolled over immediately by PATCH /api/tasks/:id)
+ */
+async function processRecurringTasks(supabaseInstance = null) {
+    const client = supabaseInstance || supabaseClient;
+
+    if (!client) {
+        log('⚠️ Supabase client not initialized');
+        return;
+    }
+
+    try {
+        const { data: dueTasks, error } = await client
+            .from('tasks')
+            .select('*')
+            .not('recurrence_rule', 'is', null)
+            .is('recurrence_spawned_at', null)
+            .lte('due_date', new Date().toISOString())
+            .order('due_date', { ascending: true })
+            .limit(10);
+
+        if (error) {
+            log('❌ Error fetching recurring tasks:', error);
+            return;
+        }
+
+        for (const task of dueTasks || []) {
+            const nextTask = await spawnNextOccurrence(client, task);
+            if (nextTask) {
+                log(`🔁 Generated next occurrence of "${task.title}" due ${nextTask.due_date}`);
+            }
+        }
+    } catch (error) {
+        log('❌ Unexpected error processing recurring tasks:', error);
+    }
+}
+
 /**
  * Start the scheduler
  * @param {object} supabase - Supabase client instance
@@ -250,9 +597,11 @@ function start(supabase) {
     log('⏰ Starting chaser scheduler (runs every minute)');
 
     // Run every minute
-    cron.schedule('* * * * *', () => {
+    cron.schedule('* * * * *', async () => {
         log('🔄 Checking for chasers to send...');
-        processPendingChasers();
+        await processOverdueTasks();
+        await processPendingChasers();
+        await processRecurringTasks();
     });
 
     // Also run immediately on startup after a short delay
@@ -265,5 +614,7 @@ function start(supabase) {
 // Export symbols
 module.exports = {
     start,
-    processPendingChasers
+    processPendingChasers,
+    processOverdueTasks,
+    processRecurringTasks
 };
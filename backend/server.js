@@ -4,12 +4,103 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const scheduler = require('./scheduler');
 const { generateEmailHtml } = require('./emailTemplate');
+const {
+  loadWorkspace,
+  getWorkspaceTransport,
+  bolticCallbackUrls,
+  generateInviteCode,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  getWorkspaceWebhookSecret
+} = require('./workspaces');
+const { recordChaserSent, recordChaserFailed } = require('./deliveries');
+const {
+  validateEscalationTiers,
+  validateOverdueFollowups,
+  planChasers,
+  cancelPendingChasers,
+  replanChasers,
+  MAX_SNOOZE_HOURS,
+  snoozeChasers,
+  setChaserSkipped,
+  recordScheduleChange
+} = require('./chaserPlanner');
+const { isValidTimeZone, parseTimeOfDay } = require('./workingHours');
+const { parseRecurrenceRule, spawnNextOccurrence } = require('./recurrence');
+const { validateEscalationContacts, normalizeEscalationContacts } = require('./escalationContacts');
+const { createSignatureVerifier, createDatabaseSignatureStore } = require('./webhookSignature');
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  publicUser,
+  createAuthMiddleware
+} = require('./auth');
+const { ROLES, hasPermission, requirePermission, taskAccess, checkTaskUpdate } = require('./permissions');
+const { API_KEY_SCOPES, generateApiKey, validateScopes } = require('./apiKeys');
+const { parseTaskListQuery, applyTaskFilters, applyTaskPage, paginate } = require('./taskQuery');
+const { UUID_PATTERN, validateTaskInput } = require('./taskInput');
+const { parseImport } = require('./taskImport');
+const {
+  TASK_CSV_COLUMNS,
+  CHASER_LOG_CSV_COLUMNS,
+  fetchAllRows,
+  toCsv,
+  buildIcsCalendar
+} = require('./exporters');
+const { generateFeedToken, feedUrl, publicAssignee, buildAssigneeFeed } = require('./calendarFeed');
+const {
+  TASK_ACTIONS,
+  SNOOZE_HOURS,
+  actionUrl,
+  buildActionLinks,
+  verifyActionToken,
+  isTokenForAssignee,
+  slackActionLine,
+  parseLocalDateTime,
+  extensionFormFields,
+  renderActionPage,
+  actionText
+} = require('./taskActions');
+const {
+  MAX_NOTE_LENGTH,
+  validateExtensionRequest,
+  createExtensionRequest,
+  decideExtensionRequest,
+  reopenExtensionRequest,
+  loadExtensionRequests,
+  loadTaskOwners,
+  buildExtensionRequestNotice,
+  buildExtensionDecisionNotice
+} = require('./extensionRequests');
+const {
+  TEMPLATE_CHANNELS,
+  TEMPLATE_TIERS,
+  TEMPLATE_VARIABLES,
+  escapeHtml,
+  buildTemplateVariables,
+  validateTemplate,
+  loadMessageTemplates,
+  templateKey,
+  resolveTemplate,
+  renderMessage
+} = require('./messageTemplates');
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  uiStrings,
+  formatDueDate,
+  formatDuration,
+  loadRecipientLocale
+} = require('./localization');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -25,7 +116,14 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body so webhook signatures can be checked byte for byte.
+// The limit leaves room for bulk task imports.
+app.use(express.json({
+  limit: '2mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -34,6 +132,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Boltic callbacks must carry a fresh HMAC signature made with the secret of
+// the workspace in their URL (see bolticCallbackUrls)
+app.use('/api/webhooks/boltic/:workspaceId', createSignatureVerifier({
+  getSecret: async req => UUID_PATTERN.test(req.params.workspaceId)
+    ? getWorkspaceWebhookSecret(await loadWorkspace(supabase, req.params.workspaceId))
+    : null,
+  rememberSignature: createDatabaseSignatureStore(supabase),
+  toleranceSeconds: Number(process.env.BOLTIC_WEBHOOK_TOLERANCE_SECONDS || 300),
+  log
+}));
+
+// Everything else under /api needs a signed-in user (health, login and webhooks are exempt)
+app.use('/api', createAuthMiddleware({ client: supabase, log }));
+
 // Helper function for logging
 function log(message, data = null) {
   const timestamp = new Date().toISOString();
@@ -50,493 +162,2503 @@ function errorResponse(res, statusCode, message) {
   return res.status(statusCode).json({ error: message });
 }
 
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+
 // Email validation helper
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
 }
 
+// Send an export as a file download named <name>-<date>.<format>
+function sendExport(res, name, format, rows, csvColumns, icsOptions = {}) {
+  const contentTypes = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8'
+  };
+  const body = format === 'csv' ? toCsv(rows, csvColumns)
+    : format === 'ics' ? buildIcsCalendar(rows, icsOptions)
+      : JSON.stringify(rows, null, 2);
+
+  res.set('Content-Type', contentTypes[format]);
+  res.set('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+  res.send(body);
+}
+
+// Action link pages carry the token in their URL: keep them out of caches, referrers and frames
+function sendActionPage(res, { status, html }) {
+  res.set('Cache-Control', 'no-store');
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('X-Frame-Options', 'DENY');
+  res.status(status).type('html').send(html);
+}
+
+/**
+ * Ask the transport (Boltic) to create the calendar event for a new task.
+ * Failures are logged, not thrown: the task exists either way.
+ */
+async function triggerCalendarCreate(transport, task) {
+  if (!transport.configured) return;
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const dueDateTime = new Date(task.due_date);
+  const priority = task.priority || 'medium';
+  const priorityLabel = priority.charAt(0).toUpperCase() + priority.slice(1);
+
+  // Calendar event: 1 minute slot at due time for tracking
+  const eventStart = new Date(dueDateTime.getTime());
+  const eventEnd = new Date(dueDateTime.getTime() + 60 * 1000); // 1 minute duration
+
+  const calendarPayload = {
+    queue_id: `create-${task.id}-${Date.now()}`,
+    task_id: task.id,
+    action_type: 'create',
+    escalation_tier: 0, // Special tier for initial creation
+    hours_remaining: (dueDateTime.getTime() - Date.now()) / (1000 * 60 * 60),
+    recipient_email: task.assignee_email,
+    recipient_name: task.assignee_name || 'there',
+    recipient_phone: task.phone_number || null,
+    enable_call: false, // Don't call on creation
+    subject: `Task Created: ${task.title}`,
+    body: escapeHtml(`Your task has been created and is due ${dueDateTime.toLocaleString()}.`),
+    text_body: `Your task has been created and is due ${dueDateTime.toLocaleString()}.`,
+    sms_message: '', // No SMS on creation
+    call_message: '', // No call on creation
+    slack_message: `📋 *New Task Created*\n\n📋 *Task:* ${task.title}\n⚡ *Priority:* ${priorityLabel}\n📅 *Due:* ${dueDateTime.toLocaleString()}\n\n<${frontendUrl}/tasks/${task.id}|🔗 View Task>`,
+    slack_channel: task.slack_channel,
+    task_title: task.title,
+    task_priority: priority,
+    task_due_date: dueDateTime.toLocaleString(),
+    task_link: `${frontendUrl}/tasks/${task.id}`,
+    ...bolticCallbackUrls(task.workspace_id),
+    event_start: eventStart.toISOString(),
+    event_end: eventEnd.toISOString(),
+    event_check_start: eventStart.toISOString(),
+    event_check_end: eventEnd.toISOString(),
+    event_summary: `📋 Task Due: ${task.title}`,
+    event_description: `Priority: ${priorityLabel}\nAssignee: ${task.assignee_name || 'Unknown'}\n\nDue: ${dueDateTime.toLocaleString()}\n\nLink: ${frontendUrl}/tasks/${task.id}`,
+    current_time_start: new Date().toISOString(),
+    current_time_end: new Date(Date.now() + 60000).toISOString()
+  };
+
+  try {
+    await transport.send(calendarPayload);
+    log(`✅ Immediate calendar event creation triggered for task: ${task.title}`);
+  } catch (sendError) {
+    log('Warning: Failed to trigger immediate calendar creation:', sendError.message);
+  }
+}
+
+/**
+ * Side effects of a task being marked completed: cancel its pending chasers,
+ * roll a recurring task over to its next occurrence (its id is set on
+ * updatedTask.next_occurrence_id) and ask the transport to delete the calendar event
+ */
+async function handleTaskCompleted(existingTask, updatedTask) {
+  const { error: cancelError } = await cancelPendingChasers(supabase, existingTask.id, 'task_completed');
+
+  if (cancelError) {
+    log('Error cancelling pending chasers:', cancelError);
+  } else {
+    log(`Cancelled pending chasers for completed task: ${existingTask.id}`);
+  }
+
+  // Recurring tasks roll over to their next occurrence
+  if (updatedTask.recurrence_rule) {
+    const nextTask = await spawnNextOccurrence(supabase, updatedTask);
+    if (nextTask) {
+      updatedTask.next_occurrence_id = nextTask.id;
+    }
+  }
+
+  // Trigger the transport (Boltic) to delete calendar event if exists
+  const transport = getWorkspaceTransport(await loadWorkspace(supabase, existingTask.workspace_id));
+  if (transport.configured && existingTask.calendar_event_id) {
+    const payload = {
+      queue_id: `delete-${existingTask.id}-${Date.now()}`,
+      task_id: existingTask.id,
+      action_type: 'delete',
+      calendar_event_id: existingTask.calendar_event_id,
+      recipient_email: existingTask.assignee_email,
+      recipient_name: existingTask.assignee_name || 'there',
+      subject: `Completed: ${existingTask.title}`,
+      body: escapeHtml(`Great job! Your task "${existingTask.title}" has been marked as complete.`),
+      text_body: `Great job! Your task "${existingTask.title}" has been marked as complete.`,
+      sms_message: `✅ Completed: ${existingTask.title}`,
+      slack_message: `✅ *Task Completed*\n📋 *Task:* ${existingTask.title}`,
+      slack_channel: existingTask.slack_channel || null,
+      task_title: existingTask.title,
+      event_start: new Date().toISOString(),
+      event_end: new Date().toISOString(),
+      event_check_start: new Date().toISOString(),
+      event_check_end: new Date().toISOString(),
+      event_summary: 'SKIP',
+      event_description: 'SKIP',
+      ...bolticCallbackUrls(existingTask.workspace_id),
+    };
+
+    try {
+      await transport.send(payload);
+      log(`✅ Calendar delete triggered via ${transport.name} for task: ${existingTask.title}`);
+    } catch (sendError) {
+      log('Warning: Failed to trigger calendar delete:', sendError.message);
+    }
+  }
+}
+
+/**
+ * Move a task's deadline: update due_date (reopening an overdue task), re-plan
+ * its chasers and ask the transport (Boltic) to update the calendar event,
+ * which also tells the assignee. Used by update-timeline and approved
+ * extension requests.
+ * @param {object} times - { dueDate, eventStart, eventEnd } as ISO strings
+ * @param {string} reason - Recorded on the cancelled chasers
+ * @returns {Promise<object>} { updatedTask, chasers, error } - error is the task update's
+ */
+async function rescheduleTask(task, { dueDate, eventStart, eventEnd }, reason) {
+  const { data: updatedTask, error: updateError } = await supabase
+    .from('tasks')
+    .update({
+      due_date: dueDate,
+      // An overdue task given a future deadline is open again
+      ...(task.status === 'overdue' && new Date(dueDate) > new Date() ? { status: 'pending' } : {}),
+      updated_at: new Date().toISOString()
+    })
+    .eq('workspace_id', task.workspace_id)
+    .eq('id', task.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    return { updatedTask: null, chasers: [], error: updateError };
+  }
+
+  // Reminders must follow the new deadline
+  const { chasers, error: replanError } = await replanChasers(supabase, updatedTask, reason);
+
+  if (replanError) {
+    log('Error re-planning chasers:', replanError);
+  } else {
+    log(`Re-planned ${chasers.length} chasers for task ${task.id} (${reason})`);
+  }
+
+  // Trigger the transport (Boltic) with action_type 'update'
+  const transport = getWorkspaceTransport(await loadWorkspace(supabase, task.workspace_id));
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  if (transport.configured && task.calendar_event_id) {
+    const dueDateText = new Date(dueDate).toLocaleString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+
+    const payload = {
+      queue_id: `update-${task.id}-${Date.now()}`,
+      task_id: task.id,
+      action_type: 'update', // This tells Boltic to update instead of create
+      calendar_event_id: task.calendar_event_id,
+      recipient_email: task.assignee_email,
+      recipient_name: task.assignee_name || 'there',
+      recipient_phone: task.phone_number || null,
+      enable_call: false, // No calls for updates
+      subject: `Updated: ${task.title}`,
+      body: escapeHtml(`Your task "${task.title}" has been rescheduled to ${dueDateText}.`),
+      text_body: `Your task "${task.title}" has been rescheduled to ${dueDateText}.`,
+      sms_message: `📋 Update: ${task.title} rescheduled to ${dueDateText}.`,
+      call_message: null,
+      slack_message: `🔄 *Task Updated*\n📋 *Task:* ${task.title}\n📅 *New Due:* ${dueDateText}`,
+      slack_channel: task.slack_channel || null,
+      task_title: task.title,
+      task_priority: task.priority || 'medium',
+      task_due_date: dueDateText,
+      task_link: `${frontendUrl}/tasks/${task.id}`,
+      ...bolticCallbackUrls(task.workspace_id),
+      event_start: eventStart,
+      event_end: eventEnd,
+      event_check_start: eventStart,
+      event_check_end: eventEnd,
+      event_summary: `Task: ${task.title}`,
+      event_description: `Priority: ${(task.priority || 'medium').charAt(0).toUpperCase() + (task.priority || 'medium').slice(1)}\nAssignee: ${task.assignee_name || 'Unknown'}\n\nDue: ${dueDateText}`,
+    };
+
+    try {
+      await transport.send(payload);
+      log(`✅ Calendar update triggered via ${transport.name} for task: ${task.title}`);
+    } catch (sendError) {
+      log('Warning: Failed to trigger calendar update:', sendError.message);
+      // Don't fail the request, task was still updated
+    }
+  }
+
+  return { updatedTask, chasers, error: null };
+}
+
+/**
+ * Snooze a task's chasers until a time and record it in the task's history
+ * @param {string} actorEmail - Who snoozed it, for the history entry
+ * @returns {Promise<object>} { moved, skipped, error }
+ */
+async function snoozeTask(task, until, actorEmail) {
+  const { error: updateError } = await supabase
+    .from('tasks')
+    .update({ snoozed_until: until.toISOString() })
+    .eq('workspace_id', task.workspace_id)
+    .eq('id', task.id);
+
+  if (updateError) {
+    return { moved: 0, skipped: 0, error: updateError };
+  }
+
+  const { moved, skipped, error } = await snoozeChasers(supabase, task, until);
+  if (error) {
+    return { moved, skipped, error };
+  }
+
+  await recordScheduleChange(supabase, task, {
+    status: 'snoozed',
+    subject: `Chasers snoozed until ${formatDueDate(until)}`,
+    recipientEmail: actorEmail
+  });
+  log(`⏸️ Snoozed task ${task.id} until ${until.toISOString()} (${moved} moved, ${skipped} skipped) by ${actorEmail}`);
+
+  return { moved, skipped, error: null };
+}
+
+/**
+ * Email a one-off notice about a task (no calendar event, no delivery callback).
+ * Failures are logged, not thrown.
+ * @param {object} recipient - { email, name }
+ * @param {object} notice - { subject, html, text }
+ * @returns {Promise<boolean>} Whether the transport accepted it
+ */
+async function sendTaskNotice(transport, task, recipient, notice) {
+  if (!transport.configured) return false;
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  try {
+    await transport.send({
+      queue_id: `notice-${task.id}-${Date.now()}`,
+      task_id: task.id,
+      action_type: 'notify',
+      recipient_email: recipient.email,
+      recipient_name: recipient.name || 'there',
+      recipient_phone: null,
+      enable_call: false,
+      subject: notice.subject,
+      body: notice.html,
+      text_body: notice.text,
+      sms_message: null,
+      call_message: null,
+      slack_message: null,
+      task_title: task.title,
+      task_priority: task.priority || 'medium',
+      task_link: `${frontendUrl}/tasks/${task.id}`
+    });
+    return true;
+  } catch (sendError) {
+    log(`⚠️ Failed to send notice to ${recipient.email}:`, sendError.message);
+    return false;
+  }
+}
+
+/**
+ * File an extension request, tell the task's owners and record it in the
+ * task's history
+ * @returns {Promise<object>} { request, error, duplicate }
+ */
+async function submitExtensionRequest(task, { requesterEmail, proposedDueDate, reason }) {
+  const { request, error, duplicate } = await createExtensionRequest(supabase, task, {
+    requesterEmail,
+    proposedDueDate,
+    reason
+  });
+  if (error || duplicate) {
+    return { request: null, error, duplicate };
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const owners = await loadTaskOwners(supabase, task);
+  const transport = getWorkspaceTransport(await loadWorkspace(supabase, task.workspace_id));
+  const notified = [];
+
+  for (const owner of owners) {
+    const notice = buildExtensionRequestNotice(task, owner, request, {
+      currentDueDate: formatDueDate(task.due_date),
+      proposedDueDate: formatDueDate(proposedDueDate),
+      taskLink: `${frontendUrl}/tasks/${task.id}`
+    });
+    if (await sendTaskNotice(transport, task, owner, notice)) {
+      notified.push(owner.email);
+    }
+  }
+
+  await recordScheduleChange(supabase, task, {
+    status: 'extension_requested',
+    subject: `More time requested: due ${formatDueDate(proposedDueDate)}`,
+    recipientEmail: request.requested_by_email
+  });
+  log(`📅 More time requested on task ${task.id} by ${request.requested_by_email} (notified: ${notified.join(', ') || 'nobody'})`);
+
+  return { request, error: null, duplicate: false };
+}
+
+/**
+ * Open (apply = false) or submit (apply = true) a signed task action link
+ * @param {object} form - Submitted form fields (the extension form's due_date and reason)
+ * @returns {Promise<object>} { status, html } for the page shown to the recipient
+ */
+async function runTaskAction(token, apply, form = {}) {
+  const action = verifyActionToken(token);
+  if (!action) {
+    return { status: 404, html: renderActionPage({ message: actionText(DEFAULT_LOCALE, 'action_link_invalid') }) };
+  }
+
+  const { locale } = action;
+  const { data: task, error } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('workspace_id', action.workspaceId)
+    .eq('id', action.taskId)
+    .maybeSingle();
+
+  if (error) {
+    log('Error loading task for action link:', error);
+    return { status: 500, html: renderActionPage({ locale, message: actionText(locale, 'action_failed') }) };
+  }
+  if (!task) {
+    return { status: 404, html: renderActionPage({ locale, message: actionText(locale, 'action_link_invalid') }) };
+  }
+  if (!isTokenForAssignee(action, task)) {
+    return { status: 403, html: renderActionPage({ locale, message: actionText(locale, 'action_link_invalid') }) };
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const taskLink = `${frontendUrl}/tasks/${task.id}`;
+  const variables = { task_title: task.title };
+  const submitLabel = uiStrings(locale).actions[action.action];
+  // fields: HTML for a confirm form that posts back ('' for a bare button); null: no form
+  const page = (status, message, fields = null) => ({
+    status,
+    html: renderActionPage({ locale, message, submitLabel: fields === null ? null : submitLabel, fields: fields || '', taskLink })
+  });
+  const failed = () => page(500, actionText(locale, 'action_failed'));
+
+  if (task.status === 'completed') {
+    return page(200, actionText(locale, 'action_already_done', null, variables));
+  }
+
+  const requester = task.assignee_email;
+  // The extension form reads and shows dates in the recipient's time zone
+  const timeZone = action.action === 'extend'
+    ? (await loadRecipientLocale(supabase, requester, task.workspace_id)).timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    : null;
+
+  if (!apply) {
+    const fields = action.action === 'extend' ? extensionFormFields(locale, { task, timeZone }) : '';
+    return page(200, actionText(locale, 'action_prompts', action.action, variables), fields);
+  }
+
+  if (action.action === 'done') {
+    // Same outcome as PATCH /api/tasks/:id with status 'completed'
+    const { data: updatedTask, error: updateError } = await supabase
+      .from('tasks')
+      .update({ status: 'completed', updated_at: new Date().toISOString() })
+      .eq('workspace_id', task.workspace_id)
+      .eq('id', task.id)
+      .neq('status', 'completed')
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      log('Error completing task from action link:', updateError);
+      return failed();
+    }
+    // A second submit raced this one
+    if (!updatedTask) {
+      return page(200, actionText(locale, 'action_already_done', null, variables));
+    }
+
+    await handleTaskCompleted(task, updatedTask);
+    log(`✅ Task ${task.id} marked done from an action link by ${requester}`);
+    return page(200, actionText(locale, 'action_results', 'done', variables));
+  }
+
+  if (action.action === 'snooze') {
+    // Never shortens a longer snooze that is already running
+    const snoozeEnd = new Date(Date.now() + SNOOZE_HOURS * 60 * 60 * 1000);
+    const until = task.snoozed_until && new Date(task.snoozed_until) > snoozeEnd ? new Date(task.snoozed_until) : snoozeEnd;
+
+    const { error: snoozeError } = await snoozeTask(task, until, requester);
+    if (snoozeError) {
+      log('Error snoozing task from action link:', snoozeError);
+      return failed();
+    }
+
+    const { timeZone } = await loadRecipientLocale(supabase, requester, task.workspace_id);
+    return page(200, actionText(locale, 'action_results', 'snooze', {
+      ...variables,
+      snoozed_until: formatDueDate(until, { locale, timeZone })
+    }));
+  }
+
+  // 'extend': propose the submitted due date to the task owner
+  const proposed = parseLocalDateTime(form.due_date, timeZone);
+  const { error: invalid, proposedDueDate } = validateExtensionRequest(task, {
+    proposed_due_date: proposed && proposed.toISOString(),
+    reason: form.reason
+  });
+  if (invalid) {
+    const values = { due_date: form.due_date, reason: form.reason };
+    return page(400, actionText(locale, 'action_extension_invalid'), extensionFormFields(locale, { task, timeZone, values }));
+  }
+
+  const { error: requestError, duplicate } = await submitExtensionRequest(task, {
+    requesterEmail: requester,
+    proposedDueDate,
+    reason: form.reason
+  });
+
+  if (requestError) {
+    log('Error creating extension request from action link:', requestError);
+    return failed();
+  }
+  if (duplicate) {
+    return page(200, actionText(locale, 'action_already_requested', null, variables));
+  }
+
+  return page(200, actionText(locale, 'action_results', 'extend', variables));
+}
+
 // ============================================
 // API ENDPOINTS
 // ============================================
 
 /**
- * POST /api/tasks
- * Create a new task and schedule a chaser reminder
+ * POST /api/auth/register
+ * Create a user account and sign it in (disable with ALLOW_SIGNUP=false).
+ * With an invite_code the user joins that workspace, otherwise a new
+ * workspace is created for them.
  */
-app.post('/api/tasks', async (req, res) => {
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { title, assignee_email, assignee_name, due_date, priority, slack_channel, phone_number, enable_call } = req.body;
+    const { email, password, name, workspace_name, invite_code } = req.body;
 
-    // Validation
-    if (!title || !title.trim()) {
-      return errorResponse(res, 400, 'Task title is required');
+    if (process.env.ALLOW_SIGNUP === 'false') {
+      return errorResponse(res, 403, 'Sign-up is disabled');
     }
-    if (!assignee_email || !isValidEmail(assignee_email)) {
-      return errorResponse(res, 400, 'Valid assignee email is required');
+    if (!email || !isValidEmail(email)) {
+      return errorResponse(res, 400, 'Valid email is required');
     }
-    if (!due_date) {
-      return errorResponse(res, 400, 'Due date is required');
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return errorResponse(res, 400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
     }
 
-    const dueDateTime = new Date(due_date);
-    if (isNaN(dueDateTime.getTime())) {
-      return errorResponse(res, 400, 'Invalid due date format');
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (existingUser) {
+      return errorResponse(res, 409, 'An account with this email already exists');
     }
 
-    // Clean slack channel (remove # if present, trim whitespace)
-    const cleanSlackChannel = slack_channel
-      ? slack_channel.trim().replace(/^#/, '')
-      : null;
+    // Whoever creates a workspace administers it; invited users join as members
+    let workspace;
+    let role = 'member';
+    if (invite_code) {
+      const { data: invitedWorkspace } = await supabase
+        .from('workspaces')
+        .select('*')
+        .eq('invite_code', invite_code.trim())
+        .maybeSingle();
+
+      if (!invitedWorkspace) {
+        return errorResponse(res, 400, 'Invalid invite code');
+      }
+      workspace = invitedWorkspace;
+    } else {
+      // The first workspace on the server sends through the server's own integrations
+      const { count: workspaceCount, error: countError } = await supabase
+        .from('workspaces')
+        .select('id', { count: 'exact', head: true });
+
+      if (countError) {
+        log('Database error counting workspaces:', countError);
+        return errorResponse(res, 500, 'Failed to create account');
+      }
 
-    // Insert task
-    const { data: task, error: taskError } = await supabase
-      .from('tasks')
+      const insertWorkspace = inherits => supabase
+        .from('workspaces')
+        .insert({
+          name: workspace_name?.trim() || `${name?.trim() || normalizedEmail}'s workspace`,
+          invite_code: generateInviteCode(),
+          webhook_secret: generateWebhookSecret(),
+          inherits_server_integrations: inherits
+        })
+        .select()
+        .single();
+
+      // The count is only a hint: a unique index allows one inheriting workspace,
+      // so of two sign-ups racing for it the second is created without it
+      let { data: newWorkspace, error: workspaceError } = await insertWorkspace(workspaceCount === 0);
+      if (workspaceError?.code === '23505' && workspaceCount === 0) {
+        ({ data: newWorkspace, error: workspaceError } = await insertWorkspace(false));
+      }
+
+      if (workspaceError) {
+        log('Database error creating workspace:', workspaceError);
+        return errorResponse(res, 500, 'Failed to create account');
+      }
+      workspace = newWorkspace;
+      role = 'admin';
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
       .insert({
-        title: title.trim(),
-        assignee_email: assignee_email.trim().toLowerCase(),
-        assignee_name: assignee_name?.trim() || null,
-        due_date: dueDateTime.toISOString(),
-        priority: priority || 'medium',
-        status: 'pending',
-        slack_channel: cleanSlackChannel,
-        phone_number: phone_number?.trim() || null,
-        enable_call: enable_call || false
+        workspace_id: workspace.id,
+        email: normalizedEmail,
+        name: name?.trim() || null,
+        role,
+        password_hash: await hashPassword(password),
+        last_login_at: new Date().toISOString()
       })
       .select()
       .single();
 
-    if (taskError) {
-      log('Database error creating task:', taskError);
-      return errorResponse(res, 500, 'Failed to create task');
+    if (error) {
+      log('Database error creating user:', error);
+      return errorResponse(res, 500, 'Failed to create account');
     }
 
-    // IMMEDIATELY trigger Boltic to create calendar event
-    const bolticWebhookUrl = process.env.BOLTIC_WEBHOOK_URL;
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+    log(`Registered user: ${user.email} (workspace: ${workspace.name}, role: ${role})`);
+    res.status(201).json({ token: signToken(user), user: publicUser(user) });
 
-    if (bolticWebhookUrl) {
-      // Calendar event: 1 minute slot at due time for tracking
-      const eventStart = new Date(dueDateTime.getTime());
-      const eventEnd = new Date(dueDateTime.getTime() + 60 * 1000); // 1 minute duration
+  } catch (error) {
+    log('Unexpected error in POST /api/auth/register:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
 
-      const calendarPayload = {
-        queue_id: `create-${task.id}-${Date.now()}`,
-        task_id: task.id,
-        action_type: 'create',
-        escalation_tier: 0, // Special tier for initial creation
-        hours_remaining: (dueDateTime.getTime() - Date.now()) / (1000 * 60 * 60),
-        recipient_email: task.assignee_email,
-        recipient_name: assignee_name || 'there',
-        recipient_phone: phone_number || null,
-        enable_call: false, // Don't call on creation
-        subject: `Task Created: ${task.title}`,
-        body: `Your task has been created and is due ${dueDateTime.toLocaleString()}.`,
-        sms_message: '', // No SMS on creation
-        call_message: '', // No call on creation
-        slack_message: `📋 *New Task Created*\n\n📋 *Task:* ${task.title}\n⚡ *Priority:* ${(priority || 'medium').charAt(0).toUpperCase() + (priority || 'medium').slice(1)}\n📅 *Due:* ${dueDateTime.toLocaleString()}\n\n<${frontendUrl}/tasks/${task.id}|🔗 View Task>`,
-        slack_channel: cleanSlackChannel,
-        task_title: task.title,
-        task_priority: priority || 'medium',
-        task_due_date: dueDateTime.toLocaleString(),
-        task_link: `${frontendUrl}/tasks/${task.id}`,
-        callback_url: `${backendUrl}/api/webhooks/boltic/chaser-sent`,
-        event_start: eventStart.toISOString(),
-        event_end: eventEnd.toISOString(),
-        event_check_start: eventStart.toISOString(),
-        event_check_end: eventEnd.toISOString(),
-        event_summary: `📋 Task Due: ${task.title}`,
-        event_description: `Priority: ${(priority || 'medium').charAt(0).toUpperCase() + (priority || 'medium').slice(1)}\nAssignee: ${assignee_name || 'Unknown'}\n\nDue: ${dueDateTime.toLocaleString()}\n\nLink: ${frontendUrl}/tasks/${task.id}`,
-        conflict_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-conflict`,
-        event_created_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-created`,
-        current_time_start: new Date().toISOString(),
-        current_time_end: new Date(Date.now() + 60000).toISOString()
-      };
+/**
+ * POST /api/auth/login
+ * Exchange email and password for a session token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
 
-      try {
-        await axios.post(bolticWebhookUrl, calendarPayload, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
-        });
-        log(`✅ Immediate calendar event creation triggered for task: ${task.title}`);
-      } catch (bolticError) {
-        log('Warning: Failed to trigger immediate calendar creation:', bolticError.message);
-      }
+    if (!email || !password) {
+      return errorResponse(res, 400, 'Email and password are required');
     }
 
-    const now = new Date();
-
-    // Calculate chaser scheduled times for 4-tier escalation
-    // Tier 1: 24 hours before, Tier 2: 12 hours before, Tier 3: 4 hours before, Tier 4: 1 hour before
-    const escalationTiers = [
-      { tier: 1, hoursBeforeDue: 24, name: '24h reminder' },
-      { tier: 2, hoursBeforeDue: 12, name: '12h reminder' },
-      { tier: 3, hoursBeforeDue: 4, name: '4h urgent' },
-      { tier: 4, hoursBeforeDue: 1, name: '1h critical' }
-    ];
-
-    // now was already declared above in the calendar section, reuse it
-    const scheduledChasers = [];
-
-    for (const tierConfig of escalationTiers) {
-      const chaserTime = new Date(dueDateTime.getTime() - tierConfig.hoursBeforeDue * 60 * 60 * 1000);
-
-      // Only schedule if the chaser time is in the future
-      if (chaserTime > now) {
-        scheduledChasers.push({
-          task_id: task.id,
-          scheduled_at: chaserTime.toISOString(),
-          recipient_email: task.assignee_email,
-          message_subject: `Tier ${tierConfig.tier}: ${task.title} - ${tierConfig.name}`,
-          message_body: `Escalation tier ${tierConfig.tier} reminder`,
-          status: 'pending',
-          escalation_tier: tierConfig.tier
-        });
-      }
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return errorResponse(res, 401, 'Invalid email or password');
     }
 
-    // If no future chasers (task due very soon), schedule one for now + 1 minute
-    if (scheduledChasers.length === 0) {
-      scheduledChasers.push({
-        task_id: task.id,
-        scheduled_at: new Date(now.getTime() + 60 * 1000).toISOString(),
-        recipient_email: task.assignee_email,
-        message_subject: `URGENT: ${task.title} - Due very soon!`,
-        message_body: `Immediate reminder - task due very soon`,
-        status: 'pending',
-        escalation_tier: 4
-      });
+    const lastLoginAt = new Date().toISOString();
+    await supabase
+      .from('users')
+      .update({ last_login_at: lastLoginAt })
+      .eq('id', user.id);
+
+    log(`User signed in: ${user.email}`);
+    res.json({ token: signToken(user), user: publicUser({ ...user, last_login_at: lastLoginAt }) });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/auth/login:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Return the signed-in user
+ */
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    if (error || !user) {
+      return errorResponse(res, 401, 'Account no longer exists');
     }
 
-    // Insert all chaser queue entries
-    const { data: chaserQueues, error: chaserError } = await supabase
-      .from('chaser_queue')
-      .insert(scheduledChasers)
-      .select();
+    res.json(publicUser(user));
 
-    if (chaserError) {
-      log('Error creating chaser queue entries:', chaserError);
-      // Task was created, but chaser scheduling failed - log but don't fail
-    } else {
-      log(`Created task: ${task.id} with ${chaserQueues.length} escalation chasers scheduled`);
+  } catch (error) {
+    log('Unexpected error in GET /api/auth/me:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/workspace
+ * The signed-in user's workspace, its settings and members
+ */
+app.get('/api/workspace', async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(supabase, req.user.workspace_id);
+    if (!workspace) {
+      return errorResponse(res, 404, 'Workspace not found');
     }
 
-    res.status(201).json({
-      ...task,
-      chasers_scheduled: scheduledChasers.length,
-      first_chaser_at: scheduledChasers[0]?.scheduled_at
+    const { data: members } = await supabase
+      .from('users')
+      .select('id, email, name, role, last_login_at')
+      .eq('workspace_id', workspace.id)
+      .order('email', { ascending: true });
+
+    // Only admins see the callback signing secret
+    const { webhook_secret: webhookSecret, ...settings } = workspace;
+    res.json({
+      ...settings,
+      ...(hasPermission(req.user, 'settings:manage') ? { webhook_secret: webhookSecret } : {}),
+      members: members || []
     });
 
   } catch (error) {
-    log('Unexpected error in POST /api/tasks:', error);
+    log('Unexpected error in GET /api/workspace:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * GET /api/tasks
- * Fetch all tasks with pending chaser count
+ * PATCH /api/workspace
+ * Update the workspace name and integration settings. Webhook URLs must be
+ * https on an allowlisted, public host. Send rotate_invite_code: true to issue
+ * a new invite code, rotate_webhook_secret: true for a new callback signing secret.
  */
-app.get('/api/tasks', async (req, res) => {
+app.patch('/api/workspace', requirePermission('settings:manage'), async (req, res) => {
   try {
-    // Fetch all tasks
-    const { data: tasks, error: tasksError } = await supabase
-      .from('tasks')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const updates = req.body;
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
 
-    if (tasksError) {
-      log('Database error fetching tasks:', tasksError);
-      return errorResponse(res, 500, 'Failed to fetch tasks');
+    if (updates.name !== undefined) {
+      if (!updates.name || !updates.name.trim()) {
+        return errorResponse(res, 400, 'Workspace name is required');
+      }
+      updateData.name = updates.name.trim();
+    }
+    for (const field of ['boltic_webhook_url', 'slack_webhook_url']) {
+      if (updates[field] !== undefined) {
+        if (updates[field] !== null && typeof updates[field] !== 'string') {
+          return errorResponse(res, 400, `${field} must be a URL`);
+        }
+        const url = updates[field]?.trim() || null;
+        const urlError = url && await validateWebhookUrl(field, url);
+        if (urlError) {
+          return errorResponse(res, 400, urlError);
+        }
+        updateData[field] = url;
+      }
+    }
+    if (updates.slack_default_channel !== undefined) {
+      updateData.slack_default_channel = updates.slack_default_channel?.trim().replace(/^#/, '') || null;
+    }
+    if (updates.rotate_invite_code) {
+      updateData.invite_code = generateInviteCode();
+    }
+    if (updates.rotate_webhook_secret) {
+      updateData.webhook_secret = generateWebhookSecret();
     }
 
-    // Fetch pending chaser counts for each task
-    const tasksWithChaserCount = await Promise.all(
-      tasks.map(async (task) => {
-        const { count } = await supabase
-          .from('chaser_queue')
-          .select('*', { count: 'exact', head: true })
-          .eq('task_id', task.id)
-          .eq('status', 'pending');
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .update(updateData)
+      .eq('id', req.user.workspace_id)
+      .select()
+      .single();
 
-        return {
-          ...task,
-          pending_chasers_count: count || 0
-        };
-      })
-    );
+    if (error || !workspace) {
+      log('Database error updating workspace:', error);
+      return errorResponse(res, 500, 'Failed to update workspace');
+    }
 
-    res.json(tasksWithChaserCount);
+    res.json(workspace);
 
   } catch (error) {
-    log('Unexpected error in GET /api/tasks:', error);
+    log('Unexpected error in PATCH /api/workspace:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * GET /api/tasks/:id
- * Fetch single task with chaser logs
+ * PATCH /api/workspace/members/:id
+ * Change a member's role (admin, manager, member, viewer)
  */
-app.get('/api/tasks/:id', async (req, res) => {
+app.patch('/api/workspace/members/:id', requirePermission('members:manage'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { role } = req.body;
 
-    // Fetch task
-    const { data: task, error: taskError } = await supabase
-      .from('tasks')
-      .select('*')
+    if (!ROLES.includes(role)) {
+      return errorResponse(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const { data: member, error: fetchError } = await supabase
+      .from('users')
+      .select('id, role')
+      .eq('workspace_id', req.user.workspace_id)
       .eq('id', id)
-      .single();
+      .maybeSingle();
 
-    if (taskError || !task) {
-      return errorResponse(res, 404, 'Task not found');
+    if (fetchError || !member) {
+      return errorResponse(res, 404, 'Member not found');
     }
 
-    // Fetch chaser logs for this task
-    const { data: chaserLogs, error: logsError } = await supabase
-      .from('chaser_logs')
-      .select('*')
-      .eq('task_id', id)
-      .order('sent_at', { ascending: false });
+    // A workspace must keep at least one admin
+    if (member.role === 'admin' && role !== 'admin') {
+      const { count: adminCount } = await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true })
+        .eq('workspace_id', req.user.workspace_id)
+        .eq('role', 'admin');
 
-    if (logsError) {
-      log('Error fetching chaser logs:', logsError);
+      if ((adminCount || 0) <= 1) {
+        return errorResponse(res, 409, 'The workspace must keep at least one admin');
+      }
     }
 
-    // Fetch pending chasers
-    const { data: pendingChasers } = await supabase
-      .from('chaser_queue')
-      .select('*')
-      .eq('task_id', id)
-      .eq('status', 'pending');
+    const { data: updatedMember, error } = await supabase
+      .from('users')
+      .update({ role })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .select('id, email, name, role, last_login_at')
+      .single();
 
-    res.json({
-      ...task,
+    if (error) {
+      log('Database error updating member role:', error);
+      return errorResponse(res, 500, 'Failed to update member');
+    }
+
+    log(`Changed role of ${updatedMember.email} to ${role}`);
+    res.json(updatedMember);
+
+  } catch (error) {
+    log('Unexpected error in PATCH /api/workspace/members/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/keys
+ * List the signed-in user's API keys (never the keys themselves)
+ */
+app.get('/api/keys', async (req, res) => {
+  try {
+    const { data: keys, error } = await supabase
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, last_used_at, revoked_at, created_at')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      log('Database error fetching API keys:', error);
+      return errorResponse(res, 500, 'Failed to fetch API keys');
+    }
+
+    res.json({ keys: keys || [], available_scopes: API_KEY_SCOPES });
+
+  } catch (error) {
+    log('Unexpected error in GET /api/keys:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/keys
+ * Create an API key with { name, scopes }. The key is only returned in this response.
+ */
+app.post('/api/keys', async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (!name || !name.trim()) {
+      return errorResponse(res, 400, 'Key name is required');
+    }
+    const scopesError = validateScopes(scopes);
+    if (scopesError) {
+      return errorResponse(res, 400, scopesError);
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert({
+        workspace_id: req.user.workspace_id,
+        user_id: req.user.id,
+        name: name.trim(),
+        key_prefix: prefix,
+        key_hash: hash,
+        scopes: [...new Set(scopes)]
+      })
+      .select('id, name, key_prefix, scopes, last_used_at, revoked_at, created_at')
+      .single();
+
+    if (error) {
+      log('Database error creating API key:', error);
+      return errorResponse(res, 500, 'Failed to create API key');
+    }
+
+    log(`Created API key ${apiKey.key_prefix}… for ${req.user.email} (scopes: ${apiKey.scopes.join(', ')})`);
+    res.status(201).json({ ...apiKey, key });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/keys:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke one of the signed-in user's API keys
+ */
+app.delete('/api/keys/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select('id, key_prefix')
+      .maybeSingle();
+
+    if (error) {
+      log('Database error revoking API key:', error);
+      return errorResponse(res, 500, 'Failed to revoke API key');
+    }
+    if (!apiKey) {
+      return errorResponse(res, 404, 'API key not found');
+    }
+
+    log(`Revoked API key ${apiKey.key_prefix}… for ${req.user.email}`);
+    res.json({ success: true, id: apiKey.id });
+
+  } catch (error) {
+    log('Unexpected error in DELETE /api/keys/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * Whether an escalation policy can be used in a workspace: its own policies
+ * and the shared (workspace-less) defaults
+ */
+async function escalationPolicyAvailable(workspaceId, policyId) {
+  const { data: policy } = await supabase
+    .from('escalation_policies')
+    .select('id')
+    .or(`workspace_id.eq.${workspaceId},workspace_id.is.null`)
+    .eq('id', policyId)
+    .maybeSingle();
+
+  return !!policy;
+}
+
+/**
+ * POST /api/tasks
+ * Create a new task and schedule a chaser reminder
+ */
+app.post('/api/tasks', requirePermission('tasks:create'), async (req, res) => {
+  try {
+    const { fields, errors } = validateTaskInput(req.body);
+    if (errors.length > 0) {
+      return errorResponse(res, 400, errors[0]);
+    }
+
+    if (fields.escalation_policy_id && !await escalationPolicyAvailable(req.user.workspace_id, fields.escalation_policy_id)) {
+      return errorResponse(res, 400, 'Escalation policy not found');
+    }
+
+    // Recurring tasks start a series identified by the first occurrence's id
+    const taskId = crypto.randomUUID();
+
+    // Insert task
+    const { data: task, error: taskError } = await supabase
+      .from('tasks')
+      .insert({
+        ...fields,
+        id: taskId,
+        workspace_id: req.user.workspace_id,
+        created_by: req.user.id,
+        status: 'pending',
+        series_id: fields.recurrence_rule ? taskId : null
+      })
+      .select()
+      .single();
+
+    if (taskError) {
+      log('Database error creating task:', taskError);
+      return errorResponse(res, 500, 'Failed to create task');
+    }
+
+    // IMMEDIATELY trigger the transport (Boltic) to create calendar event
+    const transport = getWorkspaceTransport(await loadWorkspace(supabase, req.user.workspace_id));
+    await triggerCalendarCreate(transport, task);
+
+    // Schedule chasers from the task's override policy or its priority's default,
+    // shifted into the assignee's working hours
+    const { policy, chasers: scheduledChasers } = await planChasers(supabase, task);
+
+    // Insert all chaser queue entries
+    const { data: chaserQueues, error: chaserError } = await supabase
+      .from('chaser_queue')
+      .insert(scheduledChasers)
+      .select();
+
+    if (chaserError) {
+      log('Error creating chaser queue entries:', chaserError);
+      // Task was created, but chaser scheduling failed - log but don't fail
+    } else {
+      log(`Created task: ${task.id} with ${chaserQueues.length} escalation chasers scheduled (policy: ${policy.name})`);
+    }
+
+    res.status(201).json({
+      ...task,
+      escalation_policy_name: policy.name,
+      chasers_scheduled: scheduledChasers.length,
+      first_chaser_at: scheduledChasers[0]?.scheduled_at
+    });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/tasks:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/tasks/import
+ * Bulk-create tasks from { format: 'csv', csv } or { format: 'json', tasks },
+ * validating each row like POST /api/tasks. Rows may name their policy with
+ * escalation_policy instead of escalation_policy_id. With dry_run: true only
+ * the per-row validation report is returned. Otherwise all tasks and their
+ * chasers are created in one transaction, or none if any row is invalid.
+ */
+app.post('/api/tasks/import', requirePermission('tasks:create'), async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run === true;
+
+    const { rows, error: parseError } = parseImport(req.body);
+    if (parseError) {
+      return errorResponse(res, 400, parseError);
+    }
+
+    const { data: policies, error: policiesError } = await supabase
+      .from('escalation_policies')
+      .select('id, name')
+      .or(`workspace_id.eq.${req.user.workspace_id},workspace_id.is.null`);
+
+    if (policiesError) {
+      log('Database error fetching escalation policies:', policiesError);
+      return errorResponse(res, 500, 'Failed to import tasks');
+    }
+
+    const report = rows.map(({ row, input, error }) => {
+      if (error) {
+        return { row, errors: [error], fields: null, input: null };
+      }
+
+      const { escalation_policy: policyName, ...taskInput } = input;
+      const { fields, errors } = validateTaskInput(taskInput);
+
+      let policyId = taskInput.escalation_policy_id || null;
+      if (policyName) {
+        const policy = policies.find(p => p.name.toLowerCase() === String(policyName).trim().toLowerCase());
+        if (policy) policyId = policy.id;
+        else errors.push(`Escalation policy not found: ${policyName}`);
+      } else if (policyId && !policies.some(p => p.id === policyId)) {
+        errors.push('Escalation policy not found');
+      }
+
+      return { row, errors, fields: errors.length === 0 ? { ...fields, escalation_policy_id: policyId } : null, input };
+    });
+
+    const invalidCount = report.filter(r => r.errors.length > 0).length;
+    const summary = {
+      dry_run: dryRun,
+      total: report.length,
+      valid: report.length - invalidCount,
+      invalid: invalidCount,
+      rows: report.map(({ row, errors, fields, input }) => ({
+        row,
+        valid: errors.length === 0,
+        errors,
+        title: fields?.title ?? input?.title ?? null,
+        assignee_email: fields?.assignee_email ?? input?.assignee_email ?? null,
+        due_date: fields?.due_date ?? null
+      }))
+    };
+
+    if (dryRun) {
+      return res.json(summary);
+    }
+    if (invalidCount > 0) {
+      log(`Rejected import: ${invalidCount} of ${report.length} rows are invalid`);
+      return res.status(400).json({ error: `${invalidCount} row(s) have errors, nothing was imported`, ...summary });
+    }
+
+    // Plan every task's chasers first, then write tasks and chasers together
+    const tasks = report.map(({ fields }) => {
+      const id = crypto.randomUUID();
+      return {
+        ...fields,
+        id,
+        workspace_id: req.user.workspace_id,
+        created_by: req.user.id,
+        status: 'pending',
+        series_id: fields.recurrence_rule ? id : null
+      };
+    });
+
+    const chasers = [];
+    for (const task of tasks) {
+      const { chasers: planned } = await planChasers(supabase, task);
+      chasers.push(...planned);
+    }
+
+    const { data: createdTasks, error: importError } = await supabase
+      .rpc('import_tasks', { p_tasks: tasks, p_chasers: chasers });
+
+    if (importError) {
+      log('Database error importing tasks:', importError);
+      return errorResponse(res, 500, 'Failed to import tasks');
+    }
+
+    log(`Imported ${createdTasks.length} tasks with ${chasers.length} chasers for ${req.user.email}`);
+
+    // Calendar events are best effort, as for single tasks
+    const transport = getWorkspaceTransport(await loadWorkspace(supabase, req.user.workspace_id));
+    for (const task of createdTasks) {
+      await triggerCalendarCreate(transport, task);
+    }
+
+    res.status(201).json({
+      ...summary,
+      imported: createdTasks.length,
+      chasers_scheduled: chasers.length,
+      tasks: createdTasks
+    });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/tasks/import:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/tasks
+ * List tasks with their pending chaser count. Supports filters (status,
+ * priority, assignee, due_after, due_before), title search (q), sorting
+ * (sort, order) and cursor pagination (limit, cursor). total is only
+ * returned for the first page.
+ */
+app.get('/api/tasks', async (req, res) => {
+  try {
+    const { options, error: queryError } = parseTaskListQuery(req.query);
+    if (queryError) {
+      return errorResponse(res, 400, queryError);
+    }
+
+    // Pending chaser counts come back as an embedded aggregate in the same query
+    let query = supabase
+      .from('tasks')
+      .select('*, pending_chasers:chaser_queue(count)', options.cursor ? {} : { count: 'exact' })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('pending_chasers.status', 'pending');
+
+    query = applyTaskPage(applyTaskFilters(query, options), options);
+
+    const { data: rows, count, error: tasksError } = await query;
+
+    if (tasksError) {
+      log('Database error fetching tasks:', tasksError);
+      return errorResponse(res, 500, 'Failed to fetch tasks');
+    }
+
+    const { tasks, nextCursor } = paginate(rows, options);
+
+    res.json({
+      tasks: tasks.map(({ pending_chasers: pendingChasers, ...task }) => ({
+        ...task,
+        pending_chasers_count: pendingChasers?.[0]?.count || 0
+      })),
+      next_cursor: nextCursor,
+      total: options.cursor ? null : count
+    });
+
+  } catch (error) {
+    log('Unexpected error in GET /api/tasks:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/tasks/:id
+ * Fetch single task with chaser logs
+ */
+app.get('/api/tasks/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Fetch task
+    const { data: task, error: taskError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .single();
+
+    if (taskError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+
+    // Fetch chaser logs for this task
+    const { data: chaserLogs, error: logsError } = await supabase
+      .from('chaser_logs')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('task_id', id)
+      .order('sent_at', { ascending: false });
+
+    if (logsError) {
+      log('Error fetching chaser logs:', logsError);
+    }
+
+    // Fetch pending chasers
+    const { data: pendingChasers } = await supabase
+      .from('chaser_queue')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('task_id', id)
+      // Skipped chasers stay listed until their send time passes, so they can be restored
+      .or(`status.eq.pending,and(status.eq.skipped,scheduled_at.gt.${new Date().toISOString()})`)
+      .order('scheduled_at', { ascending: true });
+
+    res.json({
+      ...task,
       chaser_logs: chaserLogs || [],
-      pending_chasers: pendingChasers || []
+      pending_chasers: pendingChasers || [],
+      extension_requests: await loadExtensionRequests(supabase, req.user.workspace_id, id)
     });
 
   } catch (error) {
-    log('Unexpected error in GET /api/tasks/:id:', error);
+    log('Unexpected error in GET /api/tasks/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/tasks/:id/series
+ * Fetch all occurrences of the recurring series a task belongs to
+ */
+app.get('/api/tasks/:id/series', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: task, error: taskError } = await supabase
+      .from('tasks')
+      .select('id, series_id')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .single();
+
+    if (taskError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+
+    if (!task.series_id) {
+      return res.json([]);
+    }
+
+    const { data: occurrences, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('series_id', task.series_id)
+      .order('due_date', { ascending: true });
+
+    if (error) {
+      log('Database error fetching task series:', error);
+      return errorResponse(res, 500, 'Failed to fetch task series');
+    }
+
+    res.json(occurrences);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/tasks/:id/series:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id
+ * Update task (status, due_date, etc.)
+ */
+app.patch('/api/tasks/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Check if task exists
+    const { data: existingTask, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existingTask) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+
+    const permissionError = checkTaskUpdate(req.user, existingTask, updates);
+    if (permissionError) {
+      return errorResponse(res, 403, permissionError);
+    }
+
+    // Prepare update data
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (updates.title) updateData.title = updates.title.trim();
+    if (updates.status) updateData.status = updates.status;
+    if (updates.priority) updateData.priority = updates.priority;
+    if (updates.due_date) {
+      const newDueDate = new Date(updates.due_date);
+      if (isNaN(newDueDate.getTime())) {
+        return errorResponse(res, 400, 'Invalid due date format');
+      }
+      updateData.due_date = newDueDate.toISOString();
+
+      // An overdue task given a future deadline is open again
+      const currentStatus = updateData.status || existingTask.status;
+      if (currentStatus === 'overdue' && newDueDate > new Date()) {
+        updateData.status = 'pending';
+      }
+    }
+    if (updates.assignee_email) {
+      updateData.assignee_email = updates.assignee_email.trim().toLowerCase();
+      // Action links sent to earlier assignees stop working
+      if (updateData.assignee_email !== existingTask.assignee_email) {
+        updateData.reassigned_at = new Date().toISOString();
+      }
+    }
+    if (updates.assignee_name !== undefined) updateData.assignee_name = updates.assignee_name?.trim() || null;
+    if (updates.escalation_policy_id !== undefined) {
+      if (updates.escalation_policy_id && !await escalationPolicyAvailable(req.user.workspace_id, updates.escalation_policy_id)) {
+        return errorResponse(res, 400, 'Escalation policy not found');
+      }
+      updateData.escalation_policy_id = updates.escalation_policy_id || null;
+    }
+    if (updates.escalation_contacts !== undefined) {
+      const contactsError = validateEscalationContacts(updates.escalation_contacts);
+      if (contactsError) {
+        return errorResponse(res, 400, contactsError);
+      }
+      updateData.escalation_contacts = normalizeEscalationContacts(updates.escalation_contacts);
+    }
+    if (updates.recurrence_rule !== undefined) {
+      if (updates.recurrence_rule) {
+        const { error: ruleError } = parseRecurrenceRule(updates.recurrence_rule);
+        if (ruleError) {
+          return errorResponse(res, 400, `Invalid recurrence rule: ${ruleError}`);
+        }
+        updateData.recurrence_rule = updates.recurrence_rule.trim().toUpperCase();
+        updateData.series_id = existingTask.series_id || id;
+      } else {
+        updateData.recurrence_rule = null;
+      }
+    }
+
+    // Update task
+    const { data: updatedTask, error: updateError } = await supabase
+      .from('tasks')
+      .update(updateData)
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (updateError) {
+      log('Database error updating task:', updateError);
+      return errorResponse(res, 500, 'Failed to update task');
+    }
+
+    // If the due date or the policy that applies moved, re-plan the escalation schedule
+    const dueDateChanged = updateData.due_date &&
+      new Date(updateData.due_date).getTime() !== new Date(existingTask.due_date).getTime();
+    const policyChanged = updateData.escalation_policy_id !== undefined &&
+      updateData.escalation_policy_id !== existingTask.escalation_policy_id;
+    const priorityChanged = updateData.priority && updateData.priority !== existingTask.priority &&
+      !updatedTask.escalation_policy_id;
+
+    let replanReason = null;
+    if (dueDateChanged) {
+      replanReason = `due_date_changed: ${existingTask.due_date} -> ${updatedTask.due_date}`;
+    } else if (policyChanged) {
+      replanReason = `escalation_policy_changed: ${existingTask.escalation_policy_id || 'default'} -> ${updatedTask.escalation_policy_id || 'default'}`;
+    } else if (priorityChanged) {
+      replanReason = `priority_changed: ${existingTask.priority} -> ${updatedTask.priority}`;
+    }
+
+    if (replanReason && updates.status !== 'completed') {
+      const { chasers, error: replanError } = await replanChasers(supabase, updatedTask, replanReason);
+
+      if (replanError) {
+        log('Error re-planning chasers:', replanError);
+      } else {
+        log(`Re-planned ${chasers.length} chasers for task ${id} (${replanReason})`);
+      }
+    }
+
+    // If status changed to 'completed', cancel pending chasers, roll recurring tasks over
+    // and remove the calendar event
+    if (updates.status === 'completed') {
+      await handleTaskCompleted(existingTask, updatedTask);
+    }
+
+    res.json(updatedTask);
+
+  } catch (error) {
+    log('Unexpected error in PATCH /api/tasks/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/tasks/:id/snooze
+ * Hold the task's chasers until { until }. Chasers due before then are folded
+ * into one sent when the snooze ends; later chasers are unaffected.
+ */
+app.post('/api/tasks/:id/snooze', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const until = new Date(req.body.until);
+
+    if (!req.body.until || isNaN(until.getTime())) {
+      return errorResponse(res, 400, 'until must be a valid date');
+    }
+    if (until <= new Date()) {
+      return errorResponse(res, 400, 'until must be in the future');
+    }
+    if (until > new Date(Date.now() + MAX_SNOOZE_HOURS * 60 * 60 * 1000)) {
+      return errorResponse(res, 400, `until must be at most ${MAX_SNOOZE_HOURS} hours from now`);
+    }
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+    // Assignees may pause reminders for their own tasks
+    if (!taskAccess(req.user, task)) {
+      return errorResponse(res, 403, 'You do not have permission to snooze this task');
+    }
+    if (task.status === 'completed') {
+      return errorResponse(res, 400, 'Completed tasks have no chasers to snooze');
+    }
+
+    const { moved, skipped, error: snoozeError } = await snoozeTask(task, until, req.user.email);
+    if (snoozeError) {
+      log('Error snoozing task:', snoozeError);
+      return errorResponse(res, 500, 'Failed to snooze task');
+    }
+
+    res.json({ task_id: id, snoozed_until: until.toISOString(), moved, skipped });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/tasks/:id/snooze:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/snooze
+ * End a snooze now and re-plan the chaser schedule from the escalation policy
+ */
+app.delete('/api/tasks/:id/snooze', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+    if (!taskAccess(req.user, task)) {
+      return errorResponse(res, 403, 'You do not have permission to snooze this task');
+    }
+    if (!task.snoozed_until) {
+      return errorResponse(res, 400, 'Task is not snoozed');
+    }
+
+    const { data: updatedTask, error: updateError } = await supabase
+      .from('tasks')
+      .update({ snoozed_until: null })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (updateError) {
+      log('Error ending snooze:', updateError);
+      return errorResponse(res, 500, 'Failed to end snooze');
+    }
+
+    const { chasers, error: replanError } = await replanChasers(supabase, updatedTask, 'snooze_ended');
+    if (replanError) {
+      log('Error re-planning chasers after snooze:', replanError);
+    }
+
+    await recordScheduleChange(supabase, task, {
+      status: 'resumed',
+      subject: 'Snooze ended, chasers resumed',
+      recipientEmail: req.user.email
+    });
+    log(`▶️ Snooze ended for task ${id} by ${req.user.email} (${chasers.length} chasers planned)`);
+
+    res.json({ task_id: id, snoozed_until: null, planned: chasers.length });
+
+  } catch (error) {
+    log('Unexpected error in DELETE /api/tasks/:id/snooze:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+// Shared by the skip and restore routes below
+async function updateChaserSkip(req, res, skip) {
+  try {
+    const { id, chaserId } = req.params;
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+    if (!taskAccess(req.user, task)) {
+      return errorResponse(res, 403, 'You do not have permission to change this task\'s chasers');
+    }
+
+    const { chaser, error: skipError } = await setChaserSkipped(supabase, task, chaserId, skip);
+    if (skipError) {
+      log('Error updating chaser:', skipError);
+      return errorResponse(res, 500, skip ? 'Failed to skip chaser' : 'Failed to restore chaser');
+    }
+    if (!chaser) {
+      return errorResponse(res, 409, skip
+        ? 'Only scheduled chasers can be skipped'
+        : 'Only skipped chasers whose send time is still ahead can be restored');
+    }
+
+    await recordScheduleChange(supabase, task, {
+      status: skip ? 'skipped' : 'resumed',
+      subject: `${skip ? 'Skipped' : 'Restored'} chaser scheduled for ${formatDueDate(chaser.scheduled_at)}`,
+      recipientEmail: req.user.email,
+      queueId: chaser.id
+    });
+    log(`${skip ? '⏭️ Skipped' : '↩️ Restored'} chaser ${chaser.id} for task ${id} by ${req.user.email}`);
+
+    res.json(chaser);
+
+  } catch (error) {
+    log(`Unexpected error in ${req.method} /api/tasks/:id/chasers/:chaserId/skip:`, error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+}
+
+/**
+ * POST /api/tasks/:id/chasers/:chaserId/skip
+ * Skip one scheduled chaser
+ */
+app.post('/api/tasks/:id/chasers/:chaserId/skip', (req, res) => updateChaserSkip(req, res, true));
+
+/**
+ * DELETE /api/tasks/:id/chasers/:chaserId/skip
+ * Put a skipped chaser back in the schedule while its send time is still ahead
+ */
+app.delete('/api/tasks/:id/chasers/:chaserId/skip', (req, res) => updateChaserSkip(req, res, false));
+
+/**
+ * GET /api/tasks/:id/extension-requests
+ * A task's extension requests, newest first
+ */
+app.get('/api/tasks/:id/extension-requests', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('id')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+
+    res.json(await loadExtensionRequests(supabase, req.user.workspace_id, id));
+
+  } catch (error) {
+    log('Unexpected error in GET /api/tasks/:id/extension-requests:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/tasks/:id/extension-requests
+ * Ask the task's owner for a later due date: { proposed_due_date, reason }
+ */
+app.post('/api/tasks/:id/extension-requests', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+    if (!taskAccess(req.user, task)) {
+      return errorResponse(res, 403, 'You do not have permission to request more time on this task');
+    }
+    if (task.status === 'completed') {
+      return errorResponse(res, 409, 'Completed tasks cannot be extended');
+    }
+
+    const { error: validationError, proposedDueDate } = validateExtensionRequest(task, req.body || {});
+    if (validationError) {
+      return errorResponse(res, 400, validationError);
+    }
+
+    const { request, error: requestError, duplicate } = await submitExtensionRequest(task, {
+      requesterEmail: req.user.email,
+      proposedDueDate,
+      reason: req.body.reason
+    });
+
+    if (requestError) {
+      log('Error creating extension request:', requestError);
+      return errorResponse(res, 500, 'Failed to create extension request');
+    }
+    if (duplicate) {
+      return errorResponse(res, 409, 'This task already has a pending extension request');
+    }
+
+    res.status(201).json(request);
+
+  } catch (error) {
+    log('Unexpected error in POST /api/tasks/:id/extension-requests:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+async function decideExtension(req, res, approved) {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    if (note != null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      return errorResponse(res, 400, `note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const { data: request, error: requestError } = await supabase
+      .from('extension_requests')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (requestError || !request) {
+      return errorResponse(res, 404, 'Extension request not found');
+    }
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', request.task_id)
+      .maybeSingle();
+
+    if (fetchError || !task) {
+      return errorResponse(res, 404, 'Task not found');
+    }
+    if (taskAccess(req.user, task) !== 'edit') {
+      return errorResponse(res, 403, 'You do not have permission to decide on this task\'s extension requests');
+    }
+    if (request.status !== 'pending') {
+      return errorResponse(res, 409, `This request was already ${request.status}`);
+    }
+    if (approved && task.status === 'completed') {
+      return errorResponse(res, 409, 'Completed tasks cannot be rescheduled');
+    }
+
+    const { request: decided, error: decideError } = await decideExtensionRequest(supabase, request, {
+      approved,
+      decidedBy: req.user.id,
+      note
+    });
+
+    if (decideError) {
+      log('Error deciding extension request:', decideError);
+      return errorResponse(res, 500, 'Failed to update extension request');
+    }
+    // Another owner decided first
+    if (!decided) {
+      return errorResponse(res, 409, 'This request was already decided');
+    }
+
+    let updatedTask = task;
+    let chasersScheduled = null;
+
+    if (approved) {
+      // Same path as update-timeline: a 1 minute calendar slot at the new due time
+      const dueDate = new Date(decided.proposed_due_date);
+      const { updatedTask: rescheduled, chasers, error: updateError } = await rescheduleTask(
+        task,
+        {
+          dueDate: dueDate.toISOString(),
+          eventStart: dueDate.toISOString(),
+          eventEnd: new Date(dueDate.getTime() + 60 * 1000).toISOString()
+        },
+        `extension_approved: ${task.due_date} -> ${dueDate.toISOString()}`
+      );
+
+      if (updateError) {
+        log('Error applying approved extension:', updateError);
+        // The decision only stands once the due date moved
+        const { error: reopenError } = await reopenExtensionRequest(supabase, decided);
+        if (reopenError) {
+          log('Error reopening extension request:', reopenError);
+        }
+        return errorResponse(res, 500, 'Failed to update the due date; the request is still pending');
+      }
+      updatedTask = rescheduled;
+      chasersScheduled = chasers.length;
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const requester = decided.requested_by_email;
+    const { locale, timeZone } = await loadRecipientLocale(supabase, requester, task.workspace_id);
+    const notice = buildExtensionDecisionNotice(task, decided, {
+      dueDate: formatDueDate(updatedTask.due_date, { locale, timeZone }),
+      taskLink: `${frontendUrl}/tasks/${task.id}`
+    });
+    const transport = getWorkspaceTransport(await loadWorkspace(supabase, task.workspace_id));
+    await sendTaskNotice(transport, task, { email: requester, name: requester === task.assignee_email ? task.assignee_name : null }, notice);
+
+    await recordScheduleChange(supabase, task, {
+      status: approved ? 'extension_approved' : 'extension_rejected',
+      subject: approved
+        ? `More time approved: due ${formatDueDate(updatedTask.due_date)}`
+        : 'More time declined',
+      recipientEmail: req.user.email
+    });
+    log(`${approved ? '✅ Approved' : '❌ Rejected'} extension request ${id} for task ${task.id} by ${req.user.email}`);
+
+    res.json({
+      request: decided,
+      task: updatedTask,
+      ...(approved ? { chasers_scheduled: chasersScheduled } : {})
+    });
+
+  } catch (error) {
+    log(`Unexpected error in POST /api/extension-requests/:id/${approved ? 'approve' : 'reject'}:`, error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+}
+
+/**
+ * POST /api/extension-requests/:id/approve
+ * Approve a pending request: the task's due date, calendar event and chasers
+ * move to the proposed date. Optional { note } for the requester.
+ */
+app.post('/api/extension-requests/:id/approve', (req, res) => decideExtension(req, res, true));
+
+/**
+ * POST /api/extension-requests/:id/reject
+ * Reject a pending request. Optional { note } for the requester.
+ */
+app.post('/api/extension-requests/:id/reject', (req, res) => decideExtension(req, res, false));
+
+/**
+ * POST /api/tasks/:id/update-timeline
+ * Update task timeline and trigger Boltic to update Google Calendar
+ */
+app.post('/api/tasks/:id/update-timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { event_start, event_end } = req.body;
+
+    log('Received update-timeline request:', { id, event_start, event_end });
+
+    if (!event_start || !event_end) {
+      return errorResponse(res, 400, 'event_start and event_end are required');
+    }
+
+    // event_end becomes the task's due date
+    const eventStart = new Date(event_start);
+    const eventEnd = new Date(event_end);
+    if (isNaN(eventStart.getTime()) || isNaN(eventEnd.getTime())) {
+      return errorResponse(res, 400, 'Invalid event_start or event_end format');
+    }
+    if (eventEnd < eventStart) {
+      return errorResponse(res, 400, 'event_end must not be before event_start');
+    }
+
+    // Fetch the task to get calendar_event_id
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !task) {
+      log('Task not found:', fetchError);
+      return errorResponse(res, 404, 'Task not found');
+    }
+
+    if (taskAccess(req.user, task) !== 'edit') {
+      return errorResponse(res, 403, 'You do not have permission to change the deadline of this task');
+    }
+
+    if (!task.calendar_event_id) {
+      return errorResponse(res, 400, 'Task does not have a calendar event to update. Create a chaser first.');
+    }
+
+    const { updatedTask, chasers, error: updateError } = await rescheduleTask(
+      task,
+      { dueDate: eventEnd.toISOString(), eventStart: eventStart.toISOString(), eventEnd: eventEnd.toISOString() },
+      `timeline_updated: ${task.due_date} -> ${eventEnd.toISOString()}`
+    );
+
+    if (updateError) {
+      log('Error updating task:', updateError);
+      return errorResponse(res, 500, 'Failed to update task');
+    }
+
+    res.json({
+      success: true,
+      task: updatedTask,
+      chasers_scheduled: chasers.length,
+      message: 'Timeline updated and calendar sync triggered'
+    });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/tasks/:id/update-timeline:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/assignees
+ * List assignees with their time zone and working hours
+ */
+app.get('/api/assignees', async (req, res) => {
+  try {
+    const { data: assignees, error } = await supabase
+      .from('assignees')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .order('email', { ascending: true });
+
+    if (error) {
+      log('Database error fetching assignees:', error);
+      return errorResponse(res, 500, 'Failed to fetch assignees');
+    }
+
+    res.json(assignees.map(publicAssignee));
+
+  } catch (error) {
+    log('Unexpected error in GET /api/assignees:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/assignees/:email
+ * Fetch one assignee's settings
+ */
+app.get('/api/assignees/:email', async (req, res) => {
+  try {
+    const { data: assignee, error } = await supabase
+      .from('assignees')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('email', req.params.email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (error || !assignee) {
+      return errorResponse(res, 404, 'Assignee not found');
+    }
+
+    res.json(publicAssignee(assignee));
+
+  } catch (error) {
+    log('Unexpected error in GET /api/assignees/:email:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/assignees/:email/calendar-feed
+ * Create (or replace) the assignee's secret iCalendar feed URL. The URL is
+ * only returned here; calling again invalidates the previous one.
+ * Users can manage their own feed, admins anyone's.
+ */
+app.post('/api/assignees/:email/calendar-feed', async (req, res) => {
+  try {
+    const email = req.params.email.trim().toLowerCase();
+
+    if (!isValidEmail(email)) {
+      return errorResponse(res, 400, 'Valid assignee email is required');
+    }
+    if (email !== req.user.email.toLowerCase() && !hasPermission(req.user, 'settings:manage')) {
+      return errorResponse(res, 403, 'You can only manage your own calendar feed');
+    }
+
+    const { token, hash } = generateFeedToken();
+
+    const { error } = await supabase
+      .from('assignees')
+      .upsert({
+        workspace_id: req.user.workspace_id,
+        email,
+        calendar_feed_token_hash: hash,
+        calendar_feed_created_at: new Date().toISOString()
+      }, { onConflict: 'workspace_id,email' });
+
+    if (error) {
+      log('Database error creating calendar feed:', error);
+      return errorResponse(res, 500, 'Failed to create calendar feed');
+    }
+
+    log(`Issued calendar feed for ${email}`);
+    res.status(201).json({ email, feed_url: feedUrl(token) });
+
+  } catch (error) {
+    log('Unexpected error in POST /api/assignees/:email/calendar-feed:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * DELETE /api/assignees/:email/calendar-feed
+ * Turn off the assignee's calendar feed
+ */
+app.delete('/api/assignees/:email/calendar-feed', async (req, res) => {
+  try {
+    const email = req.params.email.trim().toLowerCase();
+
+    if (email !== req.user.email.toLowerCase() && !hasPermission(req.user, 'settings:manage')) {
+      return errorResponse(res, 403, 'You can only manage your own calendar feed');
+    }
+
+    const { error } = await supabase
+      .from('assignees')
+      .update({ calendar_feed_token_hash: null, calendar_feed_created_at: null })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('email', email);
+
+    if (error) {
+      log('Database error disabling calendar feed:', error);
+      return errorResponse(res, 500, 'Failed to disable calendar feed');
+    }
+
+    log(`Disabled calendar feed for ${email}`);
+    res.json({ success: true });
+
+  } catch (error) {
+    log('Unexpected error in DELETE /api/assignees/:email/calendar-feed:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * Public iCalendar feed of an assignee's open tasks (the token is the secret)
+ */
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const ics = await buildAssigneeFeed(supabase, req.params.token);
+    if (!ics) {
+      return errorResponse(res, 404, 'Calendar feed not found');
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(ics);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/calendar/:token.ics:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/actions/:token
+ * Confirmation page for a signed action link from a chaser (no session needed).
+ * Nothing changes until the page is submitted, so link scanners can't act.
+ */
+app.get('/api/actions/:token', async (req, res) => {
+  try {
+    sendActionPage(res, await runTaskAction(req.params.token, false));
+  } catch (error) {
+    log('Unexpected error in GET /api/actions/:token:', error);
+    sendActionPage(res, { status: 500, html: renderActionPage({ message: actionText(DEFAULT_LOCALE, 'action_failed') }) });
+  }
+});
+
+/**
+ * POST /api/actions/:token
+ * Apply a signed action link: mark the task done, snooze its chasers or
+ * propose a new due date to the task owner (form fields due_date, reason)
+ */
+app.post('/api/actions/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    sendActionPage(res, await runTaskAction(req.params.token, true, req.body || {}));
+  } catch (error) {
+    log('Unexpected error in POST /api/actions/:token:', error);
+    sendActionPage(res, { status: 500, html: renderActionPage({ message: actionText(DEFAULT_LOCALE, 'action_failed') }) });
+  }
+});
+
+/**
+ * PUT /api/assignees/:email
+ * Create or update an assignee's time zone, locale, working hours and escalation
+ * chain, then re-plan the pending chasers of their open tasks
+ */
+app.put('/api/assignees/:email', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const email = req.params.email.trim().toLowerCase();
+    const { name, time_zone, locale, work_start, work_end, work_days, escalation_contacts } = req.body;
+
+    if (!isValidEmail(email)) {
+      return errorResponse(res, 400, 'Valid assignee email is required');
+    }
+
+    const contactsError = validateEscalationContacts(escalation_contacts);
+    if (contactsError) {
+      return errorResponse(res, 400, contactsError);
+    }
+    if (!time_zone || !isValidTimeZone(time_zone)) {
+      return errorResponse(res, 400, 'A valid IANA time_zone is required (e.g. Europe/Berlin)');
+    }
+    if (locale !== undefined && !isSupportedLocale(locale)) {
+      return errorResponse(res, 400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+
+    const startMinutes = parseTimeOfDay(work_start || '09:00');
+    const endMinutes = parseTimeOfDay(work_end || '18:00');
+    if (startMinutes === null || endMinutes === null || startMinutes >= endMinutes) {
+      return errorResponse(res, 400, 'work_start and work_end must be HH:MM with work_start before work_end');
+    }
+
+    const days = work_days || [1, 2, 3, 4, 5];
+    if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 1 && day <= 7)) {
+      return errorResponse(res, 400, 'work_days must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)');
+    }
+
+    const { data: assignee, error } = await supabase
+      .from('assignees')
+      .upsert({
+        workspace_id: req.user.workspace_id,
+        email,
+        name: name?.trim() || null,
+        time_zone,
+        work_start: work_start || '09:00',
+        work_end: work_end || '18:00',
+        work_days: days,
+        ...(locale !== undefined ? { locale } : {}),
+        // Leave an existing chain alone unless one was sent
+        ...(escalation_contacts !== undefined
+          ? { escalation_contacts: normalizeEscalationContacts(escalation_contacts) }
+          : {}),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'workspace_id,email' })
+      .select()
+      .single();
+
+    if (error) {
+      log('Database error saving assignee:', error);
+      return errorResponse(res, 500, 'Failed to save assignee');
+    }
+
+    // Move already scheduled reminders into the new working hours
+    const { data: openTasks } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('assignee_email', email)
+      .neq('status', 'completed')
+      .gt('due_date', new Date().toISOString());
+
+    let replannedTasks = 0;
+    for (const task of openTasks || []) {
+      const { error: replanError } = await replanChasers(supabase, task, 'working_hours_changed');
+      if (replanError) {
+        log(`Error re-planning chasers for task ${task.id}:`, replanError);
+      } else {
+        replannedTasks++;
+      }
+    }
+
+    log(`Saved working hours for ${email} (${time_zone}), re-planned ${replannedTasks} task(s)`);
+
+    res.json({ ...publicAssignee(assignee), replanned_tasks: replannedTasks });
+
+  } catch (error) {
+    log('Unexpected error in PUT /api/assignees/:email:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/escalation-policies
+ * List escalation policies
+ */
+app.get('/api/escalation-policies', async (req, res) => {
+  try {
+    const { data: policies, error } = await supabase
+      .from('escalation_policies')
+      .select('*')
+      .or(`workspace_id.eq.${req.user.workspace_id},workspace_id.is.null`)
+      .order('name', { ascending: true });
+
+    if (error) {
+      log('Database error fetching escalation policies:', error);
+      return errorResponse(res, 500, 'Failed to fetch escalation policies');
+    }
+
+    res.json(policies);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/escalation-policies:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/escalation-policies
+ * Create an escalation policy
+ */
+app.post('/api/escalation-policies', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { name, description, tiers, overdue_followups, default_for_priority } = req.body;
+
+    if (!name || !name.trim()) {
+      return errorResponse(res, 400, 'Policy name is required');
+    }
+
+    const tiersError = validateEscalationTiers(tiers);
+    if (tiersError) {
+      return errorResponse(res, 400, tiersError);
+    }
+
+    const followupsError = validateOverdueFollowups(overdue_followups);
+    if (followupsError) {
+      return errorResponse(res, 400, followupsError);
+    }
+
+    if (default_for_priority && !VALID_PRIORITIES.includes(default_for_priority)) {
+      return errorResponse(res, 400, `default_for_priority must be one of: ${VALID_PRIORITIES.join(', ')}`);
+    }
+
+    // A priority has at most one default policy
+    if (default_for_priority) {
+      await supabase
+        .from('escalation_policies')
+        .update({ default_for_priority: null })
+        .eq('workspace_id', req.user.workspace_id)
+        .eq('default_for_priority', default_for_priority);
+    }
+
+    const { data: policy, error } = await supabase
+      .from('escalation_policies')
+      .insert({
+        workspace_id: req.user.workspace_id,
+        name: name.trim(),
+        description: description?.trim() || null,
+        tiers,
+        overdue_followups: overdue_followups || null,
+        default_for_priority: default_for_priority || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      log('Database error creating escalation policy:', error);
+      return errorResponse(res, 500, 'Failed to create escalation policy');
+    }
+
+    log(`Created escalation policy: ${policy.name}`);
+    res.status(201).json(policy);
+
+  } catch (error) {
+    log('Unexpected error in POST /api/escalation-policies:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/escalation-policies/:id
+ * Fetch a single escalation policy
+ */
+app.get('/api/escalation-policies/:id', async (req, res) => {
+  try {
+    const { data: policy, error } = await supabase
+      .from('escalation_policies')
+      .select('*')
+      .or(`workspace_id.eq.${req.user.workspace_id},workspace_id.is.null`)
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !policy) {
+      return errorResponse(res, 404, 'Escalation policy not found');
+    }
+
+    res.json(policy);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/escalation-policies/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * PATCH /api/escalation-policies/:id
+ * Update one of the workspace's escalation policies (the shared built-in ones
+ * are read-only). Already scheduled chasers keep their plan; the new tiers
+ * apply to tasks created or re-planned afterwards.
+ */
+app.patch('/api/escalation-policies/:id', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (updates.name !== undefined) {
+      if (!updates.name || !updates.name.trim()) {
+        return errorResponse(res, 400, 'Policy name is required');
+      }
+      updateData.name = updates.name.trim();
+    }
+    if (updates.description !== undefined) updateData.description = updates.description?.trim() || null;
+    if (updates.tiers !== undefined) {
+      const tiersError = validateEscalationTiers(updates.tiers);
+      if (tiersError) {
+        return errorResponse(res, 400, tiersError);
+      }
+      updateData.tiers = updates.tiers;
+    }
+    if (updates.overdue_followups !== undefined) {
+      const followupsError = validateOverdueFollowups(updates.overdue_followups);
+      if (followupsError) {
+        return errorResponse(res, 400, followupsError);
+      }
+      updateData.overdue_followups = updates.overdue_followups || null;
+    }
+    if (updates.default_for_priority !== undefined) {
+      if (updates.default_for_priority && !VALID_PRIORITIES.includes(updates.default_for_priority)) {
+        return errorResponse(res, 400, `default_for_priority must be one of: ${VALID_PRIORITIES.join(', ')}`);
+      }
+      if (updates.default_for_priority) {
+        await supabase
+          .from('escalation_policies')
+          .update({ default_for_priority: null })
+          .eq('workspace_id', req.user.workspace_id)
+          .eq('default_for_priority', updates.default_for_priority)
+          .neq('id', id);
+      }
+      updateData.default_for_priority = updates.default_for_priority || null;
+    }
+
+    const { data: policy, error } = await supabase
+      .from('escalation_policies')
+      .update(updateData)
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !policy) {
+      log('Database error updating escalation policy:', error);
+      return errorResponse(res, 404, 'Escalation policy not found');
+    }
+
+    res.json(policy);
+
+  } catch (error) {
+    log('Unexpected error in PATCH /api/escalation-policies/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * DELETE /api/escalation-policies/:id
+ * Delete an escalation policy; tasks overriding it fall back to their priority default
+ */
+app.delete('/api/escalation-policies/:id', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('escalation_policies')
+      .delete()
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', req.params.id);
+
+    if (error) {
+      log('Database error deleting escalation policy:', error);
+      return errorResponse(res, 500, 'Failed to delete escalation policy');
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    log('Unexpected error in DELETE /api/escalation-policies/:id:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/templates?locale=en
+ * Message templates in effect for every tier and channel in a locale
+ * (workspace overrides, else the built-in copy), plus the variables they can use
+ */
+app.get('/api/templates', async (req, res) => {
+  try {
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    if (!isSupportedLocale(locale)) {
+      return errorResponse(res, 400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+
+    const templates = await loadMessageTemplates(supabase, req.user.workspace_id);
+
+    const effective = [];
+    for (const tier of TEMPLATE_TIERS) {
+      for (const channel of TEMPLATE_CHANNELS) {
+        effective.push({ tier, channel, locale, ...resolveTemplate(templates, tier, channel, locale) });
+      }
+    }
+
+    res.json({ templates: effective, variables: TEMPLATE_VARIABLES, locales: SUPPORTED_LOCALES });
+
+  } catch (error) {
+    log('Unexpected error in GET /api/templates:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * PATCH /api/tasks/:id
- * Update task (status, due_date, etc.)
+ * PUT /api/templates/:tier/:channel
+ * Override the template for a tier and channel in one locale
  */
-app.patch('/api/tasks/:id', async (req, res) => {
+app.put('/api/templates/:tier/:channel', requirePermission('settings:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const tier = Number(req.params.tier);
+    const { channel } = req.params;
+    const { subject, body, locale = DEFAULT_LOCALE } = req.body;
 
-    // Check if task exists
-    const { data: existingTask, error: fetchError } = await supabase
-      .from('tasks')
-      .select('*')
-      .eq('id', id)
+    if (!isSupportedLocale(locale)) {
+      return errorResponse(res, 400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    const validationError = validateTemplate(tier, channel, { subject, body });
+    if (validationError) {
+      return errorResponse(res, 400, validationError);
+    }
+
+    const { data: template, error } = await supabase
+      .from('message_templates')
+      .upsert({
+        workspace_id: req.user.workspace_id,
+        tier,
+        channel,
+        locale,
+        subject: channel === 'email' ? subject : null,
+        body,
+        updated_by: req.user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'workspace_id,tier,channel,locale' })
+      .select('tier, channel, locale, subject, body, updated_at')
       .single();
 
-    if (fetchError || !existingTask) {
-      return errorResponse(res, 404, 'Task not found');
+    if (error) {
+      log('Database error saving message template:', error);
+      return errorResponse(res, 500, 'Failed to save template');
     }
 
-    // Prepare update data
-    const updateData = {
-      updated_at: new Date().toISOString()
-    };
+    log(`Saved ${channel} template for tier ${tier} (${locale})`);
+    res.json({ ...template, is_default: false });
 
-    if (updates.title) updateData.title = updates.title.trim();
-    if (updates.status) updateData.status = updates.status;
-    if (updates.priority) updateData.priority = updates.priority;
-    if (updates.due_date) updateData.due_date = new Date(updates.due_date).toISOString();
-    if (updates.assignee_email) updateData.assignee_email = updates.assignee_email.trim().toLowerCase();
-    if (updates.assignee_name !== undefined) updateData.assignee_name = updates.assignee_name?.trim() || null;
+  } catch (error) {
+    log('Unexpected error in PUT /api/templates/:tier/:channel:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
 
-    // Update task
-    const { data: updatedTask, error: updateError } = await supabase
-      .from('tasks')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+/**
+ * DELETE /api/templates/:tier/:channel?locale=en
+ * Remove the override so the built-in copy is used again
+ */
+app.delete('/api/templates/:tier/:channel', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const tier = Number(req.params.tier);
+    const { channel } = req.params;
+    const locale = req.query.locale || DEFAULT_LOCALE;
 
-    if (updateError) {
-      log('Database error updating task:', updateError);
-      return errorResponse(res, 500, 'Failed to update task');
+    if (!isSupportedLocale(locale)) {
+      return errorResponse(res, 400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
     }
 
-    // If status changed to 'completed', cancel pending chasers
-    if (updates.status === 'completed') {
-      const { error: cancelError } = await supabase
-        .from('chaser_queue')
-        .update({ status: 'cancelled' })
-        .eq('task_id', id)
-        .eq('status', 'pending');
-
-      if (cancelError) {
-        log('Error cancelling pending chasers:', cancelError);
-      } else {
-        log(`Cancelled pending chasers for completed task: ${id}`);
-      }
+    const { error } = await supabase
+      .from('message_templates')
+      .delete()
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('tier', tier)
+      .eq('channel', channel)
+      .eq('locale', locale);
 
-      // Trigger Boltic to delete calendar event if exists
-      const bolticWebhookUrl = process.env.BOLTIC_WEBHOOK_URL;
-      if (bolticWebhookUrl && existingTask.calendar_event_id) {
-        const payload = {
-          queue_id: `delete-${id}-${Date.now()}`,
-          task_id: id,
-          action_type: 'delete',
-          calendar_event_id: existingTask.calendar_event_id,
-          recipient_email: existingTask.assignee_email,
-          recipient_name: existingTask.assignee_name || 'there',
-          subject: `Completed: ${existingTask.title}`,
-          body: `Great job! Your task "${existingTask.title}" has been marked as complete.`,
-          sms_message: `✅ Completed: ${existingTask.title}`,
-          slack_message: `✅ *Task Completed*\n📋 *Task:* ${existingTask.title}`,
-          slack_channel: existingTask.slack_channel || null,
-          task_title: existingTask.title,
-          event_start: new Date().toISOString(),
-          event_end: new Date().toISOString(),
-          event_check_start: new Date().toISOString(),
-          event_check_end: new Date().toISOString(),
-          event_summary: 'SKIP',
-          event_description: 'SKIP',
-          conflict_callback_url: `${process.env.BACKEND_PUBLIC_URL || 'http://localhost:3001'}/api/webhooks/boltic/calendar-conflict`,
-          event_created_callback_url: `${process.env.BACKEND_PUBLIC_URL || 'http://localhost:3001'}/api/webhooks/boltic/calendar-event-created`
-        };
-
-        try {
-          await axios.post(bolticWebhookUrl, payload, {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 10000
-          });
-          log(`✅ Boltic delete webhook triggered for task: ${existingTask.title}`);
-        } catch (bolticError) {
-          log('Warning: Failed to trigger Boltic delete webhook:', bolticError.message);
-        }
-      }
+    if (error) {
+      log('Database error resetting message template:', error);
+      return errorResponse(res, 500, 'Failed to reset template');
     }
 
-    res.json(updatedTask);
+    res.json({ tier, channel, locale, ...resolveTemplate({}, tier, channel, locale) });
 
   } catch (error) {
-    log('Unexpected error in PATCH /api/tasks/:id:', error);
+    log('Unexpected error in DELETE /api/templates/:tier/:channel:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * POST /api/tasks/:id/update-timeline
- * Update task timeline and trigger Boltic to update Google Calendar
+ * POST /api/templates/preview
+ * Render a template against a task (or a sample task) in a locale and time
+ * zone. Send subject/body to preview unsaved changes; otherwise the template
+ * in effect is used.
  */
-app.post('/api/tasks/:id/update-timeline', async (req, res) => {
+app.post('/api/templates/preview', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { event_start, event_end } = req.body;
+    const { tier, channel, subject, body, task_id, locale = DEFAULT_LOCALE, time_zone = null } = req.body;
 
-    log('Received update-timeline request:', { id, event_start, event_end });
-
-    if (!event_start || !event_end) {
-      return errorResponse(res, 400, 'event_start and event_end are required');
+    if (!TEMPLATE_TIERS.includes(tier) || !TEMPLATE_CHANNELS.includes(channel)) {
+      return errorResponse(res, 400, `tier must be one of ${TEMPLATE_TIERS.join(', ')} and channel one of ${TEMPLATE_CHANNELS.join(', ')}`);
     }
-
-    // Fetch the task to get calendar_event_id
-    const { data: task, error: fetchError } = await supabase
-      .from('tasks')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !task) {
-      log('Task not found:', fetchError);
-      return errorResponse(res, 404, 'Task not found');
+    if (!isSupportedLocale(locale)) {
+      return errorResponse(res, 400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    if (time_zone !== null && !isValidTimeZone(time_zone)) {
+      return errorResponse(res, 400, 'time_zone must be a valid IANA time zone');
     }
+    const recipient = { locale, timeZone: time_zone };
 
-    if (!task.calendar_event_id) {
-      return errorResponse(res, 400, 'Task does not have a calendar event to update. Create a chaser first.');
+    const templates = await loadMessageTemplates(supabase, req.user.workspace_id);
+    if (body !== undefined) {
+      const validationError = validateTemplate(tier, channel, { subject, body });
+      if (validationError) {
+        return errorResponse(res, 400, validationError);
+      }
+      templates[templateKey(tier, channel, locale)] = { subject, body };
     }
 
-    // Update task due_date
-    const { data: updatedTask, error: updateError } = await supabase
-      .from('tasks')
-      .update({
-        due_date: event_end,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    let task = {
+      id: 'sample',
+      title: 'Quarterly report',
+      assignee_name: req.user.name || 'Alex',
+      priority: 'high',
+      due_date: new Date(Date.now() + (tier === 5 ? -3 : 3) * 60 * 60 * 1000).toISOString()
+    };
+    if (task_id) {
+      const { data: existing, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('workspace_id', req.user.workspace_id)
+        .eq('id', task_id)
+        .maybeSingle();
 
-    if (updateError) {
-      log('Error updating task:', updateError);
-      return errorResponse(res, 500, 'Failed to update task');
+      if (error || !existing) {
+        return errorResponse(res, 404, 'Task not found');
+      }
+      task = existing;
     }
 
-    // Trigger Boltic webhook with action_type 'update'
-    const bolticWebhookUrl = process.env.BOLTIC_WEBHOOK_URL;
-    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const hoursFromDue = Math.abs(new Date(task.due_date) - Date.now()) / (1000 * 60 * 60);
+    const timeRemainingText = formatDuration(hoursFromDue, locale);
 
-    if (bolticWebhookUrl) {
-      const dueDate = new Date(event_end).toLocaleString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit'
-      });
-
-      const payload = {
-        queue_id: `update-${id}-${Date.now()}`,
-        task_id: id,
-        action_type: 'update', // This tells Boltic to update instead of create
-        calendar_event_id: task.calendar_event_id,
-        recipient_email: task.assignee_email,
-        recipient_name: task.assignee_name || 'there',
-        recipient_phone: task.phone_number || null,
-        enable_call: false, // No calls for updates
-        subject: `Updated: ${task.title}`,
-        body: `Your task "${task.title}" has been rescheduled to ${dueDate}.`,
-        sms_message: `📋 Update: ${task.title} rescheduled to ${dueDate}.`,
-        call_message: null,
-        slack_message: `🔄 *Task Updated*\n📋 *Task:* ${task.title}\n📅 *New Due:* ${dueDate}`,
-        slack_channel: task.slack_channel || null,
-        task_title: task.title,
-        task_priority: task.priority || 'medium',
-        task_due_date: dueDate,
-        task_link: `${frontendUrl}/tasks/${id}`,
-        callback_url: `${backendUrl}/api/webhooks/boltic/chaser-sent`,
-        event_start: event_start,
-        event_end: event_end,
-        event_check_start: event_start,
-        event_check_end: event_end,
-        event_summary: `Task: ${task.title}`,
-        event_description: `Priority: ${(task.priority || 'medium').charAt(0).toUpperCase() + (task.priority || 'medium').slice(1)}\nAssignee: ${task.assignee_name || 'Unknown'}\n\nDue: ${dueDate}`,
-        conflict_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-conflict`,
-        event_created_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-created`
-      };
+    // Placeholder action links: real ones are signed per recipient at send time
+    const sampleLinks = Object.fromEntries(TASK_ACTIONS.map(action => [action, actionUrl(`sample-${action}`)]));
 
-      try {
-        await axios.post(bolticWebhookUrl, payload, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
-        });
-        log(`✅ Boltic update webhook triggered for task: ${task.title}`);
-      } catch (bolticError) {
-        log('Warning: Failed to trigger Boltic webhook:', bolticError.message);
-        // Don't fail the request, task was still updated
-      }
+    if (channel === 'email') {
+      const email = generateEmailHtml(task, tier, timeRemainingText, frontendUrl, templates, recipient, sampleLinks);
+      return res.json({ tier, channel, locale, subject: email.subject, body: email.html, text: email.text });
     }
 
-    res.json({ success: true, task: updatedTask, message: 'Timeline updated and calendar sync triggered' });
+    const variables = buildTemplateVariables(task, {
+      timeRemainingText,
+      dueDate: formatDueDate(task.due_date, recipient),
+      frontendUrl,
+      locale
+    });
+    const { subject: renderedSubject, body: renderedBody } = renderMessage(templates, tier, channel, variables, locale);
+    res.json({
+      tier,
+      channel,
+      locale,
+      subject: renderedSubject,
+      body: channel === 'slack' ? renderedBody + slackActionLine(sampleLinks, locale) : renderedBody
+    });
 
   } catch (error) {
-    log('Unexpected error in POST /api/tasks/:id/update-timeline:', error);
+    log('Unexpected error in POST /api/templates/preview:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
@@ -559,6 +2681,7 @@ app.get('/api/queue/upcoming', async (req, res) => {
           due_date
         )
       `)
+      .eq('workspace_id', req.user.workspace_id)
       .eq('status', 'pending')
       .order('scheduled_at', { ascending: true })
       .limit(5);
@@ -589,23 +2712,131 @@ app.get('/api/queue/upcoming', async (req, res) => {
 });
 
 /**
- * POST /api/webhooks/boltic/chaser-sent
+ * GET /api/queue/dead-letter
+ * Fetch chasers that exhausted their retry attempts
+ */
+app.get('/api/queue/dead-letter', async (req, res) => {
+  try {
+    const { data: deadChasers, error } = await supabase
+      .from('chaser_queue')
+      .select(`
+        *,
+        tasks (
+          id,
+          title,
+          assignee_name,
+          due_date,
+          status
+        )
+      `)
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('status', 'dead_letter')
+      .order('last_attempt_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      log('Database error fetching dead-letter chasers:', error);
+      return errorResponse(res, 500, 'Failed to fetch dead-letter chasers');
+    }
+
+    const formattedChasers = deadChasers.map(chaser => ({
+      id: chaser.id,
+      task_id: chaser.task_id,
+      scheduled_at: chaser.scheduled_at,
+      recipient_email: chaser.recipient_email,
+      message_subject: chaser.message_subject,
+      escalation_tier: chaser.escalation_tier,
+      attempt_count: chaser.attempt_count,
+      last_attempt_at: chaser.last_attempt_at,
+      last_error: chaser.last_error,
+      task_title: chaser.tasks?.title || 'Unknown Task',
+      task_status: chaser.tasks?.status
+    }));
+
+    res.json(formattedChasers);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/queue/dead-letter:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/queue/:id/requeue
+ * Move a dead-lettered chaser back to pending with a fresh attempt counter
+ */
+app.post('/api/queue/:id/requeue', requirePermission('queue:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: queueEntry, error: fetchError } = await supabase
+      .from('chaser_queue')
+      .select('*, tasks ( status )')
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !queueEntry) {
+      return errorResponse(res, 404, 'Queue entry not found');
+    }
+
+    if (queueEntry.status !== 'dead_letter') {
+      return errorResponse(res, 409, `Only dead-lettered chasers can be requeued (status: ${queueEntry.status})`);
+    }
+
+    if (queueEntry.tasks?.status === 'completed') {
+      return errorResponse(res, 409, 'Task is already completed');
+    }
+
+    const { data: requeued, error: updateError } = await supabase
+      .from('chaser_queue')
+      .update({
+        status: 'pending',
+        attempt_count: 0,
+        next_attempt_at: null,
+        last_error: null
+      })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('id', id)
+      .eq('status', 'dead_letter')
+      .select()
+      .single();
+
+    if (updateError) {
+      log('Error requeueing chaser:', updateError);
+      return errorResponse(res, 500, 'Failed to requeue chaser');
+    }
+
+    log(`🔁 Requeued dead-letter chaser ${id} for task: ${queueEntry.task_id}`);
+
+    res.json(requeued);
+
+  } catch (error) {
+    log('Unexpected error in POST /api/queue/:id/requeue:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * POST /api/webhooks/boltic/:workspaceId/chaser-sent
  * Boltic callback when email successfully sent
  */
-app.post('/api/webhooks/boltic/chaser-sent', async (req, res) => {
+app.post('/api/webhooks/boltic/:workspaceId/chaser-sent', async (req, res) => {
   try {
+    const { workspaceId: workspace_id } = req.params;
     const { queue_id, status, sent_at, boltic_execution_id } = req.body;
 
-    log('Received chaser-sent webhook:', { queue_id, status, boltic_execution_id });
+    log('Received chaser-sent webhook:', { workspace_id, queue_id, status, boltic_execution_id });
 
     if (!queue_id) {
       return errorResponse(res, 400, 'queue_id is required');
     }
 
-    // Fetch the queue entry
+    // Fetch the queue entry (only the workspace in the callback URL)
     const { data: queueEntry, error: fetchError } = await supabase
       .from('chaser_queue')
       .select('*')
+      .eq('workspace_id', workspace_id)
       .eq('id', queue_id)
       .single();
 
@@ -614,95 +2845,51 @@ app.post('/api/webhooks/boltic/chaser-sent', async (req, res) => {
       return errorResponse(res, 404, 'Queue entry not found');
     }
 
-    const sentTimestamp = sent_at ? new Date(sent_at).toISOString() : new Date().toISOString();
-
-    // Update chaser_queue
-    const { error: updateQueueError } = await supabase
-      .from('chaser_queue')
-      .update({
-        status: 'sent',
-        sent_at: sentTimestamp
-      })
-      .eq('id', queue_id);
+    const { recorded, error: recordError } = await recordChaserSent(supabase, queueEntry, {
+      sentAt: sent_at,
+      executionId: boltic_execution_id
+    });
 
-    if (updateQueueError) {
-      log('Error updating queue entry:', updateQueueError);
+    if (recordError) {
+      return errorResponse(res, 500, 'Failed to record sent chaser');
     }
 
-    // Insert into chaser_logs
-    const { error: logError } = await supabase
-      .from('chaser_logs')
-      .insert({
-        task_id: queueEntry.task_id,
-        queue_id: queue_id,
-        sent_at: sentTimestamp,
-        status: 'sent',
-        recipient_email: queueEntry.recipient_email,
-        message_subject: queueEntry.message_subject,
-        message_body: queueEntry.message_body,
-        boltic_execution_id: boltic_execution_id || null
-      });
-
-    if (logError) {
-      log('Error creating chaser log:', logError);
-    }
-
-    // Update task counters
-    const { error: updateTaskError } = await supabase
-      .from('tasks')
-      .update({
-        total_chasers_sent: supabase.rpc ? undefined : 1, // Will be incremented via raw SQL below
-        last_chaser_sent_at: sentTimestamp,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', queueEntry.task_id);
-
-    // Increment total_chasers_sent using raw update
-    await supabase.rpc('increment_chaser_count', { task_uuid: queueEntry.task_id }).catch(() => {
-      // If RPC doesn't exist, use a direct update
-      supabase
-        .from('tasks')
-        .select('total_chasers_sent')
-        .eq('id', queueEntry.task_id)
-        .single()
-        .then(({ data }) => {
-          if (data) {
-            supabase
-              .from('tasks')
-              .update({ total_chasers_sent: (data.total_chasers_sent || 0) + 1 })
-              .eq('id', queueEntry.task_id);
-          }
-        });
-    });
+    // Boltic retries callbacks; repeats for the same chaser or execution change nothing
+    if (!recorded) {
+      log(`Duplicate chaser-sent callback ignored: ${queue_id} (${boltic_execution_id || 'no execution id'})`);
+      return res.json({ success: true, duplicate: true });
+    }
 
     log(`✅ Chaser sent successfully for task: ${queueEntry.task_id}`);
 
     res.json({ success: true });
 
   } catch (error) {
-    log('Unexpected error in POST /api/webhooks/boltic/chaser-sent:', error);
+    log('Unexpected error in POST /api/webhooks/boltic/:workspaceId/chaser-sent:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * POST /api/webhooks/boltic/chaser-failed
+ * POST /api/webhooks/boltic/:workspaceId/chaser-failed
  * Boltic callback when email fails
  */
-app.post('/api/webhooks/boltic/chaser-failed', async (req, res) => {
+app.post('/api/webhooks/boltic/:workspaceId/chaser-failed', async (req, res) => {
   try {
+    const { workspaceId: workspace_id } = req.params;
     const { queue_id, error_message } = req.body;
 
-    log('Received chaser-failed webhook:', { queue_id, error_message });
+    log('Received chaser-failed webhook:', { workspace_id, queue_id, error_message });
 
     if (!queue_id) {
       return errorResponse(res, 400, 'queue_id is required');
     }
 
-    // Fetch the queue entry
+    // Fetch the queue entry (only the workspace in the callback URL)
     const { data: queueEntry, error: fetchError } = await supabase
       .from('chaser_queue')
       .select('*')
+      .eq('workspace_id', workspace_id)
       .eq('id', queue_id)
       .single();
 
@@ -711,34 +2898,15 @@ app.post('/api/webhooks/boltic/chaser-failed', async (req, res) => {
       return errorResponse(res, 404, 'Queue entry not found');
     }
 
-    // Update chaser_queue
-    const { error: updateQueueError } = await supabase
-      .from('chaser_queue')
-      .update({
-        status: 'failed',
-        last_attempt_at: new Date().toISOString()
-      })
-      .eq('id', queue_id);
+    const { recorded, error: recordError } = await recordChaserFailed(supabase, queueEntry, error_message);
 
-    if (updateQueueError) {
-      log('Error updating queue entry:', updateQueueError);
+    if (recordError) {
+      return errorResponse(res, 500, 'Failed to record failed chaser');
     }
 
-    // Insert into chaser_logs
-    const { error: logError } = await supabase
-      .from('chaser_logs')
-      .insert({
-        task_id: queueEntry.task_id,
-        queue_id: queue_id,
-        sent_at: new Date().toISOString(),
-        status: 'failed',
-        recipient_email: queueEntry.recipient_email,
-        message_subject: queueEntry.message_subject,
-        message_body: `${queueEntry.message_body}\n\n[ERROR: ${error_message || 'Unknown error'}]`
-      });
-
-    if (logError) {
-      log('Error creating chaser log:', logError);
+    if (!recorded) {
+      log(`Duplicate chaser-failed callback ignored: ${queue_id} (status ${queueEntry.status})`);
+      return res.json({ success: true, duplicate: true });
     }
 
     log(`❌ Chaser failed for task: ${queueEntry.task_id} - ${error_message}`);
@@ -746,27 +2914,28 @@ app.post('/api/webhooks/boltic/chaser-failed', async (req, res) => {
     res.json({ success: true });
 
   } catch (error) {
-    log('Unexpected error in POST /api/webhooks/boltic/chaser-failed:', error);
+    log('Unexpected error in POST /api/webhooks/boltic/:workspaceId/chaser-failed:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * POST /api/webhooks/boltic/calendar-conflict
+ * POST /api/webhooks/boltic/:workspaceId/calendar-conflict
  * Boltic callback when calendar conflict is detected
  */
-app.post('/api/webhooks/boltic/calendar-conflict', async (req, res) => {
+app.post('/api/webhooks/boltic/:workspaceId/calendar-conflict', async (req, res) => {
   try {
+    const { workspaceId: workspace_id } = req.params;
     const { task_id, has_conflict, conflict_with, conflict_end_time } = req.body;
 
-    log('📅 Received calendar-conflict webhook:', { task_id, has_conflict, conflict_with, conflict_end_time });
+    log('📅 Received calendar-conflict webhook:', { workspace_id, task_id, has_conflict, conflict_with, conflict_end_time });
 
     if (!task_id) {
       return errorResponse(res, 400, 'task_id is required');
     }
 
-    // Update task with conflict info
-    const { error: updateError } = await supabase
+    // Update task with conflict info (only the workspace in the callback URL)
+    const { data: updatedTasks, error: updateError } = await supabase
       .from('tasks')
       .update({
         has_conflict: has_conflict || false,
@@ -774,12 +2943,17 @@ app.post('/api/webhooks/boltic/calendar-conflict', async (req, res) => {
         conflict_end_time: conflict_end_time || null,
         updated_at: new Date().toISOString()
       })
-      .eq('id', task_id);
+      .eq('workspace_id', workspace_id)
+      .eq('id', task_id)
+      .select('id');
 
     if (updateError) {
       log('Error updating task with conflict info:', updateError);
       return errorResponse(res, 500, 'Failed to update task');
     }
+    if (updatedTasks.length === 0) {
+      return errorResponse(res, 404, 'Task not found');
+    }
 
     if (has_conflict) {
       log(`⚠️ Calendar conflict detected for task ${task_id}: ${conflict_with}`);
@@ -790,44 +2964,150 @@ app.post('/api/webhooks/boltic/calendar-conflict', async (req, res) => {
     res.json({ success: true, has_conflict, conflict_with });
 
   } catch (error) {
-    log('Unexpected error in POST /api/webhooks/boltic/calendar-conflict:', error);
+    log('Unexpected error in POST /api/webhooks/boltic/:workspaceId/calendar-conflict:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
 
 /**
- * POST /api/webhooks/boltic/calendar-created
+ * POST /api/webhooks/boltic/:workspaceId/calendar-created
  * Boltic callback when calendar event is created - saves the event ID for future updates
  */
-app.post('/api/webhooks/boltic/calendar-created', async (req, res) => {
+app.post('/api/webhooks/boltic/:workspaceId/calendar-created', async (req, res) => {
   try {
+    const { workspaceId: workspace_id } = req.params;
     const { task_id, calendar_event_id } = req.body;
 
-    log('📅 Received calendar-created webhook:', { task_id, calendar_event_id });
+    log('📅 Received calendar-created webhook:', { workspace_id, task_id, calendar_event_id });
 
     if (!task_id || !calendar_event_id) {
       return errorResponse(res, 400, 'task_id and calendar_event_id are required');
     }
 
-    // Update task with the calendar event ID
-    const { error: updateError } = await supabase
+    // Update task with the calendar event ID (only the workspace in the callback URL)
+    const { data: updatedTasks, error: updateError } = await supabase
       .from('tasks')
       .update({
         calendar_event_id: calendar_event_id,
         updated_at: new Date().toISOString()
       })
-      .eq('id', task_id);
+      .eq('workspace_id', workspace_id)
+      .eq('id', task_id)
+      .select('id');
 
     if (updateError) {
       log('Error updating task with calendar_event_id:', updateError);
       return errorResponse(res, 500, 'Failed to save calendar event ID');
     }
+    if (updatedTasks.length === 0) {
+      return errorResponse(res, 404, 'Task not found');
+    }
 
     console.log(`✅ Calendar event ID saved for task ${task_id}: ${calendar_event_id}`);
     res.json({ success: true, task_id, calendar_event_id });
 
   } catch (error) {
-    log('Unexpected error in POST /api/webhooks/boltic/calendar-created:', error);
+    log('Unexpected error in POST /api/webhooks/boltic/:workspaceId/calendar-created:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/export/tasks
+ * Download tasks as CSV, JSON or ICS (one event per due date). Takes the
+ * same filters and sort as GET /api/tasks, without pagination.
+ */
+app.get('/api/export/tasks', async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json', 'ics'].includes(format)) {
+      return errorResponse(res, 400, 'format must be one of: csv, json, ics');
+    }
+
+    // Exports are never paginated
+    const filters = { ...req.query };
+    delete filters.format;
+    delete filters.limit;
+    delete filters.cursor;
+    const { options, error: queryError } = parseTaskListQuery(filters);
+    if (queryError) {
+      return errorResponse(res, 400, queryError);
+    }
+
+    const { rows: tasks, error } = await fetchAllRows(() => applyTaskFilters(
+      supabase
+        .from('tasks')
+        .select('*')
+        .eq('workspace_id', req.user.workspace_id),
+      options
+    )
+      .order(options.sort, { ascending: options.ascending })
+      .order('id', { ascending: options.ascending }));
+
+    if (error) {
+      log('Database error exporting tasks:', error);
+      return errorResponse(res, 500, 'Failed to export tasks');
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    log(`Exported ${tasks.length} tasks as ${format} for ${req.user.email}`);
+    sendExport(res, 'tasks', format, tasks, TASK_CSV_COLUMNS, {
+      name: 'Chaser Agent Tasks',
+      taskLink: task => `${frontendUrl}/tasks/${task.id}`
+    });
+
+  } catch (error) {
+    log('Unexpected error in GET /api/export/tasks:', error);
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * GET /api/export/chaser-logs
+ * Download the chaser history as CSV or JSON, for one task (task_id)
+ * and/or a date range (from, to)
+ */
+app.get('/api/export/chaser-logs', async (req, res) => {
+  try {
+    const { task_id, from, to } = req.query;
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return errorResponse(res, 400, 'format must be one of: csv, json');
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return errorResponse(res, 400, `${name} must be a valid date`);
+      }
+    }
+
+    const { rows: logs, error } = await fetchAllRows(() => {
+      let query = supabase
+        .from('chaser_logs')
+        .select('*, tasks ( title )')
+        .eq('workspace_id', req.user.workspace_id);
+
+      if (task_id) query = query.eq('task_id', task_id);
+      if (from) query = query.gte('created_at', new Date(from).toISOString());
+      if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+      return query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+    });
+
+    if (error) {
+      log('Database error exporting chaser logs:', error);
+      return errorResponse(res, 500, 'Failed to export chaser logs');
+    }
+
+    const rows = logs.map(({ tasks, ...entry }) => ({ ...entry, task_title: tasks?.title || null }));
+
+    log(`Exported ${rows.length} chaser log entries as ${format} for ${req.user.email}`);
+    sendExport(res, task_id ? `chaser-history-${task_id}` : 'chaser-history', format, rows, CHASER_LOG_CSV_COLUMNS);
+
+  } catch (error) {
+    log('Unexpected error in GET /api/export/chaser-logs:', error);
     return errorResponse(res, 500, 'Internal server error');
   }
 });
@@ -841,26 +3121,37 @@ app.get('/api/stats', async (req, res) => {
     // Total tasks count
     const { count: totalTasks } = await supabase
       .from('tasks')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', req.user.workspace_id);
 
     // Pending tasks count
     const { count: pendingTasks } = await supabase
       .from('tasks')
       .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', req.user.workspace_id)
       .eq('status', 'pending');
 
+    // Overdue tasks count
+    const { count: overdueTasks } = await supabase
+      .from('tasks')
+      .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', req.user.workspace_id)
+      .eq('status', 'overdue');
+
     // Chasers sent today
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const { count: chasersSentToday } = await supabase
       .from('chaser_logs')
       .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', req.user.workspace_id)
       .gte('created_at', today.toISOString())
       .eq('status', 'sent');
 
     res.json({
       totalTasks: totalTasks || 0,
       pendingTasks: pendingTasks || 0,
+      overdueTasks: overdueTasks || 0,
       chasersSentToday: chasersSentToday || 0
     });
 
@@ -874,13 +3165,12 @@ app.get('/api/stats', async (req, res) => {
  * POST /api/nudges
    * Manually send a nudge for a task
    */
-app.post('/api/nudges', async (req, res) => {
+app.post('/api/nudges', requirePermission('nudges:send'), async (req, res) => {
   try {
     const { taskId, channels } = req.body;
     // channels: { email: boolean, slack: boolean, sms: boolean, call: boolean }
 
     // Define URLs early
-    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
 
     if (!taskId) {
@@ -891,6 +3181,7 @@ app.post('/api/nudges', async (req, res) => {
     const { data: task, error: taskError } = await supabase
       .from('tasks')
       .select('*')
+      .eq('workspace_id', req.user.workspace_id)
       .eq('id', taskId)
       .single();
 
@@ -904,23 +3195,28 @@ app.post('/api/nudges', async (req, res) => {
     const useSms = channels?.sms === true;
     const useCall = channels?.call === true;
 
-    // Calculate time remaining text
-    let timeRemainingText = 'Soon';
-    if (task.due_date) {
-      const diff = new Date(task.due_date) - new Date();
-      const hours = diff / (1000 * 60 * 60);
-      if (hours < 0) timeRemainingText = 'Overdue';
-      else if (hours < 1) timeRemainingText = `${Math.round(hours * 60)} minutes`;
-      else timeRemainingText = `${Math.round(hours)} hours`;
-    }
-
-    // Generate HTML email content
-    const { subject, html } = generateEmailHtml(task, 0, timeRemainingText, frontendUrl);
+    // Calculate time remaining text, in the assignee's language
+    const recipient = await loadRecipientLocale(supabase, task.assignee_email, req.user.workspace_id);
+    const hoursRemaining = (new Date(task.due_date) - new Date()) / (1000 * 60 * 60);
+    const timeRemainingText = formatDuration(Math.abs(hoursRemaining), recipient.locale);
+
+    // Generate HTML email content and the other channels' copy from the nudge templates
+    const templates = await loadMessageTemplates(supabase, req.user.workspace_id);
+    const actionLinks = buildActionLinks(task, { email: task.assignee_email, locale: recipient.locale });
+    const { subject, html, text } = generateEmailHtml(task, 0, timeRemainingText, frontendUrl, templates, recipient, actionLinks);
+    const variables = buildTemplateVariables(task, {
+      timeRemainingText,
+      dueDate: formatDueDate(task.due_date, recipient),
+      frontendUrl,
+      locale: recipient.locale
+    });
+    const renderChannel = channel => renderMessage(templates, 0, channel, variables, recipient.locale).body;
 
     // Create chaser queue entry
     const { data: chaser, error: queueError } = await supabase
       .from('chaser_queue')
       .insert({
+        workspace_id: task.workspace_id,
         task_id: task.id,
         scheduled_at: new Date().toISOString(), // Now
         recipient_email: task.assignee_email,
@@ -937,47 +3233,74 @@ app.post('/api/nudges', async (req, res) => {
       return errorResponse(res, 500, 'Failed to create nudge record');
     }
 
-    // Trigger Boltic
-    // Trigger Boltic
-    const bolticWebhookUrl = process.env.BOLTIC_WEBHOOK_URL;
+    // Trigger the notification transport
+    const transport = getWorkspaceTransport(await loadWorkspace(supabase, req.user.workspace_id));
 
-    if (bolticWebhookUrl) {
-      const payload = {
-        queue_id: chaser.id,
-        task_id: task.id,
-        action_type: 'notify',
-        recipient_email: task.assignee_email,
-        recipient_name: task.assignee_name || 'there',
-        recipient_phone: task.phone_number || null,
-        enable_call: useCall,
-        subject: subject,
-        body: html,
-        sms_message: useSms ? `👉 Nudge: ${task.title} - Please check on this.` : null,
-        call_message: useCall ? `Hello. This is a manual nudge for your task ${task.title}.` : null,
-        slack_message: useSlack ? `👋 *Nudge*\n\nJust checking in on this task:\n\n📋 *Task:* ${task.title}\n📅 *Due:* ${task.due_date ? new Date(task.due_date).toLocaleString() : 'No due date'}\n\nPlease provide a progress report.\n\n<${frontendUrl}/tasks/${task.id}|🔗 View Task>` : null,
-        slack_channel: task.slack_channel || null,
-        task_title: task.title,
-        task_link: `${frontendUrl}/tasks/${task.id}`,
-        callback_url: `${backendUrl}/api/webhooks/boltic/chaser-sent`,
-        // Include calendar fields to prevent Boltic errors if it expects them
-        event_start: new Date().toISOString(),
-        event_end: new Date().toISOString(),
-        event_check_start: new Date().toISOString(),
-        event_check_end: new Date().toISOString(),
-        conflict_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-conflict`,
-        event_created_callback_url: `${backendUrl}/api/webhooks/boltic/calendar-created`
-      };
+    if (!transport.configured) {
+      await recordChaserFailed(supabase, chaser, transport.unavailableReason);
+      return errorResponse(res, 503, transport.unavailableReason);
+    }
+
+    const payload = {
+      queue_id: chaser.id,
+      task_id: task.id,
+      action_type: 'notify',
+      recipient_email: task.assignee_email,
+      recipient_name: task.assignee_name || 'there',
+      recipient_phone: task.phone_number || null,
+      enable_call: useCall,
+      subject: subject,
+      body: html,
+      text_body: text,
+      sms_message: useSms ? renderChannel('sms') : null,
+      call_message: useCall ? renderChannel('call') : null,
+      slack_message: useSlack ? renderChannel('slack') + slackActionLine(actionLinks, recipient.locale) : null,
+      slack_channel: task.slack_channel || null,
+      task_title: task.title,
+      task_link: `${frontendUrl}/tasks/${task.id}`,
+      ...bolticCallbackUrls(task.workspace_id),
+      // Include calendar fields to prevent Boltic errors if it expects them
+      event_start: new Date().toISOString(),
+      event_end: new Date().toISOString(),
+      event_check_start: new Date().toISOString(),
+      event_check_end: new Date().toISOString(),
+    };
+
+    let result;
+    try {
+      result = await transport.send(payload);
+    } catch (sendError) {
+      log(`❌ Failed to send manual nudge via ${transport.name}:`, sendError.message);
+      await recordChaserFailed(supabase, chaser, sendError.message);
+      return errorResponse(res, 502, `Failed to send nudge: ${sendError.message}`);
+    }
+
+    const sentVia = result.results.filter(r => !r.error).map(r => r.transport);
+    const failureText = result.failed.map(failure => `${failure.transport}: ${failure.error}`).join('; ');
 
-      // Fire and forget (or await if we want to confirm trigger)
-      axios.post(bolticWebhookUrl, payload, { timeout: 10000 })
-        .then(() => log(`✅ Manual nudge triggered for task: ${task.title}`))
-        .catch(err => {
-          log('❌ Failed to trigger Boltic for manual nudge:', err.message);
-          // Optionally update status to failed in DB
-        });
+    if (result.delivered) {
+      // No callback will follow for synchronous transports
+      await recordChaserSent(supabase, chaser);
     }
+    if (failureText) {
+      // The nudge is not retried; keep what failed next to it
+      log(`⚠️ Manual nudge for task ${task.title} partly failed:`, failureText);
+      await supabase
+        .from('chaser_queue')
+        .update({ last_error: failureText })
+        .eq('workspace_id', req.user.workspace_id)
+        .eq('id', chaser.id);
+    }
+    log(`✅ Manual nudge ${result.delivered ? 'delivered' : 'triggered'} via ${sentVia.join(', ')} for task: ${task.title}`);
 
-    res.json({ success: true, message: 'Nudge sent successfully' });
+    res.json({
+      success: true,
+      delivered: result.delivered,
+      message: failureText
+        ? `Nudge sent via ${sentVia.join(', ')}; failed: ${failureText}`
+        : `Nudge sent via ${sentVia.join(', ')}`,
+      results: result.results
+    });
 
   } catch (error) {
     log('Unexpected error in POST /api/nudges:', error);
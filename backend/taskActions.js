@@ -0,0 +1,211 @@
+/**
+ * Task Actions
+ * Signed, expiring links in chaser emails and Slack messages that let the
+ * recipient act on a task without signing in: mark it done, snooze its
+ * chasers or propose a later due date to the task owner (see
+ * extensionRequests.js). A link only names its task, workspace and action;
+ * opening it shows a confirmation page and the action is applied when that
+ * page is submitted, so link scanners that prefetch URLs never change anything.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { escapeHtml, renderText } = require('./messageTemplates');
+const { DEFAULT_LOCALE, isSupportedLocale, uiStrings } = require('./localization');
+const { getZonedParts, zonedTimeToUtc } = require('./workingHours');
+
+const TASK_ACTIONS = ['done', 'snooze', 'extend'];
+const SNOOZE_HOURS = 2;
+const ACTION_LINK_TTL_HOURS = Number(process.env.ACTION_LINK_TTL_HOURS || 72);
+
+const TOKEN_AUDIENCE = 'task-action';
+
+// Separate from the session key, so an action token can never pass as a session
+function actionSecret() {
+    if (process.env.ACTION_LINK_SECRET) return process.env.ACTION_LINK_SECRET;
+    if (!process.env.JWT_SECRET) return null;
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('task-action-links').digest('hex');
+}
+
+function actionUrl(token) {
+    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+    return `${backendUrl}/api/actions/${token}`;
+}
+
+/**
+ * Signed links for each action on a task
+ * @param {object} task - Task row (id and workspace_id)
+ * @param {object} recipient - { email, locale } of whoever the message is for
+ * @returns {object|null} { done, snooze, extend } URLs, or null when no signing key is configured
+ */
+function buildActionLinks(task, { email = null, locale = DEFAULT_LOCALE } = {}) {
+    const secret = actionSecret();
+    if (!secret || !task?.id || !task?.workspace_id) return null;
+
+    const links = {};
+    for (const action of TASK_ACTIONS) {
+        links[action] = actionUrl(jwt.sign(
+            { act: action, ws: task.workspace_id, email, lc: locale },
+            secret,
+            { subject: String(task.id), audience: TOKEN_AUDIENCE, expiresIn: `${ACTION_LINK_TTL_HOURS}h` }
+        ));
+    }
+    return links;
+}
+
+/**
+ * Check an action token's signature, expiry and contents
+ * @returns {object|null} { taskId, workspaceId, action, email, locale, issuedAt }
+ */
+function verifyActionToken(token) {
+    const secret = actionSecret();
+    if (!secret || !token) return null;
+
+    let payload;
+    try {
+        payload = jwt.verify(token, secret, { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+
+    if (!payload.sub || !payload.ws || !TASK_ACTIONS.includes(payload.act)) return null;
+
+    return {
+        taskId: payload.sub,
+        workspaceId: payload.ws,
+        action: payload.act,
+        email: payload.email || null,
+        locale: isSupportedLocale(payload.lc) ? payload.lc : DEFAULT_LOCALE,
+        issuedAt: new Date(payload.iat * 1000)
+    };
+}
+
+/**
+ * Whether a verified token may act on the task: it must be addressed to the
+ * current assignee and issued after the task was last reassigned, so earlier
+ * assignees (and anyone they forwarded a chaser to) can't act on it
+ * @param {object} action - From verifyActionToken()
+ * @param {object} task - Task row
+ */
+function isTokenForAssignee(action, task) {
+    if (!action.email || action.email.toLowerCase() !== (task.assignee_email || '').toLowerCase()) return false;
+    if (!task.reassigned_at) return true;
+
+    // iat has whole-second precision
+    const reassignedAt = Math.floor(new Date(task.reassigned_at).getTime() / 1000) * 1000;
+    return action.issuedAt.getTime() >= reassignedAt;
+}
+
+/**
+ * The action links as one Slack line, to go under the message
+ */
+function slackActionLine(links, locale = DEFAULT_LOCALE) {
+    if (!links) return '';
+    const labels = uiStrings(locale).actions;
+    return `\n\n<${links.done}|✅ ${labels.done}>  ·  <${links.snooze}|⏰ ${labels.snooze}>  ·  <${links.extend}|📅 ${labels.extend}>`;
+}
+
+// datetime-local value ("2026-11-02T17:00") for an instant in a time zone
+function toLocalDateTimeValue(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Read a datetime-local form value as a time in the recipient's time zone
+ * @returns {Date|null}
+ */
+function parseLocalDateTime(value, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return zonedTimeToUtc({ year, month, day }, hour * 60 + minute, timeZone);
+}
+
+/**
+ * Fields of the "request more time" form: a new due date, prefilled a day
+ * after the current one, and a reason
+ * @param {object} options - { task, timeZone, values: submitted { due_date, reason } }
+ */
+function extensionFormFields(locale, { task, timeZone, values = {} }) {
+    const strings = uiStrings(locale);
+    const suggested = toLocalDateTimeValue(new Date(new Date(task.due_date).getTime() + 24 * 60 * 60 * 1000), timeZone);
+
+    return `
+    <label for="due_date">${escapeHtml(strings.extension_due_date)}</label>
+    <input type="datetime-local" id="due_date" name="due_date" value="${escapeHtml(values.due_date || suggested)}" required>
+    <small>${escapeHtml(renderText(strings.extension_time_zone, { time_zone: timeZone }, value => value))}</small>
+    <label for="reason">${escapeHtml(strings.extension_reason)}</label>
+    <textarea id="reason" name="reason" rows="4" maxlength="1000" required>${escapeHtml(values.reason || '')}</textarea>`;
+}
+
+/**
+ * Standalone page shown when an action link is opened
+ * @param {object} options - { locale, message (plain text), submitLabel: show a
+ *   confirm button that posts back to the same URL, fields: form fields HTML
+ *   (see extensionFormFields), taskLink }
+ */
+function renderActionPage({ locale = DEFAULT_LOCALE, message, submitLabel = null, fields = '', taskLink = null }) {
+    const strings = uiStrings(locale);
+    const form = submitLabel
+        ? `<form method="post">${fields}<button type="submit" class="btn">${escapeHtml(submitLabel)}</button></form>`
+        : '';
+    const link = taskLink
+        ? `<p><a href="${escapeHtml(taskLink)}">${escapeHtml(strings.view_task)}</a></p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Chaser Agent</title>
+<style>
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f3f4f6; margin: 0; padding: 40px 16px; }
+  .container { max-width: 480px; margin: 0 auto; padding: 32px; border-radius: 8px; background: #ffffff; border-top: 4px solid #4F46E5; text-align: center; }
+  .btn { padding: 12px 24px; background-color: #4F46E5; color: #ffffff; border: 0; border-radius: 6px; font-weight: 600; font-size: 16px; cursor: pointer; }
+  a { color: #4F46E5; }
+  form { text-align: left; }
+  form .btn { display: block; margin: 16px auto 0; }
+  label { display: block; margin-top: 12px; font-weight: 600; }
+  input, textarea { box-sizing: border-box; width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 6px; font: inherit; }
+  small { color: #6b7280; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <p>${escapeHtml(message)}</p>
+    ${form}
+    ${link}
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Page text for an action, with the task's details filled in
+ * @param {string} key - Key of uiStrings(locale), e.g. 'action_prompts'
+ */
+function actionText(locale, key, action, variables) {
+    const strings = uiStrings(locale);
+    const text = action ? strings[key][action] : strings[key];
+    return renderText(text, variables, value => value);
+}
+
+module.exports = {
+    TASK_ACTIONS,
+    SNOOZE_HOURS,
+    actionUrl,
+    buildActionLinks,
+    verifyActionToken,
+    isTokenForAssignee,
+    slackActionLine,
+    parseLocalDateTime,
+    extensionFormFields,
+    renderActionPage,
+    actionText
+};
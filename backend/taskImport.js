@@ -0,0 +1,133 @@
+/**
+ * Task Import
+ * Reads bulk task imports from CSV (header row + one task per line) or JSON
+ * (an array of task objects) into rows for validateTaskInput()
+ */
+
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// CSV cells that hold JSON or booleans rather than plain text
+const JSON_COLUMNS = ['escalation_contacts'];
+const BOOLEAN_COLUMNS = ['enable_call'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * @returns {Array<Array<string>>} Records as arrays of cells
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    // Skip blank lines
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a CSV record into a task input object keyed by the header row
+ * @returns {object} { input, error }
+ */
+function csvRecordToInput(headers, record) {
+    const input = {};
+
+    for (const [index, header] of headers.entries()) {
+        const value = (record[index] ?? '').trim();
+        if (value === '') continue;
+
+        if (JSON_COLUMNS.includes(header)) {
+            try {
+                input[header] = JSON.parse(value);
+            } catch (error) {
+                return { input: null, error: `${header} must be valid JSON` };
+            }
+        } else if (BOOLEAN_COLUMNS.includes(header)) {
+            input[header] = ['true', 'yes', '1'].includes(value.toLowerCase());
+        } else {
+            input[header] = value;
+        }
+    }
+
+    return { input, error: null };
+}
+
+/**
+ * Read an import body into task input rows
+ * @param {object} body - { format: 'csv', csv: string } or { format: 'json', tasks: [...] }
+ * @returns {object} { rows, error } - rows are [{ row, input, error }] with 1-based row numbers
+ */
+function parseImport(body) {
+    const format = (body?.format || '').toLowerCase();
+
+    if (!IMPORT_FORMATS.includes(format)) {
+        return { rows: null, error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+    }
+
+    let rows;
+    if (format === 'csv') {
+        if (typeof body.csv !== 'string' || !body.csv.trim()) {
+            return { rows: null, error: 'csv must be a non-empty string' };
+        }
+
+        const [headerRecord, ...records] = parseCsv(body.csv.replace(/^\uFEFF/, ''));
+        const headers = headerRecord.map(header => header.trim().toLowerCase());
+        rows = records.map((record, index) => ({ row: index + 1, ...csvRecordToInput(headers, record) }));
+    } else {
+        if (!Array.isArray(body.tasks)) {
+            return { rows: null, error: 'tasks must be an array' };
+        }
+
+        rows = body.tasks.map((task, index) => (task && typeof task === 'object' && !Array.isArray(task)
+            ? { row: index + 1, input: task, error: null }
+            : { row: index + 1, input: null, error: 'Each task must be an object' }));
+    }
+
+    if (rows.length === 0) {
+        return { rows: null, error: 'No tasks to import' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { rows: null, error: `At most ${MAX_IMPORT_ROWS} tasks can be imported at once` };
+    }
+
+    return { rows, error: null };
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    parseImport
+};
@@ -0,0 +1,110 @@
+/**
+ * Task Input
+ * Validation and normalization of new-task fields, shared by POST /api/tasks
+ * and bulk import
+ */
+
+const { parseRecurrenceRule } = require('./recurrence');
+const { validateEscalationContacts, normalizeEscalationContacts } = require('./escalationContacts');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Optional free-text fields, which must be strings when given
+const OPTIONAL_TEXT_FIELDS = ['assignee_name', 'slack_channel', 'phone_number', 'recurrence_rule'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+/**
+ * Validate the fields of a new task
+ * @param {object} input - { title, assignee_email, assignee_name, due_date, priority,
+ *   slack_channel, phone_number, enable_call, escalation_policy_id, recurrence_rule,
+ *   escalation_contacts }
+ * @returns {object} { fields, errors } - fields are ready to insert when errors is empty
+ */
+function validateTaskInput(input) {
+    const errors = [];
+    const {
+        title, assignee_email, assignee_name, due_date, priority, slack_channel,
+        phone_number, enable_call, escalation_policy_id, recurrence_rule, escalation_contacts
+    } = input || {};
+
+    if (typeof title !== 'string' || !title.trim()) {
+        errors.push('Task title is required');
+    }
+    if (!assignee_email || !isValidEmail(assignee_email)) {
+        errors.push('Valid assignee email is required');
+    }
+
+    for (const field of OPTIONAL_TEXT_FIELDS) {
+        const value = input?.[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            errors.push(`${field} must be text`);
+        }
+    }
+
+    if (enable_call !== undefined && enable_call !== null && typeof enable_call !== 'boolean') {
+        errors.push('enable_call must be true or false');
+    }
+    if (escalation_policy_id && (typeof escalation_policy_id !== 'string' || !UUID_PATTERN.test(escalation_policy_id))) {
+        errors.push('escalation_policy_id must be a UUID');
+    }
+
+    let dueDateTime = null;
+    if (!due_date) {
+        errors.push('Due date is required');
+    } else {
+        dueDateTime = new Date(due_date);
+        if (isNaN(dueDateTime.getTime())) {
+            errors.push('Invalid due date format');
+            dueDateTime = null;
+        }
+    }
+
+    if (priority && !TASK_PRIORITIES.includes(priority)) {
+        errors.push(`priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+    }
+
+    if (typeof recurrence_rule === 'string' && recurrence_rule) {
+        const { error: ruleError } = parseRecurrenceRule(recurrence_rule);
+        if (ruleError) {
+            errors.push(`Invalid recurrence rule: ${ruleError}`);
+        }
+    }
+
+    const contactsError = validateEscalationContacts(escalation_contacts);
+    if (contactsError) {
+        errors.push(contactsError);
+    }
+
+    if (errors.length > 0) {
+        return { fields: null, errors };
+    }
+
+    return {
+        fields: {
+            title: title.trim(),
+            assignee_email: assignee_email.trim().toLowerCase(),
+            assignee_name: assignee_name?.trim() || null,
+            due_date: dueDateTime.toISOString(),
+            priority: priority || 'medium',
+            // Remove a leading # from the Slack channel
+            slack_channel: slack_channel ? slack_channel.trim().replace(/^#/, '') : null,
+            phone_number: phone_number?.trim() || null,
+            enable_call: enable_call === true,
+            escalation_policy_id: escalation_policy_id || null,
+            escalation_contacts: normalizeEscalationContacts(escalation_contacts),
+            recurrence_rule: recurrence_rule ? recurrence_rule.trim().toUpperCase() : null
+        },
+        errors
+    };
+}
+
+module.exports = {
+    TASK_PRIORITIES,
+    UUID_PATTERN,
+    validateTaskInput
+};
@@ -0,0 +1,152 @@
+/**
+ * Task List Queries
+ * Parses GET /api/tasks query parameters (filters, search, sort and cursor)
+ * and applies them to a Supabase tasks query
+ */
+
+const { TASK_PRIORITIES } = require('./taskInput');
+
+const TASK_STATUSES = ['pending', 'overdue', 'completed'];
+const SORT_FIELDS = ['created_at', 'updated_at', 'due_date', 'title'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseList(value) {
+    if (value === undefined || value === '') return null;
+    return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseDate(value) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the last row's sort value and id
+ */
+function encodeCursor(task, sort) {
+    return Buffer.from(JSON.stringify({ v: task[sort], id: task.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded.id !== 'string' || decoded.v === undefined) return null;
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Quote a value for a PostgREST or() filter
+function quoteFilterValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Parse GET /api/tasks query parameters:
+ * id, status, priority (comma-separated), assignee, due_after, due_before,
+ * q (title search), sort, order (asc|desc), limit, cursor
+ * @returns {object} { options, error }
+ */
+function parseTaskListQuery(query) {
+    const options = {
+        ids: query.id ? String(query.id).split(',').map(id => id.trim()).filter(Boolean) : null,
+        statuses: parseList(query.status),
+        priorities: parseList(query.priority),
+        assignee: query.assignee ? String(query.assignee).trim().toLowerCase() : null,
+        dueAfter: parseDate(query.due_after),
+        dueBefore: parseDate(query.due_before),
+        search: query.q ? String(query.q).trim() : null,
+        sort: query.sort || 'created_at',
+        ascending: query.order ? query.order === 'asc' : false,
+        limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit),
+        cursor: null
+    };
+
+    const unknownStatus = (options.statuses || []).find(status => !TASK_STATUSES.includes(status));
+    if (unknownStatus) {
+        return { options: null, error: `status must be one of: ${TASK_STATUSES.join(', ')}` };
+    }
+    const unknownPriority = (options.priorities || []).find(priority => !TASK_PRIORITIES.includes(priority));
+    if (unknownPriority) {
+        return { options: null, error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+    }
+    if (options.dueAfter === undefined || options.dueBefore === undefined) {
+        return { options: null, error: 'due_after and due_before must be valid dates' };
+    }
+    if (!SORT_FIELDS.includes(options.sort)) {
+        return { options: null, error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        return { options: null, error: 'order must be asc or desc' };
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+        return { options: null, error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    if (query.cursor) {
+        options.cursor = decodeCursor(query.cursor);
+        if (!options.cursor) {
+            return { options: null, error: 'Invalid cursor' };
+        }
+    }
+
+    return { options, error: null };
+}
+
+/**
+ * Apply the filters (not sort, cursor or limit) to a tasks query
+ */
+function applyTaskFilters(query, options) {
+    if (options.ids) query = query.in('id', options.ids);
+    if (options.statuses) query = query.in('status', options.statuses);
+    if (options.priorities) query = query.in('priority', options.priorities);
+    if (options.assignee) query = query.eq('assignee_email', options.assignee);
+    if (options.dueAfter) query = query.gte('due_date', options.dueAfter);
+    if (options.dueBefore) query = query.lte('due_date', options.dueBefore);
+    if (options.search) {
+        query = query.ilike('title', `%${options.search.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    return query;
+}
+
+/**
+ * Apply keyset pagination: sort by the chosen field then id, starting after
+ * the cursor row, fetching one extra row to tell whether there is a next page
+ */
+function applyTaskPage(query, options) {
+    const { sort, ascending, cursor, limit } = options;
+
+    if (cursor) {
+        const op = ascending ? 'gt' : 'lt';
+        const value = quoteFilterValue(cursor.v);
+        query = query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${quoteFilterValue(cursor.id)})`);
+    }
+
+    return query
+        .order(sort, { ascending })
+        .order('id', { ascending })
+        .limit(limit + 1);
+}
+
+/**
+ * Split the fetched rows into the page and the cursor for the next one
+ * @returns {object} { tasks, nextCursor }
+ */
+function paginate(rows, options) {
+    const hasMore = rows.length > options.limit;
+    const tasks = hasMore ? rows.slice(0, options.limit) : rows;
+    return {
+        tasks,
+        nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], options.sort) : null
+    };
+}
+
+module.exports = {
+    TASK_STATUSES,
+    parseTaskListQuery,
+    applyTaskFilters,
+    applyTaskPage,
+    paginate
+};
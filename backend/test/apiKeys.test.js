@@ -0,0 +1,123 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createFakeSupabase } = require('./fakeSupabase');
+const {
+    API_KEY_SCOPES,
+    generateApiKey,
+    validateScopes,
+    requiredScope,
+    isAllowedForKey,
+    authenticateApiKey
+} = require('../apiKeys');
+
+describe('requiredScope', () => {
+    const expected = [
+        ['GET', '/tasks', 'tasks:read'],
+        ['HEAD', '/tasks/t1', 'tasks:read'],
+        ['POST', '/tasks', 'tasks:write'],
+        ['DELETE', '/queue/q1', 'tasks:write'],
+        ['GET', '/export/tasks.csv', 'tasks:read'],
+        ['POST', '/nudges', 'nudges:send'],
+        ['GET', '/auth/me', null],
+        ['GET', '/workspace', 'settings:read'],
+        ['GET', '/templates/reminder', 'settings:read'],
+        ['POST', '/templates/preview', 'settings:read'],
+        ['GET', '/assignees', 'tasks:read'],
+        ['PUT', '/assignees/a1', 'settings:write'],
+        ['PATCH', '/workspace', 'settings:write'],
+        ['POST', '/escalation-policies', 'settings:write'],
+        ['GET', '/keys', false],
+        ['DELETE', '/keys/k1', false]
+    ];
+    for (const [method, path, scope] of expected) {
+        it(`${method} ${path} -> ${scope}`, () => assert.equal(requiredScope(method, path), scope));
+    }
+
+    it('matches whole path segments only', () => {
+        assert.equal(requiredScope('GET', '/keystore'), 'tasks:read');
+        assert.equal(requiredScope('PATCH', '/workspaces-archive'), 'tasks:write');
+    });
+});
+
+describe('isAllowedForKey', () => {
+    it('needs the route scope; a write scope does not imply read', () => {
+        assert.equal(isAllowedForKey('GET', '/tasks', ['tasks:read']), true);
+        assert.equal(isAllowedForKey('GET', '/tasks', ['tasks:write']), false);
+        assert.equal(isAllowedForKey('POST', '/nudges', ['tasks:write']), false);
+    });
+
+    it('lets any key see who it acts as but no key manage keys', () => {
+        assert.equal(isAllowedForKey('GET', '/auth/me', []), true);
+        assert.equal(isAllowedForKey('POST', '/keys', API_KEY_SCOPES), false);
+    });
+});
+
+describe('validateScopes', () => {
+    it('accepts known scopes only', () => {
+        assert.equal(validateScopes(['tasks:read', 'nudges:send']), null);
+        assert.match(validateScopes([]), /non-empty array/);
+        assert.match(validateScopes('tasks:read'), /non-empty array/);
+        assert.equal(validateScopes(['tasks:read', 'keys:write', 'admin']), 'Unknown scopes: keys:write, admin');
+    });
+});
+
+describe('generateApiKey', () => {
+    it('returns the key once, with a display prefix and the hash that is stored', () => {
+        const { key, prefix, hash } = generateApiKey();
+        assert.match(key, /^ck_[A-Za-z0-9_-]{32}$/);
+        assert.equal(prefix, key.slice(0, 9));
+        assert.equal(hash, crypto.createHash('sha256').update(key).digest('hex'));
+        assert.notEqual(generateApiKey().key, key);
+    });
+});
+
+describe('authenticateApiKey', () => {
+    const { key, hash } = generateApiKey();
+    let client;
+
+    beforeEach(() => {
+        client = createFakeSupabase({
+            tables: {
+                users: [{ id: 'u1', email: 'ana@example.com', workspace_id: 'w1', role: 'manager' }],
+                api_keys: [{ id: 'k1', user_id: 'u1', workspace_id: 'w1', key_hash: hash, scopes: ['tasks:read'], revoked_at: null, last_used_at: null }]
+            },
+            embeds: { api_keys: { users: (row, db) => db.rows('users').find(user => user.id === row.user_id) || null } }
+        });
+    });
+
+    it('finds the key by its hash and acts as its user', async () => {
+        const session = await authenticateApiKey(client, key);
+        assert.equal(session.apiKey.id, 'k1');
+        assert.equal(session.user.role, 'manager');
+        assert.ok(client.queries.some(query => query.table === 'api_keys' && query.operation === 'select' && query.filters.includes('key_hash.eq')));
+    });
+
+    it('rejects revoked and unknown keys', async () => {
+        assert.equal(await authenticateApiKey(client, generateApiKey().key), null);
+        client.rows('api_keys')[0].revoked_at = '2026-10-01T00:00:00Z';
+        assert.equal(await authenticateApiKey(client, key), null);
+    });
+
+    it('stops working once its user moves to another workspace', async () => {
+        client.rows('users')[0].workspace_id = 'w2';
+        assert.equal(await authenticateApiKey(client, key), null);
+    });
+
+    it('records use at most once a minute', async () => {
+        await authenticateApiKey(client, key);
+        await new Promise(resolve => setImmediate(resolve));
+        const firstUse = client.rows('api_keys')[0].last_used_at;
+        assert.ok(firstUse);
+
+        await authenticateApiKey(client, key);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(client.queries.filter(query => query.table === 'api_keys' && query.operation === 'update').length, 1);
+    });
+
+    it('treats a lookup error as an invalid key', async t => {
+        t.mock.method(console, 'log', () => {});
+        client.failNext('api_keys', 'select');
+        assert.equal(await authenticateApiKey(client, key), null);
+    });
+});
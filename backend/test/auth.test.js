@@ -0,0 +1,134 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+// auth.js reads the secret when it loads
+process.env.JWT_SECRET = 'test-jwt-secret';
+const { hashPassword, verifyPassword, signToken, publicUser, createAuthMiddleware } = require('../auth');
+const { generateApiKey } = require('../apiKeys');
+
+const ana = { id: 'u1', email: 'ana@example.com', name: 'Ana', workspace_id: 'w1', role: 'member' };
+const key = generateApiKey();
+
+function fakeClient() {
+    return createFakeSupabase({
+        tables: {
+            users: [ana],
+            api_keys: [{ id: 'k1', user_id: 'u1', workspace_id: 'w1', key_hash: key.hash, scopes: ['tasks:read'], revoked_at: null }]
+        },
+        embeds: { api_keys: { users: (row, db) => db.rows('users').find(user => user.id === row.user_id) || null } }
+    });
+}
+
+/**
+ * Run the middleware for one request; resolves with what it did:
+ * { next: true, req } or { status, body }, or { error } when passed to next(err)
+ */
+function call(client, { method = 'GET', path = '/tasks', token } = {}) {
+    const requireAuth = createAuthMiddleware({ client, log: () => {} });
+    const req = { method, path, get: name => (name === 'authorization' && token ? `Bearer ${token}` : undefined) };
+    return new Promise(resolve => {
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ status: this.statusCode, body }); }
+        };
+        requireAuth(req, res, error => resolve(error ? { error } : { next: true, req }));
+    });
+}
+
+describe('passwords', () => {
+    it('verifies only the password that was hashed', async () => {
+        const stored = await hashPassword('correct horse');
+        assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.equal(await verifyPassword('correct horse', stored), true);
+        assert.equal(await verifyPassword('wrong horse', stored), false);
+    });
+
+    it('rejects missing or foreign hashes instead of throwing', async () => {
+        assert.equal(await verifyPassword('x', null), false);
+        assert.equal(await verifyPassword('x', 'bcrypt$abc$def'), false);
+    });
+});
+
+describe('tokens and user fields', () => {
+    it('signs the workspace into the session token', () => {
+        const payload = jwt.verify(signToken(ana), 'test-jwt-secret');
+        assert.equal(payload.sub, 'u1');
+        assert.equal(payload.workspace_id, 'w1');
+    });
+
+    it('never returns the password hash', () => {
+        const user = publicUser({ ...ana, password_hash: 'scrypt$a$b' });
+        assert.equal(user.password_hash, undefined);
+        assert.deepEqual(user.permissions, ['tasks:create']);
+    });
+});
+
+describe('createAuthMiddleware', () => {
+    let client;
+    before(() => { client = fakeClient(); });
+
+    it('lets public paths and preflight requests through', async () => {
+        for (const request of [{ path: '/health' }, { path: '/webhooks/chaser-sent' }, { path: '/calendar/abc.ics' }, { method: 'OPTIONS' }]) {
+            assert.equal((await call(client, request)).next, true, JSON.stringify(request));
+        }
+    });
+
+    it('requires a bearer token everywhere else', async () => {
+        assert.deepEqual(await call(client), { status: 401, body: { error: 'Authentication required' } });
+    });
+
+    it('loads the user and role for a valid session', async () => {
+        const result = await call(client, { token: signToken(ana) });
+        assert.equal(result.next, true);
+        assert.deepEqual(result.req.user, ana);
+    });
+
+    it('rejects tokens that are forged, expired or have no workspace', async () => {
+        const forged = jwt.sign({ sub: 'u1', workspace_id: 'w1' }, 'other-secret');
+        const expired = jwt.sign({ sub: 'u1', workspace_id: 'w1' }, 'test-jwt-secret', { expiresIn: -10 });
+        const noWorkspace = jwt.sign({ sub: 'u1' }, 'test-jwt-secret');
+        for (const token of [forged, expired, noWorkspace]) {
+            assert.equal((await call(client, { token })).status, 401);
+        }
+    });
+
+    it('rejects a session once the user has moved to another workspace', async () => {
+        const token = signToken(ana);
+        const moved = fakeClient();
+        moved.rows('users')[0].workspace_id = 'w2';
+
+        assert.deepEqual(await call(moved, { token }), { status: 401, body: { error: 'Account no longer exists' } });
+    });
+
+    it('hands a failing lookup to the error handler', async () => {
+        const broken = fakeClient();
+        broken.from = () => { throw new Error('connection reset'); };
+
+        const result = await call(broken, { token: signToken(ana) });
+        assert.equal(result.error.message, 'connection reset');
+    });
+
+    it('accepts an API key as its user, within its scopes', async () => {
+        const allowed = await call(client, { token: key.key });
+        assert.equal(allowed.next, true);
+        assert.equal(allowed.req.user.id, 'u1');
+        assert.deepEqual(allowed.req.apiKey, { id: 'k1', scopes: ['tasks:read'] });
+
+        assert.deepEqual(await call(client, { method: 'POST', token: key.key }), {
+            status: 403, body: { error: 'API key needs the tasks:write scope for this endpoint' }
+        });
+        assert.deepEqual(await call(client, { path: '/keys', token: key.key }), {
+            status: 403, body: { error: 'This endpoint needs a signed-in session' }
+        });
+    });
+
+    it('rejects unknown and revoked API keys', async () => {
+        assert.equal((await call(client, { token: generateApiKey().key })).status, 401);
+
+        const revoked = fakeClient();
+        revoked.rows('api_keys')[0].revoked_at = new Date().toISOString();
+        assert.deepEqual(await call(revoked, { token: key.key }), { status: 401, body: { error: 'Invalid or revoked API key' } });
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const { generateFeedToken, feedUrl, publicAssignee, buildAssigneeFeed } = require('../calendarFeed');
+
+const { token, hash } = generateFeedToken();
+
+const client = createFakeSupabase({
+    tables: {
+        assignees: [
+            { workspace_id: 'w1', email: 'ana@example.com', name: 'Ana', calendar_feed_token_hash: hash },
+            // Same person in another workspace, without a feed
+            { workspace_id: 'w2', email: 'ana@example.com', name: 'Ana', calendar_feed_token_hash: null }
+        ],
+        tasks: [
+            { id: 'open', workspace_id: 'w1', assignee_email: 'ana@example.com', title: 'Report', status: 'pending', due_date: '2026-11-02T09:00:00Z' },
+            { id: 'late', workspace_id: 'w1', assignee_email: 'ana@example.com', title: 'Slides', status: 'overdue', due_date: '2026-10-01T09:00:00Z' },
+            { id: 'done', workspace_id: 'w1', assignee_email: 'ana@example.com', title: 'Budget', status: 'completed', due_date: '2026-10-10T09:00:00Z' },
+            { id: 'bos', workspace_id: 'w1', assignee_email: 'bo@example.com', title: 'Bo task', status: 'pending', due_date: '2026-11-03T09:00:00Z' },
+            { id: 'other-workspace', workspace_id: 'w2', assignee_email: 'ana@example.com', title: 'Secret', status: 'pending', due_date: '2026-11-04T09:00:00Z' }
+        ]
+    }
+});
+
+const uids = ics => ics.match(/^UID:.*$/gm).map(line => line.slice(4).replace(/@chaser-agent\r?$/, ''));
+
+test('the feed lists the open tasks of its assignee in its workspace, soonest first', async () => {
+    const ics = await buildAssigneeFeed(client, token);
+
+    assert.deepEqual(uids(ics), ['late', 'open']);
+    assert.match(ics, /X-WR-CALNAME:Tasks for Ana/);
+    assert.match(ics, /REFRESH-INTERVAL;VALUE=DURATION:PT30M/);
+    assert.match(ics, /URL:http:\/\/localhost:3000\/tasks\/open/);
+});
+
+test('completing a task drops it from the next fetch', async () => {
+    client.rows('tasks').find(task => task.id === 'open').status = 'completed';
+    assert.deepEqual(uids(await buildAssigneeFeed(client, token)), ['late']);
+});
+
+test('unknown tokens and lookup errors give no feed', async t => {
+    t.mock.method(console, 'log', () => {});
+    assert.equal(await buildAssigneeFeed(client, generateFeedToken().token), null);
+
+    client.failNext('tasks', 'select');
+    assert.equal(await buildAssigneeFeed(client, token), null);
+});
+
+test('only the token hash is stored, and it is never returned', () => {
+    assert.notEqual(hash, token);
+    assert.doesNotMatch(JSON.stringify(client.rows('assignees')), new RegExp(token));
+
+    const assignee = publicAssignee(client.rows('assignees')[0]);
+    assert.equal(assignee.calendar_feed_token_hash, undefined);
+    assert.equal(assignee.calendar_feed_enabled, true);
+    assert.equal(publicAssignee(client.rows('assignees')[1]).calendar_feed_enabled, false);
+
+    assert.match(feedUrl(token), new RegExp(`/api/calendar/${token}\\.ics$`));
+});
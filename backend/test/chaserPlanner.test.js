@@ -0,0 +1,312 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const {
+    DEFAULT_POLICY,
+    OVERDUE_TIER,
+    validateEscalationTiers,
+    validateOverdueFollowups,
+    resolveEscalationPolicy,
+    buildEscalationChasers,
+    replanChasers,
+    snoozeChasers,
+    setChaserSkipped,
+    recordScheduleChange
+} = require('../chaserPlanner');
+
+const HOUR = 60 * 60 * 1000;
+const at = hours => new Date(Date.now() + hours * HOUR).toISOString();
+
+function taskDueIn(hours, fields = {}) {
+    return { id: 't1', workspace_id: 'w1', title: 'Report', assignee_email: 'ana@example.com', priority: 'medium', status: 'pending', due_date: at(hours), ...fields };
+}
+
+function queueWith(rows) {
+    return createFakeSupabase({
+        tables: {
+            chaser_queue: rows.map((row, index) => ({ id: `old-${index}`, task_id: 't1', workspace_id: 'w1', ...row }))
+        }
+    });
+}
+
+test('moving the deadline cancels the unsent plan and schedules the new one', async () => {
+    const client = queueWith([
+        { status: 'pending', scheduled_at: at(1) },
+        { status: 'skipped', scheduled_at: at(2) },
+        { status: 'sent', scheduled_at: at(-1) }
+    ]);
+
+    const task = taskDueIn(48);
+    const { chasers, error } = await replanChasers(client, task, 'due_date_changed');
+    assert.equal(error, null);
+
+    const old = client.rows('chaser_queue').filter(row => row.id.startsWith('old-'));
+    assert.deepEqual(old.map(row => [row.status, row.cancel_reason ?? null]), [
+        ['cancelled', 'due_date_changed'],
+        ['cancelled', 'due_date_changed'],
+        ['sent', null]
+    ]);
+
+    // Built-in schedule against the new deadline: 24h, 12h, 4h and 1h before, then overdue follow-ups
+    const reminders = chasers.filter(chaser => chaser.escalation_tier < 5);
+    assert.deepEqual(reminders.map(chaser => chaser.escalation_tier), [1, 2, 3, 4]);
+    assert.equal(reminders[0].scheduled_at, new Date(new Date(task.due_date).getTime() - 24 * HOUR).toISOString());
+    assert.ok(chasers.every(chaser => chaser.status === 'pending' && chaser.task_id === 't1'));
+});
+
+test('a chaser another run is sending keeps its lease; an abandoned one is cancelled', async () => {
+    const client = queueWith([
+        { status: 'processing', lease_owner: 'worker-a', lease_expires_at: at(0.1), scheduled_at: at(-0.1) },
+        { status: 'processing', lease_owner: 'worker-b', lease_expires_at: at(-0.1), scheduled_at: at(-1) },
+        { status: 'triggered', scheduled_at: at(-0.5) }
+    ]);
+
+    await replanChasers(client, taskDueIn(48), 'timeline_updated');
+
+    const [live, abandoned, triggered] = client.rows('chaser_queue');
+    assert.equal(live.status, 'processing');
+    assert.equal(live.lease_owner, 'worker-a');
+    assert.equal(abandoned.status, 'cancelled');
+    assert.equal(abandoned.lease_owner, null);
+    // Awaiting its delivery callback
+    assert.equal(triggered.status, 'triggered');
+});
+
+test('a deadline moved closer only keeps the tiers still ahead', async () => {
+    const client = queueWith([]);
+    const { chasers } = await replanChasers(client, taskDueIn(3), 'due_date_changed');
+    assert.deepEqual(chasers.filter(c => c.escalation_tier < 5).map(c => c.escalation_tier), [4]);
+
+    // Due in less than the last tier: one immediate critical reminder
+    const { chasers: urgent } = await replanChasers(queueWith([]), taskDueIn(0.5), 'due_date_changed');
+    assert.equal(urgent[0].escalation_tier, 4);
+    assert.match(urgent[0].message_subject, /Due very soon/);
+});
+
+test('a completed task is only cancelled, not re-planned', async () => {
+    const client = queueWith([{ status: 'pending', scheduled_at: at(1) }]);
+
+    const { chasers } = await replanChasers(client, taskDueIn(48, { status: 'completed' }), 'due_date_changed');
+    assert.deepEqual(chasers, []);
+    assert.equal(client.rows('chaser_queue').length, 1);
+    assert.equal(client.rows('chaser_queue')[0].status, 'cancelled');
+});
+
+test('nothing new is planned when the old plan could not be cancelled', async () => {
+    const client = queueWith([{ status: 'pending', scheduled_at: at(1) }]);
+    client.failNext('chaser_queue', 'update');
+
+    const { chasers, error } = await replanChasers(client, taskDueIn(48), 'due_date_changed');
+    assert.ok(error);
+    assert.deepEqual(chasers, []);
+    assert.equal(client.rows('chaser_queue').length, 1);
+    assert.equal(client.rows('chaser_queue')[0].status, 'pending');
+});
+
+const tier = fields => ({ tier: 1, minutes_before_due: 60, channels: ['email'], tone: 'friendly', ...fields });
+
+test('validateEscalationTiers accepts tiers 1 to 4 with known channels and tones', () => {
+    assert.equal(validateEscalationTiers(DEFAULT_POLICY.tiers), null);
+    assert.equal(validateEscalationTiers([tier({ tier: 4, tone: 'critical', override_quiet_hours: true })]), null);
+});
+
+test('validateEscalationTiers rejects malformed tiers instead of throwing', () => {
+    assert.equal(validateEscalationTiers([]), 'tiers must be a non-empty array');
+    assert.equal(validateEscalationTiers({ tier: 1 }), 'tiers must be a non-empty array');
+    for (const element of [null, 'tier 1', 3, [tier()]]) {
+        assert.equal(validateEscalationTiers([element]), 'Each tier must be an object');
+    }
+    assert.match(validateEscalationTiers([tier({ tier: 0 })]), /from 1 to 4/);
+    assert.match(validateEscalationTiers([tier({ tier: 1.5 })]), /from 1 to 4/);
+    // Tier 5 is the overdue follow-ups' number
+    assert.match(validateEscalationTiers([tier({ tier: 5 })]), /from 1 to 4/);
+    assert.equal(validateEscalationTiers([tier(), tier()]), 'Duplicate tier number: 1');
+    assert.match(validateEscalationTiers([tier({ minutes_before_due: -5 })]), /minutes_before_due/);
+    assert.match(validateEscalationTiers([tier({ channels: [] })]), /channels must be a non-empty array/);
+    assert.match(validateEscalationTiers([tier({ channels: ['fax'] })]), /unknown channel "fax"/);
+    assert.match(validateEscalationTiers([tier({ tone: 'angry' })]), /unknown tone "angry"/);
+    assert.match(validateEscalationTiers([tier({ override_quiet_hours: 'yes' })]), /override_quiet_hours must be a boolean/);
+});
+
+function policies(rows) {
+    return createFakeSupabase({ tables: { escalation_policies: rows } });
+}
+
+test('a task uses its own policy, else its workspace default, else the shared one', async () => {
+    const client = policies([
+        { id: 'shared-high', workspace_id: null, default_for_priority: 'high', tiers: [tier()] },
+        { id: 'w1-high', workspace_id: 'w1', default_for_priority: 'high', tiers: [tier()] },
+        { id: 'w1-custom', workspace_id: 'w1', default_for_priority: null, tiers: [tier()] }
+    ]);
+    const task = { workspace_id: 'w1', priority: 'high' };
+
+    assert.equal((await resolveEscalationPolicy(client, { ...task, escalation_policy_id: 'w1-custom' })).id, 'w1-custom');
+    assert.equal((await resolveEscalationPolicy(client, task)).id, 'w1-high');
+    assert.equal((await resolveEscalationPolicy(client, { ...task, workspace_id: 'w2' })).id, 'shared-high');
+});
+
+test("another workspace's policy is never used", async () => {
+    const client = policies([
+        { id: 'w2-custom', workspace_id: 'w2', default_for_priority: null, tiers: [tier()] },
+        { id: 'w2-low', workspace_id: 'w2', default_for_priority: 'low', tiers: [tier()] }
+    ]);
+
+    assert.equal(await resolveEscalationPolicy(client, { workspace_id: 'w1', escalation_policy_id: 'w2-custom' }), DEFAULT_POLICY);
+    assert.equal(await resolveEscalationPolicy(client, { workspace_id: 'w1', priority: 'low' }), DEFAULT_POLICY);
+});
+
+test('the built-in schedule is used when policies cannot be loaded', async t => {
+    t.mock.method(console, 'log', () => {});
+    const client = policies([{ id: 'w1-high', workspace_id: 'w1', default_for_priority: 'high', tiers: [tier()] }]);
+    client.failNext('escalation_policies', 'select');
+
+    assert.equal(await resolveEscalationPolicy(client, { workspace_id: 'w1', priority: 'high' }), DEFAULT_POLICY);
+});
+
+test("chasers carry their tier's channels and tone", () => {
+    const policy = {
+        id: 'p1',
+        tiers: [
+            tier({ tier: 1, minutes_before_due: 120, channels: ['slack'], tone: 'reminder' }),
+            tier({ tier: 2, minutes_before_due: 30, channels: ['sms', 'call'], tone: 'critical', override_quiet_hours: true })
+        ],
+        overdue_followups: null
+    };
+    const chasers = buildEscalationChasers(taskDueIn(3), policy);
+
+    assert.deepEqual(chasers.map(c => [c.escalation_tier, c.channels, c.tone, c.override_quiet_hours, c.escalation_policy_id]), [
+        [1, ['slack'], 'reminder', false, 'p1'],
+        [2, ['sms', 'call'], 'critical', true, 'p1']
+    ]);
+});
+
+const followups = fields => ({ first_after_minutes: 60, interval_minutes: 24 * 60, max_followups: 3, channels: ['email'], ...fields });
+
+test('overdue follow-ups start after first_after_minutes and repeat every interval', () => {
+    const task = taskDueIn(2);
+    const due = new Date(task.due_date).getTime();
+    const overdue = buildEscalationChasers(task, { id: 'p1', tiers: [tier()], overdue_followups: followups() })
+        .filter(chaser => chaser.escalation_tier === OVERDUE_TIER);
+
+    assert.deepEqual(overdue.map(c => c.overdue_followup), [1, 2, 3]);
+    assert.deepEqual(overdue.map(c => new Date(c.scheduled_at).getTime() - due), [1 * HOUR, 25 * HOUR, 49 * HOUR]);
+    assert.ok(overdue.every(c => c.tone === 'overdue' && c.channels[0] === 'email'));
+    assert.equal(overdue[2].message_subject, 'Overdue 3/3: Report');
+
+    // Without first_after_minutes the first one waits a full interval
+    const [first] = buildEscalationChasers(task, { tiers: [tier()], overdue_followups: followups({ first_after_minutes: undefined }) })
+        .filter(chaser => chaser.escalation_tier === OVERDUE_TIER);
+    assert.equal(new Date(first.scheduled_at).getTime() - due, 24 * HOUR);
+});
+
+test('a task re-planned while overdue only gets the follow-ups still ahead', () => {
+    const overdue = buildEscalationChasers(taskDueIn(-30), { tiers: [tier()], overdue_followups: followups() });
+
+    // The 1h and 25h follow-ups are behind us; no pre-deadline reminders either
+    assert.deepEqual(overdue.map(c => c.overdue_followup), [3]);
+});
+
+test('overdue follow-ups can be turned off; policies without the setting use the default', () => {
+    assert.deepEqual(buildEscalationChasers(taskDueIn(2), { tiers: [tier()], overdue_followups: null })
+        .filter(c => c.escalation_tier === OVERDUE_TIER), []);
+    assert.deepEqual(buildEscalationChasers(taskDueIn(2), { tiers: [tier()], overdue_followups: followups({ max_followups: 0 }) })
+        .filter(c => c.escalation_tier === OVERDUE_TIER), []);
+
+    const inherited = buildEscalationChasers(taskDueIn(2), { tiers: [tier()] }).filter(c => c.escalation_tier === OVERDUE_TIER);
+    assert.equal(inherited.length, DEFAULT_POLICY.overdue_followups.max_followups);
+});
+
+test('validateOverdueFollowups checks each setting', () => {
+    assert.equal(validateOverdueFollowups(null), null);
+    assert.equal(validateOverdueFollowups(followups()), null);
+    assert.equal(validateOverdueFollowups([]), 'overdue_followups must be an object or null');
+    assert.match(validateOverdueFollowups(followups({ interval_minutes: 0 })), /interval_minutes must be a positive number/);
+    assert.match(validateOverdueFollowups(followups({ first_after_minutes: -1 })), /first_after_minutes/);
+    assert.match(validateOverdueFollowups(followups({ max_followups: 21 })), /between 0 and 20/);
+    assert.match(validateOverdueFollowups(followups({ max_followups: 1.5 })), /between 0 and 20/);
+    assert.match(validateOverdueFollowups(followups({ channels: ['pager'] })), /pager/);
+});
+
+test('snoozing folds the chasers due before it ends into one sent when it ends', async () => {
+    const [inOneHour, inFiveHours, inThirtyHours] = [at(1), at(5), at(30)];
+    const client = queueWith([
+        { status: 'pending', scheduled_at: inOneHour, escalation_tier: 2 },
+        { status: 'pending', scheduled_at: inFiveHours, escalation_tier: 3, next_attempt_at: at(6) },
+        { status: 'pending', scheduled_at: inThirtyHours, escalation_tier: 4 },
+        { status: 'sent', scheduled_at: at(-2), escalation_tier: 1 }
+    ]);
+    // Another workspace's chaser for a task with the same ID
+    client.rows('chaser_queue').push({ id: 'foreign', task_id: 't1', workspace_id: 'w2', status: 'pending', scheduled_at: at(2) });
+    const until = new Date(at(24));
+
+    const result = await snoozeChasers(client, taskDueIn(48), until);
+    assert.deepEqual(result, { moved: 1, skipped: 1, error: null });
+
+    const [first, folded, later, sent, foreign] = client.rows('chaser_queue');
+    assert.deepEqual([first.status, first.cancel_reason], ['skipped', 'snoozed']);
+    // The latest keeps the tier the task has reached, and its original time
+    assert.equal(folded.status, 'pending');
+    assert.equal(folded.scheduled_at, until.toISOString());
+    assert.equal(folded.snoozed_from, inFiveHours);
+    assert.equal(folded.next_attempt_at, null);
+    assert.equal(later.scheduled_at, inThirtyHours);
+    assert.equal(sent.status, 'sent');
+    assert.equal(foreign.status, 'pending');
+});
+
+test('snoozing again keeps when the folded chaser was first due', async () => {
+    const firstDue = at(1);
+    const client = queueWith([{ status: 'pending', scheduled_at: at(10), snoozed_from: firstDue }]);
+
+    await snoozeChasers(client, taskDueIn(48), new Date(at(20)));
+    assert.equal(client.rows('chaser_queue')[0].snoozed_from, firstDue);
+
+    // Nothing due before the snooze ends: nothing to do
+    assert.deepEqual(await snoozeChasers(queueWith([]), taskDueIn(48), new Date(at(20))), { moved: 0, skipped: 0, error: null });
+});
+
+test('chasers re-planned during a snooze are held until it ends', async () => {
+    const client = queueWith([]);
+    const snoozedUntil = at(30);
+
+    const { chasers } = await replanChasers(client, taskDueIn(48, { snoozed_until: snoozedUntil }), 'due_date_changed');
+    assert.deepEqual(chasers.filter(chaser => chaser.escalation_tier < 5).map(chaser => chaser.escalation_tier), [1, 2, 3, 4]);
+
+    const pending = client.rows('chaser_queue').filter(row => row.status === 'pending');
+    assert.ok(pending.every(row => row.scheduled_at >= snoozedUntil));
+    // Only the 24h-before chaser was due during the snooze
+    assert.equal(pending.filter(row => row.snoozed_from).length, 1);
+});
+
+test('a skipped chaser can only be restored while it is still ahead', async () => {
+    const client = queueWith([
+        { status: 'pending', scheduled_at: at(2) },
+        { status: 'skipped', scheduled_at: at(-1) },
+        { status: 'sent', scheduled_at: at(-3) }
+    ]);
+    const task = taskDueIn(48);
+
+    const skipped = await setChaserSkipped(client, task, 'old-0', true);
+    assert.equal(skipped.chaser.status, 'skipped');
+    assert.equal(skipped.chaser.cancel_reason, 'skipped');
+    assert.equal((await setChaserSkipped(client, task, 'old-0', false)).chaser.status, 'pending');
+
+    // Its send time has passed
+    assert.equal((await setChaserSkipped(client, task, 'old-1', false)).chaser, null);
+    assert.equal((await setChaserSkipped(client, task, 'old-2', true)).chaser, null);
+    // Nor can a chaser be reached through another workspace's task
+    assert.equal((await setChaserSkipped(client, { ...task, workspace_id: 'w2' }, 'old-0', true)).chaser, null);
+    assert.equal(client.rows('chaser_queue')[0].status, 'pending');
+});
+
+test('schedule changes are recorded in the chaser history under whoever made them', async () => {
+    const client = queueWith([]);
+    await recordScheduleChange(client, taskDueIn(48), { status: 'snoozed', subject: 'Chasers snoozed', recipientEmail: 'lead@example.com' });
+
+    const [entry] = client.rows('chaser_logs');
+    assert.equal(entry.workspace_id, 'w1');
+    assert.equal(entry.task_id, 't1');
+    assert.equal(entry.status, 'snoozed');
+    assert.equal(entry.recipient_email, 'lead@example.com');
+    assert.equal(entry.queue_id, null);
+});
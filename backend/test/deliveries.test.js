@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const {
+    MAX_ATTEMPTS,
+    getRetryDelayMs,
+    recordChaserSent,
+    recordChaserFailed,
+    recordChaserAttemptFailed,
+    releaseChaser
+} = require('../deliveries');
+
+// Error logs written to stdout can garble the test runner's own output
+test.before(() => test.mock.method(console, 'log', () => {}));
+
+// A chaser this worker has claimed
+const claimed = {
+    id: 'q1',
+    task_id: 't1',
+    workspace_id: 'w1',
+    status: 'processing',
+    lease_owner: 'worker-a',
+    lease_expires_at: '2026-10-19T10:05:00Z',
+    attempt_count: 0,
+    recipient_email: 'ana@example.com',
+    message_subject: 'Reminder',
+    message_body: 'Body'
+};
+
+function queueRow(client) {
+    return client.tables.chaser_queue[0];
+}
+
+test('retry delays double from the base and stop at the maximum', () => {
+    assert.equal(getRetryDelayMs(1), 60 * 1000);
+    assert.equal(getRetryDelayMs(2), 120 * 1000);
+    assert.equal(getRetryDelayMs(4), 480 * 1000);
+    assert.equal(getRetryDelayMs(20), 3600 * 1000);
+});
+
+test('a failed attempt releases the chaser with a backoff', async () => {
+    const client = createFakeSupabase({ tables: { chaser_queue: [claimed] } });
+    const before = Date.now();
+
+    const retry = await recordChaserAttemptFailed(client, claimed, 'SMTP timeout');
+
+    assert.equal(retry.deadLettered, false);
+    assert.equal(retry.attempts, 1);
+    assert.ok(retry.nextAttemptAt.getTime() >= before + getRetryDelayMs(1));
+
+    const row = queueRow(client);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempt_count, 1);
+    assert.equal(row.last_error, 'SMTP timeout');
+    assert.equal(row.next_attempt_at, retry.nextAttemptAt.toISOString());
+    assert.equal(row.lease_owner, null);
+    assert.equal(row.lease_expires_at, null);
+    assert.equal(client.rows('chaser_logs').length, 0);
+});
+
+test('the last allowed attempt dead-letters the chaser and logs it once', async () => {
+    const lastTry = { ...claimed, attempt_count: MAX_ATTEMPTS - 1 };
+    const client = createFakeSupabase({ tables: { chaser_queue: [lastTry] } });
+
+    const retry = await recordChaserAttemptFailed(client, lastTry, 'Webhook returned 500');
+
+    assert.deepEqual(retry, { attempts: MAX_ATTEMPTS, deadLettered: true, nextAttemptAt: null, error: null });
+    assert.equal(queueRow(client).status, 'dead_letter');
+    assert.equal(queueRow(client).next_attempt_at, null);
+
+    const [log] = client.rows('chaser_logs');
+    assert.equal(log.status, 'dead_letter');
+    assert.equal(log.queue_id, 'q1');
+    assert.match(log.message_body, new RegExp(`after ${MAX_ATTEMPTS} attempts: Webhook returned 500`));
+});
+
+test('a run whose lease was taken over records nothing', async () => {
+    // The lease expired mid-send and another worker claimed the chaser again
+    const client = createFakeSupabase({ tables: { chaser_queue: [{ ...claimed, lease_owner: 'worker-b' }] } });
+
+    const retry = await recordChaserAttemptFailed(client, claimed, 'late failure');
+    assert.equal(retry.nextAttemptAt, null);
+    assert.equal(retry.error, null);
+    assert.equal(queueRow(client).lease_owner, 'worker-b');
+    assert.equal(queueRow(client).attempt_count, 0);
+
+    // Nor may it dead-letter a chaser it no longer holds
+    const deadLetter = await recordChaserAttemptFailed(client, { ...claimed, attempt_count: MAX_ATTEMPTS - 1 }, 'late failure');
+    assert.equal(deadLetter.deadLettered, false);
+    assert.equal(queueRow(client).status, 'processing');
+    assert.equal(client.rows('chaser_logs').length, 0);
+});
+
+test('a callback that settled the chaser first wins over a late failure', async () => {
+    const client = createFakeSupabase({ tables: { chaser_queue: [{ ...claimed, status: 'sent', lease_owner: null }] } });
+
+    await recordChaserAttemptFailed(client, claimed, 'timeout after delivery');
+    assert.equal(queueRow(client).status, 'sent');
+});
+
+test('a database error is reported, not mistaken for a retry', async () => {
+    const client = createFakeSupabase({ tables: { chaser_queue: [claimed] } });
+    client.failNext('chaser_queue', 'update');
+
+    const retry = await recordChaserAttemptFailed(client, claimed, 'boom');
+    assert.equal(retry.nextAttemptAt, null);
+    assert.match(retry.error.message, /update failed/);
+});
+
+test('a retry keeps going through the adapters the last attempt used', async () => {
+    const partial = { ...claimed, retry_transports: ['slack'] };
+    const client = createFakeSupabase({ tables: { chaser_queue: [partial] } });
+
+    await recordChaserAttemptFailed(client, partial, 'slack: 500');
+    assert.deepEqual(queueRow(client).retry_transports, ['slack']);
+});
+
+test('releasing a chaser holds it without using up an attempt', async () => {
+    const client = createFakeSupabase({ tables: { chaser_queue: [{ ...claimed, attempt_count: 2 }] } });
+
+    const { nextAttemptAt } = await releaseChaser(client, { ...claimed, attempt_count: 2 }, 'not configured');
+
+    assert.equal(queueRow(client).status, 'pending');
+    assert.equal(queueRow(client).attempt_count, 2);
+    assert.equal(queueRow(client).last_error, 'not configured');
+    assert.equal(queueRow(client).next_attempt_at, nextAttemptAt.toISOString());
+});
+
+test('recordChaserSent hands the callback details to record_chaser_sent', async () => {
+    const calls = [];
+    const client = createFakeSupabase({
+        rpc: {
+            record_chaser_sent(args) {
+                calls.push(args);
+                // The database function returns false for chasers or executions it already recorded
+                return calls.filter(call => call.p_execution_id === args.p_execution_id).length === 1;
+            }
+        }
+    });
+
+    const first = await recordChaserSent(client, claimed, { sentAt: '2026-10-19T10:00:00+02:00', executionId: 'exec-1' });
+    assert.deepEqual(first, { recorded: true, error: null });
+    assert.deepEqual(calls[0], { p_queue_id: 'q1', p_sent_at: '2026-10-19T08:00:00.000Z', p_execution_id: 'exec-1' });
+
+    // Boltic retrying the same callback
+    assert.deepEqual(await recordChaserSent(client, claimed, { executionId: 'exec-1' }), { recorded: false, error: null });
+
+    // Synchronous transports have no execution id
+    await recordChaserSent(client, claimed);
+    assert.equal(calls[2].p_execution_id, null);
+});
+
+test('recordChaserSent reports database errors so the callback can be retried', async () => {
+    const client = createFakeSupabase({ rpc: { record_chaser_sent: () => true } });
+    client.failNext('rpc:record_chaser_sent', 'call');
+
+    const { recorded, error } = await recordChaserSent(client, claimed);
+    assert.equal(recorded, false);
+    assert.ok(error);
+});
+
+test('recordChaserFailed settles a chaser once and leaves sent ones alone', async () => {
+    const client = createFakeSupabase({ tables: { chaser_queue: [{ ...claimed, status: 'triggered' }] } });
+
+    assert.deepEqual(await recordChaserFailed(client, claimed, 'Mailbox full'), { recorded: true, error: null });
+    assert.equal(queueRow(client).status, 'failed');
+    assert.equal(queueRow(client).last_error, 'Mailbox full');
+
+    // A repeated failure callback is a no-op
+    assert.deepEqual(await recordChaserFailed(client, claimed, 'Mailbox full'), { recorded: false, error: null });
+    assert.equal(client.rows('chaser_logs').length, 1);
+    assert.match(client.rows('chaser_logs')[0].message_body, /\[ERROR: Mailbox full\]$/);
+
+    // Nor does a failure that arrives after the chaser was recorded as sent
+    queueRow(client).status = 'sent';
+    assert.equal((await recordChaserFailed(client, claimed, 'late')).recorded, false);
+    assert.equal(queueRow(client).status, 'sent');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { generateEmailHtml } = require('../emailTemplate');
+const { createSmtpTransport } = require('../transports/smtp');
+
+const task = {
+    id: 't1',
+    title: 'Q3 <script>alert(1)</script> & notes',
+    assignee_name: 'Ana "AJ" Jones',
+    assignee_email: 'ana@example.com',
+    priority: 'high',
+    due_date: '2026-11-02T16:00:00Z'
+};
+const actionLinks = {
+    done: 'https://api.example.com/api/actions/abc?action=done&sig=1',
+    snooze: 'https://api.example.com/api/actions/abc?action=snooze&sig=2',
+    extend: 'https://api.example.com/api/actions/abc?action=extend&sig=3'
+};
+
+test('the HTML part escapes task text and the text part keeps it verbatim', () => {
+    const { subject, html, text } = generateEmailHtml(task, 2, '3 hours', 'https://app.example.com');
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /Q3 &lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; notes/);
+    assert.match(html, /Ana &quot;AJ&quot; Jones/);
+    assert.match(text, /Q3 <script>alert\(1\)<\/script> & notes/);
+    assert.match(text, /Ana "AJ" Jones/);
+
+    // The text part is plain text, not HTML with the tags stripped
+    assert.doesNotMatch(text, /&amp;|&lt;|<p>|<div/);
+    assert.ok(subject.length > 0);
+    assert.doesNotMatch(subject, /&amp;/);
+});
+
+test('both parts link to the task and offer the same action links', () => {
+    const { html, text } = generateEmailHtml(task, 1, '1 day', 'https://app.example.com', {}, {}, actionLinks);
+
+    assert.match(html, /href="https:\/\/app\.example\.com\/tasks\/t1"/);
+    assert.match(text, /^https:\/\/app\.example\.com\/tasks\/t1$/m);
+    for (const link of Object.values(actionLinks)) {
+        assert.ok(html.includes(`href="${link.replace(/&/g, '&amp;')}"`), link);
+        assert.ok(text.includes(link), link);
+    }
+
+    const withoutLinks = generateEmailHtml(task, 1, '1 day', 'https://app.example.com');
+    assert.doesNotMatch(withoutLinks.html + withoutLinks.text, /\/api\/actions\//);
+});
+
+test('both parts are written in the recipient language and time zone', () => {
+    const { html, text } = generateEmailHtml(task, 1, '3 Stunden', 'https://app.example.com', {}, { locale: 'de', timeZone: 'Europe/Berlin' });
+
+    assert.match(html, /<html lang="de">/);
+    assert.match(html, /Montag, 2\. November 2026/);
+    assert.match(text, /Montag, 2\. November 2026 .*17:00 MEZ/);
+});
+
+test('the SMTP adapter sends the text part as the alternative to the HTML', async t => {
+    const sent = [];
+    t.mock.method(nodemailer, 'createTransport', () => ({
+        async sendMail(message) {
+            sent.push(message);
+            return { messageId: '<m1@example.com>' };
+        }
+    }));
+    const smtp = createSmtpTransport({ host: 'smtp.example.com', from: 'chaser@example.com' });
+    const { subject, html, text } = generateEmailHtml(task, 1, '1 day', 'https://app.example.com');
+
+    const result = await smtp.send({ recipient_email: 'ana@example.com', subject, body: html, text_body: text });
+    assert.deepEqual(result, { transport: 'smtp', delivered: true, message_id: '<m1@example.com>' });
+    assert.equal(sent[0].html, html);
+    assert.equal(sent[0].text, text);
+
+    // Payloads without a text part (older queued chasers) send HTML only
+    await smtp.send({ recipient_email: 'ana@example.com', subject, body: html, text_body: null });
+    assert.equal(sent[1].text, undefined);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const {
+    validateEscalationContacts,
+    normalizeEscalationContacts,
+    resolveEscalationContacts,
+    contactsForChaser,
+    buildEscalationNotice,
+    loadNotifiedContacts
+} = require('../escalationContacts');
+
+const chain = [
+    { email: 'lead@example.com', name: 'Lead', from_tier: 3, mode: 'cc' },
+    { email: 'head@example.com', from_tier: 5, from_followup: 2 }
+];
+
+test('validateEscalationContacts checks every level of the chain', () => {
+    assert.equal(validateEscalationContacts(null), null);
+    assert.equal(validateEscalationContacts(chain), null);
+    assert.equal(validateEscalationContacts({}), 'escalation_contacts must be an array or null');
+    assert.match(validateEscalationContacts(Array(6).fill(chain[0])), /at most 5 levels/);
+    assert.equal(validateEscalationContacts([null]), 'escalation_contacts[0] must be an object');
+    assert.match(validateEscalationContacts([{ ...chain[0], email: 'lead' }]), /\[0\]\.email/);
+    assert.match(validateEscalationContacts([{ ...chain[0], from_tier: 6 }]), /between 1 and 5/);
+    assert.match(validateEscalationContacts([{ ...chain[0], from_followup: 2 }]), /only applies with from_tier 5/);
+    assert.match(validateEscalationContacts([{ ...chain[1], from_followup: 0 }]), /positive integer/);
+    assert.match(validateEscalationContacts([{ ...chain[0], mode: 'bcc' }]), /mode must be one of: cc, notify/);
+});
+
+test('normalizeEscalationContacts lowercases addresses and defaults to notify', () => {
+    assert.equal(normalizeEscalationContacts([]), null);
+    assert.deepEqual(normalizeEscalationContacts([{ email: ' Head@Example.com ', from_tier: 4 }]), [
+        { email: 'head@example.com', name: null, from_tier: 4, from_followup: null, mode: 'notify' }
+    ]);
+});
+
+test('contacts join once the chaser reaches their tier and follow-up', () => {
+    const levels = chaser => contactsForChaser(chain, chaser).map(contact => contact.level);
+
+    assert.deepEqual(levels({ escalation_tier: 2 }), []);
+    assert.deepEqual(levels({ escalation_tier: 3 }), [1]);
+    assert.deepEqual(levels({ escalation_tier: 5, overdue_followup: 1 }), [1]);
+    assert.deepEqual(levels({ escalation_tier: 5, overdue_followup: 2 }), [1, 2]);
+    assert.equal(contactsForChaser(chain, { escalation_tier: 5, overdue_followup: 2 })[1].mode, 'notify');
+});
+
+test('the assignee is never escalated to about their own task', () => {
+    assert.deepEqual(contactsForChaser(chain, { escalation_tier: 4 }, 'LEAD@example.com'), []);
+});
+
+test("a task's own chain wins over its assignee's, which stays inside the workspace", async () => {
+    const client = createFakeSupabase({
+        tables: {
+            assignees: [
+                { workspace_id: 'w1', email: 'ana@example.com', escalation_contacts: [chain[0]] },
+                { workspace_id: 'w2', email: 'bo@example.com', escalation_contacts: [chain[1]] }
+            ]
+        }
+    });
+
+    assert.deepEqual(await resolveEscalationContacts(client, { workspace_id: 'w1', escalation_contacts: [chain[1]], assignee_email: 'ana@example.com' }), [chain[1]]);
+    assert.deepEqual(await resolveEscalationContacts(client, { workspace_id: 'w1', assignee_email: 'Ana@example.com' }), [chain[0]]);
+    // Same address in another workspace: not this workspace's assignee
+    assert.deepEqual(await resolveEscalationContacts(client, { workspace_id: 'w1', assignee_email: 'bo@example.com' }), []);
+
+    const cache = {};
+    await resolveEscalationContacts(client, { workspace_id: 'w1', assignee_email: 'ana@example.com' }, cache);
+    await resolveEscalationContacts(client, { workspace_id: 'w1', assignee_email: 'ana@example.com' }, cache);
+    assert.equal(client.queries.filter(query => query.table === 'assignees').length, 3);
+});
+
+test('escalation notices escape task details in the HTML part only', () => {
+    const notice = buildEscalationNotice(
+        { title: '<b>Launch</b>', assignee_name: 'Ana & Bo', priority: 'high' },
+        { name: 'Lead', level: 2 },
+        { timeRemainingText: '3 hours', overdue: true, dueDate: 'Monday', taskLink: 'https://app/tasks/1?a=1&b=2' }
+    );
+
+    assert.equal(notice.subject, 'Escalation: "<b>Launch</b>" is overdue');
+    assert.match(notice.html, /&lt;b&gt;Launch&lt;\/b&gt;/);
+    assert.match(notice.html, /Ana &amp; Bo/);
+    assert.match(notice.html, /href="https:\/\/app\/tasks\/1\?a=1&amp;b=2"/);
+    assert.match(notice.text, /level 2 for a task assigned to Ana & Bo\. It is 3 hours overdue/);
+});
+
+test('loadNotifiedContacts only counts separate notices for the same task', async () => {
+    const client = createFakeSupabase({
+        tables: {
+            chaser_logs: [
+                { workspace_id: 'w1', task_id: 't1', status: 'escalated', escalation_mode: 'notify', recipient_email: 'Head@example.com' },
+                { workspace_id: 'w1', task_id: 't1', status: 'escalated', escalation_mode: 'cc', recipient_email: 'lead@example.com' },
+                { workspace_id: 'w1', task_id: 't2', status: 'escalated', escalation_mode: 'notify', recipient_email: 'other@example.com' }
+            ]
+        }
+    });
+
+    assert.deepEqual([...await loadNotifiedContacts(client, { workspace_id: 'w1', task_id: 't1' })], ['head@example.com']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EXPORT_ROWS, fetchAllRows, toCsv, buildIcsCalendar } = require('../exporters');
+
+// ICS content lines with folding undone
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('toCsv quotes separators, quotes and line breaks', () => {
+    const csv = toCsv([
+        { title: 'Report, "final"', notes: 'line 1\nline 2', count: 3, empty: null, tags: ['a', 'b'] }
+    ], ['title', 'notes', 'count', 'empty', 'tags']);
+
+    assert.equal(csv, 'title,notes,count,empty,tags\r\n"Report, ""final""","line 1\nline 2",3,,"[""a"",""b""]"\r\n');
+});
+
+test('toCsv neutralizes spreadsheet formulas in text', () => {
+    const csv = toCsv([{ a: '=HYPERLINK("x")', b: '+1', c: '-2', d: '@SUM', e: -2 }], ['a', 'b', 'c', 'd', 'e']);
+    assert.equal(csv.split('\r\n')[1], '"\'=HYPERLINK(""x"")",\'+1,\'-2,\'@SUM,-2');
+});
+
+test('buildIcsCalendar escapes text and emits one event per task', () => {
+    const ics = buildIcsCalendar([{
+        id: 't1',
+        title: 'Plan; review, ship\\done',
+        status: 'completed',
+        priority: 'high',
+        assignee_email: 'ana@example.com',
+        due_date: '2026-10-20T09:00:00Z',
+        created_at: '2026-10-19T09:00:00Z',
+        updated_at: '2026-10-19T09:00:10Z'
+    }], { name: 'Team, tasks', taskLink: task => `https://app/tasks/${task.id}` });
+
+    const lines = unfold(ics);
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Team\\, tasks'));
+    assert.ok(lines.includes('UID:t1@chaser-agent'));
+    assert.ok(lines.includes('DTSTART:20261020T090000Z'));
+    assert.ok(lines.includes('DTEND:20261020T091500Z'));
+    assert.ok(lines.includes('SUMMARY:✅ Due: Plan\\; review\\, ship\\\\done'));
+    assert.ok(lines.includes('DESCRIPTION:Priority: high\\nAssignee: ana@example.com\\nStatus: completed\\nLink: https://app/tasks/t1'));
+    assert.ok(lines.includes('SEQUENCE:10'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('buildIcsCalendar folds long lines at 75 octets without splitting characters', () => {
+    const ics = buildIcsCalendar([{
+        id: 't1',
+        title: 'é'.repeat(100),
+        status: 'pending',
+        assignee_email: 'ana@example.com',
+        due_date: '2026-10-20T09:00:00Z'
+    }]);
+
+    for (const line of ics.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(unfold(ics).includes(`SUMMARY:Due: ${'é'.repeat(100)}`));
+});
+
+test('fetchAllRows reads page by page up to the export limit', async () => {
+    const ranges = [];
+    const buildQuery = () => ({
+        range: async (from, to) => {
+            ranges.push([from, to]);
+            return { data: Array.from({ length: to - from + 1 }, (_, i) => ({ id: from + i })), error: null };
+        }
+    });
+
+    const { rows, error } = await fetchAllRows(buildQuery);
+    assert.equal(error, null);
+    assert.equal(rows.length, MAX_EXPORT_ROWS);
+    assert.deepEqual(ranges[1], [1000, 1999]);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const {
+    validateExtensionRequest,
+    createExtensionRequest,
+    decideExtensionRequest,
+    reopenExtensionRequest,
+    loadExtensionRequests,
+    loadTaskOwners,
+    buildExtensionRequestNotice,
+    buildExtensionDecisionNotice
+} = require('../extensionRequests');
+
+const DAY = 24 * 60 * 60 * 1000;
+const task = { id: 't1', workspace_id: 'w1', title: 'Report', created_by: 'u-owner', due_date: new Date(Date.now() + DAY).toISOString() };
+const later = new Date(Date.now() + 3 * DAY).toISOString();
+
+test('validateExtensionRequest', async t => {
+    await t.test('accepts a later date with a reason', () => {
+        const { error, proposedDueDate } = validateExtensionRequest(task, { proposed_due_date: later, reason: 'Waiting on data' });
+        assert.equal(error, null);
+        assert.equal(proposedDueDate.toISOString(), later);
+    });
+
+    await t.test('rejects dates that are invalid, earlier or already past', () => {
+        const check = proposed => validateExtensionRequest(task, { proposed_due_date: proposed, reason: 'x' }).error;
+        assert.equal(check(undefined), 'proposed_due_date must be a valid date');
+        assert.equal(check('next week'), 'proposed_due_date must be a valid date');
+        assert.match(check(task.due_date), /later than the current due date/);
+        // An overdue task still needs a date in the future
+        const overdue = { ...task, due_date: new Date(Date.now() - 3 * DAY).toISOString() };
+        assert.match(validateExtensionRequest(overdue, { proposed_due_date: new Date(Date.now() - DAY).toISOString(), reason: 'x' }).error, /in the future/);
+    });
+
+    await t.test('needs a reason of reasonable length', () => {
+        assert.equal(validateExtensionRequest(task, { proposed_due_date: later, reason: '   ' }).error, 'reason is required');
+        assert.equal(validateExtensionRequest(task, { proposed_due_date: later, reason: 42 }).error, 'reason is required');
+        assert.match(validateExtensionRequest(task, { proposed_due_date: later, reason: 'x'.repeat(1001) }).error, /at most 1000 characters/);
+    });
+});
+
+test('a second pending request for the same task is reported as a duplicate', async () => {
+    const client = createFakeSupabase();
+    const details = { requesterEmail: 'Ana@Example.com', proposedDueDate: new Date(later), reason: '  Waiting on data ' };
+
+    const { request } = await createExtensionRequest(client, task, details);
+    assert.equal(request.requested_by_email, 'ana@example.com');
+    assert.equal(request.reason, 'Waiting on data');
+    assert.equal(request.current_due_date, task.due_date);
+
+    // The partial unique index on pending requests rejects the insert
+    client.failNext('extension_requests', 'insert', { code: '23505', message: 'duplicate key value' });
+    assert.deepEqual(await createExtensionRequest(client, task, details), { request: null, error: null, duplicate: true });
+
+    client.failNext('extension_requests', 'insert');
+    const failed = await createExtensionRequest(client, task, details);
+    assert.equal(failed.duplicate, false);
+    assert.ok(failed.error);
+});
+
+test('only the first decision on a request counts', async () => {
+    const client = createFakeSupabase({
+        tables: { extension_requests: [{ id: 'r1', workspace_id: 'w1', task_id: 't1', status: 'pending' }] }
+    });
+    const pending = client.rows('extension_requests')[0];
+
+    const approved = await decideExtensionRequest(client, pending, { approved: true, decidedBy: 'u-owner', note: '  ' });
+    assert.equal(approved.request.status, 'approved');
+    assert.equal(approved.request.decision_note, null);
+
+    // A second owner rejecting it at the same time
+    assert.equal((await decideExtensionRequest(client, pending, { approved: false, decidedBy: 'u-admin' })).request, null);
+    assert.equal(pending.status, 'approved');
+
+    // Nor can another workspace decide on it
+    pending.status = 'pending';
+    assert.equal((await decideExtensionRequest(client, { ...pending, workspace_id: 'w2' }, { approved: true, decidedBy: 'x' })).request, null);
+});
+
+test('an approval whose new date could not be applied goes back to pending', async () => {
+    const client = createFakeSupabase({
+        tables: { extension_requests: [{ id: 'r1', workspace_id: 'w1', status: 'approved', decided_by: 'u-owner', decided_at: '2026-10-19T10:00:00Z' }] }
+    });
+
+    await reopenExtensionRequest(client, client.rows('extension_requests')[0]);
+    assert.deepEqual(
+        [client.rows('extension_requests')[0].status, client.rows('extension_requests')[0].decided_by],
+        ['pending', null]
+    );
+
+    // Rejected requests stay rejected
+    client.rows('extension_requests')[0].status = 'rejected';
+    await reopenExtensionRequest(client, client.rows('extension_requests')[0]);
+    assert.equal(client.rows('extension_requests')[0].status, 'rejected');
+});
+
+test("a task's requests and owners come from its own workspace", async t => {
+    t.mock.method(console, 'log', () => {});
+    const client = createFakeSupabase({
+        tables: {
+            extension_requests: [
+                { id: 'r1', workspace_id: 'w1', task_id: 't1', created_at: '2026-10-01' },
+                { id: 'r2', workspace_id: 'w1', task_id: 't1', created_at: '2026-10-05' },
+                { id: 'r3', workspace_id: 'w2', task_id: 't1', created_at: '2026-10-06' }
+            ],
+            users: [
+                { id: 'u-admin', workspace_id: 'w1', role: 'admin', email: 'admin@example.com', name: 'Admin' },
+                { id: 'u-owner', workspace_id: 'w2', role: 'admin', email: 'owner@example.com', name: 'Owner' }
+            ]
+        }
+    });
+
+    assert.deepEqual((await loadExtensionRequests(client, 'w1', 't1')).map(request => request.id), ['r2', 'r1']);
+    // The creator's ID belongs to a user of another workspace: the admins decide
+    assert.deepEqual(await loadTaskOwners(client, task), [{ email: 'admin@example.com', name: 'Admin' }]);
+
+    client.failNext('extension_requests', 'select');
+    assert.deepEqual(await loadExtensionRequests(client, 'w1', 't1'), []);
+});
+
+test('notices escape the reason and note in HTML only', () => {
+    const request = { requested_by_email: 'ana@example.com', reason: 'Vendor <late> & slow', status: 'rejected', decision_note: '<b>No</b>' };
+    const links = { taskLink: 'https://app.example.com/tasks/t1' };
+
+    const ask = buildExtensionRequestNotice(task, { name: null }, request, { currentDueDate: 'Mon', proposedDueDate: 'Wed', ...links });
+    assert.equal(ask.subject, 'More time requested: "Report"');
+    assert.match(ask.html, /Hi there,/);
+    assert.match(ask.html, /Vendor &lt;late&gt; &amp; slow/);
+    assert.match(ask.text, /Reason: Vendor <late> & slow/);
+
+    const decision = buildExtensionDecisionNotice(task, request, { dueDate: 'Mon', ...links });
+    assert.equal(decision.subject, 'More time declined: "Report"');
+    assert.match(decision.html, /&lt;b&gt;No&lt;\/b&gt;/);
+    assert.match(decision.text, /still due Mon\./);
+});
@@ -0,0 +1,245 @@
+/**
+ * In-memory stand-in for the Supabase client, for tests of code that reads and
+ * writes through it. Supports the query builder calls the backend uses, keeps
+ * rows per table and records every query in client.queries.
+ *
+ * (Lives in test/, so `node --test` also loads it; it defines no tests.)
+ */
+
+const crypto = require('crypto');
+
+function parseList(text) {
+    return String(text).replace(/^\(|\)$/g, '').split(',').map(value => value.trim());
+}
+
+const OPERATORS = {
+    eq: (value, expected) => value === expected,
+    neq: (value, expected) => value !== expected,
+    lt: (value, expected) => value < expected,
+    lte: (value, expected) => value <= expected,
+    gt: (value, expected) => value > expected,
+    gte: (value, expected) => value >= expected,
+    in: (value, expected) => (Array.isArray(expected) ? expected : parseList(expected)).includes(value),
+    is: (value, expected) => (value ?? null) === expected
+};
+
+// Split "a,b(c,d),e" at the commas outside parentheses
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        current += char;
+    }
+    return [...parts, current];
+}
+
+// A PostgREST filter list as used by .or(), e.g. "status.in.(a,b),and(x.eq.1,y.lt.2)"
+function parseFilterList(text, combine = 'some') {
+    const conditions = splitTopLevel(text).map(part => {
+        const nested = part.match(/^(and|or)\((.*)\)$/);
+        if (nested) return parseFilterList(nested[2], nested[1] === 'and' ? 'every' : 'some');
+
+        const [, column, operator, raw] = part.match(/^([^.]+)\.([a-z]+)\.(.*)$/);
+        const expected = raw === 'null' ? null : raw;
+        return row => OPERATORS[operator](row[column], expected);
+    });
+    return row => conditions[combine](condition => condition(row));
+}
+
+function pick(row, columns) {
+    if (!columns || columns.trim() === '*' || columns.includes('(')) return { ...row };
+    return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+}
+
+class Query {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.operation = 'select';
+        this.filters = [];
+        this.columns = null;
+        this.countOnly = false;
+        this.resultMode = 'many';
+        this.values = null;
+        this.orderBy = null;
+        this.limitTo = null;
+    }
+
+    select(columns = '*', options = {}) {
+        this.columns = columns;
+        if (options.head) this.countOnly = true;
+        this.returning = this.operation !== 'select';
+        return this;
+    }
+
+    insert(values) {
+        this.operation = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    update(values) {
+        this.operation = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    not(column, operator, expected) {
+        this.filters.push({ column, test: value => !OPERATORS[operator](value, expected), text: `not.${column}.${operator}` });
+        return this;
+    }
+
+    or(filterList) {
+        const test = parseFilterList(filterList);
+        this.filters.push({ column: null, test, text: `or(${filterList})`, row: true });
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orderBy = { column, ascending };
+        return this;
+    }
+
+    limit(count) {
+        this.limitTo = count;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    // Related rows selected as "<table> ( ... )", resolved through the embeds option
+    embed(row, picked) {
+        for (const [name, resolve] of Object.entries(this.client.embeds[this.table] || {})) {
+            if (this.columns && new RegExp(`\\b${name}\\s*\\(`).test(this.columns)) {
+                picked[name] = resolve(row, this.client);
+            }
+        }
+        return picked;
+    }
+
+    matches(row) {
+        return this.filters.every(filter => filter.test(filter.row ? row : row[filter.column]));
+    }
+
+    run() {
+        this.client.queries.push({ table: this.table, operation: this.operation, filters: this.filters.map(f => f.text), values: this.values });
+
+        const injected = this.client.takeError(this.table, this.operation);
+        if (injected) return { data: null, error: injected, count: null };
+
+        const rows = this.client.rows(this.table);
+        let data;
+        if (this.operation === 'insert') {
+            const inserted = [].concat(this.values).map(values => ({ id: crypto.randomUUID(), ...values }));
+            rows.push(...inserted);
+            data = inserted;
+        } else if (this.operation === 'update') {
+            data = rows.filter(row => this.matches(row));
+            data.forEach(row => Object.assign(row, this.values));
+        } else if (this.operation === 'delete') {
+            data = rows.filter(row => this.matches(row));
+            this.client.tables[this.table] = rows.filter(row => !data.includes(row));
+        } else {
+            data = rows.filter(row => this.matches(row));
+        }
+
+        if (this.orderBy) {
+            const { column, ascending } = this.orderBy;
+            data = [...data].sort((a, b) => (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1));
+        }
+        if (this.limitTo !== null) data = data.slice(0, this.limitTo);
+
+        if (this.countOnly) return { data: null, error: null, count: data.length };
+        if (this.operation !== 'select' && !this.returning) return { data: null, error: null };
+
+        data = data.map(row => this.embed(row, pick(row, this.columns)));
+        if (this.resultMode === 'single') {
+            return data.length === 1
+                ? { data: data[0], error: null }
+                : { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${data.length}` } };
+        }
+        if (this.resultMode === 'maybeSingle') return { data: data[0] || null, error: null };
+        return { data, error: null };
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+}
+
+for (const operator of Object.keys(OPERATORS)) {
+    Query.prototype[operator] = function filter(column, expected) {
+        this.filters.push({ column, test: value => OPERATORS[operator](value, expected), text: `${column}.${operator}` });
+        return this;
+    };
+}
+
+/**
+ * @param {object} options - { tables: { name: [rows] }, rpc: { name: (args, client) => data },
+ * embeds: { table: { related: (row, client) => data } } }
+ */
+function createFakeSupabase({ tables = {}, rpc = {}, embeds = {} } = {}) {
+    const errors = [];
+
+    const client = {
+        tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))])),
+        queries: [],
+        embeds,
+
+        rows(table) {
+            if (!this.tables[table]) this.tables[table] = [];
+            return this.tables[table];
+        },
+
+        /**
+         * Make the next matching query fail with an error
+         * @param {string} table - Table name, or 'rpc:<function>'
+         * @param {string} operation - select, insert, update, delete or call
+         */
+        failNext(table, operation, error = { message: `${table} ${operation} failed` }) {
+            errors.push({ table, operation, error });
+        },
+
+        takeError(table, operation) {
+            const index = errors.findIndex(e => e.table === table && e.operation === operation);
+            return index === -1 ? null : errors.splice(index, 1)[0].error;
+        },
+
+        from(table) {
+            return new Query(client, table);
+        },
+
+        async rpc(name, args) {
+            client.queries.push({ table: `rpc:${name}`, operation: 'call', values: args });
+            const injected = client.takeError(`rpc:${name}`, 'call');
+            if (injected) return { data: null, error: injected };
+            if (!rpc[name]) return { data: null, error: { message: `Unknown function ${name}` } };
+            return { data: await rpc[name](args, client), error: null };
+        }
+    };
+
+    return client;
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./fakeSupabase');
+const { BUILT_IN_TEMPLATES, UI_STRINGS } = require('../messageCatalogs');
+const {
+    SUPPORTED_LOCALES,
+    formatDueDate,
+    formatDuration,
+    formatPriority,
+    loadRecipientLocale
+} = require('../localization');
+
+// Keys of a nested catalog entry, e.g. "priorities.high"
+function keyPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => (value && typeof value === 'object'
+        ? keyPaths(value, `${prefix}${key}.`)
+        : [`${prefix}${key}`]));
+}
+
+test('every locale translates every built-in template and UI string', () => {
+    assert.deepEqual(SUPPORTED_LOCALES, ['en', 'es', 'fr', 'de']);
+    for (const locale of SUPPORTED_LOCALES) {
+        assert.deepEqual(keyPaths(BUILT_IN_TEMPLATES[locale]).sort(), keyPaths(BUILT_IN_TEMPLATES.en).sort(), locale);
+        assert.deepEqual(keyPaths(UI_STRINGS[locale]).sort(), keyPaths(UI_STRINGS.en).sort(), locale);
+    }
+});
+
+test('durations and priorities are written in the recipient language', () => {
+    assert.equal(formatDuration(0.75), '45 minutes');
+    assert.equal(formatDuration(1), '1 hour');
+    assert.equal(formatDuration(3, 'de'), '3 Stunden');
+    assert.equal(formatDuration(26.4, 'es'), '26 horas');
+    // Unknown locales fall back to English
+    assert.equal(formatDuration(2, 'pt'), '2 hours');
+
+    assert.equal(formatPriority('high', 'de'), 'Hoch');
+    assert.equal(formatPriority(null, 'en'), formatPriority('medium', 'en'));
+});
+
+test('due dates are shown in the recipient time zone, which is named', () => {
+    const due = '2026-11-02T16:00:00Z';
+    assert.match(formatDueDate(due, { locale: 'es', timeZone: 'Europe/Madrid' }), /^lunes, 2 de noviembre de 2026.* 17:00 CET$/);
+    assert.match(formatDueDate(due, { timeZone: 'America/New_York' }), /^Monday, November 2, 2026 at 11:00\sAM EST$/);
+    assert.equal(formatDueDate(null, { locale: 'fr' }), 'Aucune échéance');
+});
+
+test('loadRecipientLocale reads the assignee in the chaser workspace only', async t => {
+    t.mock.method(console, 'log', () => {});
+    const client = createFakeSupabase({
+        tables: {
+            assignees: [
+                { workspace_id: 'w1', email: 'ana@example.com', locale: 'fr', time_zone: 'Europe/Paris' },
+                { workspace_id: 'w1', email: 'bo@example.com', locale: 'pt', time_zone: 'Mars/Olympus' },
+                { workspace_id: 'w2', email: 'cy@example.com', locale: 'de', time_zone: 'Europe/Berlin' }
+            ]
+        }
+    });
+
+    assert.deepEqual(await loadRecipientLocale(client, 'Ana@Example.com', 'w1'), { locale: 'fr', timeZone: 'Europe/Paris' });
+    // Settings that are no longer valid fall back instead of breaking the chaser
+    assert.deepEqual(await loadRecipientLocale(client, 'bo@example.com', 'w1'), { locale: 'en', timeZone: null });
+    assert.deepEqual(await loadRecipientLocale(client, 'cy@example.com', 'w1'), { locale: 'en', timeZone: null });
+    assert.deepEqual(await loadRecipientLocale(client, null, 'w1'), { locale: 'en', timeZone: null });
+
+    client.failNext('assignees', 'select');
+    assert.deepEqual(await loadRecipientLocale(client, 'ana@example.com', 'w1'), { locale: 'en', timeZone: null });
+});
+
+test('a run looks up each recipient once', async () => {
+    const client = createFakeSupabase({ tables: { assignees: [{ workspace_id: 'w1', email: 'ana@example.com', locale: 'de', time_zone: null }] } });
+    const cache = {};
+
+    await loadRecipientLocale(client, 'ana@example.com', 'w1', cache);
+    assert.equal((await loadRecipientLocale(client, 'ANA@example.com', 'w1', cache)).locale, 'de');
+    await loadRecipientLocale(client, 'ana@example.com', 'w2', cache);
+    assert.equal(client.queries.length, 2);
+});
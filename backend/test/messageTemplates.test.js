@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UI_STRINGS } = require('../messageCatalogs');
+const {
+    htmlToText,
+    templateKey,
+    buildTemplateVariables,
+    validateTemplate,
+    resolveTemplate,
+    renderMessage
+} = require('../messageTemplates');
+
+const variables = {
+    task_title: 'Q3 <report> & "notes"',
+    assignee_name: 'Ana',
+    priority: 'High',
+    due_date: 'Monday',
+    time_remaining: '2 hours',
+    task_link: 'https://example.com/tasks/1'
+};
+
+function overrides(channel, template) {
+    return { [templateKey(1, channel)]: { tier: 1, channel, locale: 'en', subject: null, ...template } };
+}
+
+test('email renders an escaped HTML body, a plain subject and a text part', () => {
+    const templates = overrides('email', {
+        subject: 'Due soon: {{task_title}}',
+        body: '<p>Hi {{ assignee_name }},</p><p>{{task_title}} is due in {{time_remaining}}.</p>'
+    });
+    const message = renderMessage(templates, 1, 'email', variables);
+
+    assert.equal(message.subject, 'Due soon: Q3 <report> & "notes"');
+    assert.equal(message.body, '<p>Hi Ana,</p><p>Q3 &lt;report&gt; &amp; &quot;notes&quot; is due in 2 hours.</p>');
+    assert.equal(message.text, 'Hi Ana,\n\nQ3 <report> & "notes" is due in 2 hours.');
+});
+
+test('slack escapes its control characters; sms is left as is', () => {
+    const slack = renderMessage(overrides('slack', { body: '*{{task_title}}*' }), 1, 'slack', variables);
+    assert.equal(slack.body, '*Q3 &lt;report&gt; &amp; "notes"*');
+    assert.equal(slack.subject, null);
+    assert.equal(slack.text, null);
+
+    const sms = renderMessage(overrides('sms', { body: '{{task_title}}' }), 1, 'sms', variables);
+    assert.equal(sms.body, 'Q3 <report> & "notes"');
+});
+
+test('unknown variables render as empty text', () => {
+    assert.equal(renderMessage(overrides('sms', { body: 'a{{nope}}b' }), 1, 'sms', variables).body, 'ab');
+});
+
+test('resolveTemplate falls back to the built-in copy for the locale', () => {
+    const builtIn = resolveTemplate({}, 1, 'email', 'de');
+    assert.equal(builtIn.is_default, true);
+    assert.notEqual(builtIn.body, resolveTemplate({}, 1, 'email', 'en').body);
+
+    const override = resolveTemplate(overrides('email', { subject: 'S', body: 'B' }), 1, 'email');
+    assert.deepEqual(override, { subject: 'S', body: 'B', is_default: false });
+    // An override for one locale leaves the others on the built-in copy
+    assert.equal(resolveTemplate(overrides('email', { subject: 'S', body: 'B' }), 1, 'email', 'de').is_default, true);
+});
+
+test('validateTemplate checks tier, channel, required fields and variables', () => {
+    assert.equal(validateTemplate(1, 'email', { subject: 'Hi', body: '{{task_title}}' }), null);
+    assert.match(validateTemplate(9, 'email', { subject: 'Hi', body: 'x' }), /tier must be one of/);
+    assert.match(validateTemplate(1, 'fax', { body: 'x' }), /channel must be one of/);
+    assert.equal(validateTemplate(1, 'email', { body: 'x' }), 'subject is required');
+    assert.equal(validateTemplate(1, 'sms', { body: 'x'.repeat(5001) }), 'body must be at most 5000 characters');
+    assert.equal(validateTemplate(1, 'sms', { body: '{{secret}} {{secret}}' }), 'Unknown variables in body: secret');
+});
+
+test('htmlToText keeps line breaks and decodes entities', () => {
+    assert.equal(htmlToText('<p>One<br>Two</p><div>&lt;3 &amp; more</div>'), 'One\nTwo\n\n<3 & more');
+});
+
+test('buildTemplateVariables falls back for a missing assignee name', () => {
+    const context = { timeRemainingText: '1 hour', dueDate: 'Today', frontendUrl: 'https://app' };
+    const task = { id: 't1', title: 'Report', assignee_email: 'ana@example.com', priority: 'high' };
+
+    const english = buildTemplateVariables(task, context);
+    assert.equal(english.assignee_name, 'there');
+    assert.equal(english.task_link, 'https://app/tasks/t1');
+    // Spanish has no neutral stand-in and greets by address
+    assert.equal(buildTemplateVariables(task, { ...context, locale: 'es' }).assignee_name, 'ana@example.com');
+    assert.equal(buildTemplateVariables({ ...task, assignee_name: 'Ana' }, context).assignee_name, 'Ana');
+});
+
+test('an empty or null fallback_name falls through to the email address', t => {
+    const original = UI_STRINGS.es.fallback_name;
+    t.after(() => { UI_STRINGS.es.fallback_name = original; });
+    const context = { timeRemainingText: '1 hora', dueDate: 'Hoy', frontendUrl: 'https://app', locale: 'es' };
+
+    for (const fallbackName of [null, '']) {
+        UI_STRINGS.es.fallback_name = fallbackName;
+        assert.equal(buildTemplateVariables({ assignee_email: 'ana@example.com' }, context).assignee_name, 'ana@example.com');
+        // Nothing to fall back on renders as empty text, not "undefined"
+        assert.equal(buildTemplateVariables({}, context).assignee_name, '');
+    }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, permissionsFor, hasPermission, requirePermission, taskAccess, checkTaskUpdate } = require('../permissions');
+
+const user = (role, fields = {}) => ({ id: `${role}-1`, email: `${role}@example.com`, role, ...fields });
+
+test('only admins manage settings and members; viewers can do nothing', () => {
+    assert.deepEqual(ROLES.filter(role => hasPermission({ role }, 'settings:manage')), ['admin']);
+    assert.deepEqual(ROLES.filter(role => hasPermission({ role }, 'nudges:send')), ['admin', 'manager']);
+    assert.deepEqual(permissionsFor('viewer'), []);
+    // Unknown roles and missing users get nothing rather than throwing
+    assert.deepEqual(permissionsFor('owner'), []);
+    assert.equal(hasPermission(undefined, 'tasks:create'), false);
+});
+
+test('requirePermission answers 403 without calling the route', () => {
+    const guard = requirePermission('queue:manage');
+    let status;
+    let nextCalled = false;
+    const res = { status(code) { status = code; return this; }, json() {} };
+
+    guard({ user: user('member') }, res, () => { nextCalled = true; });
+    assert.equal(status, 403);
+    assert.equal(nextCalled, false);
+
+    guard({ user: user('manager') }, res, () => { nextCalled = true; });
+    assert.equal(nextCalled, true);
+});
+
+test('taskAccess', () => {
+    const member = user('member');
+    const task = { created_by: 'someone-else', assignee_email: 'member@example.com' };
+
+    assert.equal(taskAccess(user('manager'), task), 'edit');
+    assert.equal(taskAccess(member, { ...task, created_by: member.id }), 'edit');
+    assert.equal(taskAccess(member, task), 'complete');
+    assert.equal(taskAccess({ ...member, email: 'Member@Example.com' }, task), 'complete');
+    assert.equal(taskAccess(member, { ...task, assignee_email: 'ana@example.com' }), null);
+    // A creator demoted to viewer keeps nothing but their assignee rights
+    assert.equal(taskAccess(user('viewer', { id: 'v' }), { created_by: 'v' }), null);
+    assert.equal(taskAccess(user('viewer'), { assignee_email: 'viewer@example.com' }), 'complete');
+});
+
+test('checkTaskUpdate limits assignees to completing their own task', () => {
+    const assignee = user('member');
+    const task = { created_by: 'someone-else', assignee_email: 'member@example.com' };
+
+    assert.equal(checkTaskUpdate(assignee, task, { status: 'completed' }), null);
+    assert.equal(checkTaskUpdate(assignee, task, { status: 'pending' }), 'Assignees can only mark their own tasks as completed');
+    assert.equal(checkTaskUpdate(assignee, task, { status: 'completed', due_date: '2026-11-01' }), 'Assignees can only mark their own tasks as completed');
+    assert.equal(checkTaskUpdate(assignee, task, { assignee_email: 'ana@example.com' }), 'Assignees cannot reassign their own tasks');
+    assert.equal(checkTaskUpdate(user('member', { email: 'bo@example.com' }), task, { status: 'completed' }), 'You do not have permission to edit this task');
+    assert.equal(checkTaskUpdate(user('admin'), task, { title: 'Renamed', assignee_email: 'ana@example.com' }), null);
+});
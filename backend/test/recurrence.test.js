@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecurrenceRule, nextOccurrence } = require('../recurrence');
+
+function rule(text) {
+    const { rule: parsed, error } = parseRecurrenceRule(text);
+    assert.equal(error, null);
+    return parsed;
+}
+
+test('parseRecurrenceRule reads the supported parts', () => {
+    assert.deepEqual(rule('RRULE:FREQ=weekly;INTERVAL=2;BYDAY=MO,TH'),
+        { freq: 'WEEKLY', interval: 2, byDay: [1, 4], byMonthDay: null, until: null });
+    assert.equal(rule('FREQ=MONTHLY;BYMONTHDAY=-1').byMonthDay, -1);
+    assert.equal(rule('FREQ=DAILY;UNTIL=20261231').until.toISOString(), '2026-12-31T23:59:59.000Z');
+});
+
+test('parseRecurrenceRule rejects unknown parts and bad values', () => {
+    assert.match(parseRecurrenceRule('FREQ=DAILY;COUNT=5').error, /Unsupported recurrence rule part: COUNT/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;FOO=1').error, /Unsupported recurrence rule part: FOO/);
+    assert.match(parseRecurrenceRule('FREQ=YEARLY').error, /FREQ must be one of/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;INTERVAL=0').error, /INTERVAL/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;BYDAY=MO').error, /BYDAY is only supported/);
+    assert.match(parseRecurrenceRule('FREQ=MONTHLY;BYMONTHDAY=32').error, /BYMONTHDAY/);
+    assert.match(parseRecurrenceRule('FREQ=DAILY;UNTIL=tomorrow').error, /UNTIL/);
+    assert.match(parseRecurrenceRule(null).error, /must be a string/);
+});
+
+test('daily and weekly rules keep the local time of day across DST', () => {
+    const due = new Date('2026-10-24T07:00:00Z'); // Sat 09:00 Berlin (UTC+2)
+    assert.equal(nextOccurrence(due, rule('FREQ=DAILY'), 'Europe/Berlin').toISOString(), '2026-10-25T08:00:00.000Z');
+    assert.equal(nextOccurrence(due, rule('FREQ=WEEKLY;BYDAY=MO,WE'), 'Europe/Berlin').toISOString(), '2026-10-26T08:00:00.000Z');
+});
+
+test('weekly INTERVAL skips weeks', () => {
+    const due = new Date('2026-10-19T09:00:00Z'); // Monday
+    assert.equal(nextOccurrence(due, rule('FREQ=WEEKLY;INTERVAL=2')).toISOString(), '2026-11-02T09:00:00.000Z');
+    assert.equal(nextOccurrence(due, rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR')).toISOString(), '2026-10-23T09:00:00.000Z');
+});
+
+test('monthly rules keep the anchor day after a short month', () => {
+    const monthly = rule('FREQ=MONTHLY');
+    const anchor = new Date('2026-01-31T12:00:00Z');
+    const dates = [];
+    let due = anchor;
+    for (let i = 0; i < 4; i++) {
+        due = nextOccurrence(due, monthly, 'UTC', anchor);
+        dates.push(due.toISOString().slice(0, 10));
+    }
+    assert.deepEqual(dates, ['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+});
+
+test('BYMONTHDAY=-1 is the last day of each month', () => {
+    const due = new Date('2026-01-31T12:00:00Z');
+    assert.equal(nextOccurrence(due, rule('FREQ=MONTHLY;BYMONTHDAY=-1')).toISOString(), '2026-02-28T12:00:00.000Z');
+});
+
+test('no occurrence after UNTIL', () => {
+    const due = new Date('2026-12-31T12:00:00Z');
+    assert.equal(nextOccurrence(due, rule('FREQ=DAILY;UNTIL=20261231')), null);
+});
@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+// Deliver through a local HTTP endpoint, synchronously like SMTP or Slack.
+// While endpointDown is set it answers 500
+const posts = [];
+let endpointDown = false;
+let server;
+
+test.before(async () => {
+    // Scheduler logs written to stdout can garble the test runner's own output
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'warn', () => {});
+
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (endpointDown) {
+                res.statusCode = 500;
+                return res.end();
+            }
+            posts.push(JSON.parse(body));
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.NOTIFY_TRANSPORT = 'http';
+    process.env.ACTION_LINK_SECRET = 'test-action-secret';
+    process.env.NOTIFY_HTTP_URL = `http://127.0.0.1:${server.address().port}/`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => {
+    posts.length = 0;
+    endpointDown = false;
+});
+
+const { processPendingChasers, processOverdueTasks } = require('../scheduler');
+
+// Mirrors claim_pending_chasers and record_chaser_sent in database/schema.sql
+const rpc = {
+    claim_pending_chasers({ p_worker_id, p_limit, p_lease_seconds }, client) {
+        const now = new Date().toISOString();
+        const due = client.rows('chaser_queue')
+            .filter(row => row.scheduled_at <= now && (!row.next_attempt_at || row.next_attempt_at <= now))
+            .filter(row => row.status === 'pending' || (row.status === 'processing' && row.lease_expires_at < now))
+            .slice(0, p_limit);
+        for (const row of due) {
+            Object.assign(row, {
+                status: 'processing',
+                lease_owner: p_worker_id,
+                lease_expires_at: new Date(Date.now() + p_lease_seconds * 1000).toISOString()
+            });
+        }
+        return due.map(row => ({ ...row }));
+    },
+    record_chaser_sent({ p_queue_id, p_sent_at }, client) {
+        const row = client.rows('chaser_queue').find(r => r.id === p_queue_id && r.status !== 'sent');
+        if (!row) return false;
+        Object.assign(row, { status: 'sent', sent_at: p_sent_at, lease_owner: null, lease_expires_at: null });
+        client.rows('chaser_logs').push({ queue_id: row.id, status: 'sent' });
+        return true;
+    }
+};
+
+const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const inADay = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+function setup(chaserFields = {}, rpcOverrides = {}) {
+    const task = { id: 't1', workspace_id: 'w1', title: 'Report', assignee_email: 'ana@example.com', due_date: inADay, status: 'pending', priority: 'high' };
+    return createFakeSupabase({
+        tables: {
+            workspaces: [{ id: 'w1', name: 'Team', inherits_server_integrations: true }],
+            tasks: [task],
+            chaser_queue: [{
+                id: 'q1', task_id: 't1', workspace_id: 'w1', status: 'pending', scheduled_at: hourAgo,
+                recipient_email: 'ana@example.com', escalation_tier: 1, tone: 'friendly', channels: ['email'],
+                attempt_count: 0, ...chaserFields
+            }]
+        },
+        rpc: { ...rpc, ...rpcOverrides },
+        embeds: { chaser_queue: { tasks: (row, db) => db.rows('tasks').find(t => t.id === row.task_id) } }
+    });
+}
+
+test('a delivered chaser is recorded as sent once', async () => {
+    const client = setup();
+    await processPendingChasers(client);
+
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].queue_id, 'q1');
+    assert.match(posts[0].body, /\/api\/actions\//);
+    assert.equal(client.rows('chaser_queue')[0].status, 'sent');
+    assert.equal(client.rows('chaser_logs').filter(log => log.status === 'sent').length, 1);
+
+    // Nothing is due any more
+    await processPendingChasers(client);
+    assert.equal(posts.length, 1);
+});
+
+test('a chaser delivered but not recorded keeps its lease instead of being resent', async () => {
+    const client = setup();
+    for (let i = 0; i < 3; i++) client.failNext('rpc:record_chaser_sent', 'call');
+
+    await processPendingChasers(client);
+
+    const row = client.rows('chaser_queue')[0];
+    assert.equal(posts.length, 1);
+    assert.equal(client.queries.filter(q => q.table === 'rpc:record_chaser_sent').length, 3);
+    assert.equal(row.status, 'processing');
+    assert.match(row.last_error, /Delivered but not recorded as sent/);
+    assert.ok(new Date(row.lease_expires_at) > new Date(Date.now() + 23 * 60 * 60 * 1000));
+
+    // The next run doesn't pick it up again
+    await processPendingChasers(client);
+    assert.equal(posts.length, 1);
+});
+
+test('a brief recording error is retried', async () => {
+    const client = setup();
+    client.failNext('rpc:record_chaser_sent', 'call');
+
+    await processPendingChasers(client);
+    assert.equal(client.rows('chaser_queue')[0].status, 'sent');
+    assert.equal(posts.length, 1);
+});
+
+test('a failed send backs off and counts the attempt', async () => {
+    const client = setup();
+    endpointDown = true;
+    await processPendingChasers(client);
+
+    const row = client.rows('chaser_queue')[0];
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempt_count, 1);
+    assert.ok(new Date(row.next_attempt_at) > new Date());
+    assert.equal(row.lease_owner, null);
+});
+
+test('a live lease held by another run is left alone; an expired one is taken over', async () => {
+    const soon = new Date(Date.now() + 60 * 1000).toISOString();
+    const client = setup({ status: 'processing', lease_owner: 'other-worker', lease_expires_at: soon });
+
+    await processPendingChasers(client);
+    assert.equal(posts.length, 0);
+    assert.equal(client.rows('chaser_queue')[0].lease_owner, 'other-worker');
+
+    // The other run died mid-send
+    client.rows('chaser_queue')[0].lease_expires_at = hourAgo;
+    await processPendingChasers(client);
+    assert.equal(posts.length, 1);
+    assert.equal(client.rows('chaser_queue')[0].status, 'sent');
+});
+
+test('a chaser another run claimed between claim and fetch is not sent twice', async () => {
+    const client = setup({}, {
+        claim_pending_chasers(args, db) {
+            const claimed = rpc.claim_pending_chasers(args, db);
+            db.rows('chaser_queue')[0].lease_owner = 'other-worker';
+            return claimed;
+        }
+    });
+
+    await processPendingChasers(client);
+    assert.equal(posts.length, 0);
+    assert.equal(client.rows('chaser_queue')[0].lease_owner, 'other-worker');
+});
+
+test('chasers of a workspace without its transport set up are held, then failed', async t => {
+    // The workspace could set up Slack but hasn't yet
+    process.env.NOTIFY_TRANSPORT = 'slack';
+    t.after(() => { process.env.NOTIFY_TRANSPORT = 'http'; });
+    console.warn.mock.resetCalls();
+
+    const client = setup({ attempt_count: 1 });
+    client.rows('workspaces')[0].inherits_server_integrations = false;
+
+    await processPendingChasers(client);
+    let row = client.rows('chaser_queue')[0];
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempt_count, 1);
+    assert.match(row.last_error, /not configured for this workspace/);
+    assert.ok(console.warn.mock.calls.some(call => /holding chaser q1/.test(call.arguments[0])));
+
+    // Past the hold limit (24h from when it was first due) it fails for good
+    Object.assign(row, { next_attempt_at: null, original_scheduled_at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+    await processPendingChasers(client);
+    row = client.rows('chaser_queue')[0];
+    assert.equal(row.status, 'failed');
+    assert.match(row.last_error, /held for 24h/);
+    assert.equal(client.rows('chaser_logs')[0].status, 'failed');
+});
+
+test('only pending tasks past their deadline are marked overdue', async () => {
+    const client = createFakeSupabase({
+        tables: {
+            tasks: [
+                { id: 'late', status: 'pending', due_date: hourAgo },
+                { id: 'done', status: 'completed', due_date: hourAgo },
+                { id: 'upcoming', status: 'pending', due_date: inADay }
+            ]
+        }
+    });
+
+    await processOverdueTasks(client);
+    assert.deepEqual(client.rows('tasks').map(task => task.status), ['overdue', 'completed', 'pending']);
+});
+
+test('escalation contacts are copied per chaser but sent a separate notice once per task', async () => {
+    const client = setup({ escalation_tier: 3, tone: 'urgent' });
+    client.rows('tasks')[0].escalation_contacts = [
+        { email: 'lead@example.com', from_tier: 3, mode: 'cc' },
+        { email: 'head@example.com', from_tier: 3, mode: 'notify' }
+    ];
+    client.rows('chaser_queue').push({
+        ...client.rows('chaser_queue')[0], id: 'q2', escalation_tier: 4, tone: 'critical', scheduled_at: new Date(Date.now() - 1000).toISOString()
+    });
+
+    await processPendingChasers(client);
+
+    const chasers = posts.filter(post => post.action_type !== 'escalate');
+    const notices = posts.filter(post => post.action_type === 'escalate');
+    assert.deepEqual(chasers.map(post => post.cc_emails), [['lead@example.com'], ['lead@example.com']]);
+    assert.deepEqual(notices.map(post => post.recipient_email), ['head@example.com']);
+    // Links in a copied email would act as the assignee
+    assert.doesNotMatch(chasers[0].body, /\/api\/actions\//);
+
+    const escalations = client.rows('chaser_logs').filter(log => log.status === 'escalated');
+    assert.deepEqual(escalations.map(log => [log.queue_id, log.recipient_email, log.escalation_mode]), [
+        ['q1', 'lead@example.com', 'cc'],
+        ['q1', 'head@example.com', 'notify'],
+        ['q2', 'lead@example.com', 'cc']
+    ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.ACTION_LINK_SECRET = 'test-action-secret';
+process.env.BACKEND_PUBLIC_URL = 'https://api.example.com';
+
+const {
+    buildActionLinks,
+    verifyActionToken,
+    isTokenForAssignee,
+    parseLocalDateTime,
+    renderActionPage
+} = require('../taskActions');
+
+const task = { id: 't1', workspace_id: 'w1', assignee_email: 'ana@example.com' };
+
+function tokenOf(url) {
+    return url.slice('https://api.example.com/api/actions/'.length);
+}
+
+test('buildActionLinks signs one link per action', () => {
+    const links = buildActionLinks(task, { email: 'ana@example.com', locale: 'de' });
+    assert.deepEqual(Object.keys(links), ['done', 'snooze', 'extend']);
+
+    const action = verifyActionToken(tokenOf(links.snooze));
+    assert.equal(action.taskId, 't1');
+    assert.equal(action.workspaceId, 'w1');
+    assert.equal(action.action, 'snooze');
+    assert.equal(action.email, 'ana@example.com');
+    assert.equal(action.locale, 'de');
+    assert.ok(action.issuedAt instanceof Date);
+});
+
+test('buildActionLinks needs a signing key and a task', () => {
+    assert.equal(buildActionLinks({ id: 't1' }), null);
+
+    const secret = process.env.ACTION_LINK_SECRET;
+    delete process.env.ACTION_LINK_SECRET;
+    const jwtSecret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    try {
+        assert.equal(buildActionLinks(task), null);
+    } finally {
+        process.env.ACTION_LINK_SECRET = secret;
+        if (jwtSecret !== undefined) process.env.JWT_SECRET = jwtSecret;
+    }
+});
+
+test('verifyActionToken rejects forged, expired and foreign tokens', () => {
+    const claims = { act: 'done', ws: 'w1', email: 'ana@example.com' };
+    const sign = (payload, secret, options) => jwt.sign(payload, secret, { subject: 't1', audience: 'task-action', ...options });
+
+    assert.equal(verifyActionToken(sign(claims, 'wrong-secret')), null);
+    assert.equal(verifyActionToken(sign(claims, 'test-action-secret', { expiresIn: -10 })), null);
+    // A token for another audience (e.g. a session) is not an action link
+    assert.equal(verifyActionToken(sign(claims, 'test-action-secret', { audience: 'session' })), null);
+    assert.equal(verifyActionToken(sign({ ...claims, act: 'delete' }, 'test-action-secret')), null);
+    assert.equal(verifyActionToken(''), null);
+    // Unknown locales fall back to the default
+    assert.equal(verifyActionToken(sign({ ...claims, lc: 'xx' }, 'test-action-secret')).locale, 'en');
+});
+
+test('only the current assignee can use a token', () => {
+    const action = verifyActionToken(tokenOf(buildActionLinks(task, { email: 'Ana@example.com' }).done));
+
+    assert.equal(isTokenForAssignee(action, task), true);
+    assert.equal(isTokenForAssignee(action, { ...task, assignee_email: 'bo@example.com' }), false);
+    assert.equal(isTokenForAssignee({ ...action, email: null }, task), false);
+    // Reassigned away and back: links from before the reassignment stay dead
+    const reassignedAt = new Date(action.issuedAt.getTime() + 1000).toISOString();
+    assert.equal(isTokenForAssignee(action, { ...task, reassigned_at: reassignedAt }), false);
+    // iat is whole seconds, so a token from the same second still counts
+    assert.equal(isTokenForAssignee(action, { ...task, reassigned_at: new Date(action.issuedAt.getTime() + 500).toISOString() }), true);
+});
+
+test('parseLocalDateTime reads form values in the recipient time zone', () => {
+    assert.equal(parseLocalDateTime('2026-10-20T17:00', 'Europe/Berlin').toISOString(), '2026-10-20T15:00:00.000Z');
+    assert.equal(parseLocalDateTime('20.10.2026 17:00', 'Europe/Berlin'), null);
+    assert.equal(parseLocalDateTime(undefined, 'UTC'), null);
+});
+
+test('renderActionPage escapes the message and only shows a form to confirm', () => {
+    const prompt = renderActionPage({ message: '<b>Mark "Report" done?</b>', submitLabel: 'Mark done' });
+    assert.match(prompt, /&lt;b&gt;Mark &quot;Report&quot; done\?&lt;\/b&gt;/);
+    assert.match(prompt, /<form method="post">/);
+
+    assert.doesNotMatch(renderActionPage({ message: 'Done' }), /<form/);
+});
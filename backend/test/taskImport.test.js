@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_IMPORT_ROWS, parseCsv, parseImport } = require('../taskImport');
+const { validateTaskInput } = require('../taskInput');
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const csv = 'title,notes\r\n"Report, Q3","She said ""soon"""\r\n"Two\nlines",x\r\n\r\nlast,';
+    assert.deepEqual(parseCsv(csv), [
+        ['title', 'notes'],
+        ['Report, Q3', 'She said "soon"'],
+        ['Two\nlines', 'x'],
+        ['last', '']
+    ]);
+});
+
+test('CSV imports map cells by header, with JSON and boolean columns', () => {
+    const { rows, error } = parseImport({
+        format: 'CSV',
+        csv: '\uFEFFTitle,Assignee_Email,enable_call,escalation_contacts,slack_channel\n' +
+            'Report,ana@example.com,yes,"[{""email"":""lead@example.com"",""from_tier"":4}]",\n' +
+            'Broken,bo@example.com,no,{nope,\n'
+    });
+
+    assert.equal(error, null);
+    assert.deepEqual(rows[0], {
+        row: 1,
+        input: {
+            title: 'Report',
+            assignee_email: 'ana@example.com',
+            enable_call: true,
+            escalation_contacts: [{ email: 'lead@example.com', from_tier: 4 }]
+        },
+        error: null
+    });
+    assert.deepEqual(rows[1], { row: 2, input: null, error: 'escalation_contacts must be valid JSON' });
+});
+
+test('JSON imports flag rows that are not objects', () => {
+    const { rows } = parseImport({ format: 'json', tasks: [{ title: 'A' }, 'B', null] });
+    assert.deepEqual(rows.map(row => row.error), [null, 'Each task must be an object', 'Each task must be an object']);
+});
+
+test('parseImport rejects bad bodies', () => {
+    assert.match(parseImport({ format: 'xml' }).error, /format must be one of/);
+    assert.equal(parseImport({ format: 'csv', csv: '  ' }).error, 'csv must be a non-empty string');
+    assert.equal(parseImport({ format: 'json', tasks: {} }).error, 'tasks must be an array');
+    assert.equal(parseImport({ format: 'csv', csv: 'title\n' }).error, 'No tasks to import');
+    const tooMany = Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ({}));
+    assert.match(parseImport({ format: 'json', tasks: tooMany }).error, /At most/);
+});
+
+test('validateTaskInput normalizes a valid task', () => {
+    const { fields, errors } = validateTaskInput({
+        title: '  Report ',
+        assignee_email: ' Ana@Example.com ',
+        due_date: '2026-10-20T09:00:00Z',
+        slack_channel: '#team',
+        recurrence_rule: 'freq=weekly'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(fields.title, 'Report');
+    assert.equal(fields.assignee_email, 'ana@example.com');
+    assert.equal(fields.priority, 'medium');
+    assert.equal(fields.slack_channel, 'team');
+    assert.equal(fields.enable_call, false);
+    assert.equal(fields.recurrence_rule, 'FREQ=WEEKLY');
+});
+
+test('validateTaskInput reports wrongly typed fields instead of throwing', () => {
+    const { fields, errors } = validateTaskInput({
+        title: 42,
+        assignee_email: 'ana@example.com',
+        due_date: 'someday',
+        assignee_name: ['Ana'],
+        slack_channel: 7,
+        enable_call: 'yes',
+        escalation_policy_id: 'default',
+        priority: 'urgent'
+    });
+
+    assert.equal(fields, null);
+    assert.deepEqual(errors, [
+        'Task title is required',
+        'assignee_name must be text',
+        'slack_channel must be text',
+        'enable_call must be true or false',
+        'escalation_policy_id must be a UUID',
+        'Invalid due date format',
+        'priority must be one of: low, medium, high'
+    ]);
+});
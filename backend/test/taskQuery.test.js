@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTaskListQuery, applyTaskFilters, applyTaskPage, paginate } = require('../taskQuery');
+
+// Stands in for a Supabase query builder and records the calls made on it
+function recordingQuery() {
+    const calls = [];
+    const query = new Proxy({}, {
+        get: (target, method) => method === 'calls'
+            ? calls
+            : (...args) => {
+                calls.push([method, ...args]);
+                return query;
+            }
+    });
+    return query;
+}
+
+function options(query) {
+    const { options: parsed, error } = parseTaskListQuery(query);
+    assert.equal(error, null);
+    return parsed;
+}
+
+test('defaults to the newest tasks first, 50 per page', () => {
+    const parsed = options({});
+    assert.equal(parsed.sort, 'created_at');
+    assert.equal(parsed.ascending, false);
+    assert.equal(parsed.limit, 50);
+    assert.equal(parsed.cursor, null);
+});
+
+test('rejects unknown filters, sorts and limits', () => {
+    assert.match(parseTaskListQuery({ status: 'pending,done' }).error, /status must be one of/);
+    assert.match(parseTaskListQuery({ priority: 'urgent' }).error, /priority must be one of/);
+    assert.match(parseTaskListQuery({ due_after: 'soon' }).error, /valid dates/);
+    assert.match(parseTaskListQuery({ sort: 'password' }).error, /sort must be one of/);
+    assert.match(parseTaskListQuery({ order: 'up' }).error, /order must be asc or desc/);
+    assert.match(parseTaskListQuery({ limit: '500' }).error, /limit must be an integer/);
+    assert.match(parseTaskListQuery({ limit: '2.5' }).error, /limit must be an integer/);
+});
+
+test('a next-page cursor decodes back to the last row', () => {
+    const page = options({ sort: 'due_date', order: 'asc', limit: '2' });
+    const rows = [
+        { id: 'a', due_date: '2026-10-20T09:00:00.000Z' },
+        { id: 'b', due_date: '2026-10-21T09:00:00.000Z' },
+        { id: 'c', due_date: '2026-10-22T09:00:00.000Z' }
+    ];
+
+    const { tasks, nextCursor } = paginate(rows, page);
+    assert.deepEqual(tasks.map(task => task.id), ['a', 'b']);
+    assert.match(nextCursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(options({ sort: 'due_date', cursor: nextCursor }).cursor, { v: '2026-10-21T09:00:00.000Z', id: 'b' });
+
+    assert.equal(paginate(rows.slice(0, 2), page).nextCursor, null);
+});
+
+test('rejects tampered cursors', () => {
+    assert.equal(parseTaskListQuery({ cursor: 'not-a-cursor' }).error, 'Invalid cursor');
+    const noId = Buffer.from(JSON.stringify({ v: 'x' })).toString('base64url');
+    assert.equal(parseTaskListQuery({ cursor: noId }).error, 'Invalid cursor');
+});
+
+test('the cursor filter quotes values so they cannot add conditions', () => {
+    const cursor = Buffer.from(JSON.stringify({ v: 'a",id.neq.0', id: 'b\\"' })).toString('base64url');
+    const query = applyTaskPage(recordingQuery(), options({ sort: 'title', order: 'asc', limit: '10', cursor }));
+
+    assert.deepEqual(query.calls, [
+        ['or', 'title.gt."a\\",id.neq.0",and(title.eq."a\\",id.neq.0",id.gt."b\\\\\\"")'],
+        ['order', 'title', { ascending: true }],
+        ['order', 'id', { ascending: true }],
+        ['limit', 11]
+    ]);
+});
+
+test('search escapes LIKE wildcards', () => {
+    const query = applyTaskFilters(recordingQuery(), options({ q: ' 100%_done ', status: 'Pending' }));
+    assert.deepEqual(query.calls, [
+        ['in', 'status', ['pending']],
+        ['ilike', 'title', '%100\\%\\_done%']
+    ]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTransport } = require('../transports');
+
+// Local stand-in for the webhook endpoints: /ok accepts posts, anything else fails
+let server;
+let baseUrl;
+
+test.before(async () => {
+    // Adapter warnings written to stdout can garble the test runner's own output
+    test.mock.method(console, 'log', () => {});
+
+    server = http.createServer((req, res) => {
+        req.resume();
+        res.statusCode = req.url === '/ok' ? 200 : 500;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const payload = { queue_id: 'q1', slack_message: 'Reminder' };
+
+test('configured only when every selected adapter is', () => {
+    assert.equal(createTransport('').configured, false);
+    assert.equal(createTransport('carrier-pigeon').configured, false);
+    assert.equal(createTransport('slack,http', { slack: { webhookUrl: `${baseUrl}/ok` } }).configured, false);
+    assert.equal(createTransport('slack, HTTP', { slack: { webhookUrl: `${baseUrl}/ok` }, http: { url: `${baseUrl}/ok` } }).configured, true);
+});
+
+test('delivered when every adapter delivers synchronously', async () => {
+    const transport = createTransport('slack,http', { slack: { webhookUrl: `${baseUrl}/ok` }, http: { url: `${baseUrl}/ok` } });
+    const result = await transport.send(payload);
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(result.results.map(r => r.transport), ['slack', 'http']);
+});
+
+test('one failing adapter does not hold back the others', async () => {
+    const transport = createTransport('slack,http', { slack: { webhookUrl: `${baseUrl}/fail` }, http: { url: `${baseUrl}/ok` } });
+    const result = await transport.send(payload);
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.failed.map(r => r.transport), ['slack']);
+    assert.match(result.failed[0].error, /500/);
+});
+
+test('not delivered while an adapter waits for a callback', async () => {
+    const transport = createTransport('boltic,slack', { boltic: { webhookUrl: `${baseUrl}/ok` }, slack: { webhookUrl: `${baseUrl}/fail` } });
+    const result = await transport.send(payload);
+
+    assert.equal(result.delivered, false);
+    assert.deepEqual(result.failed.map(r => r.transport), ['slack']);
+});
+
+test('a retry only goes through the adapters it names', async () => {
+    const transport = createTransport('slack,http', { slack: { webhookUrl: `${baseUrl}/ok` }, http: { url: `${baseUrl}/fail` } });
+    const result = await transport.send(payload, { only: ['slack'] });
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.results.map(r => r.transport), ['slack']);
+    assert.deepEqual(result.failed, []);
+    // An adapter dropped from NOTIFY_TRANSPORT since the first attempt is not retried
+    await assert.rejects(transport.send(payload, { only: ['smtp'] }), /None of the adapters to retry \(smtp\) is selected/);
+});
+
+test('throws when every adapter fails', async () => {
+    const transport = createTransport('slack,carrier-pigeon', { slack: { webhookUrl: `${baseUrl}/fail` } });
+    await assert.rejects(transport.send(payload), /slack: .*500.*; carrier-pigeon: Unknown notification transport/);
+    await assert.rejects(createTransport('').send(payload), /No notification transport selected/);
+});
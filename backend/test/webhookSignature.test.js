@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    signPayload,
+    createMemorySignatureStore,
+    createSignatureVerifier
+} = require('../webhookSignature');
+
+const SECRET = 'test-secret';
+
+function signedRequest(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const rawBody = JSON.stringify(body);
+    const headers = {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, rawBody)
+    };
+    return {
+        method: 'POST',
+        originalUrl: '/api/webhooks/boltic/chaser-sent',
+        ip: '127.0.0.1',
+        body,
+        rawBody,
+        get: name => headers[name.toLowerCase()]
+    };
+}
+
+// Runs the middleware and reports whether it passed the request on
+async function run(verify, req) {
+    const res = {
+        statusCode: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    let passed = false;
+    await verify(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode };
+}
+
+function verifier(options = {}) {
+    return createSignatureVerifier({ getSecret: async () => SECRET, log: () => {}, ...options });
+}
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    assert.equal(signPayload('key', 1700000000, '{}'),
+        'sha256=' + crypto.createHmac('sha256', 'key').update('1700000000.{}').digest('hex'));
+});
+
+test('accepts a fresh, correctly signed callback', async () => {
+    assert.deepEqual(await run(verifier(), signedRequest({ queue_id: 'a' })), { passed: true, status: null });
+});
+
+test('rejects a wrong secret, a tampered body and missing headers', async () => {
+    const verify = verifier();
+    assert.equal((await run(verify, signedRequest({ queue_id: 'a' }, { secret: 'other' }))).status, 401);
+
+    const tampered = signedRequest({ queue_id: 'a' });
+    tampered.rawBody = JSON.stringify({ queue_id: 'b' });
+    assert.equal((await run(verify, tampered)).status, 401);
+
+    const unsigned = signedRequest({ queue_id: 'a' });
+    unsigned.get = () => undefined;
+    assert.equal((await run(verify, unsigned)).status, 401);
+});
+
+test('rejects timestamps outside the tolerance', async () => {
+    const stale = signedRequest({ queue_id: 'a' }, { timestamp: Math.floor(Date.now() / 1000) - 301 });
+    assert.equal((await run(verifier({ toleranceSeconds: 300 }), stale)).status, 401);
+});
+
+test('rejects callbacks without a signing secret', async () => {
+    assert.equal((await run(verifier({ getSecret: async () => null }), signedRequest({}))).status, 401);
+});
+
+test('rejects a replayed signature', async () => {
+    const verify = verifier();
+    const req = signedRequest({ queue_id: 'a' });
+    assert.equal((await run(verify, req)).passed, true);
+    assert.equal((await run(verify, req)).status, 401);
+});
+
+test('answers 503 when the replay store fails', async () => {
+    const verify = verifier({ rememberSignature: async () => { throw new Error('database down'); } });
+    assert.equal((await run(verify, signedRequest({}))).status, 503);
+});
+
+test('the memory store forgets expired signatures', async () => {
+    const remember = createMemorySignatureStore();
+    assert.equal(await remember('sig', new Date(Date.now() - 1)), true);
+    assert.equal(await remember('sig', new Date(Date.now() + 60000)), true);
+    assert.equal(await remember('sig', new Date(Date.now() + 60000)), false);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getZonedParts,
+    zonedTimeToUtc,
+    parseTimeOfDay,
+    toSchedule,
+    isWithinWorkingHours,
+    shiftToWorkingHours,
+    nextWorkingTime
+} = require('../workingHours');
+
+// Mon-Fri 09:00-17:00 in Berlin (UTC+1 in winter, UTC+2 in summer)
+const berlin = toSchedule({ time_zone: 'Europe/Berlin', work_start: '09:00', work_end: '17:00', work_days: [1, 2, 3, 4, 5] });
+
+test('parseTimeOfDay reads HH:MM and HH:MM:SS', () => {
+    assert.equal(parseTimeOfDay('09:30'), 570);
+    assert.equal(parseTimeOfDay('17:00:00'), 1020);
+    assert.equal(parseTimeOfDay('24:00'), null);
+    assert.equal(parseTimeOfDay('9am'), null);
+});
+
+test('toSchedule rejects unusable rows', () => {
+    assert.equal(toSchedule(null), null);
+    assert.equal(toSchedule({ time_zone: 'Nowhere/City', work_start: '09:00', work_end: '17:00' }), null);
+    assert.equal(toSchedule({ time_zone: 'UTC', work_start: '17:00', work_end: '09:00' }), null);
+    assert.deepEqual(toSchedule({ time_zone: 'UTC', work_start: '09:00', work_end: '17:00' }).days, [1, 2, 3, 4, 5]);
+});
+
+test('getZonedParts and zonedTimeToUtc round-trip across DST', () => {
+    assert.deepEqual(getZonedParts(new Date('2026-03-30T07:00:00Z'), 'Europe/Berlin'),
+        { year: 2026, month: 3, day: 30, hour: 9, minute: 0, weekday: 1 });
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 27 }, 9 * 60, 'Europe/Berlin').toISOString(), '2026-03-27T08:00:00.000Z');
+    assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 30 }, 9 * 60, 'Europe/Berlin').toISOString(), '2026-03-30T07:00:00.000Z');
+});
+
+test('isWithinWorkingHours follows the local window and work days', () => {
+    assert.equal(isWithinWorkingHours(new Date('2026-10-19T08:00:00Z'), berlin), true); // Mon 10:00
+    assert.equal(isWithinWorkingHours(new Date('2026-10-19T16:00:00Z'), berlin), false); // Mon 18:00
+    assert.equal(isWithinWorkingHours(new Date('2026-10-24T10:00:00Z'), berlin), false); // Sat
+    assert.equal(isWithinWorkingHours(new Date('2026-10-24T10:00:00Z'), null), true);
+});
+
+test('shiftToWorkingHours moves to the nearest window edge within bounds', () => {
+    // Mon 18:00 is closer to Mon 17:00 than to Tue 09:00
+    assert.equal(shiftToWorkingHours(new Date('2026-10-19T16:00:00Z'), berlin).toISOString(), '2026-10-19T15:00:00.000Z');
+    // Tue 07:00 is closer to Tue 09:00
+    assert.equal(shiftToWorkingHours(new Date('2026-10-20T05:00:00Z'), berlin).toISOString(), '2026-10-20T07:00:00.000Z');
+    // Not allowed before notBefore: the next start is used instead
+    const shifted = shiftToWorkingHours(new Date('2026-10-19T16:00:00Z'), berlin, { notBefore: new Date('2026-10-19T15:30:00Z') });
+    assert.equal(shifted.toISOString(), '2026-10-20T07:00:00.000Z');
+    // No candidate inside the bounds leaves the time as it was
+    const unchanged = new Date('2026-10-19T16:00:00Z');
+    assert.equal(shiftToWorkingHours(unchanged, berlin, { notBefore: new Date('2026-10-19T15:30:00Z'), notAfter: new Date('2026-10-19T20:00:00Z') }), unchanged);
+});
+
+test('nextWorkingTime skips the weekend', () => {
+    assert.equal(nextWorkingTime(new Date('2026-10-23T16:00:00Z'), berlin).toISOString(), '2026-10-26T08:00:00.000Z');
+});
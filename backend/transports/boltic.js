@@ -0,0 +1,28 @@
+/**
+ * Boltic Webhook Transport
+ * Posts the full chaser payload to a Boltic workflow, which sends the
+ * email/Slack/SMS/call and reports back via the /api/webhooks/boltic callbacks
+ */
+
+const axios = require('axios');
+
+function createBolticTransport(options = {}) {
+    const webhookUrl = options.webhookUrl || process.env.BOLTIC_WEBHOOK_URL;
+
+    return {
+        name: 'boltic',
+        configured: !!webhookUrl,
+
+        async send(payload) {
+            await axios.post(webhookUrl, payload, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+
+            // Boltic confirms delivery asynchronously through the chaser-sent callback
+            return { transport: 'boltic', delivered: false };
+        }
+    };
+}
+
+module.exports = { createBolticTransport };
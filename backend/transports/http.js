@@ -0,0 +1,32 @@
+/**
+ * Generic HTTP Transport
+ * Posts the chaser payload as JSON to any endpoint (e.g. a local stand-in server)
+ */
+
+const axios = require('axios');
+
+function createHttpTransport(options = {}) {
+    const url = options.url || process.env.NOTIFY_HTTP_URL;
+    const token = options.token || process.env.NOTIFY_HTTP_TOKEN;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    return {
+        name: 'http',
+        configured: !!url,
+
+        async send(payload) {
+            const response = await axios.post(url, payload, {
+                headers,
+                timeout: 10000
+            });
+
+            return { transport: 'http', delivered: true, status: response.status };
+        }
+    };
+}
+
+module.exports = { createHttpTransport };
@@ -0,0 +1,114 @@
+/**
+ * Notification Transports
+ * Selects the delivery adapter(s) for chasers, nudges and calendar sync.
+ *
+ * NOTIFY_TRANSPORT is a comma-separated list of adapters (default: boltic),
+ * e.g. "smtp,slack" to send email and Slack directly without Boltic.
+ */
+
+const { createBolticTransport } = require('./boltic');
+const { createSmtpTransport } = require('./smtp');
+const { createSlackTransport } = require('./slack');
+const { createHttpTransport } = require('./http');
+
+const adapters = {
+    boltic: createBolticTransport,
+    smtp: createSmtpTransport,
+    slack: createSlackTransport,
+    http: createHttpTransport
+};
+
+let cachedTransport = null;
+let cachedNames = null;
+
+/**
+ * Build a transport from a list of adapter names
+ * @param {string} names - Comma-separated adapter names
+ * @param {object} adapterOptions - Options per adapter name, e.g. { boltic: { webhookUrl } }
+ * @returns {object} Transport with { name, configured, send(payload) }
+ */
+function createTransport(names, adapterOptions = {}) {
+    const selected = names
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const transports = selected.map(name => {
+        const factory = adapters[name];
+        if (!factory) {
+            console.log(`⚠️ Unknown notification transport: ${name}`);
+            return {
+                name,
+                configured: false,
+                async send() {
+                    throw new Error(`Unknown notification transport: ${name}`);
+                }
+            };
+        }
+        return factory(adapterOptions[name]);
+    });
+
+    return {
+        name: selected.join(','),
+        configured: transports.length > 0 && transports.every(t => t.configured),
+
+        /**
+         * Send a payload through every selected adapter. Each adapter is tried on
+         * its own, so one failing channel doesn't hold back the others
+         * @param {object} payload - Notification payload
+         * @param {object} options - { only } - adapter names to send through
+         * (e.g. the ones that failed last time); all selected adapters when empty
+         * @returns {Promise<object>} { delivered, results, failed } - delivered is true
+         * only when every adapter that succeeded confirmed delivery synchronously
+         * (no callback expected); results has one entry per adapter tried, failed
+         * lists the adapters that threw
+         * @throws {Error} When every adapter failed
+         */
+        async send(payload, { only } = {}) {
+            const targets = only && only.length > 0
+                ? transports.filter(transport => only.includes(transport.name))
+                : transports;
+
+            if (targets.length === 0) {
+                throw new Error(only && only.length > 0
+                    ? `None of the adapters to retry (${only.join(', ')}) is selected`
+                    : 'No notification transport selected');
+            }
+
+            const outcomes = await Promise.allSettled(targets.map(async transport => transport.send(payload)));
+
+            const results = outcomes.map((outcome, index) => outcome.status === 'fulfilled'
+                ? outcome.value
+                : { transport: targets[index].name, delivered: false, error: outcome.reason?.message || String(outcome.reason) });
+            const failed = results.filter((result, index) => outcomes[index].status === 'rejected');
+            const succeeded = results.filter((result, index) => outcomes[index].status === 'fulfilled');
+
+            if (succeeded.length === 0) {
+                throw new Error(failed.map(result => `${result.transport}: ${result.error}`).join('; '));
+            }
+
+            return {
+                delivered: succeeded.every(r => r.delivered),
+                results,
+                failed
+            };
+        }
+    };
+}
+
+/**
+ * Get the transport configured through NOTIFY_TRANSPORT
+ */
+function getTransport() {
+    const names = process.env.NOTIFY_TRANSPORT || 'boltic';
+    if (!cachedTransport || cachedNames !== names) {
+        cachedTransport = createTransport(names);
+        cachedNames = names;
+    }
+    return cachedTransport;
+}
+
+module.exports = {
+    createTransport,
+    getTransport
+};
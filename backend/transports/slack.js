@@ -0,0 +1,36 @@
+/**
+ * Slack Incoming Webhook Transport
+ * Posts the payload's slack_message to a Slack incoming webhook
+ */
+
+const axios = require('axios');
+
+function createSlackTransport(options = {}) {
+    const webhookUrl = options.webhookUrl || process.env.SLACK_WEBHOOK_URL;
+
+    return {
+        name: 'slack',
+        configured: !!webhookUrl,
+
+        async send(payload) {
+            // Nothing to post (e.g. Slack disabled for this nudge)
+            if (!payload.slack_message) {
+                return { transport: 'slack', delivered: true, skipped: true };
+            }
+
+            const message = { text: payload.slack_message };
+            if (payload.slack_channel) {
+                message.channel = `#${payload.slack_channel}`;
+            }
+
+            await axios.post(webhookUrl, message, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+
+            return { transport: 'slack', delivered: true };
+        }
+    };
+}
+
+module.exports = { createSlackTransport };
@@ -0,0 +1,49 @@
+/**
+ * SMTP Transport
+ * Sends the payload's subject/body directly as an email via nodemailer, with
+ * text_body as the plain-text alternative when present
+ */
+
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport(options = {}) {
+    const host = options.host || process.env.SMTP_HOST;
+    const port = Number(options.port || process.env.SMTP_PORT || 587);
+    const user = options.user || process.env.SMTP_USER;
+    const pass = options.pass || process.env.SMTP_PASS;
+    const from = options.from || process.env.SMTP_FROM || user;
+
+    const mailer = host
+        ? nodemailer.createTransport({
+            host,
+            port,
+            secure: port === 465,
+            auth: user ? { user, pass } : undefined
+        })
+        : null;
+
+    return {
+        name: 'smtp',
+        configured: !!host,
+
+        async send(payload) {
+            // Calendar-only actions carry no email content
+            if (!payload.recipient_email || !payload.subject) {
+                return { transport: 'smtp', delivered: true, skipped: true };
+            }
+
+            const info = await mailer.sendMail({
+                from,
+                to: payload.recipient_email,
+                cc: payload.cc_emails?.length ? payload.cc_emails : undefined,
+                subject: payload.subject,
+                html: payload.body,
+                text: payload.text_body || undefined
+            });
+
+            return { transport: 'smtp', delivered: true, message_id: info.messageId };
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,153 @@
+/**
+ * Webhook Signatures
+ * HMAC verification for Boltic callbacks. Boltic signs each callback with its
+ * workspace's secret over "<timestamp>.<raw body>" and sends:
+ *   X-Boltic-Timestamp: <unix seconds>
+ *   X-Boltic-Signature: sha256=<hex hmac>
+ */
+
+const crypto = require('crypto');
+
+const TIMESTAMP_HEADER = 'x-boltic-timestamp';
+const SIGNATURE_HEADER = 'x-boltic-signature';
+
+/**
+ * Compute the signature header value for a body
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string|Buffer} rawBody - Request body exactly as sent
+ */
+function signPayload(secret, timestamp, rawBody) {
+    const hmac = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(rawBody || '')
+        .digest('hex');
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a || '');
+    const bufferB = Buffer.from(b || '');
+    if (bufferA.length !== bufferB.length) return false;
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Replay store kept in this process. Only suitable for a single long-running
+ * instance (and tests): serverless and multi-instance deployments need
+ * createDatabaseSignatureStore.
+ * @returns {function} async (signature, expiresAt) => true the first time a signature is seen
+ */
+function createMemorySignatureStore() {
+    const seenSignatures = new Map();
+
+    return async function rememberSignature(signature, expiresAt) {
+        const now = Date.now();
+        for (const [seen, seenExpiresAt] of seenSignatures) {
+            if (seenExpiresAt <= now) seenSignatures.delete(seen);
+        }
+
+        if (seenSignatures.has(signature)) return false;
+        seenSignatures.set(signature, expiresAt.getTime());
+        return true;
+    };
+}
+
+/**
+ * Replay store in the webhook_signatures table, shared by every instance.
+ * The primary key makes the first insert of a signature win.
+ * @param {object} client - Supabase client
+ */
+function createDatabaseSignatureStore(client) {
+    return async function rememberSignature(signature, expiresAt) {
+        const { error: pruneError } = await client
+            .from('webhook_signatures')
+            .delete()
+            .lt('expires_at', new Date().toISOString());
+
+        if (pruneError) throw pruneError;
+
+        const { error } = await client
+            .from('webhook_signatures')
+            .insert({ signature, expires_at: expiresAt.toISOString() });
+
+        // unique_violation: seen before
+        if (error?.code === '23505') return false;
+        if (error) throw error;
+        return true;
+    };
+}
+
+/**
+ * Express middleware that rejects callbacks without a valid, fresh signature.
+ * Requires express.json() to keep the raw body on req.rawBody.
+ * @param {object} options - { getSecret: async (req) => secret for the request
+ *   (e.g. its workspace's), rememberSignature: replay store (default
+ *   createMemorySignatureStore()), toleranceSeconds, log }
+ */
+function createSignatureVerifier({
+    getSecret,
+    rememberSignature = createMemorySignatureStore(),
+    toleranceSeconds = 300,
+    log = console.log
+} = {}) {
+    function reject(req, res, reason) {
+        log(`Rejected webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    return async function verifySignature(req, res, next) {
+        let secret;
+        try {
+            secret = await getSecret(req);
+        } catch (error) {
+            return reject(req, res, `could not load the signing secret: ${error.message}`);
+        }
+        if (!secret) {
+            return reject(req, res, 'no signing secret for this callback');
+        }
+
+        const timestamp = req.get(TIMESTAMP_HEADER);
+        const signature = req.get(SIGNATURE_HEADER);
+        if (!timestamp || !signature) {
+            return reject(req, res, 'missing signature headers');
+        }
+
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const sentAt = Number(timestamp);
+        if (!Number.isInteger(sentAt) || Math.abs(nowSeconds - sentAt) > toleranceSeconds) {
+            return reject(req, res, `timestamp ${timestamp} outside the ${toleranceSeconds}s tolerance`);
+        }
+
+        const expected = signPayload(secret, timestamp, req.rawBody);
+        if (!safeEqual(signature, expected)) {
+            return reject(req, res, 'signature mismatch');
+        }
+
+        // A signature stays replayable for as long as its timestamp is accepted
+        let firstSeen;
+        try {
+            firstSeen = await rememberSignature(signature, new Date((sentAt + toleranceSeconds) * 1000));
+        } catch (error) {
+            log(`Could not check webhook ${req.method} ${req.originalUrl} for replay: ${error.message}`);
+            return res.status(503).json({ error: 'Could not verify webhook, please retry' });
+        }
+        if (!firstSeen) {
+            return reject(req, res, 'replayed signature');
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    signPayload,
+    createMemorySignatureStore,
+    createDatabaseSignatureStore,
+    createSignatureVerifier
+};
@@ -0,0 +1,215 @@
+/**
+ * Working Hours
+ * Time zone aware quiet-hours handling for assignees, so chasers land
+ * inside the recipient's working-hours window
+ */
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Check that a string is a time zone the runtime knows (e.g. "Europe/Berlin")
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse "HH:MM" or "HH:MM:SS" into minutes after midnight
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(value || '');
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {object} { year, month, day, hour, minute, weekday } with weekday 1 (Mon) - 7 (Sun)
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @param {object} local - { year, month, day } plus minutes after midnight
+ */
+function zonedTimeToUtc({ year, month, day }, minutesOfDay, timeZone) {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+    // Offset of the zone at (approximately) that instant; a second pass settles DST edges
+    let guess = wallClockAsUtc;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(guess), timeZone);
+        const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        guess = wallClockAsUtc - (zonedAsUtc - guess);
+    }
+
+    return new Date(guess);
+}
+
+/**
+ * Normalize an assignees row into a working-hours schedule
+ * @returns {object|null} { timeZone, start, end, days } with start/end in minutes
+ */
+function toSchedule(assignee) {
+    if (!assignee) return null;
+
+    const start = parseTimeOfDay(assignee.work_start);
+    const end = parseTimeOfDay(assignee.work_end);
+    if (start === null || end === null || start >= end || !isValidTimeZone(assignee.time_zone)) {
+        return null;
+    }
+
+    return {
+        timeZone: assignee.time_zone,
+        start,
+        end,
+        days: assignee.work_days && assignee.work_days.length ? assignee.work_days : [1, 2, 3, 4, 5]
+    };
+}
+
+/**
+ * Working-hours windows (UTC) on the assignee's local days around a date
+ * @param {number} fromOffset - First day offset (e.g. -7)
+ * @param {number} toOffset - Last day offset (e.g. 7)
+ */
+function getWindows(date, schedule, fromOffset, toOffset) {
+    const windows = [];
+    const base = getZonedParts(date, schedule.timeZone);
+
+    for (let offset = fromOffset; offset <= toOffset; offset++) {
+        // Step through local calendar days (not 24h blocks, which drift at DST changes)
+        const day = new Date(Date.UTC(base.year, base.month - 1, base.day + offset));
+        const local = {
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            weekday: day.getUTCDay() || 7
+        };
+        if (!schedule.days.includes(local.weekday)) continue;
+
+        windows.push({
+            start: zonedTimeToUtc(local, schedule.start, schedule.timeZone),
+            end: zonedTimeToUtc(local, schedule.end, schedule.timeZone)
+        });
+    }
+
+    return windows;
+}
+
+/**
+ * Whether an instant falls inside the assignee's working hours
+ */
+function isWithinWorkingHours(date, schedule) {
+    if (!schedule) return true;
+    return getWindows(date, schedule, -1, 1).some(w => date >= w.start && date <= w.end);
+}
+
+/**
+ * Shift an instant that falls in quiet hours to the nearest allowed time:
+ * the end of the previous working window or the start of the next one
+ * @param {Date} date - Planned send time
+ * @param {object} schedule - From toSchedule(); null leaves the time unchanged
+ * @param {object} bounds - { notBefore, notAfter } limits for the shifted time
+ * @returns {Date} Shifted (or original) time
+ */
+function shiftToWorkingHours(date, schedule, { notBefore = null, notAfter = null } = {}) {
+    if (!schedule || isWithinWorkingHours(date, schedule)) {
+        return date;
+    }
+
+    const windows = getWindows(date, schedule, -7, 7);
+    const previousEnd = windows.filter(w => w.end < date).map(w => w.end).pop();
+    const nextStart = windows.filter(w => w.start > date).map(w => w.start)[0];
+
+    const candidates = [previousEnd, nextStart].filter(candidate =>
+        candidate &&
+        (!notBefore || candidate > notBefore) &&
+        (!notAfter || candidate <= notAfter)
+    );
+
+    if (candidates.length === 0) {
+        return date;
+    }
+
+    return candidates.reduce((nearest, candidate) =>
+        Math.abs(candidate - date) < Math.abs(nearest - date) ? candidate : nearest
+    );
+}
+
+/**
+ * Next working-window start after an instant (used to defer at send time)
+ */
+function nextWorkingTime(date, schedule) {
+    if (!schedule || isWithinWorkingHours(date, schedule)) {
+        return date;
+    }
+    return getWindows(date, schedule, 0, 7).map(w => w.start).find(start => start > date) || date;
+}
+
+/**
+ * Load an assignee's working-hours schedule by email
+ * @param {object} client - Supabase client
+ * @param {string} email - Assignee email
+ * @param {string} workspaceId - Workspace the assignee belongs to
+ * @returns {Promise<object|null>} Schedule, or null when none is configured
+ */
+async function loadWorkingHours(client, email, workspaceId) {
+    if (!email) return null;
+
+    const { data: assignee, error } = await client
+        .from('assignees')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('email', email.toLowerCase())
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error loading assignee working hours:', error);
+        return null;
+    }
+
+    return toSchedule(assignee);
+}
+
+module.exports = {
+    getZonedParts,
+    zonedTimeToUtc,
+    isValidTimeZone,
+    parseTimeOfDay,
+    toSchedule,
+    isWithinWorkingHours,
+    shiftToWorkingHours,
+    nextWorkingTime,
+    loadWorkingHours
+};
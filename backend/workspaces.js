@@ -0,0 +1,233 @@
+/**
+ * Workspaces
+ * Each workspace owns its tasks, queue, logs and integration settings.
+ * Only the workspace flagged inherits_server_integrations (the first one
+ * created) falls back to the server's environment for settings it leaves
+ * empty; every other workspace sends through its own webhooks only.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { createTransport } = require('./transports');
+
+// Hosts each webhook setting may point at (the host or any subdomain of it)
+const WEBHOOK_HOSTS = {
+    boltic_webhook_url: process.env.BOLTIC_WEBHOOK_HOSTS || 'boltic.app',
+    slack_webhook_url: process.env.SLACK_WEBHOOK_HOSTS || 'hooks.slack.com'
+};
+
+// Loopback, private, link-local, CGNAT and unspecified ranges
+const PRIVATE_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+];
+
+// Workspace transports, rebuilt when the workspace settings change
+const transportCache = new Map();
+
+/**
+ * Random code other users can sign up with to join a workspace
+ */
+function generateInviteCode() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Random secret a workspace's Boltic workflow signs its callbacks with
+ */
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Whether an IP address is loopback, private or otherwise not on the public internet
+ */
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = ipv4ToNumber(address);
+        return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+            const size = 2 ** (32 - bits);
+            return value >= ipv4ToNumber(base) && value < ipv4ToNumber(base) + size;
+        });
+    }
+
+    const normalized = address.toLowerCase();
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(normalized);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    return normalized === '::' || normalized === '::1' ||
+        /^f[cd]/.test(normalized) ||       // fc00::/7 unique local
+        /^fe[89ab]/.test(normalized);      // fe80::/10 link-local
+}
+
+function isAllowedHost(hostname, allowed) {
+    return allowed
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean)
+        .some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Check a webhook URL a workspace admin entered: https, an allowlisted host
+ * (BOLTIC_WEBHOOK_HOSTS / SLACK_WEBHOOK_HOSTS) and only public addresses, so
+ * the server can't be pointed at internal services
+ * @param {string} field - 'boltic_webhook_url' or 'slack_webhook_url'
+ * @returns {Promise<string|null>} Error message, or null when the URL is allowed
+ */
+async function validateWebhookUrl(field, value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return `${field} must be a valid URL`;
+    }
+
+    if (url.protocol !== 'https:') {
+        return `${field} must be an https URL`;
+    }
+    if (url.username || url.password) {
+        return `${field} must not contain credentials`;
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (!isAllowedHost(hostname, WEBHOOK_HOSTS[field])) {
+        return `${field} must point at one of: ${WEBHOOK_HOSTS[field]}`;
+    }
+
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.lookup(hostname, { all: true });
+    } catch (error) {
+        return `${field} host could not be resolved`;
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return `${field} must not point at a private or loopback address`;
+    }
+
+    return null;
+}
+
+/**
+ * Secret the workspace's Boltic callbacks are signed with: the workspace's own,
+ * or BOLTIC_WEBHOOK_SECRET when it sends through the server's Boltic workflow
+ */
+function getWorkspaceWebhookSecret(workspace) {
+    if (!workspace) return null;
+    if (!workspace.boltic_webhook_url && workspace.inherits_server_integrations) {
+        return process.env.BOLTIC_WEBHOOK_SECRET || null;
+    }
+    return workspace.webhook_secret || null;
+}
+
+/**
+ * Load a workspace row by ID
+ * @returns {Promise<object|null>}
+ */
+async function loadWorkspace(client, workspaceId) {
+    if (!workspaceId) return null;
+
+    const { data: workspace, error } = await client
+        .from('workspaces')
+        .select('*')
+        .eq('id', workspaceId)
+        .maybeSingle();
+
+    if (error) {
+        console.log('Error loading workspace:', error);
+        return null;
+    }
+
+    return workspace;
+}
+
+/**
+ * Boltic callback URLs for a workspace's payloads. The workspace is part of
+ * the path, so the callback's signing secret is chosen by the URL we handed
+ * out rather than by the body being verified.
+ */
+function bolticCallbackUrls(workspaceId) {
+    const backendUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+    const base = `${backendUrl}/api/webhooks/boltic/${workspaceId}`;
+    return {
+        callback_url: `${base}/chaser-sent`,
+        failed_callback_url: `${base}/chaser-failed`,
+        conflict_callback_url: `${base}/calendar-conflict`,
+        event_created_callback_url: `${base}/calendar-created`
+    };
+}
+
+/**
+ * Transport for a workspace: NOTIFY_TRANSPORT adapters using the workspace's
+ * Boltic/Slack webhook URLs, with its default Slack channel filled in.
+ * Workspaces that don't inherit the server's integrations only get the
+ * adapters they have their own webhook for.
+ * @param {object|null} workspace - Workspace row (null: not configured)
+ */
+function getWorkspaceTransport(workspace) {
+    const names = process.env.NOTIFY_TRANSPORT || 'boltic';
+    if (!workspace) {
+        return { ...createTransport(''), configurable: false, unavailableReason: 'Workspace not found' };
+    }
+
+    const cacheKey = `${workspace.id}:${workspace.updated_at}:${workspace.inherits_server_integrations}:${names}`;
+    if (transportCache.has(cacheKey)) {
+        return transportCache.get(cacheKey);
+    }
+
+    const ownOptions = {
+        boltic: workspace.boltic_webhook_url ? { webhookUrl: workspace.boltic_webhook_url } : undefined,
+        slack: workspace.slack_webhook_url ? { webhookUrl: workspace.slack_webhook_url } : undefined
+    };
+    const selected = workspace.inherits_server_integrations
+        ? names
+        : names.split(',').filter(name => ownOptions[name.trim().toLowerCase()]).join(',');
+
+    const base = createTransport(selected, ownOptions);
+
+    // Only the adapters in ownOptions can be set up per workspace; the rest come from the server's env
+    const configurable = workspace.inherits_server_integrations ||
+        names.split(',').some(name => name.trim().toLowerCase() in ownOptions);
+
+    const transport = {
+        name: base.name || names,
+        configured: base.configured,
+        // false: this workspace can never send with the server's NOTIFY_TRANSPORT
+        configurable,
+        unavailableReason: base.configured ? null : configurable
+            ? `Notification transport "${base.name || names}" not configured for this workspace`
+            : `Notification transport "${names}" is only available to the server's own workspace; set up a Boltic or Slack webhook instead`,
+
+        send(payload, options) {
+            return base.send({
+                ...payload,
+                workspace_id: workspace.id,
+                slack_channel: payload.slack_channel || workspace.slack_default_channel || null
+            }, options);
+        }
+    };
+
+    for (const key of transportCache.keys()) {
+        if (key.startsWith(`${workspace.id}:`)) transportCache.delete(key);
+    }
+    transportCache.set(cacheKey, transport);
+    return transport;
+}
+
+module.exports = {
+    generateInviteCode,
+    generateWebhookSecret,
+    isPrivateAddress,
+    validateWebhookUrl,
+    getWorkspaceWebhookSecret,
+    loadWorkspace,
+    bolticCallbackUrls,
+    getWorkspaceTransport
+};
@@ -26,7 +26,14 @@ CREATE TABLE tasks (
   has_conflict BOOLEAN DEFAULT false,
   conflict_with TEXT,
   conflict_end_time TIMESTAMPTZ,
-  calendar_event_id TEXT
+  calendar_event_id TEXT,
+  -- Recurrence (RRULE-style, e.g. FREQ=WEEKLY;BYDAY=MO)
+  recurrence_rule TEXT,
+  series_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  previous_occurrence_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  recurrence_spawned_at TIMESTAMPTZ,
+  -- Manager escalation chain (overrides the assignee's, see assignees)
+  escalation_contacts JSONB
 );
 
 -- Table 2: chaser_queue
@@ -43,7 +50,26 @@ CREATE TABLE chaser_queue (
   last_attempt_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   -- Escalation Tier
-  escalation_tier INTEGER DEFAULT 1
+  escalation_tier INTEGER DEFAULT 1,
+  -- Retry / Dead Letter
+  attempt_count INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  -- Adapters the next attempt goes through after some of them failed (null: all)
+  retry_transports TEXT[],
+  -- Scheduler Lease (status = 'processing' while a run owns the row)
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  -- Why the chaser was cancelled (task_completed, due_date_changed, ...)
+  cancel_reason TEXT,
+  -- Escalation Policy tier settings at planning time
+  channels JSONB,
+  tone VARCHAR(20),
+  -- Quiet Hours (original_scheduled_at is set when the send time was shifted)
+  override_quiet_hours BOOLEAN DEFAULT false,
+  original_scheduled_at TIMESTAMPTZ,
+  -- Overdue Phase (1-based follow-up number, null for pre-deadline tiers)
+  overdue_followup INTEGER
 );
 
 -- Table 3: chaser_logs
@@ -58,9 +84,255 @@ CREATE TABLE chaser_logs (
   message_subject VARCHAR(500),
   message_body TEXT,
   boltic_execution_id VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Set on 'escalated' rows: level and mode ('cc' or 'notify') of the
+  -- escalation contact in recipient_email
+  escalation_level INTEGER,
+  escalation_mode VARCHAR(10)
+);
+
+-- Table 4: escalation_policies
+-- Named chaser schedules. Each tier is
+-- { "tier": 1, "name": "24h reminder", "minutes_before_due": 1440,
+--   "channels": ["email", "slack", "sms", "call"], "tone": "friendly" }
+-- tone is one of: friendly, reminder, urgent, critical. Set
+-- "override_quiet_hours": true on a tier to send it outside working hours.
+-- overdue_followups configures the post-deadline phase (null disables it):
+-- { "first_after_minutes": 60, "interval_minutes": 1440,
+--   "max_followups": 3, "channels": ["email", "slack"] }
+CREATE TABLE escalation_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  tiers JSONB NOT NULL,
+  overdue_followups JSONB,
+  -- Default policy for tasks of this priority without an override
+  default_for_priority VARCHAR(20),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-task override and the policy each chaser was planned from
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS escalation_policy_id UUID REFERENCES escalation_policies(id) ON DELETE SET NULL;
+ALTER TABLE chaser_queue ADD COLUMN IF NOT EXISTS escalation_policy_id UUID REFERENCES escalation_policies(id) ON DELETE SET NULL;
+
+-- Default policies per priority
+INSERT INTO escalation_policies (name, description, default_for_priority, tiers, overdue_followups) VALUES
+(
+  'Low priority',
+  'Email a day ahead, then email and Slack close to the deadline',
+  'low',
+  '[
+    {"tier": 1, "name": "24h reminder", "minutes_before_due": 1440, "channels": ["email"], "tone": "friendly"},
+    {"tier": 2, "name": "4h reminder", "minutes_before_due": 240, "channels": ["email", "slack"], "tone": "reminder"},
+    {"tier": 3, "name": "1h urgent", "minutes_before_due": 60, "channels": ["email", "slack"], "tone": "urgent"}
+  ]',
+  '{"first_after_minutes": 1440, "interval_minutes": 1440, "max_followups": 2, "channels": ["email"]}'
+),
+(
+  'Standard',
+  '24h / 12h / 4h / 1h escalation on every channel',
+  'medium',
+  '[
+    {"tier": 1, "name": "24h reminder", "minutes_before_due": 1440, "channels": ["email", "slack", "sms", "call"], "tone": "friendly"},
+    {"tier": 2, "name": "12h reminder", "minutes_before_due": 720, "channels": ["email", "slack", "sms", "call"], "tone": "reminder"},
+    {"tier": 3, "name": "4h urgent", "minutes_before_due": 240, "channels": ["email", "slack", "sms", "call"], "tone": "urgent"},
+    {"tier": 4, "name": "1h critical", "minutes_before_due": 60, "channels": ["email", "slack", "sms", "call"], "tone": "critical"}
+  ]',
+  '{"first_after_minutes": 60, "interval_minutes": 1440, "max_followups": 3, "channels": ["email", "slack"]}'
+),
+(
+  'High priority',
+  'Starts two days out and escalates to SMS and phone calls',
+  'high',
+  '[
+    {"tier": 1, "name": "48h reminder", "minutes_before_due": 2880, "channels": ["email", "slack"], "tone": "friendly"},
+    {"tier": 2, "name": "24h reminder", "minutes_before_due": 1440, "channels": ["email", "slack"], "tone": "reminder"},
+    {"tier": 3, "name": "4h urgent", "minutes_before_due": 240, "channels": ["email", "slack", "sms"], "tone": "urgent"},
+    {"tier": 4, "name": "1h critical", "minutes_before_due": 60, "channels": ["email", "slack", "sms", "call"], "tone": "critical", "override_quiet_hours": true}
+  ]',
+  '{"first_after_minutes": 30, "interval_minutes": 240, "max_followups": 5, "channels": ["email", "slack", "sms"]}'
+);
+
+-- Table 5: assignees
+-- Per-assignee time zone and working-hours window (quiet hours are outside it).
+-- work_days uses ISO weekdays: 1 = Monday ... 7 = Sunday
+CREATE TABLE assignees (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  work_start TIME NOT NULL DEFAULT '09:00',
+  work_end TIME NOT NULL DEFAULT '18:00',
+  work_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+  -- Manager escalation chain, in level order:
+  -- [{ "email": "lead@example.com", "name": "Team lead", "from_tier": 4, "mode": "cc" },
+  --  { "email": "head@example.com", "from_tier": 5, "from_followup": 2, "mode": "notify" }]
+  -- from_tier 5 is the overdue phase; mode "cc" copies the contact on the chaser email
+  escalation_contacts JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 6: users
+-- Dashboard/API accounts. password_hash is "scrypt$<salt>$<hash>"
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  password_hash TEXT NOT NULL,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 7: workspaces
+-- Tenants. Each owns its tasks, queue, logs, assignees and policies, plus its
+-- integration settings (null falls back to the server's environment).
+-- Users join an existing workspace by signing up with its invite_code.
+CREATE TABLE workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  invite_code VARCHAR(64) NOT NULL UNIQUE,
+  -- Integration Settings
+  boltic_webhook_url TEXT,
+  slack_webhook_url TEXT,
+  slack_default_channel VARCHAR(100),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Workspace ownership. Escalation policies without a workspace are the shared
+-- built-in defaults every workspace can use but not edit.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE chaser_queue ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE chaser_logs ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE assignees ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE escalation_policies ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+-- Databases from before workspaces: move existing rows into a default workspace
+INSERT INTO workspaces (name, invite_code)
+SELECT 'Default workspace', replace(gen_random_uuid()::text, '-', '')
+WHERE NOT EXISTS (SELECT 1 FROM workspaces)
+  AND (EXISTS (SELECT 1 FROM users) OR EXISTS (SELECT 1 FROM tasks)
+    OR EXISTS (SELECT 1 FROM chaser_queue) OR EXISTS (SELECT 1 FROM assignees));
+UPDATE users SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1) WHERE workspace_id IS NULL;
+UPDATE tasks SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1) WHERE workspace_id IS NULL;
+UPDATE assignees SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1) WHERE workspace_id IS NULL;
+UPDATE chaser_queue q SET workspace_id = t.workspace_id FROM tasks t WHERE q.task_id = t.id AND q.workspace_id IS NULL;
+UPDATE chaser_queue SET workspace_id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1) WHERE workspace_id IS NULL;
+UPDATE chaser_logs l SET workspace_id = t.workspace_id FROM tasks t WHERE l.task_id = t.id AND l.workspace_id IS NULL;
+
+ALTER TABLE users ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE tasks ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE chaser_queue ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE assignees ALTER COLUMN workspace_id SET NOT NULL;
+
+ALTER TABLE assignees ADD CONSTRAINT assignees_workspace_email_key UNIQUE (workspace_id, email);
+ALTER TABLE escalation_policies ADD CONSTRAINT escalation_policies_workspace_name_key UNIQUE (workspace_id, name);
+ALTER TABLE escalation_policies ADD CONSTRAINT escalation_policies_workspace_priority_key UNIQUE (workspace_id, default_for_priority);
+
+-- Roles: admin (settings and members), manager (any task, nudges), member
+-- (creates and edits own tasks), viewer (read only). Assignees can always
+-- complete their own tasks.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+  CHECK (role IN ('admin', 'manager', 'member', 'viewer'));
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Calendar feed: SHA-256 of the secret token in the assignee's ICS feed URL
+ALTER TABLE assignees ADD COLUMN IF NOT EXISTS calendar_feed_token_hash CHAR(64) UNIQUE;
+ALTER TABLE assignees ADD COLUMN IF NOT EXISTS calendar_feed_created_at TIMESTAMPTZ;
+
+-- Language of the assignee's chasers (see backend/messageCatalogs.js)
+ALTER TABLE assignees ADD COLUMN IF NOT EXISTS locale VARCHAR(10) NOT NULL DEFAULT 'en';
+
+-- Snoozes: chasers due before tasks.snoozed_until are held until then.
+-- snoozed_from is the original send time of a chaser a snooze moved;
+-- chasers skipped by hand or folded into a snooze have status 'skipped'.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
+ALTER TABLE chaser_queue ADD COLUMN IF NOT EXISTS snoozed_from TIMESTAMPTZ;
+
+-- Last change of assignee; action links issued before it are rejected
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reassigned_at TIMESTAMPTZ;
+
+-- Workspace integrations. Only the workspace flagged inherits_server_integrations
+-- (the first one created) may send through the server's environment settings.
+-- webhook_secret signs the Boltic callbacks of a workspace's own workflow.
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS inherits_server_integrations BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(64);
+UPDATE workspaces SET inherits_server_integrations = TRUE
+WHERE id = (SELECT id FROM workspaces ORDER BY created_at LIMIT 1)
+  AND NOT EXISTS (SELECT 1 FROM workspaces WHERE inherits_server_integrations);
+-- At most one workspace inherits, however many sign-ups race for it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_one_inheriting ON workspaces ((TRUE)) WHERE inherits_server_integrations;
+UPDATE workspaces SET webhook_secret = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')
+WHERE webhook_secret IS NULL;
+
+-- Table 8: api_keys
+-- Personal API keys. Only the SHA-256 of the key is stored; key_prefix
+-- identifies it in listings. A key acts as its user, limited to its scopes.
+CREATE TABLE api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Table 9: message_templates
+-- Workspace overrides of the built-in chaser copy, one per tier (0 = manual
+-- nudge, 1-4 = tone level, 5 = overdue) and channel. subject is email-only.
+CREATE TABLE message_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  tier SMALLINT NOT NULL CHECK (tier BETWEEN 0 AND 5),
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'slack', 'sms', 'call')),
+  subject VARCHAR(255),
+  body TEXT NOT NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (workspace_id, tier, channel)
+);
+
+-- Templates are overridden per locale
+ALTER TABLE message_templates ADD COLUMN IF NOT EXISTS locale VARCHAR(10) NOT NULL DEFAULT 'en';
+ALTER TABLE message_templates DROP CONSTRAINT IF EXISTS message_templates_workspace_id_tier_channel_key;
+ALTER TABLE message_templates ADD CONSTRAINT message_templates_workspace_locale_key UNIQUE (workspace_id, tier, channel, locale);
+
+-- Table 10: extension_requests
+-- Deadline extensions proposed by a task's assignee. The task's owner
+-- approves one (due_date moves to proposed_due_date) or rejects it.
+-- A task has at most one pending request.
+CREATE TABLE extension_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  requested_by_email VARCHAR(255) NOT NULL,
+  current_due_date TIMESTAMPTZ NOT NULL,
+  proposed_due_date TIMESTAMPTZ NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  decision_note TEXT,
+  decided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 11: webhook_signatures
+-- Boltic callback signatures seen within the timestamp tolerance, shared by
+-- every backend instance to reject replays. Rows past expires_at are pruned.
+CREATE TABLE webhook_signatures (
+  signature VARCHAR(71) PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
 -- Performance Indexes
 CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date);
@@ -71,6 +343,144 @@ CREATE INDEX idx_logs_task ON chaser_logs(task_id);
 -- New Indexes
 CREATE INDEX IF NOT EXISTS idx_tasks_has_conflict ON tasks(has_conflict) WHERE has_conflict = true;
 CREATE INDEX IF NOT EXISTS idx_chaser_queue_escalation_tier ON chaser_queue(escalation_tier);
+CREATE INDEX IF NOT EXISTS idx_chaser_queue_dead_letter ON chaser_queue(last_attempt_at) WHERE status = 'dead_letter';
+CREATE INDEX IF NOT EXISTS idx_tasks_series ON tasks(series_id) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_due ON tasks(due_date) WHERE recurrence_rule IS NOT NULL AND recurrence_spawned_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_chaser_queue_lease ON chaser_queue(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_tasks_workspace ON tasks(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tasks_workspace_due ON tasks(workspace_id, due_date, id);
+CREATE INDEX IF NOT EXISTS idx_chaser_queue_workspace ON chaser_queue(workspace_id, status);
+CREATE INDEX IF NOT EXISTS idx_chaser_logs_workspace ON chaser_logs(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_users_workspace ON users(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_extension_requests_task ON extension_requests(workspace_id, task_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extension_requests_pending ON extension_requests(task_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_signatures_expires ON webhook_signatures(expires_at);
+-- One 'sent' log per chaser and per Boltic execution, so repeated callbacks can't double count
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chaser_logs_sent_queue ON chaser_logs(queue_id) WHERE status = 'sent';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chaser_logs_execution ON chaser_logs(boltic_execution_id) WHERE boltic_execution_id IS NOT NULL;
+
+-- Function: claim_pending_chasers
+-- Atomically leases due chasers to one scheduler run. Overlapping runs
+-- (node-cron and the Vercel cron endpoint) skip rows another run has locked,
+-- and rows whose lease expired (worker died mid-send) become claimable again.
+CREATE OR REPLACE FUNCTION claim_pending_chasers(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 5,
+  p_lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF chaser_queue
+LANGUAGE sql
+AS $$
+  UPDATE chaser_queue q
+  SET status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+  WHERE q.id IN (
+    SELECT c.id
+    FROM chaser_queue c
+    WHERE c.scheduled_at <= NOW()
+      AND (c.next_attempt_at IS NULL OR c.next_attempt_at <= NOW())
+      AND (
+        c.status = 'pending'
+        OR (c.status = 'processing' AND c.lease_expires_at < NOW())
+      )
+    ORDER BY c.scheduled_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+$$;
+
+-- Function: record_chaser_sent
+-- Marks a chaser sent, logs it and bumps the task's counters in one
+-- transaction. Returns false without changing anything when the chaser was
+-- already recorded as sent or the Boltic execution was already logged, so
+-- duplicate delivery callbacks are no-ops.
+CREATE OR REPLACE FUNCTION record_chaser_sent(
+  p_queue_id UUID,
+  p_sent_at TIMESTAMPTZ DEFAULT NOW(),
+  p_execution_id TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_chaser chaser_queue%ROWTYPE;
+BEGIN
+  IF p_execution_id IS NOT NULL AND EXISTS (
+    SELECT 1 FROM chaser_logs WHERE boltic_execution_id = p_execution_id
+  ) THEN
+    RETURN false;
+  END IF;
+
+  -- The row lock makes a concurrent duplicate wait, then see status = 'sent'
+  UPDATE chaser_queue
+  SET status = 'sent',
+      sent_at = p_sent_at,
+      lease_owner = NULL,
+      lease_expires_at = NULL
+  WHERE id = p_queue_id
+    AND status <> 'sent'
+  RETURNING * INTO v_chaser;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO chaser_logs (
+    workspace_id, task_id, queue_id, sent_at, status, recipient_email,
+    message_subject, message_body, boltic_execution_id
+  ) VALUES (
+    v_chaser.workspace_id, v_chaser.task_id, v_chaser.id, p_sent_at, 'sent', v_chaser.recipient_email,
+    v_chaser.message_subject, v_chaser.message_body, p_execution_id
+  );
+
+  UPDATE tasks
+  SET total_chasers_sent = COALESCE(total_chasers_sent, 0) + 1,
+      last_chaser_sent_at = p_sent_at,
+      updated_at = NOW()
+  WHERE id = v_chaser.task_id;
+
+  RETURN true;
+END;
+$$;
+
+-- Bulk import: insert tasks and their planned chasers in one transaction.
+-- Columns not listed keep their defaults.
+CREATE OR REPLACE FUNCTION import_tasks(p_tasks JSONB, p_chasers JSONB)
+RETURNS SETOF tasks
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH inserted AS (
+    INSERT INTO tasks (
+      id, workspace_id, created_by, title, assignee_email, assignee_name, due_date,
+      priority, status, slack_channel, phone_number, enable_call, escalation_policy_id,
+      escalation_contacts, recurrence_rule, series_id
+    )
+    SELECT
+      id, workspace_id, created_by, title, assignee_email, assignee_name, due_date,
+      priority, status, slack_channel, phone_number, COALESCE(enable_call, false), escalation_policy_id,
+      escalation_contacts, recurrence_rule, series_id
+    FROM jsonb_populate_recordset(NULL::tasks, p_tasks)
+    RETURNING *
+  )
+  SELECT * FROM inserted;
+
+  INSERT INTO chaser_queue (
+    task_id, workspace_id, scheduled_at, original_scheduled_at, override_quiet_hours,
+    recipient_email, message_subject, message_body, status, escalation_tier,
+    overdue_followup, escalation_policy_id, channels, tone
+  )
+  SELECT
+    task_id, workspace_id, scheduled_at, original_scheduled_at, COALESCE(override_quiet_hours, false),
+    recipient_email, message_subject, message_body, status, escalation_tier,
+    overdue_followup, escalation_policy_id, channels, tone
+  FROM jsonb_populate_recordset(NULL::chaser_queue, p_chasers);
+END;
+$$;
 
 -- Success message
 SELECT 'All tables created successfully!' as result;
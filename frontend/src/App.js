@@ -3,6 +3,11 @@ import { Routes, Route } from 'react-router-dom';
 import Dashboard from './pages/Dashboard';
 import CreateTask from './pages/CreateTask';
 import TaskDetail from './pages/TaskDetail';
+import Login from './pages/Login';
+import Settings from './pages/Settings';
+import ImportTasks from './pages/ImportTasks';
+import Templates from './pages/Templates';
+import ProtectedRoute from './components/ProtectedRoute';
 
 function NotFound() {
     return (
@@ -18,9 +23,13 @@ function App() {
     return (
         <div className="app">
             <Routes>
-                <Route path="/" element={<Dashboard />} />
-                <Route path="/tasks/new" element={<CreateTask />} />
-                <Route path="/tasks/:id" element={<TaskDetail />} />
+                <Route path="/login" element={<Login />} />
+                <Route path="/" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
+                <Route path="/tasks/new" element={<ProtectedRoute><CreateTask /></ProtectedRoute>} />
+                <Route path="/tasks/import" element={<ProtectedRoute><ImportTasks /></ProtectedRoute>} />
+                <Route path="/tasks/:id" element={<ProtectedRoute><TaskDetail /></ProtectedRoute>} />
+                <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
+                <Route path="/settings/templates" element={<ProtectedRoute><Templates /></ProtectedRoute>} />
                 <Route path="*" element={<NotFound />} />
             </Routes>
         </div>
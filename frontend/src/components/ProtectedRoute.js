@@ -0,0 +1,19 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getAuthToken } from '../services/api';
+
+/**
+ * ProtectedRoute Component
+ * Renders its children only when signed in, otherwise redirects to /login
+ */
+function ProtectedRoute({ children }) {
+    const location = useLocation();
+
+    if (!getAuthToken()) {
+        return <Navigate to={`/login?next=${encodeURIComponent(location.pathname)}`} replace />;
+    }
+
+    return children;
+}
+
+export default ProtectedRoute;
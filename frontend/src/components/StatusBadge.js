@@ -10,16 +10,27 @@ function StatusBadge({ status }) {
             case 'pending':
                 return 'badge-pending';
             case 'completed':
+            case 'approved':
+            case 'extension_approved':
                 return 'badge-completed';
             case 'overdue':
+            case 'escalated':
                 return 'badge-overdue';
             case 'sent':
                 return 'badge-sent';
             case 'triggered':
+            case 'processing':
+            case 'extension_requested':
+            case 'snoozed':
+            case 'resumed':
                 return 'badge-triggered';
             case 'failed':
+            case 'dead_letter':
                 return 'badge-failed';
             case 'cancelled':
+            case 'skipped':
+            case 'rejected':
+            case 'extension_rejected':
                 return 'badge-cancelled';
             default:
                 return 'badge-pending';
@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { createTask } from '../services/api';
+import { createTask, getEscalationPolicies } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorMessage from '../components/ErrorMessage';
 
@@ -18,13 +18,61 @@ function CreateTask() {
         priority: 'medium',
         slack_channel: '',
         phone_number: '',
-        enable_call: false
+        enable_call: false,
+        escalation_policy_id: '',
+        escalation_email: '',
+        escalation_from_tier: '5',
+        repeat: 'none',
+        repeat_days: []
     });
+    const [policies, setPolicies] = useState([]);
     const [errors, setErrors] = useState({});
     const [loading, setLoading] = useState(false);
     const [submitError, setSubmitError] = useState(null);
     const [success, setSuccess] = useState(false);
 
+    // Load escalation policies for the override select
+    useEffect(() => {
+        getEscalationPolicies()
+            .then(data => setPolicies(data || []))
+            .catch(err => console.error('Error fetching escalation policies:', err));
+    }, []);
+
+    // Policy that will apply: the override, else the default for the chosen priority
+    const selectedPolicy = formData.escalation_policy_id
+        ? policies.find(p => p.id === formData.escalation_policy_id)
+        : policies.find(p => p.default_for_priority === formData.priority);
+
+    // Weekday codes for weekly recurrence, Monday first
+    const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+    // Toggle a weekday for weekly recurrence
+    const toggleRepeatDay = (day) => {
+        setFormData(prev => ({
+            ...prev,
+            repeat_days: prev.repeat_days.includes(day)
+                ? prev.repeat_days.filter(d => d !== day)
+                : [...prev.repeat_days, day]
+        }));
+    };
+
+    // Build the RRULE-style recurrence rule from the form
+    const buildRecurrenceRule = () => {
+        if (formData.repeat === 'none') return null;
+
+        const due = new Date(formData.due_date);
+        if (formData.repeat === 'WEEKLY') {
+            const days = formData.repeat_days.length
+                ? weekdays.filter(d => formData.repeat_days.includes(d))
+                : [weekdays[(due.getDay() + 6) % 7]];
+            return `FREQ=WEEKLY;BYDAY=${days.join(',')}`;
+        }
+        if (formData.repeat === 'MONTHLY') {
+            return `FREQ=MONTHLY;BYMONTHDAY=${due.getDate()}`;
+        }
+        return 'FREQ=DAILY';
+    };
+
     // Get minimum datetime (now)
     const getMinDateTime = () => {
         const now = new Date();
@@ -60,6 +108,10 @@ function CreateTask() {
             newErrors.assignee_email = 'Please enter a valid email address';
         }
 
+        if (formData.escalation_email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.escalation_email)) {
+            newErrors.escalation_email = 'Please enter a valid email address';
+        }
+
         if (!formData.due_date) {
             newErrors.due_date = 'Due date is required';
         } else if (new Date(formData.due_date) < new Date()) {
@@ -90,7 +142,13 @@ function CreateTask() {
                 priority: formData.priority,
                 slack_channel: formData.slack_channel.trim() || null,
                 phone_number: formData.phone_number.trim() || null,
-                enable_call: formData.enable_call
+                enable_call: formData.enable_call,
+                escalation_policy_id: formData.escalation_policy_id || null,
+                // A single-level chain; the assignee's own chain applies when left empty
+                escalation_contacts: formData.escalation_email.trim()
+                    ? [{ email: formData.escalation_email.trim(), from_tier: Number(formData.escalation_from_tier), mode: 'notify' }]
+                    : null,
+                recurrence_rule: buildRecurrenceRule()
             });
 
             setSuccess(true);
@@ -201,7 +259,7 @@ function CreateTask() {
                     />
                     {errors.due_date && <div className="form-error">{errors.due_date}</div>}
                     <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
-                        A reminder will be sent 1 hour before the due date
+                        Reminders are scheduled before the due date by the escalation policy below
                     </small>
                 </div>
 
@@ -224,6 +282,109 @@ function CreateTask() {
                     </select>
                 </div>
 
+                {/* Recurrence */}
+                <div className="form-group">
+                    <label className="form-label" htmlFor="repeat">
+                        Repeat
+                    </label>
+                    <select
+                        id="repeat"
+                        name="repeat"
+                        className="form-select"
+                        value={formData.repeat}
+                        onChange={handleChange}
+                        disabled={loading}
+                    >
+                        <option value="none">Does not repeat</option>
+                        <option value="DAILY">Daily</option>
+                        <option value="WEEKLY">Weekly</option>
+                        <option value="MONTHLY">Monthly (same day of month)</option>
+                    </select>
+                    {formData.repeat === 'WEEKLY' && (
+                        <div style={{ display: 'flex', gap: '6px', marginTop: '8px', flexWrap: 'wrap' }}>
+                            {weekdays.map(day => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    className={`btn btn-sm ${formData.repeat_days.includes(day) ? 'btn-primary' : 'btn-secondary'}`}
+                                    onClick={() => toggleRepeatDay(day)}
+                                    disabled={loading}
+                                >
+                                    {day}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {formData.repeat !== 'none' && (
+                        <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            The next task and its reminders are created when this one is completed or passes its due date.
+                        </small>
+                    )}
+                </div>
+
+                {/* Escalation Policy */}
+                <div className="form-group">
+                    <label className="form-label" htmlFor="escalation_policy_id">
+                        Escalation Policy
+                    </label>
+                    <select
+                        id="escalation_policy_id"
+                        name="escalation_policy_id"
+                        className="form-select"
+                        value={formData.escalation_policy_id}
+                        onChange={handleChange}
+                        disabled={loading}
+                    >
+                        <option value="">Default for priority</option>
+                        {policies.map(policy => (
+                            <option key={policy.id} value={policy.id}>{policy.name}</option>
+                        ))}
+                    </select>
+                    {selectedPolicy && (
+                        <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            {selectedPolicy.name}: {selectedPolicy.tiers
+                                .map(tier => `${tier.minutes_before_due >= 60 ? `${Math.round(tier.minutes_before_due / 60)}h` : `${tier.minutes_before_due}m`} (${tier.channels.join(', ')})`)
+                                .join(' → ')}
+                        </small>
+                    )}
+                </div>
+
+                {/* Escalation Contact (Optional) */}
+                <div className="form-group">
+                    <label className="form-label" htmlFor="escalation_email">
+                        Escalate To (Optional)
+                    </label>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        <input
+                            type="email"
+                            id="escalation_email"
+                            name="escalation_email"
+                            className={`form-input ${errors.escalation_email ? 'error' : ''}`}
+                            placeholder="e.g., manager@example.com"
+                            value={formData.escalation_email}
+                            onChange={handleChange}
+                            disabled={loading}
+                            maxLength={255}
+                        />
+                        <select
+                            name="escalation_from_tier"
+                            className="form-select"
+                            value={formData.escalation_from_tier}
+                            onChange={handleChange}
+                            disabled={loading || !formData.escalation_email.trim()}
+                            style={{ maxWidth: '220px' }}
+                        >
+                            <option value="3">From the urgent tier</option>
+                            <option value="4">From the critical tier</option>
+                            <option value="5">Once overdue</option>
+                        </select>
+                    </div>
+                    {errors.escalation_email && <div className="form-error">{errors.escalation_email}</div>}
+                    <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                        This contact is notified alongside the assignee's reminders. Leave empty to use the assignee's escalation chain.
+                    </small>
+                </div>
+
                 {/* Slack Channel (Optional) */}
                 <div className="form-group">
                     <label className="form-label" htmlFor="slack_channel">
@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { getTasks, getUpcomingChasers, getStats } from '../services/api';
+import { getTasks, exportTasks, getUpcomingChasers, getStats, getDeadLetterChasers, requeueChaser, getStoredUser, hasPermission, refreshCurrentUser, logout } from '../services/api';
 import StatusBadge from '../components/StatusBadge';
 import PriorityBadge from '../components/PriorityBadge';
 import LoadingSpinner from '../components/LoadingSpinner';
@@ -14,15 +14,38 @@ function Dashboard() {
     const navigate = useNavigate();
     const [tasks, setTasks] = useState([]);
     const [upcomingChasers, setUpcomingChasers] = useState([]);
-    const [stats, setStats] = useState({ totalTasks: 0, pendingTasks: 0, chasersSentToday: 0 });
+    const [deadLetterChasers, setDeadLetterChasers] = useState([]);
+    const [stats, setStats] = useState({ totalTasks: 0, pendingTasks: 0, overdueTasks: 0, chasersSentToday: 0 });
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [activeTab, setActiveTab] = useState('active'); // 'active' or 'history'
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [searchInput, setSearchInput] = useState('');
+    const [filters, setFilters] = useState({ q: '', priority: '', sort: 'created_at:desc' });
+    const currentUser = getStoredUser();
 
-    // Filter tasks based on active tab
-    const activeTasks = tasks.filter(t => t.status !== 'completed');
-    const completedTasks = tasks.filter(t => t.status === 'completed');
-    const displayedTasks = activeTab === 'active' ? activeTasks : completedTasks;
+    // Sign out and return to the login page
+    const handleLogout = () => {
+        logout();
+        navigate('/login');
+    };
+
+    // Tab counts come from the stats, the table only holds the loaded pages
+    const activeCount = (stats.pendingTasks || 0) + (stats.overdueTasks || 0);
+    const historyCount = Math.max((stats.totalTasks || 0) - activeCount, 0);
+
+    // Query for the current tab, search and filters
+    const taskParams = useMemo(() => {
+        const [sort, order] = filters.sort.split(':');
+        return {
+            status: activeTab === 'active' ? 'pending,overdue' : 'completed',
+            q: filters.q || undefined,
+            priority: filters.priority || undefined,
+            sort,
+            order
+        };
+    }, [activeTab, filters]);
 
     // Format date for display
     const formatDate = (dateString) => {
@@ -65,14 +88,18 @@ function Dashboard() {
     // Fetch all data
     const fetchData = useCallback(async () => {
         try {
-            const [tasksData, chasersData, statsData] = await Promise.all([
-                getTasks(),
+            const [tasksData, chasersData, statsData, deadLetterData] = await Promise.all([
+                getTasks(taskParams),
                 getUpcomingChasers(),
-                getStats()
+                getStats(),
+                getDeadLetterChasers().catch(() => []),
+                refreshCurrentUser().catch(() => null)
             ]);
-            setTasks(tasksData || []);
+            setTasks(tasksData?.tasks || []);
+            setNextCursor(tasksData?.next_cursor || null);
             setUpcomingChasers(chasersData || []);
-            setStats(statsData || { totalTasks: 0, pendingTasks: 0, chasersSentToday: 0 });
+            setDeadLetterChasers(deadLetterData || []);
+            setStats(statsData || { totalTasks: 0, pendingTasks: 0, overdueTasks: 0, chasersSentToday: 0 });
             setError(null);
         } catch (err) {
             console.error('Error fetching dashboard data:', err);
@@ -80,7 +107,47 @@ function Dashboard() {
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [taskParams]);
+
+    // Append the next page of tasks
+    const handleLoadMore = async () => {
+        setLoadingMore(true);
+        try {
+            const page = await getTasks({ ...taskParams, cursor: nextCursor });
+            setTasks(prev => [...prev, ...page.tasks]);
+            setNextCursor(page.next_cursor || null);
+        } catch (err) {
+            console.error('Error loading more tasks:', err);
+            setError(err.message || 'Failed to load more tasks');
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Download the tasks matching the current tab and filters
+    const handleExport = async (format) => {
+        try {
+            await exportTasks(format, taskParams);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setFilters(prev => ({ ...prev, q: searchInput.trim() }));
+    };
+
+    // Requeue a dead-lettered chaser and refresh
+    const handleRequeue = async (chaserId) => {
+        try {
+            await requeueChaser(chaserId);
+            await fetchData();
+        } catch (err) {
+            console.error('Error requeueing chaser:', err);
+            setError(err.message || 'Failed to requeue chaser');
+        }
+    };
 
     // Initial fetch and auto-refresh every 30 seconds
     useEffect(() => {
@@ -101,9 +168,27 @@ function Dashboard() {
                     <h1>
                         <span>📬</span> Chaser Agent
                     </h1>
-                    <Link to="/tasks/new" className="btn btn-primary">
-                        + New Task
-                    </Link>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                        <span style={{ fontSize: '14px', color: '#6B7280' }}>
+                            {currentUser?.name || currentUser?.email}
+                        </span>
+                        <Link to="/settings" className="btn btn-secondary btn-sm">
+                            Settings
+                        </Link>
+                        <button className="btn btn-secondary btn-sm" onClick={handleLogout}>
+                            Sign Out
+                        </button>
+                        {hasPermission('tasks:create') && (
+                            <>
+                                <Link to="/tasks/import" className="btn btn-secondary">
+                                    Import
+                                </Link>
+                                <Link to="/tasks/new" className="btn btn-primary">
+                                    + New Task
+                                </Link>
+                            </>
+                        )}
+                    </div>
                 </div>
             </header>
 
@@ -123,6 +208,10 @@ function Dashboard() {
                             <div className="stat-label">Pending Tasks</div>
                             <div className="stat-value">{stats.pendingTasks}</div>
                         </div>
+                        <div className="stat-card">
+                            <div className="stat-label">Overdue Tasks</div>
+                            <div className="stat-value">{stats.overdueTasks || 0}</div>
+                        </div>
                         <div className="stat-card">
                             <div className="stat-label">Chasers Sent Today</div>
                             <div className="stat-value">{stats.chasersSentToday}</div>
@@ -149,7 +238,7 @@ function Dashboard() {
                                         boxShadow: activeTab === 'active' ? '0 1px 3px rgba(0,0,0,0.1)' : 'none'
                                     }}
                                 >
-                                    📋 Active ({activeTasks.length})
+                                    📋 Active ({activeCount})
                                 </button>
                                 <button
                                     onClick={() => setActiveTab('history')}
@@ -166,17 +255,67 @@ function Dashboard() {
                                         boxShadow: activeTab === 'history' ? '0 1px 3px rgba(0,0,0,0.1)' : 'none'
                                     }}
                                 >
-                                    ✅ History ({completedTasks.length})
+                                    ✅ History ({historyCount})
                                 </button>
                             </div>
                         </div>
 
-                        {displayedTasks.length === 0 ? (
+                        {/* Search and filters */}
+                        <form onSubmit={handleSearch} style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+                            <input
+                                type="search"
+                                className="form-input"
+                                placeholder="Search titles..."
+                                value={searchInput}
+                                onChange={(e) => setSearchInput(e.target.value)}
+                                style={{ flex: 1, minWidth: '160px' }}
+                            />
+                            <select
+                                className="form-select"
+                                value={filters.priority}
+                                onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+                                style={{ width: 'auto' }}
+                            >
+                                <option value="">All priorities</option>
+                                <option value="high">High</option>
+                                <option value="medium">Medium</option>
+                                <option value="low">Low</option>
+                            </select>
+                            <select
+                                className="form-select"
+                                value={filters.sort}
+                                onChange={(e) => setFilters(prev => ({ ...prev, sort: e.target.value }))}
+                                style={{ width: 'auto' }}
+                            >
+                                <option value="created_at:desc">Newest first</option>
+                                <option value="due_date:asc">Due soonest</option>
+                                <option value="due_date:desc">Due latest</option>
+                                <option value="updated_at:desc">Recently updated</option>
+                                <option value="title:asc">Title A–Z</option>
+                            </select>
+                            <div style={{ display: 'flex', gap: '4px' }}>
+                                {['csv', 'json', 'ics'].map(format => (
+                                    <button
+                                        key={format}
+                                        type="button"
+                                        className="btn btn-secondary btn-sm"
+                                        onClick={() => handleExport(format)}
+                                        title={format === 'ics' ? 'Due dates as a calendar file' : `Export as ${format.toUpperCase()}`}
+                                    >
+                                        ⬇ {format.toUpperCase()}
+                                    </button>
+                                ))}
+                            </div>
+                        </form>
+
+                        {tasks.length === 0 ? (
                             <div className="empty-state">
                                 <p>
-                                    {activeTab === 'active'
-                                        ? 'No active tasks. Create your first task to get started!'
-                                        : 'No completed tasks yet.'}
+                                    {filters.q || filters.priority
+                                        ? 'No tasks match your search.'
+                                        : activeTab === 'active'
+                                            ? 'No active tasks. Create your first task to get started!'
+                                            : 'No completed tasks yet.'}
                                 </p>
                             </div>
                         ) : (
@@ -205,10 +344,13 @@ function Dashboard() {
                                         )}
                                     </thead>
                                     <tbody>
-                                        {displayedTasks.map((task) => (
+                                        {tasks.map((task) => (
                                             <tr key={task.id}>
                                                 <td>
                                                     <strong>{task.title}</strong>
+                                                    {task.recurrence_rule && (
+                                                        <span title="Recurring task" style={{ marginLeft: '6px' }}>🔁</span>
+                                                    )}
                                                 </td>
                                                 <td>
                                                     <div>{task.assignee_name || '-'}</div>
@@ -266,6 +408,13 @@ function Dashboard() {
                                         ))}
                                     </tbody>
                                 </table>
+                                {nextCursor && (
+                                    <div style={{ textAlign: 'center', padding: '16px' }}>
+                                        <button className="btn btn-secondary btn-sm" onClick={handleLoadMore} disabled={loadingMore}>
+                                            {loadingMore ? <><LoadingSpinner /> Loading...</> : 'Load more'}
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         )}
                     </div>
@@ -301,6 +450,35 @@ function Dashboard() {
                             </ul>
                         )}
                     </div>
+
+                    {deadLetterChasers.length > 0 && (
+                        <div className="card">
+                            <div className="card-header">
+                                <h2 className="card-title">☠️ Failed Chasers</h2>
+                            </div>
+                            <ul className="upcoming-list">
+                                {deadLetterChasers.map((chaser) => (
+                                    <li key={chaser.id} className="upcoming-item">
+                                        <div className="upcoming-task">
+                                            <strong>{chaser.task_title}</strong>
+                                        </div>
+                                        <div className="upcoming-assignee">
+                                            {chaser.attempt_count} attempts · {chaser.last_error || 'Unknown error'}
+                                        </div>
+                                        {hasPermission('queue:manage') && (
+                                            <button
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => handleRequeue(chaser.id)}
+                                                style={{ marginTop: '8px' }}
+                                            >
+                                                🔁 Requeue
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </aside>
             </div>
         </>
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { importTasks } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+
+const CSV_EXAMPLE = `title,assignee_email,assignee_name,due_date,priority,slack_channel,escalation_policy
+Draft launch plan,jane@example.com,Jane Doe,2026-11-02T17:00:00Z,high,launch,
+Review budget,john@example.com,John Smith,2026-11-05T12:00:00Z,medium,,`;
+
+/**
+ * ImportTasks Page
+ * Paste or upload CSV/JSON, preview per-row validation, then import
+ */
+function ImportTasks() {
+    const navigate = useNavigate();
+    const [format, setFormat] = useState('csv');
+    const [content, setContent] = useState('');
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    // Load a file into the text area, picking the format from its extension
+    const handleFile = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        if (file.name.toLowerCase().endsWith('.json')) setFormat('json');
+        else if (file.name.toLowerCase().endsWith('.csv')) setFormat('csv');
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setContent(reader.result);
+            setReport(null);
+        };
+        reader.readAsText(file);
+    };
+
+    const buildRequest = (dryRun) => {
+        if (format === 'csv') {
+            return { format, csv: content, dry_run: dryRun };
+        }
+
+        let tasks;
+        try {
+            tasks = JSON.parse(content);
+        } catch (err) {
+            throw new Error('JSON is not valid');
+        }
+        return { format, tasks, dry_run: dryRun };
+    };
+
+    const submit = async (dryRun) => {
+        setError(null);
+        setLoading(true);
+        try {
+            const result = await importTasks(buildRequest(dryRun));
+            setReport(result);
+            if (!dryRun) {
+                setSuccess(`✅ Imported ${result.imported} tasks with ${result.chasers_scheduled} chasers scheduled.`);
+                setTimeout(() => navigate('/'), 2000);
+            }
+        } catch (err) {
+            setError(err.message);
+            if (err.report) setReport(err.report);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (success) {
+        return (
+            <div className="form-page">
+                <div className="success-message">
+                    {success}
+                    <br />
+                    <small>Redirecting to dashboard...</small>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="form-page">
+            <h1>Import Tasks</h1>
+
+            {error && <ErrorMessage message={error} onDismiss={() => setError(null)} />}
+
+            <div className="card">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="format">Format</label>
+                    <select
+                        id="format"
+                        className="form-select"
+                        value={format}
+                        onChange={(e) => { setFormat(e.target.value); setReport(null); }}
+                        disabled={loading}
+                    >
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label" htmlFor="file">File</label>
+                    <input type="file" id="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} disabled={loading} />
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label" htmlFor="content">Or paste {format.toUpperCase()}</label>
+                    <textarea
+                        id="content"
+                        className="form-input"
+                        rows={10}
+                        style={{ fontFamily: 'monospace', fontSize: '13px' }}
+                        placeholder={format === 'csv' ? CSV_EXAMPLE : '[{ "title": "...", "assignee_email": "...", "due_date": "..." }]'}
+                        value={content}
+                        onChange={(e) => { setContent(e.target.value); setReport(null); }}
+                        disabled={loading}
+                    />
+                    <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                        Same fields as a new task. Name a policy with <code>escalation_policy</code>.
+                    </small>
+                </div>
+
+                <div className="form-actions">
+                    <button className="btn btn-secondary" onClick={() => submit(true)} disabled={loading || !content.trim()}>
+                        {loading ? <><LoadingSpinner /> Checking...</> : 'Preview'}
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => submit(false)}
+                        disabled={loading || !report?.dry_run || report.invalid > 0}
+                    >
+                        Import {report?.dry_run && report.invalid === 0 ? `${report.valid} Tasks` : ''}
+                    </button>
+                    <Link to="/" className="btn btn-secondary">Cancel</Link>
+                </div>
+            </div>
+
+            {report && (
+                <div className="card" style={{ marginTop: '24px' }}>
+                    <p>
+                        {report.valid} of {report.total} rows are valid
+                        {report.invalid > 0 && ` — fix the ${report.invalid} invalid row(s) to import`}
+                    </p>
+                    <div className="table-wrapper">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Title</th>
+                                    <th>Assignee</th>
+                                    <th>Due</th>
+                                    <th>Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.rows.map((row) => (
+                                    <tr key={row.row}>
+                                        <td>{row.row}</td>
+                                        <td>{row.title || '-'}</td>
+                                        <td>{row.assignee_email || '-'}</td>
+                                        <td>{row.due_date ? new Date(row.due_date).toLocaleString() : '-'}</td>
+                                        <td>
+                                            {row.valid
+                                                ? <span className="badge badge-completed">OK</span>
+                                                : <span style={{ color: '#DC2626', fontSize: '13px' }}>{row.errors.join('; ')}</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ImportTasks;
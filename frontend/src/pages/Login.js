@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { login, register, getAuthToken } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+
+/**
+ * Login Page
+ * Sign in, or create an account when sign-up is enabled
+ */
+function Login() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const [mode, setMode] = useState('login');
+    const [formData, setFormData] = useState({ name: '', email: '', password: '', invite_code: '', workspace_name: '' });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Where to go after signing in (set by ProtectedRoute / the 401 interceptor)
+    const next = searchParams.get('next') || '/';
+
+    if (getAuthToken()) {
+        return <Navigate to={next} replace />;
+    }
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setLoading(true);
+
+        try {
+            if (mode === 'register') {
+                await register({
+                    name: formData.name.trim(),
+                    email: formData.email.trim(),
+                    password: formData.password,
+                    invite_code: formData.invite_code.trim() || undefined,
+                    workspace_name: formData.workspace_name.trim() || undefined
+                });
+            } else {
+                await login(formData.email.trim(), formData.password);
+            }
+            navigate(next, { replace: true });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="form-page" style={{ maxWidth: '420px', paddingTop: '80px' }}>
+            <h1><span>📬</span> Chaser Agent</h1>
+
+            {error && <ErrorMessage message={error} onDismiss={() => setError(null)} />}
+
+            <form onSubmit={handleSubmit} className="card">
+                {mode === 'register' && (
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="name">Name</label>
+                        <input
+                            type="text"
+                            id="name"
+                            name="name"
+                            className="form-input"
+                            value={formData.name}
+                            onChange={handleChange}
+                            disabled={loading}
+                            maxLength={255}
+                        />
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label className="form-label" htmlFor="email">Email</label>
+                    <input
+                        type="email"
+                        id="email"
+                        name="email"
+                        className="form-input"
+                        value={formData.email}
+                        onChange={handleChange}
+                        disabled={loading}
+                        autoComplete="email"
+                        required
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label" htmlFor="password">Password</label>
+                    <input
+                        type="password"
+                        id="password"
+                        name="password"
+                        className="form-input"
+                        value={formData.password}
+                        onChange={handleChange}
+                        disabled={loading}
+                        autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                        minLength={mode === 'register' ? 8 : undefined}
+                        required
+                    />
+                </div>
+
+                {mode === 'register' && (
+                    <>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="invite_code">Invite Code (Optional)</label>
+                            <input
+                                type="text"
+                                id="invite_code"
+                                name="invite_code"
+                                className="form-input"
+                                value={formData.invite_code}
+                                onChange={handleChange}
+                                disabled={loading}
+                            />
+                            <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                                Join your team's workspace. Leave empty to start a new one.
+                            </small>
+                        </div>
+                        {!formData.invite_code.trim() && (
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="workspace_name">Workspace Name</label>
+                                <input
+                                    type="text"
+                                    id="workspace_name"
+                                    name="workspace_name"
+                                    className="form-input"
+                                    placeholder="e.g., Marketing"
+                                    value={formData.workspace_name}
+                                    onChange={handleChange}
+                                    disabled={loading}
+                                    maxLength={255}
+                                />
+                            </div>
+                        )}
+                    </>
+                )}
+
+                <div className="form-actions">
+                    <button type="submit" className="btn btn-primary" disabled={loading}>
+                        {loading ? <LoadingSpinner /> : (mode === 'register' ? 'Create Account' : 'Sign In')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => { setMode(mode === 'register' ? 'login' : 'register'); setError(null); }}
+                        disabled={loading}
+                    >
+                        {mode === 'register' ? 'I have an account' : 'Create an account'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default Login;
@@ -0,0 +1,440 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+    getWorkspace,
+    updateWorkspace,
+    updateMemberRole,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    getAssignee,
+    createCalendarFeed,
+    disableCalendarFeed,
+    getStoredUser,
+    hasPermission
+} from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+
+// Editable workspace fields, with empty strings for unset values
+const toFormData = (workspace) => ({
+    name: workspace.name || '',
+    boltic_webhook_url: workspace.boltic_webhook_url || '',
+    slack_webhook_url: workspace.slack_webhook_url || '',
+    slack_default_channel: workspace.slack_default_channel || ''
+});
+
+const ROLES = ['admin', 'manager', 'member', 'viewer'];
+
+/**
+ * Settings Page
+ * Workspace name, invite code, integration settings and members (only
+ * admins can change them), plus the signed-in user's API keys and calendar feed.
+ */
+function Settings() {
+    const [workspace, setWorkspace] = useState(null);
+    const [formData, setFormData] = useState({
+        name: '',
+        boltic_webhook_url: '',
+        slack_webhook_url: '',
+        slack_default_channel: ''
+    });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [saved, setSaved] = useState(false);
+    const canManage = hasPermission('settings:manage');
+    const canManageMembers = hasPermission('members:manage');
+    const currentUser = getStoredUser();
+
+    // API keys
+    const [apiKeys, setApiKeys] = useState([]);
+    const [availableScopes, setAvailableScopes] = useState([]);
+    const [newKey, setNewKey] = useState({ name: '', scopes: ['tasks:write'] });
+    const [createdKey, setCreatedKey] = useState(null);
+
+    // Calendar feed of the signed-in user's own tasks
+    const [feedEnabled, setFeedEnabled] = useState(false);
+    const [feedUrl, setFeedUrl] = useState(null);
+
+    useEffect(() => {
+        const email = getStoredUser()?.email;
+        Promise.all([getWorkspace(), getApiKeys(), email ? getAssignee(email) : null])
+            .then(([workspaceData, keysData, assignee]) => {
+                setWorkspace(workspaceData);
+                setFormData(toFormData(workspaceData));
+                setApiKeys(keysData.keys || []);
+                setAvailableScopes(keysData.available_scopes || []);
+                setFeedEnabled(Boolean(assignee?.calendar_feed_enabled));
+            })
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        setSaved(false);
+    };
+
+    const save = async (settings) => {
+        setError(null);
+        setSaving(true);
+        try {
+            const updated = await updateWorkspace(settings);
+            // PATCH returns the workspace row without its members
+            setWorkspace(prev => ({ ...prev, ...updated }));
+            setFormData(toFormData(updated));
+            setSaved(true);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        save(formData);
+    };
+
+    const handleRoleChange = async (memberId, role) => {
+        setError(null);
+        try {
+            const updated = await updateMemberRole(memberId, role);
+            setWorkspace(prev => ({
+                ...prev,
+                members: prev.members.map(member => (member.id === updated.id ? updated : member))
+            }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const toggleKeyScope = (scope) => {
+        setNewKey(prev => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter(s => s !== scope)
+                : [...prev.scopes, scope]
+        }));
+    };
+
+    const handleCreateKey = async (e) => {
+        e.preventDefault();
+        setError(null);
+        try {
+            const created = await createApiKey({ name: newKey.name.trim(), scopes: newKey.scopes });
+            const { key, ...listed } = created;
+            setCreatedKey(key);
+            setApiKeys(prev => [listed, ...prev]);
+            setNewKey({ name: '', scopes: ['tasks:write'] });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRevokeKey = async (apiKey) => {
+        if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+        setError(null);
+        try {
+            await revokeApiKey(apiKey.id);
+            setApiKeys(prev => prev.map(k => (k.id === apiKey.id ? { ...k, revoked_at: new Date().toISOString() } : k)));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleCreateFeed = async () => {
+        if (feedEnabled && !window.confirm('Create a new feed URL? Calendars subscribed to the current one will stop updating.')) return;
+        setError(null);
+        try {
+            const created = await createCalendarFeed(currentUser.email);
+            setFeedUrl(created.feed_url);
+            setFeedEnabled(true);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDisableFeed = async () => {
+        if (!window.confirm('Turn off your calendar feed? Subscribed calendars will stop updating.')) return;
+        setError(null);
+        try {
+            await disableCalendarFeed(currentUser.email);
+            setFeedUrl(null);
+            setFeedEnabled(false);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRotateWebhookSecret = () => {
+        if (window.confirm('Issue a new callback signing secret? Callbacks signed with the current one will be rejected.')) {
+            save({ rotate_webhook_secret: true });
+        }
+    };
+
+    const handleRotateInvite = () => {
+        if (window.confirm('Issue a new invite code? The current code will stop working.')) {
+            save({ rotate_invite_code: true });
+        }
+    };
+
+    if (loading) {
+        return <LoadingSpinner size="large" centered />;
+    }
+
+    return (
+        <div className="form-page">
+            <h1>Workspace Settings</h1>
+
+            {error && <ErrorMessage message={error} onDismiss={() => setError(null)} />}
+            {saved && <div className="success-message">✅ Settings saved.</div>}
+
+            {workspace && (
+                <>
+                    <form onSubmit={handleSubmit} className="card">
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="name">Workspace Name</label>
+                            <input
+                                type="text"
+                                id="name"
+                                name="name"
+                                className="form-input"
+                                value={formData.name}
+                                onChange={handleChange}
+                                disabled={saving || !canManage}
+                                maxLength={255}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="boltic_webhook_url">Boltic Webhook URL</label>
+                            <input
+                                type="url"
+                                id="boltic_webhook_url"
+                                name="boltic_webhook_url"
+                                className="form-input"
+                                placeholder={workspace.inherits_server_integrations ? 'Server default' : 'Not set'}
+                                value={formData.boltic_webhook_url}
+                                onChange={handleChange}
+                                disabled={saving || !canManage}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="slack_webhook_url">Slack Webhook URL</label>
+                            <input
+                                type="url"
+                                id="slack_webhook_url"
+                                name="slack_webhook_url"
+                                className="form-input"
+                                placeholder={workspace.inherits_server_integrations ? 'Server default' : 'Not set'}
+                                value={formData.slack_webhook_url}
+                                onChange={handleChange}
+                                disabled={saving || !canManage}
+                            />
+                        </div>
+
+                        <small style={{ color: '#6B7280', fontSize: '12px', marginBottom: '12px', display: 'block' }}>
+                            Webhook URLs must use https on an allowed Boltic or Slack host.
+                            {workspace.inherits_server_integrations
+                                ? ' Empty fields use the server\'s integrations.'
+                                : ' Chasers are only sent through the webhooks set here.'}
+                        </small>
+
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="slack_default_channel">Default Slack Channel</label>
+                            <input
+                                type="text"
+                                id="slack_default_channel"
+                                name="slack_default_channel"
+                                className="form-input"
+                                placeholder="e.g., team-reminders"
+                                value={formData.slack_default_channel}
+                                onChange={handleChange}
+                                disabled={saving || !canManage}
+                            />
+                            <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                                Used for tasks that don't set their own Slack channel.
+                            </small>
+                        </div>
+
+                        <div className="form-actions">
+                            {canManage && (
+                                <button type="submit" className="btn btn-primary" disabled={saving}>
+                                    {saving ? <><LoadingSpinner /> Saving...</> : 'Save Settings'}
+                                </button>
+                            )}
+                            <Link to="/settings/templates" className="btn btn-secondary">Message Templates</Link>
+                        </div>
+                    </form>
+
+                    <div className="card" style={{ marginTop: '24px' }}>
+                        <div className="form-group">
+                            <label className="form-label">Invite Code</label>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                <code style={{ fontSize: '16px' }}>{workspace.invite_code}</code>
+                                {canManage && (
+                                    <button className="btn btn-secondary btn-sm" onClick={handleRotateInvite} disabled={saving}>
+                                        Rotate
+                                    </button>
+                                )}
+                            </div>
+                            <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                                Teammates enter this code when creating their account to join this workspace.
+                            </small>
+                        </div>
+
+                        {canManage && workspace.webhook_secret && (
+                            <div className="form-group">
+                                <label className="form-label">Callback Signing Secret</label>
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <code style={{ fontSize: '12px', wordBreak: 'break-all' }}>{workspace.webhook_secret}</code>
+                                    <button className="btn btn-secondary btn-sm" onClick={handleRotateWebhookSecret} disabled={saving}>
+                                        Rotate
+                                    </button>
+                                </div>
+                                <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                                    Your Boltic workflow signs its callbacks with this secret and sends back this workspace's workspace_id.
+                                </small>
+                            </div>
+                        )}
+
+                        <label className="form-label">Members</label>
+                        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                            {(workspace.members || []).map(member => (
+                                <li
+                                    key={member.id}
+                                    style={{ padding: '6px 0', fontSize: '14px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+                                >
+                                    <span>{member.name ? `${member.name} · ` : ''}{member.email}</span>
+                                    {canManageMembers && member.id !== currentUser?.id ? (
+                                        <select
+                                            className="form-select"
+                                            style={{ width: 'auto' }}
+                                            value={member.role}
+                                            onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                                        >
+                                            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                                        </select>
+                                    ) : (
+                                        <span style={{ color: '#6B7280' }}>{member.role}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <div className="card" style={{ marginTop: '24px' }}>
+                        <label className="form-label">API Keys</label>
+                        <small style={{ color: '#6B7280', fontSize: '12px', marginBottom: '12px', display: 'block' }}>
+                            Send a key as <code>Authorization: Bearer &lt;key&gt;</code>. Keys act as you, limited to their scopes.
+                        </small>
+
+                        {createdKey && (
+                            <div className="success-message">
+                                Copy this key now, it won't be shown again:
+                                <br />
+                                <code style={{ wordBreak: 'break-all' }}>{createdKey}</code>
+                            </div>
+                        )}
+
+                        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 16px' }}>
+                            {apiKeys.map(apiKey => (
+                                <li
+                                    key={apiKey.id}
+                                    style={{ padding: '6px 0', fontSize: '14px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+                                >
+                                    <span style={{ opacity: apiKey.revoked_at ? 0.5 : 1 }}>
+                                        <strong>{apiKey.name}</strong> <code>{apiKey.key_prefix}…</code> · {apiKey.scopes.join(', ')}
+                                        <br />
+                                        <small style={{ color: '#6B7280' }}>
+                                            {apiKey.revoked_at
+                                                ? 'Revoked'
+                                                : `Last used: ${apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'never'}`}
+                                        </small>
+                                    </span>
+                                    {!apiKey.revoked_at && (
+                                        <button className="btn btn-secondary btn-sm" onClick={() => handleRevokeKey(apiKey)}>
+                                            Revoke
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+
+                        <form onSubmit={handleCreateKey}>
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="key_name">New Key Name</label>
+                                <input
+                                    type="text"
+                                    id="key_name"
+                                    className="form-input"
+                                    placeholder="e.g., CI pipeline"
+                                    value={newKey.name}
+                                    onChange={(e) => setNewKey(prev => ({ ...prev, name: e.target.value }))}
+                                    maxLength={255}
+                                    required
+                                />
+                            </div>
+                            <div className="form-group" style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+                                {availableScopes.map(scope => (
+                                    <label key={scope} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={newKey.scopes.includes(scope)}
+                                            onChange={() => toggleKeyScope(scope)}
+                                        />
+                                        {scope}
+                                    </label>
+                                ))}
+                            </div>
+                            <button type="submit" className="btn btn-primary btn-sm" disabled={newKey.scopes.length === 0}>
+                                Create Key
+                            </button>
+                        </form>
+                    </div>
+
+                    <div className="card" style={{ marginTop: '24px' }}>
+                        <label className="form-label">My Calendar Feed</label>
+                        <small style={{ color: '#6B7280', fontSize: '12px', marginBottom: '12px', display: 'block' }}>
+                            Subscribe to this URL in Google Calendar, Outlook or Apple Calendar to see your open
+                            tasks at their due dates. It updates as tasks change. Anyone with the URL can read it.
+                        </small>
+
+                        {feedUrl && (
+                            <div className="success-message">
+                                Copy this URL now, it won't be shown again:
+                                <br />
+                                <code style={{ wordBreak: 'break-all' }}>{feedUrl}</code>
+                                <br />
+                                <a href={feedUrl.replace(/^https?:/, 'webcal:')}>Open in calendar app</a>
+                            </div>
+                        )}
+
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                            <span style={{ fontSize: '14px', color: '#6B7280' }}>{feedEnabled ? 'Enabled' : 'Not set up'}</span>
+                            <button className="btn btn-primary btn-sm" onClick={handleCreateFeed}>
+                                {feedEnabled ? 'New URL' : 'Create Feed URL'}
+                            </button>
+                            {feedEnabled && (
+                                <button className="btn btn-secondary btn-sm" onClick={handleDisableFeed}>
+                                    Turn Off
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+
+            <div className="form-actions">
+                <Link to="/" className="btn btn-secondary">← Back to Dashboard</Link>
+            </div>
+        </div>
+    );
+}
+
+export default Settings;
@@ -1,6 +1,22 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { getTask, updateTask, triggerTimelineUpdate, sendNudge } from '../services/api';
+import {
+    getTask,
+    updateTask,
+    triggerTimelineUpdate,
+    sendNudge,
+    snoozeTask,
+    endSnooze,
+    skipChaser,
+    restoreChaser,
+    requestExtension,
+    approveExtension,
+    rejectExtension,
+    exportTasks,
+    exportChaserLogs,
+    getStoredUser,
+    hasPermission
+} from '../services/api';
 import StatusBadge from '../components/StatusBadge';
 import PriorityBadge from '../components/PriorityBadge';
 import LoadingSpinner from '../components/LoadingSpinner';
@@ -27,6 +43,17 @@ function TaskDetail() {
     const [timelineLoading, setTimelineLoading] = useState(false);
     const [nudgeLoading, setNudgeLoading] = useState(false);
 
+    // Snooze modal state
+    const [showSnoozeModal, setShowSnoozeModal] = useState(false);
+    const [snoozeUntil, setSnoozeUntil] = useState('');
+    const [snoozeLoading, setSnoozeLoading] = useState(false);
+
+    // Extension request modal state
+    const [showExtensionModal, setShowExtensionModal] = useState(false);
+    const [extensionDueDate, setExtensionDueDate] = useState('');
+    const [extensionReason, setExtensionReason] = useState('');
+    const [extensionLoading, setExtensionLoading] = useState(false);
+
     // Format date for display
     const formatDate = (dateString) => {
         if (!dateString) return '-';
@@ -40,6 +67,22 @@ function TaskDetail() {
         });
     };
 
+    // Describe an RRULE-style recurrence rule
+    const describeRecurrence = (rule) => {
+        const fields = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+        const interval = Number(fields.INTERVAL || 1);
+        switch (fields.FREQ) {
+            case 'DAILY':
+                return interval > 1 ? `Every ${interval} days` : 'Daily';
+            case 'WEEKLY':
+                return `${interval > 1 ? `Every ${interval} weeks` : 'Weekly'}${fields.BYDAY ? ` on ${fields.BYDAY}` : ''}`;
+            case 'MONTHLY':
+                return `${interval > 1 ? `Every ${interval} months` : 'Monthly'}${fields.BYMONTHDAY ? ` on day ${fields.BYMONTHDAY === '-1' ? 'last' : fields.BYMONTHDAY}` : ''}`;
+            default:
+                return rule;
+        }
+    };
+
     // Check if task is overdue
     const isOverdue = (task) => {
         if (!task || task.status === 'completed') return false;
@@ -180,8 +223,8 @@ function TaskDetail() {
         setError(null);
 
         try {
-            await sendNudge(id, { email: true, slack: true });
-            setSuccessMessage('👋 Nudge sent successfully via Email & Slack!');
+            const result = await sendNudge(id, { email: true, slack: true });
+            setSuccessMessage(`👋 ${result.message}`);
 
             // Refresh chaser history after a delay
             setTimeout(fetchTask, 2000);
@@ -193,6 +236,146 @@ function TaskDetail() {
         }
     };
 
+    // Snooze presets, as datetime-local values
+    const snoozePresets = () => {
+        const inTwoHours = new Date(Date.now() + 2 * 60 * 60 * 1000);
+        const tomorrowMorning = new Date();
+        tomorrowMorning.setDate(tomorrowMorning.getDate() + 1);
+        tomorrowMorning.setHours(9, 0, 0, 0);
+        return [
+            { label: '2 hours', value: toLocalDatetime(inTwoHours.toISOString()) },
+            { label: 'Tomorrow 9:00', value: toLocalDatetime(tomorrowMorning.toISOString()) }
+        ];
+    };
+
+    // Open snooze modal
+    const handleOpenSnoozeModal = () => {
+        setSnoozeUntil(snoozePresets()[0].value);
+        setShowSnoozeModal(true);
+    };
+
+    // Handle snooze submit
+    const handleSnoozeSubmit = async () => {
+        setSnoozeLoading(true);
+        setError(null);
+        setSuccessMessage(null);
+
+        try {
+            const result = await snoozeTask(id, new Date(snoozeUntil).toISOString());
+            setSuccessMessage(`⏸ Chasers snoozed until ${formatDate(result.snoozed_until)}.`);
+            setShowSnoozeModal(false);
+            fetchTask();
+        } catch (err) {
+            console.error('Error snoozing task:', err);
+            setError(err.message || 'Failed to snooze task');
+        } finally {
+            setSnoozeLoading(false);
+        }
+    };
+
+    // End the snooze now
+    const handleEndSnooze = async () => {
+        setActionLoading(true);
+        setError(null);
+        setSuccessMessage(null);
+
+        try {
+            await endSnooze(id);
+            setSuccessMessage('▶️ Snooze ended. Chasers have been re-planned.');
+            fetchTask();
+        } catch (err) {
+            console.error('Error ending snooze:', err);
+            setError(err.message || 'Failed to end snooze');
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    // Skip a scheduled chaser, or restore a skipped one
+    const handleSkipChaser = async (chaser) => {
+        const skip = chaser.status === 'pending';
+        setActionLoading(true);
+        setError(null);
+        setSuccessMessage(null);
+
+        try {
+            await (skip ? skipChaser(id, chaser.id) : restoreChaser(id, chaser.id));
+            setSuccessMessage(skip
+                ? `⏭ Chaser scheduled for ${formatDate(chaser.scheduled_at)} skipped.`
+                : `↩ Chaser scheduled for ${formatDate(chaser.scheduled_at)} restored.`);
+            fetchTask();
+        } catch (err) {
+            console.error('Error updating chaser:', err);
+            setError(err.message);
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    // Open extension request modal, suggesting a day after the current due date
+    const handleOpenExtensionModal = () => {
+        const suggested = new Date(new Date(task.due_date).getTime() + 24 * 60 * 60 * 1000);
+        setExtensionDueDate(toLocalDatetime(suggested.toISOString()));
+        setExtensionReason('');
+        setShowExtensionModal(true);
+    };
+
+    // Handle extension request submit
+    const handleExtensionSubmit = async () => {
+        setExtensionLoading(true);
+        setError(null);
+        setSuccessMessage(null);
+
+        try {
+            await requestExtension(id, {
+                proposed_due_date: new Date(extensionDueDate).toISOString(),
+                reason: extensionReason
+            });
+            setSuccessMessage('📅 Request sent. The task owner will approve or reject it.');
+            setShowExtensionModal(false);
+            fetchTask();
+        } catch (err) {
+            console.error('Error requesting more time:', err);
+            setError(err.message || 'Failed to request more time');
+        } finally {
+            setExtensionLoading(false);
+        }
+    };
+
+    // Approve or reject a pending extension request, with an optional note
+    const handleDecideExtension = async (request, approved) => {
+        const note = window.prompt(approved
+            ? 'Approve this request? Add a note for the requester (optional):'
+            : 'Reject this request? Add a note for the requester (optional):');
+        if (note === null) return;
+
+        setActionLoading(true);
+        setError(null);
+        setSuccessMessage(null);
+
+        try {
+            await (approved ? approveExtension(request.id, note) : rejectExtension(request.id, note));
+            setSuccessMessage(approved
+                ? `✅ Extension approved. The task is now due ${formatDate(request.proposed_due_date)}; calendar and chasers updated.`
+                : '❌ Extension request rejected.');
+            fetchTask();
+        } catch (err) {
+            console.error('Error deciding extension request:', err);
+            setError(err.message);
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    // Download this task's due date or chaser history
+    const handleExport = async (download) => {
+        try {
+            await download();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
     if (loading) {
         return <LoadingSpinner size="large" centered />;
     }
@@ -221,6 +404,16 @@ function TaskDetail() {
 
     const displayStatus = isOverdue(task) ? 'overdue' : task.status;
 
+    // Mirrors the server's rules: managers edit any task, members their own,
+    // and the assignee can always mark their task complete
+    const currentUser = getStoredUser();
+    const canEdit = hasPermission('tasks:edit_any') ||
+        (hasPermission('tasks:create') && task.created_by === currentUser?.id);
+    const canComplete = canEdit || task.assignee_email === currentUser?.email;
+    const isSnoozed = task.status !== 'completed' && task.snoozed_until && new Date(task.snoozed_until) > new Date();
+    const nextChaser = task.pending_chasers?.find(chaser => chaser.status === 'pending');
+    const pendingExtension = task.extension_requests?.find(request => request.status === 'pending');
+
     return (
         <div className="detail-page">
             {/* Header */}
@@ -262,6 +455,71 @@ function TaskDetail() {
                 </div>
             )}
 
+            {/* Snooze Banner */}
+            {isSnoozed && (
+                <div style={{
+                    background: '#EEF2FF',
+                    border: '1px solid #C7D2FE',
+                    borderRadius: '8px',
+                    padding: '16px',
+                    marginBottom: '20px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '12px'
+                }}>
+                    <div style={{ color: '#3730A3' }}>
+                        ⏸ Chasers are snoozed until <strong>{formatDate(task.snoozed_until)}</strong>
+                    </div>
+                    {canComplete && (
+                        <button className="btn btn-secondary btn-sm" onClick={handleEndSnooze} disabled={actionLoading}>
+                            ▶️ Resume Now
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {/* Pending Extension Request */}
+            {pendingExtension && task.status !== 'completed' && (
+                <div style={{
+                    background: '#FFFBEB',
+                    border: '1px solid #FCD34D',
+                    borderRadius: '8px',
+                    padding: '16px',
+                    marginBottom: '20px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '12px'
+                }}>
+                    <div style={{ color: '#92400E' }}>
+                        📅 {pendingExtension.requested_by_email} asked to move the due date to{' '}
+                        <strong>{formatDate(pendingExtension.proposed_due_date)}</strong>
+                        <div style={{ fontSize: '14px', color: '#B45309', marginTop: '4px' }}>
+                            “{pendingExtension.reason}”
+                        </div>
+                    </div>
+                    {canEdit && (
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <button
+                                className="btn btn-success btn-sm"
+                                onClick={() => handleDecideExtension(pendingExtension, true)}
+                                disabled={actionLoading}
+                            >
+                                ✓ Approve
+                            </button>
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => handleDecideExtension(pendingExtension, false)}
+                                disabled={actionLoading}
+                            >
+                                ✕ Reject
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Task Details */}
             <div className="detail-section">
                 <h2>Task Details</h2>
@@ -299,6 +557,34 @@ function TaskDetail() {
                             {task.last_chaser_sent_at ? formatDate(task.last_chaser_sent_at) : 'Never'}
                         </div>
                     </div>
+                    {task.recurrence_rule && (
+                        <div className="detail-item">
+                            <div className="detail-label">Repeats</div>
+                            <div className="detail-value">
+                                🔁 {describeRecurrence(task.recurrence_rule)}
+                                {task.previous_occurrence_id && (
+                                    <div style={{ fontSize: '12px' }}>
+                                        <Link to={`/tasks/${task.previous_occurrence_id}`}>← Previous occurrence</Link>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                    {task.escalation_contacts?.length > 0 && (
+                        <div className="detail-item">
+                            <div className="detail-label">Escalates To</div>
+                            <div className="detail-value">
+                                {task.escalation_contacts.map((contact, index) => (
+                                    <div key={contact.email} style={{ fontSize: '14px' }}>
+                                        L{index + 1}: {contact.name || contact.email}
+                                        <span style={{ color: '#6B7280', fontSize: '12px' }}>
+                                            {' '}({contact.from_tier === 5 ? 'once overdue' : `from tier ${contact.from_tier}`}, {contact.mode === 'cc' ? 'cc' : 'notified'})
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
                     {task.slack_channel && (
                         <div className="detail-item">
                             <div className="detail-label">Slack Channel</div>
@@ -324,7 +610,18 @@ function TaskDetail() {
             {/* Pending Chasers */}
             {task.pending_chasers && task.pending_chasers.length > 0 && (
                 <div className="detail-section">
-                    <h2>Scheduled Chasers</h2>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <h2>Scheduled Chasers</h2>
+                        {canComplete && nextChaser && (
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => handleSkipChaser(nextChaser)}
+                                disabled={actionLoading}
+                            >
+                                ⏭ Skip Next Chaser
+                            </button>
+                        )}
+                    </div>
                     <div className="table-wrapper">
                         <table className="table">
                             <thead>
@@ -332,14 +629,83 @@ function TaskDetail() {
                                     <th>Scheduled At</th>
                                     <th>Recipient</th>
                                     <th>Status</th>
+                                    {canComplete && <th></th>}
                                 </tr>
                             </thead>
                             <tbody>
                                 {task.pending_chasers.map((chaser) => (
                                     <tr key={chaser.id}>
-                                        <td>{formatDate(chaser.scheduled_at)}</td>
+                                        <td>
+                                            {formatDate(chaser.scheduled_at)}
+                                            {chaser.snoozed_from ? (
+                                                <div style={{ fontSize: '12px', color: '#6B7280' }}>
+                                                    ⏸ Moved from {formatDate(chaser.snoozed_from)} (snoozed)
+                                                </div>
+                                            ) : chaser.original_scheduled_at && (
+                                                <div style={{ fontSize: '12px', color: '#6B7280' }}>
+                                                    🌙 Moved from {formatDate(chaser.original_scheduled_at)} (quiet hours)
+                                                </div>
+                                            )}
+                                            {chaser.status === 'skipped' && chaser.cancel_reason === 'snoozed' && (
+                                                <div style={{ fontSize: '12px', color: '#6B7280' }}>
+                                                    ⏸ Folded into the snooze
+                                                </div>
+                                            )}
+                                        </td>
                                         <td>{chaser.recipient_email}</td>
                                         <td><StatusBadge status={chaser.status} /></td>
+                                        {canComplete && (
+                                            <td>
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handleSkipChaser(chaser)}
+                                                    disabled={actionLoading}
+                                                >
+                                                    {chaser.status === 'pending' ? 'Skip' : 'Restore'}
+                                                </button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Extension Requests */}
+            {task.extension_requests?.length > 0 && (
+                <div className="detail-section">
+                    <h2>Extension Requests</h2>
+                    <div className="table-wrapper">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Requested</th>
+                                    <th>Proposed Due Date</th>
+                                    <th>Reason</th>
+                                    <th>Status</th>
+                                    <th>Note</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {task.extension_requests.map((request) => (
+                                    <tr key={request.id}>
+                                        <td>
+                                            {formatDate(request.created_at)}
+                                            <div style={{ fontSize: '12px', color: '#6B7280' }}>
+                                                {request.requested_by_email}
+                                            </div>
+                                        </td>
+                                        <td>
+                                            {formatDate(request.proposed_due_date)}
+                                            <div style={{ fontSize: '12px', color: '#6B7280' }}>
+                                                Was {formatDate(request.current_due_date)}
+                                            </div>
+                                        </td>
+                                        <td>{request.reason}</td>
+                                        <td><StatusBadge status={request.status} /></td>
+                                        <td>{request.decision_note || '-'}</td>
                                     </tr>
                                 ))}
                             </tbody>
@@ -350,7 +716,19 @@ function TaskDetail() {
 
             {/* Chaser History */}
             <div className="detail-section">
-                <h2>Chaser History</h2>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2>Chaser History</h2>
+                    {task.chaser_logs?.length > 0 && (
+                        <div style={{ display: 'flex', gap: '4px' }}>
+                            <button className="btn btn-secondary btn-sm" onClick={() => handleExport(() => exportChaserLogs('csv', { task_id: id }))}>
+                                ⬇ CSV
+                            </button>
+                            <button className="btn btn-secondary btn-sm" onClick={() => handleExport(() => exportChaserLogs('json', { task_id: id }))}>
+                                ⬇ JSON
+                            </button>
+                        </div>
+                    )}
+                </div>
                 {(!task.chaser_logs || task.chaser_logs.length === 0) ? (
                     <div className="empty-state">
                         No chasers sent yet
@@ -383,7 +761,7 @@ function TaskDetail() {
 
             {/* Actions */}
             <div className="detail-actions">
-                {task.status !== 'completed' && (
+                {canComplete && task.status !== 'completed' && (
                     <button
                         className="btn btn-success"
                         onClick={handleMarkComplete}
@@ -398,7 +776,7 @@ function TaskDetail() {
                         )}
                     </button>
                 )}
-                {task.calendar_event_id && task.status !== 'completed' && (
+                {canEdit && task.calendar_event_id && task.status !== 'completed' && (
                     <button
                         className="btn btn-primary"
                         onClick={handleOpenTimelineModal}
@@ -407,19 +785,45 @@ function TaskDetail() {
                         📅 Update Task Timeline
                     </button>
                 )}
+                {canComplete && task.status !== 'completed' && (
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleOpenSnoozeModal}
+                        disabled={actionLoading}
+                    >
+                        ⏸ Snooze Chasers
+                    </button>
+                )}
+                {canComplete && !canEdit && task.status !== 'completed' && !pendingExtension && (
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleOpenExtensionModal}
+                        disabled={actionLoading}
+                    >
+                        📅 Request More Time
+                    </button>
+                )}
+                {hasPermission('nudges:send') && (
+                    <button
+                        className="btn btn-warning"
+                        onClick={handleNudge}
+                        disabled={nudgeLoading || actionLoading}
+                        style={{ backgroundColor: '#F59E0B', borderColor: '#D97706', color: 'white' }}
+                    >
+                        {nudgeLoading ? (
+                            <>
+                                <LoadingSpinner /> Nudging...
+                            </>
+                        ) : (
+                            '👋 Nudge User'
+                        )}
+                    </button>
+                )}
                 <button
-                    className="btn btn-warning"
-                    onClick={handleNudge}
-                    disabled={nudgeLoading || actionLoading}
-                    style={{ backgroundColor: '#F59E0B', borderColor: '#D97706', color: 'white' }}
+                    className="btn btn-secondary"
+                    onClick={() => handleExport(() => exportTasks('ics', { id }))}
                 >
-                    {nudgeLoading ? (
-                        <>
-                            <LoadingSpinner /> Nudging...
-                        </>
-                    ) : (
-                        '👋 Nudge User'
-                    )}
+                    📅 Download .ics
                 </button>
                 <button
                     className="btn btn-secondary"
@@ -500,6 +904,160 @@ function TaskDetail() {
                     </div>
                 </div>
             )}
+
+            {/* Snooze Modal */}
+            {showSnoozeModal && (
+                <div className="modal-overlay" onClick={() => setShowSnoozeModal(false)}>
+                    <div className="modal-content" onClick={e => e.stopPropagation()} style={{
+                        background: 'white',
+                        borderRadius: '12px',
+                        padding: '24px',
+                        maxWidth: '450px',
+                        width: '90%',
+                        boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)'
+                    }}>
+                        <h2 style={{ marginTop: 0, marginBottom: '20px' }}>⏸ Snooze Chasers</h2>
+
+                        <div className="form-group" style={{ marginBottom: '24px' }}>
+                            <label style={{ display: 'block', marginBottom: '6px', fontWeight: '500' }}>
+                                Snooze Until
+                            </label>
+                            <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                                {snoozePresets().map(preset => (
+                                    <button
+                                        key={preset.label}
+                                        type="button"
+                                        className="btn btn-secondary btn-sm"
+                                        onClick={() => setSnoozeUntil(preset.value)}
+                                    >
+                                        {preset.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <input
+                                type="datetime-local"
+                                value={snoozeUntil}
+                                onChange={(e) => setSnoozeUntil(e.target.value)}
+                                style={{
+                                    width: '100%',
+                                    padding: '10px 12px',
+                                    border: '1px solid #D1D5DB',
+                                    borderRadius: '8px',
+                                    fontSize: '14px'
+                                }}
+                            />
+                            <small style={{ color: '#6B7280', marginTop: '6px', display: 'block' }}>
+                                Chasers due before then are held, and one is sent when the snooze ends
+                            </small>
+                        </div>
+
+                        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowSnoozeModal(false)}
+                                disabled={snoozeLoading}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleSnoozeSubmit}
+                                disabled={snoozeLoading || !snoozeUntil}
+                            >
+                                {snoozeLoading ? (
+                                    <>
+                                        <LoadingSpinner /> Snoozing...
+                                    </>
+                                ) : (
+                                    '⏸ Snooze'
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Extension Request Modal */}
+            {showExtensionModal && (
+                <div className="modal-overlay" onClick={() => setShowExtensionModal(false)}>
+                    <div className="modal-content" onClick={e => e.stopPropagation()} style={{
+                        background: 'white',
+                        borderRadius: '12px',
+                        padding: '24px',
+                        maxWidth: '450px',
+                        width: '90%',
+                        boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)'
+                    }}>
+                        <h2 style={{ marginTop: 0, marginBottom: '20px' }}>📅 Request More Time</h2>
+
+                        <div className="form-group" style={{ marginBottom: '16px' }}>
+                            <label style={{ display: 'block', marginBottom: '6px', fontWeight: '500' }}>
+                                Proposed Due Date
+                            </label>
+                            <input
+                                type="datetime-local"
+                                value={extensionDueDate}
+                                onChange={(e) => setExtensionDueDate(e.target.value)}
+                                style={{
+                                    width: '100%',
+                                    padding: '10px 12px',
+                                    border: '1px solid #D1D5DB',
+                                    borderRadius: '8px',
+                                    fontSize: '14px'
+                                }}
+                            />
+                            <small style={{ color: '#6B7280', marginTop: '6px', display: 'block' }}>
+                                Currently due {formatDate(task.due_date)}
+                            </small>
+                        </div>
+
+                        <div className="form-group" style={{ marginBottom: '24px' }}>
+                            <label style={{ display: 'block', marginBottom: '6px', fontWeight: '500' }}>
+                                Reason
+                            </label>
+                            <textarea
+                                value={extensionReason}
+                                onChange={(e) => setExtensionReason(e.target.value)}
+                                rows={4}
+                                maxLength={1000}
+                                style={{
+                                    width: '100%',
+                                    padding: '10px 12px',
+                                    border: '1px solid #D1D5DB',
+                                    borderRadius: '8px',
+                                    fontSize: '14px'
+                                }}
+                            />
+                            <small style={{ color: '#6B7280', marginTop: '6px', display: 'block' }}>
+                                If the task owner approves, the deadline, calendar event and chasers move to the new date
+                            </small>
+                        </div>
+
+                        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowExtensionModal(false)}
+                                disabled={extensionLoading}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleExtensionSubmit}
+                                disabled={extensionLoading || !extensionDueDate || !extensionReason.trim()}
+                            >
+                                {extensionLoading ? (
+                                    <>
+                                        <LoadingSpinner /> Sending...
+                                    </>
+                                ) : (
+                                    '📅 Send Request'
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getTemplates, saveTemplate, resetTemplate, previewTemplate, hasPermission } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+
+const TIER_LABELS = {
+    0: 'Manual nudge',
+    1: 'Upcoming',
+    2: 'Reminder',
+    3: 'Urgent',
+    4: 'Critical',
+    5: 'Overdue'
+};
+
+const LOCALE_LABELS = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français',
+    de: 'Deutsch'
+};
+
+const CHANNEL_LABELS = {
+    email: 'Email',
+    slack: 'Slack',
+    sms: 'SMS',
+    call: 'Phone call'
+};
+
+/**
+ * Templates Page
+ * Edit the chaser copy for each tier, channel and language, with a live preview
+ */
+function Templates() {
+    const [templates, setTemplates] = useState([]);
+    const [variables, setVariables] = useState({});
+    const [locales, setLocales] = useState(['en']);
+    const [locale, setLocale] = useState('en');
+    const [tier, setTier] = useState(1);
+    const [channel, setChannel] = useState('email');
+    const [draft, setDraft] = useState({ subject: '', body: '' });
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [saved, setSaved] = useState(false);
+    const canManage = hasPermission('settings:manage');
+
+    useEffect(() => {
+        getTemplates(locale)
+            .then(data => {
+                setTemplates(data.templates || []);
+                setVariables(data.variables || {});
+                setLocales(data.locales || ['en']);
+            })
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, [locale]);
+
+    const current = templates.find(t => t.tier === tier && t.channel === channel);
+
+    // Load the selected template into the editor
+    useEffect(() => {
+        if (current) {
+            setDraft({ subject: current.subject || '', body: current.body });
+        }
+        setPreview(null);
+    }, [current]);
+
+    const selectTemplate = (nextTier, nextChannel) => {
+        setTier(nextTier);
+        setChannel(nextChannel);
+        setSaved(false);
+    };
+
+    const replaceTemplate = (updated) => {
+        setTemplates(prev => prev.map(t => (
+            t.tier === updated.tier && t.channel === updated.channel ? { ...t, ...updated } : t
+        )));
+    };
+
+    const handlePreview = async () => {
+        setError(null);
+        try {
+            setPreview(await previewTemplate({
+                tier,
+                channel,
+                locale,
+                subject: channel === 'email' ? draft.subject : undefined,
+                body: draft.body
+            }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setSaving(true);
+        try {
+            const template = channel === 'email' ? draft : { body: draft.body };
+            replaceTemplate(await saveTemplate(tier, channel, { ...template, locale }));
+            setSaved(true);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm('Go back to the built-in copy for this message?')) return;
+        setError(null);
+        try {
+            replaceTemplate(await resetTemplate(tier, channel, locale));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return <LoadingSpinner size="large" centered />;
+    }
+
+    return (
+        <div className="form-page">
+            <h1>Message Templates</h1>
+
+            {error && <ErrorMessage message={error} onDismiss={() => setError(null)} />}
+            {saved && <div className="success-message">✅ Template saved.</div>}
+
+            <form onSubmit={handleSave} className="card">
+                <div style={{ display: 'flex', gap: '16px' }}>
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label className="form-label" htmlFor="locale">Language</label>
+                        <select
+                            id="locale"
+                            className="form-select"
+                            value={locale}
+                            onChange={(e) => { setLocale(e.target.value); setSaved(false); }}
+                        >
+                            {locales.map(value => (
+                                <option key={value} value={value}>{LOCALE_LABELS[value] || value}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label className="form-label" htmlFor="tier">Message</label>
+                        <select id="tier" className="form-select" value={tier} onChange={(e) => selectTemplate(Number(e.target.value), channel)}>
+                            {Object.entries(TIER_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group" style={{ flex: 1 }}>
+                        <label className="form-label" htmlFor="channel">Channel</label>
+                        <select id="channel" className="form-select" value={channel} onChange={(e) => selectTemplate(tier, e.target.value)}>
+                            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                <small style={{ color: '#6B7280', fontSize: '12px', marginBottom: '12px', display: 'block' }}>
+                    {current?.is_default ? 'Using the built-in copy.' : 'Customized for this workspace.'}
+                </small>
+
+                {channel === 'email' && (
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="subject">Subject</label>
+                        <input
+                            type="text"
+                            id="subject"
+                            className="form-input"
+                            value={draft.subject}
+                            onChange={(e) => setDraft(prev => ({ ...prev, subject: e.target.value }))}
+                            disabled={saving || !canManage}
+                            maxLength={255}
+                            required
+                        />
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label className="form-label" htmlFor="body">
+                        {channel === 'email' ? 'Message (HTML)' : channel === 'slack' ? 'Message (Slack formatting)' : 'Message'}
+                    </label>
+                    <textarea
+                        id="body"
+                        className="form-input"
+                        rows={channel === 'slack' ? 10 : 4}
+                        value={draft.body}
+                        onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+                        disabled={saving || !canManage}
+                        required
+                    />
+                    <small style={{ color: '#6B7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                        Variables:{' '}
+                        {Object.entries(variables).map(([name, description]) => (
+                            <code key={name} title={description} style={{ marginRight: '8px' }}>{`{{${name}}}`}</code>
+                        ))}
+                    </small>
+                </div>
+
+                <div className="form-actions">
+                    <button type="button" className="btn btn-secondary" onClick={handlePreview}>
+                        Preview
+                    </button>
+                    {canManage && (
+                        <>
+                            <button type="submit" className="btn btn-primary" disabled={saving}>
+                                {saving ? <><LoadingSpinner /> Saving...</> : 'Save Template'}
+                            </button>
+                            {!current?.is_default && (
+                                <button type="button" className="btn btn-secondary" onClick={handleReset} disabled={saving}>
+                                    Reset to Built-in
+                                </button>
+                            )}
+                        </>
+                    )}
+                </div>
+            </form>
+
+            {preview && (
+                <div className="card" style={{ marginTop: '24px' }}>
+                    <label className="form-label">Preview (sample task)</label>
+                    {preview.subject && <p><strong>Subject:</strong> {preview.subject}</p>}
+                    {channel === 'email' ? (
+                        <>
+                            <iframe
+                                title="Email preview"
+                                sandbox=""
+                                srcDoc={preview.body}
+                                style={{ width: '100%', height: '480px', border: '1px solid #E5E7EB', borderRadius: '6px' }}
+                            />
+                            <label className="form-label" style={{ marginTop: '16px' }}>Plain-text version</label>
+                            <pre style={{ whiteSpace: 'pre-wrap', fontSize: '14px', margin: 0 }}>{preview.text}</pre>
+                        </>
+                    ) : (
+                        <pre style={{ whiteSpace: 'pre-wrap', fontSize: '14px', margin: 0 }}>{preview.body}</pre>
+                    )}
+                </div>
+            )}
+
+            <div className="form-actions">
+                <Link to="/settings" className="btn btn-secondary">← Back to Settings</Link>
+            </div>
+        </div>
+    );
+}
+
+export default Templates;
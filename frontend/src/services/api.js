@@ -14,8 +14,46 @@ const api = axios.create({
     timeout: 30000 // Increased from 10s to 30s
 });
 
-// Request interceptor for retry logic
+// Session token from login, kept across reloads
+const TOKEN_KEY = 'chaser_auth_token';
+const USER_KEY = 'chaser_auth_user';
+
+/**
+ * Get the stored session token
+ * @returns {string|null} JWT or null when signed out
+ */
+export function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Get the signed-in user saved at login
+ * @returns {Object|null} User { id, email, name, role, permissions }
+ */
+export function getStoredUser() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveSession({ token, user }) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+function clearSession() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+}
+
+// Request interceptor for auth and retry logic
 api.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
     config.retryCount = config.retryCount || 0;
     return config;
 });
@@ -33,6 +71,14 @@ api.interceptors.response.use(
             return api(config);
         }
 
+        // Expired or missing session: sign out and go to the login page
+        if (error.response?.status === 401 && !config.url?.startsWith('/auth/')) {
+            clearSession();
+            if (window.location.pathname !== '/login') {
+                window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+            }
+        }
+
         // Only log non-timeout errors to reduce console noise
         if (error.code !== 'ECONNABORTED') {
             console.error('[API Error]', error.response?.data || error.message);
@@ -41,6 +87,71 @@ api.interceptors.response.use(
     }
 );
 
+/**
+ * Sign in with email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function login(email, password) {
+    try {
+        const response = await api.post('/auth/login', { email, password });
+        saveSession(response.data);
+        return response.data.user;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to sign in';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create an account and sign in
+ * @param {Object} accountData - { email, password, name, workspace_name, invite_code }
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function register(accountData) {
+    try {
+        const response = await api.post('/auth/register', accountData);
+        saveSession(response.data);
+        return response.data.user;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to create account';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Whether the signed-in user's role grants a permission (e.g. 'nudges:send').
+ * The server enforces permissions; this only decides what to show.
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+    return (getStoredUser()?.permissions || []).includes(permission);
+}
+
+/**
+ * Reload the signed-in user so role changes show without signing in again
+ * @returns {Promise<Object>} User
+ */
+export async function refreshCurrentUser() {
+    try {
+        const response = await api.get('/auth/me');
+        localStorage.setItem(USER_KEY, JSON.stringify(response.data));
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch current user';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Sign out of this browser
+ */
+export function logout() {
+    clearSession();
+}
+
 /**
  * Create a new task
  * @param {Object} taskData - Task data { title, assignee_email, assignee_name, due_date, priority }
@@ -56,13 +167,73 @@ export async function createTask(taskData) {
     }
 }
 
+// Save a downloaded blob under the server's suggested file name
+function saveDownload(response, fallbackName) {
+    const disposition = response.headers['content-disposition'] || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
- * Get all tasks
- * @returns {Promise<Array>} List of tasks
+ * Download tasks as a file
+ * @param {string} format - csv, json or ics
+ * @param {Object} params - Same filters and sort as getTasks
  */
-export async function getTasks() {
+export async function exportTasks(format, params = {}) {
     try {
-        const response = await api.get('/tasks');
+        const response = await api.get('/export/tasks', { params: { ...params, format }, responseType: 'blob' });
+        saveDownload(response, `tasks.${format}`);
+    } catch (error) {
+        throw new Error('Failed to export tasks');
+    }
+}
+
+/**
+ * Download chaser history as a file
+ * @param {string} format - csv or json
+ * @param {Object} params - { task_id, from, to }
+ */
+export async function exportChaserLogs(format, params = {}) {
+    try {
+        const response = await api.get('/export/chaser-logs', { params: { ...params, format }, responseType: 'blob' });
+        saveDownload(response, `chaser-history.${format}`);
+    } catch (error) {
+        throw new Error('Failed to export chaser history');
+    }
+}
+
+/**
+ * Import tasks in bulk
+ * @param {Object} importData - { format: 'csv', csv } or { format: 'json', tasks }, plus dry_run
+ * @returns {Promise<Object>} { dry_run, total, valid, invalid, rows, imported?, tasks? }
+ */
+export async function importTasks(importData) {
+    try {
+        const response = await api.post('/tasks/import', importData);
+        return response.data;
+    } catch (error) {
+        // A rejected import still carries the per-row report
+        const err = new Error(error.response?.data?.error || 'Failed to import tasks');
+        err.report = error.response?.data?.rows ? error.response.data : null;
+        throw err;
+    }
+}
+
+/**
+ * Get a page of tasks
+ * @param {Object} params - { status, priority, assignee, due_after, due_before, q, sort, order, limit, cursor }
+ * @returns {Promise<Object>} { tasks, next_cursor, total } - total is only set on the first page
+ */
+export async function getTasks(params = {}) {
+    try {
+        const response = await api.get('/tasks', { params });
         return response.data;
     } catch (error) {
         const message = error.response?.data?.error || 'Failed to fetch tasks';
@@ -104,6 +275,285 @@ export async function updateTask(id, updates) {
     }
 }
 
+/**
+ * Get an assignee's time zone and working hours
+ * @param {string} email - Assignee email
+ * @returns {Promise<Object>} Assignee { email, name, time_zone, work_start, work_end, work_days }
+ */
+export async function getAssignee(email) {
+    try {
+        const response = await api.get(`/assignees/${encodeURIComponent(email)}`);
+        return response.data;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        const message = error.response?.data?.error || 'Failed to fetch assignee';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Save an assignee's time zone and working hours
+ * @param {string} email - Assignee email
+ * @param {Object} settings - { name, time_zone, work_start, work_end, work_days }
+ * @returns {Promise<Object>} Saved assignee
+ */
+export async function saveAssignee(email, settings) {
+    try {
+        const response = await api.put(`/assignees/${encodeURIComponent(email)}`, settings);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to save assignee';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create (or replace) an assignee's subscribable calendar feed
+ * @param {string} email - Assignee email
+ * @returns {Promise<Object>} { email, feed_url } - the URL is only shown once
+ */
+export async function createCalendarFeed(email) {
+    try {
+        const response = await api.post(`/assignees/${encodeURIComponent(email)}/calendar-feed`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to create calendar feed';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Turn off an assignee's calendar feed
+ * @param {string} email - Assignee email
+ * @returns {Promise<Object>} { success }
+ */
+export async function disableCalendarFeed(email) {
+    try {
+        const response = await api.delete(`/assignees/${encodeURIComponent(email)}/calendar-feed`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to disable calendar feed';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Get the signed-in user's workspace with its settings and members
+ * @returns {Promise<Object>} Workspace { name, invite_code, boltic_webhook_url, slack_webhook_url, slack_default_channel,
+ *   inherits_server_integrations, webhook_secret (admins only), members }
+ */
+export async function getWorkspace() {
+    try {
+        const response = await api.get('/workspace');
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch workspace';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Update the workspace name and integration settings
+ * @param {Object} settings - { name, boltic_webhook_url, slack_webhook_url, slack_default_channel,
+ *   rotate_invite_code, rotate_webhook_secret }
+ * @returns {Promise<Object>} Updated workspace
+ */
+export async function updateWorkspace(settings) {
+    try {
+        const response = await api.patch('/workspace', settings);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to update workspace';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Change a workspace member's role
+ * @param {string} userId - Member user ID
+ * @param {string} role - admin, manager, member or viewer
+ * @returns {Promise<Object>} Updated member
+ */
+export async function updateMemberRole(userId, role) {
+    try {
+        const response = await api.patch(`/workspace/members/${userId}`, { role });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to update member';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Get the signed-in user's API keys
+ * @returns {Promise<Object>} { keys, available_scopes }
+ */
+export async function getApiKeys() {
+    try {
+        const response = await api.get('/keys');
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch API keys';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create an API key
+ * @param {Object} keyData - { name, scopes }
+ * @returns {Promise<Object>} Created key, including the plain `key` (shown once)
+ */
+export async function createApiKey(keyData) {
+    try {
+        const response = await api.post('/keys', keyData);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to create API key';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} { success, id }
+ */
+export async function revokeApiKey(keyId) {
+    try {
+        const response = await api.delete(`/keys/${keyId}`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to revoke API key';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Get the message templates in effect for every tier and channel in a locale
+ * @param {string} locale - e.g. 'en', 'es'
+ * @returns {Promise<Object>} { templates: [{ tier, channel, locale, subject, body, is_default }], variables, locales }
+ */
+export async function getTemplates(locale = 'en') {
+    try {
+        const response = await api.get('/templates', { params: { locale } });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch templates';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Save a template override
+ * @param {number} tier - 0 (nudge) to 5 (overdue)
+ * @param {string} channel - email, slack, sms or call
+ * @param {Object} template - { locale, subject, body } (subject is email-only)
+ * @returns {Promise<Object>} Saved template
+ */
+export async function saveTemplate(tier, channel, template) {
+    try {
+        const response = await api.put(`/templates/${tier}/${channel}`, template);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to save template';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Remove a template override, going back to the built-in copy
+ * @param {number} tier - 0 (nudge) to 5 (overdue)
+ * @param {string} channel - email, slack, sms or call
+ * @param {string} locale - e.g. 'en', 'es'
+ * @returns {Promise<Object>} Built-in template
+ */
+export async function resetTemplate(tier, channel, locale = 'en') {
+    try {
+        const response = await api.delete(`/templates/${tier}/${channel}`, { params: { locale } });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to reset template';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Render a template with a sample task (or task_id)
+ * @param {Object} previewData - { tier, channel, locale, time_zone, subject, body, task_id }
+ * @returns {Promise<Object>} { subject, body } - email body is the full HTML
+ */
+export async function previewTemplate(previewData) {
+    try {
+        const response = await api.post('/templates/preview', previewData);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to preview template';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Get all escalation policies
+ * @returns {Promise<Array>} List of policies { id, name, description, tiers, default_for_priority }
+ */
+export async function getEscalationPolicies() {
+    try {
+        const response = await api.get('/escalation-policies');
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch escalation policies';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create an escalation policy
+ * @param {Object} policyData - { name, description, tiers, default_for_priority }
+ * @returns {Promise<Object>} Created policy
+ */
+export async function createEscalationPolicy(policyData) {
+    try {
+        const response = await api.post('/escalation-policies', policyData);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to create escalation policy';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Update an escalation policy
+ * @param {string} id - Policy ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated policy
+ */
+export async function updateEscalationPolicy(id, updates) {
+    try {
+        const response = await api.patch(`/escalation-policies/${id}`, updates);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to update escalation policy';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Delete an escalation policy
+ * @param {string} id - Policy ID
+ * @returns {Promise<Object>} Result
+ */
+export async function deleteEscalationPolicy(id) {
+    try {
+        const response = await api.delete(`/escalation-policies/${id}`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to delete escalation policy';
+        throw new Error(message);
+    }
+}
+
 /**
  * Get upcoming chasers in the queue
  * @returns {Promise<Array>} List of upcoming chasers
@@ -118,9 +568,38 @@ export async function getUpcomingChasers() {
     }
 }
 
+/**
+ * Get chasers that exhausted their retry attempts
+ * @returns {Promise<Array>} List of dead-lettered chasers
+ */
+export async function getDeadLetterChasers() {
+    try {
+        const response = await api.get('/queue/dead-letter');
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to fetch dead-letter chasers';
+        throw new Error(message);
+    }
+}
+
+/**
+ * Requeue a dead-lettered chaser
+ * @param {string} id - Queue entry ID
+ * @returns {Promise<Object>} Requeued chaser
+ */
+export async function requeueChaser(id) {
+    try {
+        const response = await api.post(`/queue/${id}/requeue`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to requeue chaser';
+        throw new Error(message);
+    }
+}
+
 /**
  * Get dashboard statistics
- * @returns {Promise<Object>} Stats { totalTasks, pendingTasks, chasersSentToday }
+ * @returns {Promise<Object>} Stats { totalTasks, pendingTasks, overdueTasks, chasersSentToday }
  */
 export async function getStats() {
     try {
@@ -171,4 +650,74 @@ export async function triggerTimelineUpdate(id, eventStart, eventEnd) {
     }
 }
 
+export async function snoozeTask(id, until) {
+    try {
+        const response = await api.post(`/tasks/${id}/snooze`, { until });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to snooze task';
+        throw new Error(message);
+    }
+}
+
+export async function endSnooze(id) {
+    try {
+        const response = await api.delete(`/tasks/${id}/snooze`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to end snooze';
+        throw new Error(message);
+    }
+}
+
+export async function skipChaser(taskId, chaserId) {
+    try {
+        const response = await api.post(`/tasks/${taskId}/chasers/${chaserId}/skip`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to skip chaser';
+        throw new Error(message);
+    }
+}
+
+export async function restoreChaser(taskId, chaserId) {
+    try {
+        const response = await api.delete(`/tasks/${taskId}/chasers/${chaserId}/skip`);
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to restore chaser';
+        throw new Error(message);
+    }
+}
+
+export async function requestExtension(taskId, { proposed_due_date, reason }) {
+    try {
+        const response = await api.post(`/tasks/${taskId}/extension-requests`, { proposed_due_date, reason });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to request more time';
+        throw new Error(message);
+    }
+}
+
+export async function approveExtension(requestId, note) {
+    try {
+        const response = await api.post(`/extension-requests/${requestId}/approve`, { note });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to approve extension request';
+        throw new Error(message);
+    }
+}
+
+export async function rejectExtension(requestId, note) {
+    try {
+        const response = await api.post(`/extension-requests/${requestId}/reject`, { note });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.error || 'Failed to reject extension request';
+        throw new Error(message);
+    }
+}
+
 export default api;